@@ -0,0 +1,84 @@
+// app.js - Express app factory. Routes are mounted here; server.js only connects and listens.
+const express = require('express');
+const cors = require('cors');
+
+const { globalLimiter, otpLimiter } = require('./middleware/rateLimit');
+const { errorHandler } = require('./middleware/errorHandler');
+const { getStorage } = require('./storage');
+const { mountDocs } = require('./docs');
+
+const authRoutes = require('./modules/auth/auth.routes');
+const catalogRoutes = require('./modules/catalog/catalog.routes');
+const ordersRoutes = require('./modules/orders/orders.routes');
+const sellerRoutes = require('./modules/seller/seller.routes');
+const deliveryRoutes = require('./modules/delivery/delivery.routes');
+const adminRoutes = require('./modules/admin/admin.routes');
+const notificationsRoutes = require('./modules/notifications/notifications.routes');
+const servicesRoutes = require('./modules/services/services.routes');
+const rideRoutes = require('./modules/ride/ride.routes');
+const printRoutes = require('./modules/print/print.routes');
+const verificationRoutes = require('./modules/verification/verification.routes');
+const auditRoutes = require('./modules/audit/audit.routes');
+const searchRoutes = require('./modules/search/search.routes');
+
+/**
+ * Builds the Express app with all middleware and feature routers.
+ * Does not connect to MongoDB or call listen(), so it can be imported on its own.
+ */
+function createApp() {
+  const app = express();
+  app.use(cors());
+  // Initialize Express app with raw body saver for Webhooks
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString(); 
+    }
+  }));
+
+  // Agar aapka server cloud (AWS, Render, Hostinger) par hai, toh yeh zaroori hai:
+  app.set('trust proxy', 1);
+
+  // Limiter ko app par apply karein
+  app.use(globalLimiter);
+  app.use('/api/auth/send-otp-register', otpLimiter);
+  app.use('/api/auth/forgot-password', otpLimiter);
+  app.use('/api/auth/2fa/verify', otpLimiter);
+  app.use('/api/auth/step-up', otpLimiter);
+
+  // Local storage driver: uploaded files yahin se serve hoti hain
+  const storage = getStorage();
+  if (storage.name === 'local') {
+    app.use(storage.publicPath, express.static(storage.rootDir));
+  }
+
+  app.use(authRoutes);
+  app.use(catalogRoutes);
+  app.use(ordersRoutes);
+  app.use(sellerRoutes);
+  app.use(deliveryRoutes);
+  app.use(adminRoutes);
+  app.use(notificationsRoutes);
+  app.use(servicesRoutes);
+  app.use(rideRoutes);
+  app.use(printRoutes);
+  app.use(verificationRoutes);
+  app.use(auditRoutes);
+  app.use(searchRoutes);
+
+  app.get('/', (req, res) => {
+    res.send('E-Commerce Backend API is running!');
+  });
+
+  app.get('/api/ping', (req, res) => {
+      res.status(200).send('Pong! Server is awake. 🚀');
+  });
+
+  // OpenAPI docs (/api/docs) - routes ke baad, taaki spec sab routes dekh sake
+  mountDocs(app);
+
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = { createApp };
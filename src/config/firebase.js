@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+const admin = require('firebase-admin');
+
+// Service account file ab startup par zaroori nahi hai; pehli baar use hone par load hota hai.
+const SERVICE_ACCOUNT_PATH = process.env.FIREBASE_SERVICE_ACCOUNT_PATH
+  || path.join(__dirname, '..', '..', 'serviceAccountKey.json');
+
+/**
+ * HELPER: Returns the initialized firebase-admin namespace.
+ * Throws if the service account key is not available.
+ */
+function getFirebaseAdmin() {
+  if (admin.apps.length === 0) {
+    if (!fs.existsSync(SERVICE_ACCOUNT_PATH)) {
+      throw new Error(`Firebase service account not found at ${SERVICE_ACCOUNT_PATH}`);
+    }
+    admin.initializeApp({
+      credential: admin.credential.cert(require(SERVICE_ACCOUNT_PATH))
+    });
+  }
+  return admin;
+}
+
+module.exports = { getFirebaseAdmin };
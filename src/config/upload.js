@@ -0,0 +1,57 @@
+const multer = require('multer');
+
+const { createUploadEngine } = require('../storage/multerEngine');
+
+// --------- Multer with pluggable storage (Cloudinary / local / S3) ----------
+const storage = createUploadEngine({
+  folder: (req, file) => {
+    if (req.originalUrl.includes('products')) return 'ecommerce/products';
+    if (req.originalUrl.includes('categories')) return 'ecommerce/categories';
+    if (req.originalUrl.includes('subcategories')) return 'ecommerce/subcategories';
+    if (req.originalUrl.includes('banners')) return 'ecommerce/banners';
+    if (req.originalUrl.includes('splash')) return 'ecommerce/splash';
+    return 'ecommerce/general';
+  },
+  resource_type: (req, file) => {
+    if (file.mimetype.startsWith('video')) return 'video';
+    return 'image';
+  },
+  allowed_formats: ['jpg', 'png', 'jpeg', 'gif', 'webp', 'mp4', 'mov', 'webm'],
+});
+const upload = multer({ storage });
+const uploadSingleMedia = upload.single('media');
+
+const productUpload = upload.fields([
+  { name: 'images', maxCount: 10 },        // Main product gallery
+  { name: 'variantImages', maxCount: 20 }, // Individual variant images (matching array index)
+  { name: 'video', maxCount: 1 }           // Optional video field
+]);
+
+const printStorage = createUploadEngine({
+  folder: 'ecommerce/print_jobs',
+  format: 'pdf', // यह हर फ़ाइल को PDF में बदल देगा (Cloudinary only)
+  resource_type: 'auto'
+});
+const uploadPrint = multer({ storage: printStorage });
+
+// Seller KYC documents (PAN, GST certificate, shop photo...) - image ya PDF, ek request mein ek file
+// Private storage: public URL nahi, sirf KYC file routes (seller khud / admin) se download
+const kycStorage = createUploadEngine({
+  folder: 'ecommerce/kyc',
+  resource_type: 'image', // Cloudinary PDF ko bhi image hi rakhta hai - delete/read isi type se
+  allowed_formats: ['jpg', 'jpeg', 'png', 'webp', 'pdf'],
+  private: true,
+});
+const kycUpload = multer({ storage: kycStorage, limits: { fileSize: 10 * 1024 * 1024 } }).single('document');
+
+// Driver / delivery partner documents (licence, RC, insurance...) - KYC ki tarah private storage,
+// sirf verification file routes (partner khud / admin) se download
+const partnerDocumentStorage = createUploadEngine({
+  folder: 'ecommerce/partner_documents',
+  resource_type: 'image', // Cloudinary PDF ko bhi image hi rakhta hai - delete/read isi type se
+  allowed_formats: ['jpg', 'jpeg', 'png', 'webp', 'pdf'],
+  private: true,
+});
+const partnerDocumentUpload = multer({ storage: partnerDocumentStorage, limits: { fileSize: 10 * 1024 * 1024 } }).single('document');
+
+module.exports = { upload, productUpload, uploadSingleMedia, uploadPrint, kycUpload, partnerDocumentUpload };
@@ -0,0 +1,23 @@
+// API docs check: har /api route ka docs entry hona chahiye (aur koi purani entry bachi na ho).
+// Usage: npm run docs:check  -> exit code 1 if anything is missing/stale
+const { createApp } = require('../app');
+const { buildOpenApiSpec } = require('./openapi');
+
+const spec = buildOpenApiSpec(createApp());
+const undocumented = spec['x-undocumented'];
+const stale = spec['x-stale-docs'];
+
+if (undocumented.length) {
+  console.error('❌ Routes without an API docs entry (add them to the module\'s *.docs.js):');
+  undocumented.forEach(key => console.error(`   ${key}`));
+}
+if (stale.length) {
+  console.error('❌ API docs entries for routes that no longer exist:');
+  stale.forEach(key => console.error(`   ${key}`));
+}
+
+if (undocumented.length || stale.length) process.exit(1);
+
+const operations = Object.values(spec.paths).reduce((n, p) => n + Object.keys(p).length, 0);
+console.log(`✅ API docs cover all ${operations} routes.`);
+process.exit(0); // Open handles (cron, mongoose buffers) ka wait nahi karna
@@ -0,0 +1,7 @@
+// --------- CORE API DOCS (see src/docs/openapi.js) ----------
+module.exports = {
+  tag: 'System',
+  routes: {
+    'GET /api/ping': { summary: 'Health check', response: 'string' },
+  },
+};
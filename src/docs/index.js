@@ -0,0 +1,27 @@
+const swaggerUi = require('swagger-ui-express');
+const { buildOpenApiSpec } = require('./openapi');
+
+/**
+ * Mounts the API docs:
+ *   GET /api/docs              -> Swagger UI
+ *   GET /api/docs/openapi.json -> raw OpenAPI 3 document
+ * Spec pehli request par ek baar banta hai (tab tak saare routes register ho chuke hote hain).
+ */
+function mountDocs(app) {
+  let spec = null;
+
+  app.get('/api/docs/openapi.json', (req, res) => {
+    try {
+      if (!spec) spec = buildOpenApiSpec(app);
+      res.json(spec);
+    } catch (err) {
+      res.status(500).json({ message: 'Error building API docs', error: err.message });
+    }
+  });
+
+  app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(null, {
+    swaggerOptions: { url: '/api/docs/openapi.json' },
+  }));
+}
+
+module.exports = { mountDocs };
@@ -0,0 +1,242 @@
+const { modelComponents, joiToOpenApi } = require('./schemas');
+
+// --------- OPENAPI 3 SPEC BUILDER ----------
+// Routes seedhe Express app se padhe jaate hain; request schemas validate() middleware (Joi) se,
+// response schemas Mongoose models se. Har route ka summary/response <module>.docs.js mein hota hai.
+const MODULE_DOCS = [
+  require('./core.docs'),
+  require('../modules/auth/auth.docs'),
+  require('../modules/catalog/catalog.docs'),
+  require('../modules/orders/orders.docs'),
+  require('../modules/seller/seller.docs'),
+  require('../modules/delivery/delivery.docs'),
+  require('../modules/admin/admin.docs'),
+  require('../modules/notifications/notifications.docs'),
+  require('../modules/services/services.docs'),
+  require('../modules/ride/ride.docs'),
+  require('../modules/print/print.docs'),
+  require('../modules/verification/verification.docs'),
+  require('../modules/audit/audit.docs'),
+  require('../modules/search/search.docs'),
+];
+
+// Docs UI khud documented nahi hota
+const UNDOCUMENTED_PREFIXES = ['/api/docs'];
+
+/**
+ * HELPER: 'GET /api/x' -> { tag, summary, ... } for every documented route
+ */
+function docEntries() {
+  const entries = new Map();
+  for (const mod of MODULE_DOCS) {
+    for (const [key, entry] of Object.entries(mod.routes)) {
+      if (entries.has(key)) throw new Error(`Duplicate API doc entry: ${key}`);
+      entries.set(key, { tag: mod.tag, ...entry });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Lists every /api route registered on the app with its middleware chain.
+ * @returns {{ method: string, path: string, handlers: Function[] }[]}
+ */
+function listRoutes(app) {
+  const routes = [];
+
+  const visit = (stack) => {
+    for (const layer of stack) {
+      if (layer.route) {
+        const methods = Object.keys(layer.route.methods).filter(m => m !== '_all');
+        for (const method of methods) {
+          routes.push({
+            method: method.toUpperCase(),
+            path: layer.route.path,
+            handlers: layer.route.stack.filter(l => !l.method || l.method === method).map(l => l.handle),
+          });
+        }
+      } else if (layer.handle && Array.isArray(layer.handle.stack)) {
+        visit(layer.handle.stack); // Mounted feature router
+      }
+    }
+  };
+  visit(app.router.stack);
+
+  return routes.filter(r => r.path.startsWith('/api/') && !UNDOCUMENTED_PREFIXES.some(p => r.path.startsWith(p)));
+}
+
+/**
+ * HELPER: Docs entry ka response shorthand -> OpenAPI schema
+ *   'Product'            -> $ref Product
+ *   ['Product']          -> array of Product
+ *   { token: 'string' }  -> object with those properties
+ */
+function responseSchema(shape) {
+  if (shape === undefined) return { type: 'object' };
+  if (Array.isArray(shape)) return { type: 'array', items: responseSchema(shape[0]) };
+  if (typeof shape === 'object') {
+    return {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(shape).map(([k, v]) => [k, responseSchema(v)])),
+    };
+  }
+  if (['string', 'number', 'integer', 'boolean', 'object'].includes(shape)) return { type: shape };
+  return { $ref: `#/components/schemas/${shape}` };
+}
+
+function buildOperation(route, doc) {
+  const validator = route.handlers.find(h => h.schemas);
+  const schemas = validator ? validator.schemas : {};
+  const isProtected = route.handlers.some(h => h.name === 'protect');
+  const roleGuard = route.handlers.find(h => h.roles);
+  const permissionGuard = route.handlers.find(h => h.permission);
+  const auditor = route.handlers.find(h => h.audit);
+  const isMultipart = route.handlers.some(h => h.name === 'multerMiddleware');
+  const isIdempotent = route.handlers.some(h => h.idempotent);
+  const needsStepUp = route.handlers.some(h => h.name === 'requireStepUp');
+
+  const op = {
+    tags: [doc.tag],
+    summary: doc.summary,
+    operationId: `${route.method.toLowerCase()}${route.path.replace(/[/:-]+(\w)/g, (m, c) => c.toUpperCase())}`,
+    parameters: [],
+    responses: {},
+  };
+  if (doc.description) op.description = doc.description;
+  if (roleGuard) op.description = [op.description, `Roles: ${roleGuard.roles.join(', ')}`].filter(Boolean).join('\n\n');
+  if (permissionGuard) op.description = [op.description, `Admin permission: ${permissionGuard.permission}`].filter(Boolean).join('\n\n');
+  if (auditor) op.description = [op.description, `Recorded in the audit log as \`${auditor.audit}\`.`].filter(Boolean).join('\n\n');
+  if (needsStepUp) op.description = [op.description, 'Requires a recent step-up (POST /api/auth/step-up).'].filter(Boolean).join('\n\n');
+
+  // Path params (Joi schema ho to uske constraints ke saath)
+  const paramSchema = schemas.params ? joiToOpenApi(schemas.params) : { properties: {} };
+  for (const [, name] of route.path.matchAll(/:(\w+)/g)) {
+    op.parameters.push({ name, in: 'path', required: true, schema: paramSchema.properties[name] || { type: 'string' } });
+  }
+
+  if (isIdempotent) op.parameters.push({ $ref: '#/components/parameters/IdempotencyKey' });
+
+  if (schemas.query) {
+    const q = joiToOpenApi(schemas.query);
+    for (const [name, schema] of Object.entries(q.properties)) {
+      op.parameters.push({ name, in: 'query', required: (q.required || []).includes(name), schema });
+    }
+  }
+
+  if (schemas.body || isMultipart) {
+    const body = schemas.body ? joiToOpenApi(schemas.body) : { type: 'object', properties: {} };
+    if (isMultipart) {
+      // 'images[]' = same field multiple files (upload.array / fields)
+      for (const field of doc.files || []) {
+        const file = { type: 'string', format: 'binary' };
+        if (field.endsWith('[]')) body.properties[field.slice(0, -2)] = { type: 'array', items: file };
+        else body.properties[field] = file;
+      }
+    }
+    op.requestBody = {
+      required: !!schemas.body,
+      content: { [isMultipart ? 'multipart/form-data' : 'application/json']: { schema: body } },
+    };
+  }
+
+  // produces: non-JSON responses (PDF labels, file proxy)
+  op.responses[doc.status || 200] = {
+    description: 'Success',
+    content: doc.produces
+      ? { [doc.produces]: { schema: { type: 'string', format: 'binary' } } }
+      : { 'application/json': { schema: responseSchema(doc.response) } },
+  };
+  if (validator) op.responses[400] = { $ref: '#/components/responses/ValidationError' };
+  if (isProtected) {
+    op.security = [{ bearerAuth: [] }];
+    op.responses[401] = { $ref: '#/components/responses/Unauthorized' };
+  }
+  if (roleGuard || needsStepUp) op.responses[403] = { $ref: '#/components/responses/Forbidden' };
+  if (isIdempotent) {
+    op.responses[409] = { $ref: '#/components/responses/IdempotencyConflict' };
+    op.responses[422] = { $ref: '#/components/responses/IdempotencyMismatch' };
+  }
+  op.responses[500] = { $ref: '#/components/responses/ServerError' };
+
+  return op;
+}
+
+/**
+ * Builds the OpenAPI 3 document for the app.
+ * Routes without a docs entry are listed in spec['x-undocumented'] (see src/docs/check.js).
+ */
+function buildOpenApiSpec(app) {
+  const entries = docEntries();
+  const paths = {};
+  const undocumented = [];
+  const seen = new Set();
+
+  for (const route of listRoutes(app)) {
+    // Docs entries OpenAPI path style mein hain: 'GET /api/orders/{id}'
+    const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
+    const key = `${route.method} ${openApiPath}`;
+    if (seen.has(key)) continue; // Same route registered twice - pehla wala hi chalta hai
+    seen.add(key);
+
+    const doc = entries.get(key);
+    if (!doc) {
+      undocumented.push(key);
+      continue;
+    }
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][route.method.toLowerCase()] = buildOperation(route, doc);
+  }
+
+  const errorBody = { type: 'object', properties: { message: { type: 'string' }, error: { type: 'string' } } };
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'E-Commerce Backend API',
+      version: require('../../package.json').version,
+      description: 'Generated from the Express routes, Joi validators and Mongoose models.',
+    },
+    servers: [{ url: process.env.BACKEND_URL || '/' }],
+    tags: [...new Set(MODULE_DOCS.map(m => m.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } },
+      parameters: {
+        IdempotencyKey: {
+          name: 'Idempotency-Key',
+          in: 'header',
+          required: false,
+          description: 'Unique key per action. Retries with the same key replay the first response (Idempotent-Replayed: true) instead of running again.',
+          schema: { type: 'string', maxLength: 255 },
+        },
+      },
+      schemas: {
+        ...modelComponents(),
+        ...Object.assign({}, ...MODULE_DOCS.map(m => m.schemas || {})),
+        Error: errorBody,
+        ValidationError: {
+          type: 'object',
+          properties: {
+            message: { type: 'string', example: 'Validation failed' },
+            errors: {
+              type: 'array',
+              items: { type: 'object', properties: { field: { type: 'string', example: 'body.phone' }, message: { type: 'string' } } },
+            },
+          },
+        },
+      },
+      responses: {
+        ValidationError: { description: 'Invalid request', content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } } },
+        Unauthorized: { description: 'Missing or invalid token', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+        Forbidden: { description: 'Role or admin permission not allowed, IP not allowlisted or step-up required (stepUpRequired: true)', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+        IdempotencyConflict: { description: 'A request with this Idempotency-Key is still being processed', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+        IdempotencyMismatch: { description: 'Idempotency-Key was already used for a different request', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+        ServerError: { description: 'Unexpected error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+      },
+    },
+    'x-undocumented': undocumented,
+    'x-stale-docs': [...entries.keys()].filter(k => !seen.has(k)),
+  };
+}
+
+module.exports = { buildOpenApiSpec, listRoutes };
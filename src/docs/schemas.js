@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+
+// --------- SCHEMA CONVERTERS (Mongoose / Joi -> OpenAPI 3) ----------
+
+// Ye fields kabhi API response mein nahi jaate, isliye docs mein bhi nahi dikhte
+const HIDDEN_PATHS = ['password', 'refreshTokenHash', 'previousTokenHash',
+  'twoFactorSecret', 'twoFactorPendingSecret', 'twoFactorLastStep', 'twoFactorRecoveryCodes', 'archive', '__v'];
+
+/**
+ * HELPER: Single Mongoose SchemaType -> OpenAPI schema
+ */
+function schemaTypeToOpenApi(type) {
+  const opts = type.options || {};
+  let out;
+
+  switch (type.instance) {
+    case 'String':
+      out = { type: 'string' };
+      if (type.enumValues && type.enumValues.length) out.enum = type.enumValues.filter(v => v !== null);
+      break;
+    case 'Number':
+      out = { type: 'number' };
+      if (opts.min !== undefined) out.minimum = Array.isArray(opts.min) ? opts.min[0] : opts.min;
+      if (opts.max !== undefined) out.maximum = Array.isArray(opts.max) ? opts.max[0] : opts.max;
+      break;
+    case 'Boolean':
+      out = { type: 'boolean' };
+      break;
+    case 'Date':
+      out = { type: 'string', format: 'date-time' };
+      break;
+    case 'ObjectId':
+      out = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+      if (opts.ref) out.description = `${typeof opts.ref === 'string' ? opts.ref : 'Document'} id (populated as object where noted)`;
+      break;
+    case 'Array': {
+      let items = { type: 'object' };
+      if (type.schema) items = mongooseSchemaToOpenApi(type.schema);
+      else if (type.caster) items = schemaTypeToOpenApi(type.caster);
+      out = { type: 'array', items };
+      break;
+    }
+    case 'Embedded':
+      out = mongooseSchemaToOpenApi(type.schema);
+      break;
+    case 'Mixed':
+    case 'Map':
+    default:
+      out = { type: 'object', additionalProperties: true };
+  }
+
+  if (opts.default !== undefined && typeof opts.default !== 'function' && out.type !== 'object') {
+    out.default = opts.default;
+  }
+  return out;
+}
+
+/**
+ * Mongoose Schema -> OpenAPI object schema. Nested paths ('a.b.c') become nested objects.
+ */
+function mongooseSchemaToOpenApi(schema) {
+  const root = { type: 'object', properties: {} };
+  const required = new Map([[root, []]]);
+
+  schema.eachPath((path, type) => {
+    if (HIDDEN_PATHS.includes(path) || path.includes('.$')) return;
+
+    const parts = path.split('.');
+    let node = root;
+    for (const part of parts.slice(0, -1)) {
+      if (!node.properties[part]) {
+        node.properties[part] = { type: 'object', properties: {} };
+        required.set(node.properties[part], []);
+      }
+      node = node.properties[part];
+    }
+
+    const leaf = parts[parts.length - 1];
+    node.properties[leaf] = schemaTypeToOpenApi(type);
+    if (type.isRequired && leaf !== '_id') required.get(node).push(leaf);
+  });
+
+  for (const [node, list] of required) {
+    if (list.length) node.required = list;
+  }
+  return root;
+}
+
+/**
+ * Har registered Mongoose model ka component schema.
+ */
+function modelComponents() {
+  const components = {};
+  for (const name of mongoose.modelNames()) {
+    const schema = mongooseSchemaToOpenApi(mongoose.model(name).schema);
+    schema.properties._id = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+    components[name] = schema;
+  }
+  return components;
+}
+
+/**
+ * Joi schema -> OpenAPI schema (uses Joi's describe() output).
+ */
+function joiToOpenApi(joiSchema) {
+  return describeToOpenApi(joiSchema.describe());
+}
+
+function describeToOpenApi(desc) {
+  const flags = desc.flags || {};
+  const rules = desc.rules || [];
+  const rule = name => rules.find(r => r.name === name);
+  let out;
+
+  switch (desc.type) {
+    case 'object': {
+      out = { type: 'object', properties: {} };
+      const required = [];
+      for (const [key, child] of Object.entries(desc.keys || {})) {
+        out.properties[key] = describeToOpenApi(child);
+        if (child.flags && child.flags.presence === 'required') required.push(key);
+      }
+      if (required.length) out.required = required;
+      break;
+    }
+    case 'array':
+      out = { type: 'array', items: desc.items && desc.items.length ? describeToOpenApi(desc.items[0]) : {} };
+      if (desc.ordered) out.items = { oneOf: desc.ordered.map(describeToOpenApi) };
+      if (rule('min')) out.minItems = rule('min').args.limit;
+      if (rule('max')) out.maxItems = rule('max').args.limit;
+      if (rule('length')) out.minItems = out.maxItems = rule('length').args.limit;
+      break;
+    case 'string':
+      out = { type: 'string' };
+      if (rule('pattern')) out.pattern = String(rule('pattern').args.regex).replace(/^\/|\/[a-z]*$/g, '');
+      if (rule('min')) out.minLength = rule('min').args.limit;
+      if (rule('max')) out.maxLength = rule('max').args.limit;
+      if (rule('email')) out.format = 'email';
+      if (rule('uri')) out.format = 'uri';
+      if (desc.metas && desc.metas.some(m => m.jsonSchema)) {
+        out.description = 'JSON-encoded value';
+        out['x-json-schema'] = describeToOpenApi(desc.metas.find(m => m.jsonSchema).jsonSchema); // describe() nested schema ko bhi describe kar deta hai
+      }
+      break;
+    case 'number':
+      out = { type: rule('integer') ? 'integer' : 'number' };
+      if (rule('min')) out.minimum = rule('min').args.limit;
+      if (rule('max')) out.maximum = rule('max').args.limit;
+      if (rule('positive')) out.exclusiveMinimum = 0;
+      break;
+    case 'boolean':
+      out = { type: 'boolean' };
+      break;
+    case 'date':
+      out = { type: 'string', format: 'date-time' };
+      break;
+    case 'alternatives':
+      out = { oneOf: (desc.matches || []).filter(m => m.schema).map(m => describeToOpenApi(m.schema)) };
+      break;
+    default:
+      out = {};
+  }
+
+  if (flags.only && desc.allow) out.enum = desc.allow.filter(v => v !== null && v !== '');
+  if (flags.default !== undefined && typeof flags.default !== 'function') out.default = flags.default;
+  if (desc.allow && desc.allow.includes(null)) out.nullable = true;
+  return out;
+}
+
+module.exports = { mongooseSchemaToOpenApi, modelComponents, joiToOpenApi };
@@ -0,0 +1,346 @@
+const https = require('https');
+const http = require('http');
+
+const { PORT } = require('../config/constants');
+const { finalizeAccountDeletion, getDeletionGraceDays, scheduleAccountDeletion } = require('../modules/auth/account.service');
+const { User } = require('../modules/auth/auth.models');
+const { processDataExports } = require('../modules/auth/dataExport.service');
+const { roleQuery } = require('../modules/auth/roles.service');
+const { notifyImpersonatedUsers } = require('../modules/admin/impersonation.service');
+const { Product } = require('../modules/catalog/catalog.models');
+const { refreshProductStats } = require('../modules/catalog/listing.service');
+const { ScheduledNotification } = require('../modules/notifications/notifications.models');
+const { reindexProducts } = require('../modules/search/search.service');
+const { processSellerKycGrace } = require('../modules/seller/seller.service');
+const { Cart } = require('../modules/orders/orders.models');
+const { processDocumentExpiry } = require('../modules/verification/verification.service');
+const { notifyAdmin, sendPushNotification, sendWhatsApp } = require('../modules/notifications/notifications.service');
+const { defineJob, getJob, getJobs, runJob, startScheduler, stopScheduler } = require('./runner');
+
+// Jobs ab JobRunner ke through chalte hain (see ./runner.js):
+// error throw karne par run 'failed' mark hota hai, return value JobRun.result mein save hoti hai.
+
+// ✅ NEW CRON JOB: Daily Price Update Reminder (Runs daily at 7:00 AM)
+defineJob({
+  name: 'daily-price-reminder',
+  schedule: '0 7 * * *',
+  description: 'Reminds sellers with daily-priced products to update prices',
+  handler: async () => {
+    console.log('⏰ Running Daily Price Update Reminder...');
+
+    // 1. Find all products marked for daily update
+    // We only need the seller IDs, so we group by seller
+    const productsNeedingUpdate = await Product.find({ dailyPriceUpdate: true, stock: { $gt: 0 } })
+        .populate('seller', 'fcmToken name phone');
+
+    // 2. Extract Unique Sellers (taaki ek seller ko 10 bar msg na jaye)
+    const sellerMap = new Map();
+
+    productsNeedingUpdate.forEach(p => {
+        if (p.seller && !sellerMap.has(p.seller._id.toString())) {
+            sellerMap.set(p.seller._id.toString(), p.seller);
+        }
+    });
+
+    // 3. Send Notifications
+    for (const seller of sellerMap.values()) {
+        const msg = `Good Morning ${seller.name}! ☀️\nPlease update your Vegetable/Fruit prices for today to ensure correct orders.`;
+
+        // Send WhatsApp
+        if (seller.phone) {
+            await sendWhatsApp(seller.phone, `🥦 *Daily Price Update*\n\n${msg}`);
+        }
+
+        // Send Push Notification
+        if (seller.fcmToken) {
+            await sendPushNotification(
+                [seller.fcmToken],
+                'Update Prices Today 📝',
+                'Market rates change daily! Tap to update your product prices now.',
+                { type: 'DAILY_PRICE_UPDATE' }
+            );
+        }
+    }
+
+    console.log(`✅ Daily reminders sent to ${sellerMap.size} sellers.`);
+    return { sellersNotified: sellerMap.size };
+  }
+});
+
+// ----------------------------------------------------------------------
+// ✅ UPDATED CRON JOB: Inactive Accounts (6 Months) + Account Deletion Grace Period
+// ----------------------------------------------------------------------
+// Inactive customers turant delete nahi hote - deletion schedule hota hai (grace period, dekhein account.service.js).
+// Grace period khatam hone par (inactive ya khud delete request kiya ho) account archive hota hai.
+defineJob({
+  name: 'inactive-account-cleanup',
+  schedule: '0 2 * * *',
+  description: 'Schedules deletion of customers inactive for 6 months and archives accounts whose deletion grace period has ended',
+  handler: async () => {
+    console.log('🧹 Running Inactive Account Cleanup...');
+
+    const graceDays = await getDeletionGraceDays();
+    const sixMonthsAgo = new Date();
+    sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
+
+    // 1. Inactive users (Older than 6 months & Role is 'user') -> deletion schedule + notice
+    // Multi-role account (seller/driver bhi hai) customer cleanup mein nahi aata
+    const inactiveUsers = await User.find({
+      role: 'user',
+      roles: { $not: { $elemMatch: { role: { $ne: 'user' } } } },
+      systemAccount: { $ne: true },
+      deletionScheduledAt: null,
+      lastActiveAt: { $lt: sixMonthsAgo }
+    });
+
+    let scheduled = 0;
+    let archived = 0;
+    for (const user of inactiveUsers) {
+      try {
+        if (graceDays === 0) {
+          await finalizeAccountDeletion(user, 'Auto-Inactive');
+          archived++;
+          continue;
+        }
+        const deletionScheduledAt = await scheduleAccountDeletion(user, 'Auto-Inactive', graceDays);
+        scheduled++;
+        if (user.phone) {
+          await sendWhatsApp(user.phone, `Your account has been inactive for 6 months and will be deleted on ${deletionScheduledAt.toDateString()}. Log in before then to keep it.`);
+        }
+      } catch (err) {
+        console.error(`Inactive account scheduling failed for ${user._id}:`, err.message);
+      }
+    }
+
+    // 2. Grace period khatam -> archive + references anonymize + delete
+    const dueUsers = await User.find({ deletionScheduledAt: { $lte: new Date() } });
+    for (const user of dueUsers) {
+      try {
+        await finalizeAccountDeletion(user);
+        archived++;
+      } catch (err) {
+        console.error(`Account deletion failed for ${user._id}:`, err.message);
+      }
+    }
+
+    if (scheduled === 0 && archived === 0) {
+      console.log('✨ No inactive accounts found to delete.');
+      return { scheduled, archived };
+    }
+
+    console.log(`✅ SUCCESS: ${scheduled} accounts scheduled for deletion, ${archived} archived and deleted.`);
+
+    // Notify Admin
+    await notifyAdmin(`🧹 System Cleanup: ${scheduled} inactive accounts scheduled for deletion, ${archived} accounts were backed up to 'DeletedUsers' and removed from main list.`);
+    return { scheduled, archived };
+  }
+});
+
+defineJob({
+  name: 'scheduled-notifications',
+  schedule: '* * * * *',
+  description: 'Sends admin broadcasts whose scheduled time has passed',
+  lockSeconds: 5 * 60,
+  handler: async () => {
+    console.log('Running scheduled notification check...');
+    const now = new Date();
+    const notificationsToSend = await ScheduledNotification.find({
+      scheduledAt: { $lte: now },
+      isSent: false
+    });
+
+    let sent = 0;
+    for (const notification of notificationsToSend) {
+      let query = {};
+      if (notification.target === 'users') {
+        query = roleQuery('user');
+      } else if (notification.target === 'sellers') {
+        query = roleQuery('seller', { approved: true });
+      } else if (notification.target === 'delivery_boys') {
+        query = roleQuery('delivery', { approved: true });
+      } else if (notification.target !== 'all') {
+        continue;
+      }
+
+      const recipients = await User.find(query).select('fcmToken');
+      const fcmTokens = recipients.map(r => r.fcmToken).filter(Boolean);
+
+      if (fcmTokens.length > 0) {
+        await sendPushNotification(
+          fcmTokens,
+          notification.title,
+          notification.body,
+          { type: 'BROADCAST' },
+          notification.imageUrl
+        );
+      }
+
+      notification.isSent = true;
+      notification.sentAt = new Date();
+      await notification.save();
+      sent += 1;
+      console.log(`Sent scheduled notification: "${notification.title}" to ${fcmTokens.length} recipients.`);
+    }
+
+    return { sent };
+  }
+});
+
+defineJob({
+  name: 'abandoned-cart-reminder',
+  schedule: '0 3 * * *',
+  description: 'Pushes a reminder for carts untouched for 48 hours',
+  handler: async () => {
+    console.log('Running Abandoned Cart Reminder check...');
+
+    const cutoffDate = new Date(Date.now() - 48 * 60 * 60 * 1000);
+
+    const abandonedCarts = await Cart.find({
+      updatedAt: { $lt: cutoffDate },
+      'items.0': { '$exists': true }
+    }).populate('user', 'name fcmToken');
+
+    let reminded = 0;
+    for (const cart of abandonedCarts) {
+      const user = cart.user;
+
+      if (user && user.fcmToken) {
+        const itemCount = cart.items.length;
+        const messageBody = itemCount === 1
+          ? `You left 1 item in your bag! Don't miss out, complete your order now! 🛒`
+          : `You have ${itemCount} items waiting! Complete your purchase before they sell out! 💨`;
+
+        await sendPushNotification(
+          user.fcmToken,
+          'Don\'t Forget Your Cart! 🎉',
+          messageBody,
+          { type: 'CART_REMINDER' }
+        );
+        console.log(`Sent cart reminder to user: ${user.name}`);
+        reminded += 1;
+
+        await Cart.updateOne({ _id: cart._id }, { $set: { updatedAt: new Date() } });
+      }
+    }
+    console.log(`Abandoned Cart check finished. ${reminded} reminders sent.`);
+    return { carts: abandonedCarts.length, reminded };
+  }
+});
+
+// 📦 Personal data exports: queued exports ka zip banana + unclaimed archives expire
+defineJob({
+  name: 'data-exports',
+  schedule: '* * * * *',
+  description: 'Builds requested personal data exports and expires archives that were not downloaded',
+  lockSeconds: 5 * 60,
+  handler: async () => {
+    const result = await processDataExports();
+    if (result.ready || result.failed || result.expired) {
+      console.log(`📦 Data exports: ${result.ready} ready, ${result.failed} failed, ${result.expired} expired.`);
+    }
+    return result;
+  }
+});
+
+// 🪪 Driver / delivery documents: expiry reminders (30/7/1 din pehle) + lapsed document par auto-block
+defineJob({
+  name: 'partner-document-expiry',
+  schedule: '0 8 * * *',
+  description: 'Reminds drivers/delivery partners of expiring documents and blocks them when a mandatory one lapses',
+  handler: async () => {
+    console.log('🪪 Running partner document expiry check...');
+    const result = await processDocumentExpiry();
+    console.log(`✅ Document expiry: ${result.reminders} reminders, ${result.expired} expired, ${result.blocked} blocked.`);
+    return result;
+  }
+});
+
+// 🪪 Seller KYC grace: KYC se pehle approved sellers ko deadline + reminders (hourly - deploy ke baad jaldi backfill ho)
+defineJob({
+  name: 'seller-kyc-grace',
+  schedule: '15 * * * *',
+  description: 'Gives approved sellers without KYC a deadline to complete it, reminds them and notifies when it passes',
+  handler: async () => {
+    const result = await processSellerKycGrace();
+    if (result.deadlinesSet || result.reminders || result.lapsed) {
+      console.log(`🪪 Seller KYC grace: ${result.deadlinesSet} deadlines set, ${result.reminders} reminders, ${result.lapsed} lapsed.`);
+    }
+    return result;
+  }
+});
+
+// ⭐ Listing sort fields: popularity (30 din ki bikri) + rating summary
+defineJob({
+  name: 'product-stats',
+  schedule: '0 2 * * *',
+  description: 'Recomputes product popularity (units sold in 30 days) and rating summaries used for sorting',
+  lockSeconds: 30 * 60,
+  handler: async () => {
+    const result = await refreshProductStats();
+    console.log(`⭐ Product stats: ${result.popular} products sold recently, ${result.rated} rated.`);
+    return result;
+  }
+});
+
+// 🔎 Search index: purane products (searchTerms se pehle bane) aur indexing rules badalne par backfill
+defineJob({
+  name: 'search-reindex',
+  schedule: '30 2 * * *',
+  description: 'Rebuilds product search terms that are missing or out of date',
+  lockSeconds: 30 * 60,
+  handler: async () => {
+    const result = await reindexProducts();
+    console.log(`🔎 Search reindex: ${result.updated} of ${result.scanned} products updated.`);
+    return result;
+  }
+});
+
+// 🕵️ Support impersonation khatam / expire hone ke baad customer ko batana
+defineJob({
+  name: 'impersonation-notify',
+  schedule: '*/5 * * * *',
+  description: 'Notifies customers after a support impersonation session on their account has ended or expired',
+  lockSeconds: 2 * 60,
+  handler: async () => {
+    const result = await notifyImpersonatedUsers();
+    if (result.notified) console.log(`🕵️ Impersonation notices: ${result.notified} sent, ${result.skipped} skipped.`);
+    return result;
+  }
+});
+
+// 2. Cron Job to hit the Ping API every 5 minutes
+defineJob({
+  name: 'keep-alive-ping',
+  schedule: '*/5 * * * *',
+  description: 'Hits /api/ping so the host does not sleep',
+  lockSeconds: 60,
+  handler: () => new Promise((resolve, reject) => {
+    // अपनी लाइव वेबसाइट का URL .env में BACKEND_URL नाम से डालें (e.g., https://my-app.onrender.com)
+    // अगर .env में नहीं है, तो यह localhost का उपयोग करेगा
+    const backendUrl = process.env.BACKEND_URL || `http://localhost:${PORT}`;
+
+    console.log(`⏰ Sending Keep-Alive Ping to: ${backendUrl}/api/ping`);
+
+    const client = backendUrl.startsWith('https') ? https : http;
+
+    client.get(`${backendUrl}/api/ping`, (resp) => {
+        resp.resume();
+        if (resp.statusCode === 200) {
+            console.log('✅ Keep-Alive Ping Successful!');
+            resolve({ statusCode: resp.statusCode });
+        } else {
+            reject(new Error(`Keep-Alive Ping Failed with Status: ${resp.statusCode}`));
+        }
+    }).on("error", reject);
+  })
+});
+
+function startJobs() {
+  startScheduler();
+}
+
+function stopJobs() {
+  stopScheduler();
+}
+
+module.exports = { startJobs, stopJobs, getJob, getJobs, runJob };
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// --- Job Run History ---
+// Har scheduled/manual job execution ka record (admin panel mein dikhane ke liye)
+const jobRunSchema = new mongoose.Schema({
+  job: { type: String, required: true, index: true },
+  trigger: { type: String, enum: ['cron', 'manual'], required: true },
+  triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // Manual trigger karne wala admin
+  instance: { type: String }, // Kis server instance ne run kiya (hostname:pid)
+  status: { type: String, enum: ['running', 'success', 'failed'], default: 'running', index: true },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date, default: null },
+  durationMs: { type: Number, default: null },
+  result: { type: Object, default: null }, // Job ka summary (e.g. { sent: 12 })
+  error: { type: String, default: null },
+}, { timestamps: true });
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+// Run history 30 din baad apne aap delete (har minute wali jobs se roz hazaaron records bante hain)
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 3600 });
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+// --- Job Lock (one run per cluster) ---
+// _id = job name. Jo instance lock le leta hai wahi job chalata hai, baaki skip karte hain.
+const jobLockSchema = new mongoose.Schema({
+  _id: { type: String },
+  lockedBy: { type: String, default: null },
+  lockedUntil: { type: Date, default: null },
+  lastSlot: { type: Date, default: null }, // Last cron minute jo claim hua (same minute double-run se bachne ke liye)
+}, { timestamps: true });
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+module.exports = { JobRun, JobLock };
@@ -0,0 +1,144 @@
+const os = require('os');
+const cron = require('node-cron');
+
+const { JobLock, JobRun } = require('./jobs.models');
+
+// ---------------------------------------------------------
+// ⏱️ JOB RUNNER
+// Har job pehle MongoDB lock (JobLock) leta hai, isliye multiple instances par bhi
+// ek schedule slot mein job sirf ek baar chalti hai. Har run JobRun mein record hota hai.
+// ---------------------------------------------------------
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const DEFAULT_LOCK_SECONDS = 10 * 60;
+
+const jobs = new Map();
+// node-cron tasks of the running scheduler (stopScheduler inhe band karta hai)
+let scheduledTasks = [];
+
+/**
+ * Registers a job.
+ * @param {object} def
+ * @param {string} def.name - Unique job name (used in admin routes)
+ * @param {string} def.schedule - Cron expression
+ * @param {string} [def.description]
+ * @param {number} [def.lockSeconds] - Max expected runtime; the lock expires after this if the instance dies
+ * @param {Function} def.handler - async () => result. Throw to mark the run as failed.
+ */
+function defineJob({ name, schedule, description = '', lockSeconds = DEFAULT_LOCK_SECONDS, handler }) {
+  if (jobs.has(name)) throw new Error(`Job "${name}" is already defined`);
+  jobs.set(name, { name, schedule, description, lockSeconds, handler });
+}
+
+function getJobs() {
+  return [...jobs.values()];
+}
+
+function getJob(name) {
+  return jobs.get(name) || null;
+}
+
+/**
+ * HELPER: Try to take the cluster-wide lock for a job.
+ * Cron runs also claim the current minute slot, so a second instance firing a bit
+ * later in the same minute finds the slot taken even if the first run already finished.
+ */
+async function acquireLock(job, slot) {
+  const now = new Date();
+  const filter = {
+    _id: job.name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+  };
+  if (slot) filter.lastSlot = { $ne: slot };
+
+  const update = { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + job.lockSeconds * 1000) };
+  if (slot) update.lastSlot = slot;
+
+  try {
+    const lock = await JobLock.findOneAndUpdate(filter, { $set: update }, { upsert: true, new: true });
+    return !!lock;
+  } catch (err) {
+    // Duplicate key = lock document exists but is held (or slot already claimed)
+    if (err.code === 11000) return false;
+    throw err;
+  }
+}
+
+async function releaseLock(job) {
+  await JobLock.updateOne({ _id: job.name, lockedBy: INSTANCE_ID }, { $set: { lockedUntil: null, lockedBy: null } });
+}
+
+/**
+ * Runs a job once across the cluster.
+ * Resolves to null if another instance holds the lock, otherwise to { run, finished }
+ * where `finished` settles when the handler is done (the JobRun is updated by then).
+ */
+async function runJob(name, { trigger = 'manual', triggeredBy = null, slot = null } = {}) {
+  const job = getJob(name);
+  if (!job) throw new Error(`Unknown job "${name}"`);
+
+  if (!(await acquireLock(job, slot))) return null;
+
+  let run;
+  try {
+    run = await JobRun.create({ job: job.name, trigger, triggeredBy, instance: INSTANCE_ID });
+  } catch (err) {
+    await releaseLock(job);
+    throw err;
+  }
+
+  const finished = (async () => {
+    const startedAt = Date.now();
+    try {
+      const result = await job.handler();
+      run.status = 'success';
+      run.result = result === undefined ? null : result;
+    } catch (err) {
+      console.error(`❌ Job "${job.name}" failed:`, err.message);
+      run.status = 'failed';
+      run.error = err.message;
+    }
+    run.finishedAt = new Date();
+    run.durationMs = Date.now() - startedAt;
+
+    try {
+      await run.save();
+      await releaseLock(job);
+    } catch (err) {
+      console.error(`❌ Job "${job.name}": could not record run:`, err.message);
+    }
+    return run;
+  })();
+
+  return { run, finished };
+}
+
+/**
+ * Schedules every registered job with node-cron. Each tick goes through runJob,
+ * so only the instance that wins the lock executes the handler.
+ */
+function startScheduler() {
+  if (scheduledTasks.length) return;
+  for (const job of jobs.values()) {
+    const task = cron.schedule(job.schedule, async () => {
+      const slot = new Date(Math.floor(Date.now() / 60000) * 60000);
+      try {
+        const started = await runJob(job.name, { trigger: 'cron', slot });
+        if (started) await started.finished;
+      } catch (err) {
+        console.error(`❌ Job "${job.name}" could not start:`, err.message);
+      }
+    });
+    scheduledTasks.push(task);
+  }
+  console.log(`⏱️ Job scheduler started (${jobs.size} jobs, instance ${INSTANCE_ID})`);
+}
+
+/**
+ * Stops every scheduled job (graceful shutdown / tests). Already running handlers finish on their own.
+ */
+function stopScheduler() {
+  for (const task of scheduledTasks) task.stop();
+  scheduledTasks = [];
+}
+
+module.exports = { defineJob, getJobs, getJob, runJob, startScheduler, stopScheduler };
@@ -0,0 +1,35 @@
+const { recordAudit } = require('../modules/audit/audit.service');
+
+// --------- Audit logging ----------
+// Privileged admin route par lagao: response successful (< 400) ho to AuditLog entry likhi jaati hai.
+// Handler req.audit par before/after state (ya targetId) set karke entry ko detail de sakta hai:
+//   req.audit.before = { role: user.role };  ...save...  req.audit.after = { role: user.role };
+// Non-admin users (seller/admin shared routes) ke actions log nahi hote.
+
+/**
+ * @param {string} action  e.g. 'order.refund'
+ * @param {string} [targetType]  Model name of the target (Order, User...)
+ * @param {(req) => any} [getTargetId]  Defaults to req.params.id
+ */
+function audit(action, targetType = null, getTargetId = (req) => req.params.id) {
+  const middleware = (req, res, next) => {
+    if (!req.user || req.user.role !== 'admin') return next();
+
+    req.audit = { action, targetType, targetId: getTargetId(req) || null, before: null, after: null, metadata: null };
+    res.on('finish', () => {
+      if (res.statusCode >= 400) return;
+      const { before, after, metadata } = req.audit;
+      recordAudit(req, {
+        ...req.audit,
+        // Handler ne state nahi di to request body hi record karo
+        metadata: metadata || (before || after ? null : req.body),
+        statusCode: res.statusCode,
+      });
+    });
+    next();
+  };
+  middleware.audit = action; // API docs ke liye
+  return middleware;
+}
+
+module.exports = { audit };
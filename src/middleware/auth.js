@@ -0,0 +1,184 @@
+const jwt = require('jsonwebtoken');
+
+const { impersonationBlockReason, loadImpersonation, trackImpersonatedRequest } = require('../modules/admin/impersonation.service');
+const { getAdminPermissions, getAdminScope, hasPermission } = require('../modules/admin/rbac.service');
+const { recordAudit } = require('../modules/audit/audit.service');
+const { Session, User } = require('../modules/auth/auth.models');
+const { findRoleGrant } = require('../modules/auth/roles.service');
+const { isIpAllowed } = require('../modules/auth/twoFactor.service');
+const { hasValidPartnerDocuments } = require('../modules/verification/verification.service');
+
+// Step-up ke baad itne minute tak sensitive admin actions allowed
+const STEP_UP_MINUTES = parseInt(process.env.STEP_UP_MINUTES, 10) || 5;
+// 2FA ke bina admin login ka setup token sirf in routes par
+const TWO_FACTOR_SETUP_PATHS = ['/api/auth/2fa/setup', '/api/auth/2fa/enable'];
+
+// --------- Middleware ----------
+
+/**
+ * HELPER: Impersonation token wali request. req.user = customer, req.impersonation = { id, admin, scope, reason }.
+ * Har request (blocked bhi) admin ke naam se audit log mein jaati hai; customer ka lastActiveAt nahi badalta.
+ */
+async function impersonateRequest(req, res, next, decoded) {
+  const context = await loadImpersonation(decoded.imp, decoded.id, req.ip);
+  if (!context) return res.status(401).json({ message: 'Impersonation session has ended', impersonation: true });
+  req.user = await User.findById(decoded.id).select('-password');
+  if (!req.user) return res.status(401).json({ message: 'Invalid token' });
+
+  const { impersonation, admin } = context;
+  req.impersonation = { id: impersonation._id, admin, scope: impersonation.scope, reason: impersonation.reason };
+  res.setHeader('X-Impersonation', `${impersonation._id}; scope=${impersonation.scope}`);
+
+  res.on('finish', () => {
+    trackImpersonatedRequest(impersonation._id);
+    recordAudit(req, {
+      actor: admin,
+      action: 'impersonation.request',
+      targetType: 'User',
+      targetId: req.user._id,
+      metadata: {
+        impersonationId: impersonation._id,
+        scope: impersonation.scope,
+        query: req.query,
+        body: impersonation.scope === 'write' ? req.body : undefined,
+      },
+      statusCode: res.statusCode,
+    });
+  });
+
+  const blocked = impersonationBlockReason(req, impersonation.scope);
+  if (blocked) return res.status(403).json({ message: blocked, impersonation: true });
+  next();
+}
+
+const protect = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) {
+      console.error('❌ Authentication Failed: No token provided.');
+      return res.status(401).json({ message: 'No token' });
+    }
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // 2FA challenge token (purpose: '2fa') sirf /api/auth/2fa/verify ke liye hai, API access ke liye nahi.
+    // Setup token (purpose: '2fa-setup', 2FA ke bina admin login) sirf 2FA setup / enable par chalta hai.
+    if (decoded.purpose === '2fa-setup' && TWO_FACTOR_SETUP_PATHS.includes(req.originalUrl.split('?')[0])) {
+      req.twoFactorSetup = true;
+    } else if (decoded.purpose) {
+      return res.status(401).json({ message: 'Invalid token' });
+    }
+    // Support impersonation token (POST /api/admin/users/:id/impersonate)
+    if (decoded.imp) return await impersonateRequest(req, res, next, decoded);
+    req.user = await User.findById(decoded.id).select('-password');
+    if (!req.user) {
+      console.error('❌ Authentication Failed: User not found with token.');
+      return res.status(401).json({ message: 'Invalid token' });
+    }
+    if (req.twoFactorSetup && (req.user.role !== 'admin' || req.user.twoFactorEnabled)) {
+      return res.status(401).json({ message: 'Login expired. Please log in again.' });
+    }
+
+    // Admin force logout: usse pehle bane saare tokens band (session wale aur purane 365-day wale dono)
+    if (req.user.tokensRevokedAt && decoded.iat < Math.floor(req.user.tokensRevokedAt.getTime() / 1000)) {
+      return res.status(401).json({ message: 'Session revoked. Please log in again.' });
+    }
+
+    // Session wale tokens: device logout/revoke hote hi access token bhi band
+    if (decoded.sid) {
+      const active = await Session.exists({ _id: decoded.sid, user: decoded.id, revokedAt: null });
+      if (!active) return res.status(401).json({ message: 'Session revoked. Please log in again.' });
+      req.sessionId = decoded.sid;
+    }
+
+    // Admin IP allowlist (khali list = koi restriction nahi)
+    if (req.user.role === 'admin' && !isIpAllowed(req.user, req.ip)) {
+      console.error(`❌ Admin ${req.user._id} blocked from IP ${req.ip} (not in allowlist).`);
+      return res.status(403).json({ message: 'Access from this IP address is not allowed' });
+    }
+
+    // ✅ NEW: Update lastActiveAt automatically (Fire and forget)
+    User.findByIdAndUpdate(req.user._id, { lastActiveAt: new Date() }).exec();
+
+    next();
+  } catch (err) {
+    console.error('❌ Authentication Failed: JWT verification error.', err.message);
+    // App is message par /api/auth/refresh call karke naya access token leti hai
+    if (err.name === 'TokenExpiredError') return res.status(401).json({ message: 'Token expired' });
+    res.status(401).json({ message: 'Token error' });
+  }
+};
+
+// Request usi role se chalti hai jo account ka active mode hai - aur wo role account ko granted hona chahiye
+const authorizeRole = (...roles) => {
+  const middleware = (req, res, next) => {
+    if (!roles.includes(req.user.role) || !findRoleGrant(req.user, req.user.role)) return res.status(403).json({ message: 'Access denied' });
+    next();
+  };
+  middleware.roles = roles; // API docs ke liye
+  return middleware;
+};
+
+/**
+ * Admin RBAC: admin account ke role mein ye permission honi chahiye. Non-admin roles (seller/admin shared routes)
+ * ko ye nahi rokta - unke liye authorizeRole kaafi hai. Sets req.adminPermissions and req.adminScope (pincodes ya null).
+ * Use after authorizeRole.
+ */
+const requirePermission = (permission) => {
+  const middleware = async (req, res, next) => {
+    if (req.user.role !== 'admin') return next();
+    try {
+      const permissions = await getAdminPermissions(req.user);
+      if (!hasPermission(permissions, permission)) {
+        return res.status(403).json({ message: 'You do not have permission for this action', permission });
+      }
+      req.adminPermissions = permissions;
+      req.adminScope = getAdminScope(req.user);
+      next();
+    } catch (err) {
+      res.status(500).json({ message: 'Error checking permissions', error: err.message });
+    }
+  };
+  middleware.permission = permission; // API docs ke liye
+  return middleware;
+};
+
+/**
+ * Sensitive actions (payouts, refunds, settings...) ke liye recent 2FA re-authentication zaroori.
+ * Client 403 + stepUpRequired par POST /api/auth/step-up call karke request dobara bheje.
+ * Use after protect.
+ */
+async function requireStepUp(req, res, next) {
+  try {
+    const session = req.sessionId ? await Session.findById(req.sessionId).select('stepUpAt') : null;
+    const fresh = session && session.stepUpAt && Date.now() - session.stepUpAt.getTime() <= STEP_UP_MINUTES * 60 * 1000;
+    if (!fresh) {
+      return res.status(403).json({ message: 'Please confirm with your 2FA code to continue.', stepUpRequired: true });
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ message: 'Error checking re-authentication', error: err.message });
+  }
+}
+
+// Seller tabhi bech sakta hai jab KYC approved ho aur account active (approved) ho
+// KYC se pehle approved sellers kycDeadline tak grace mein chalte hain (dekhein processSellerKycGrace)
+// Multi-role account mein seller role ka apna approval dekha jaata hai
+function checkSellerApproved(req, res, next) {
+  if (req.user.role !== 'seller') return next();
+  const inGrace = req.user.kycDeadline && req.user.kycDeadline > new Date();
+  if (req.user.kycStatus !== 'Approved' && !inGrace) {
+    return res.status(403).json({ message: 'Please complete your KYC verification to start selling.', kycStatus: req.user.kycStatus, kycDeadline: req.user.kycDeadline });
+  }
+  const grant = findRoleGrant(req.user, 'seller');
+  if (!grant || !grant.approved) return res.status(403).json({ message: 'Seller account not approved yet' });
+  next();
+}
+
+// Driver / delivery partner ke mandatory documents verified aur expire na hue hon
+function checkPartnerDocuments(req, res, next) {
+  if (!hasValidPartnerDocuments(req.user)) {
+    return res.status(403).json({ message: 'Your documents are not verified or have expired. Please upload valid documents.', documentsRequired: true });
+  }
+  next();
+}
+
+module.exports = { protect, authorizeRole, requirePermission, requireStepUp, checkSellerApproved, checkPartnerDocuments };
@@ -0,0 +1,27 @@
+const multer = require('multer');
+
+// --------- GLOBAL ERROR HANDLER ----------
+const errorHandler = (err, req, res, next) => {
+  console.error('🆘 UNHANDLED ERROR 🆘:', err.message);
+  console.error(err.stack);
+
+  // Malformed JSON body -> same 400 shape as validate() middleware
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ message: 'Validation failed', errors: [{ field: 'body', message: 'Request body is not valid JSON' }] });
+  }
+
+  if (err instanceof multer.MulterError) {
+    return res.status(400).json({ message: 'File upload error', error: err.message });
+  }
+
+  if (err.http_code) {
+    return res.status(err.http_code).json({ message: 'Cloud storage error', error: err.message });
+  }
+
+  res.status(500).json({
+    message: 'An unexpected server error occurred',
+    error: err.message || 'Unknown error'
+  });
+};
+
+module.exports = { errorHandler };
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { IdempotencyKey } = require('./idempotency.models');
+
+// --------- Idempotency-Key support ----------
+// Gaon ke flaky network par app same POST dobara bhej deti hai (duplicate orders, double wallet credit).
+// Client har "action" ke liye ek unique Idempotency-Key header bheje; retry par same key.
+//   - Pehli request: handler chalta hai, response store hota hai
+//   - Retry (same key, same body): stored response replay, header Idempotent-Replayed: true
+//   - Pehli request abhi chal rahi hai: 409
+//   - Same key, alag body: 422
+// Header na ho to request normal chalti hai (purani app versions ke liye).
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+const LOCK_SECONDS = 60; // Itne time tak koi response na aaye to processing record stale maana jaata hai
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * HELPER: Request ka fingerprint (method + path + validated body)
+ */
+function hashRequest(req) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([req.method, req.originalUrl.split('?')[0], req.body || {}]))
+    .digest('hex');
+}
+
+/**
+ * HELPER: Key claim karta hai. Returns { record, created } ya existing record.
+ */
+async function claimKey(scope) {
+  const now = new Date();
+  try {
+    const record = await IdempotencyKey.create({
+      ...scope,
+      lockedUntil: new Date(now.getTime() + LOCK_SECONDS * 1000),
+      expiresAt: new Date(now.getTime() + KEY_TTL_HOURS * 3600 * 1000),
+    });
+    return { record, created: true };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  // Key pehle se hai - agar processing lock expire ho chuka hai (server crash) to takeover
+  const takenOver = await IdempotencyKey.findOneAndUpdate(
+    { key: scope.key, user: scope.user, requestHash: scope.requestHash, status: 'processing', lockedUntil: { $lt: now } },
+    { $set: { lockedUntil: new Date(now.getTime() + LOCK_SECONDS * 1000) } },
+    { new: true }
+  );
+  if (takenOver) return { record: takenOver, created: true };
+
+  return { record: await IdempotencyKey.findOne({ key: scope.key, user: scope.user }), created: false };
+}
+
+/**
+ * Express middleware: makes a POST/PUT endpoint safe to retry with an Idempotency-Key header.
+ * Use after protect/validate so the key is scoped to the user and the validated body.
+ */
+function idempotent() {
+  const middleware = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters.` });
+    }
+
+    const scope = {
+      key,
+      user: req.user ? req.user._id : null,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      requestHash: hashRequest(req),
+    };
+
+    let claim;
+    try {
+      claim = await claimKey(scope);
+    } catch (err) {
+      return res.status(500).json({ message: 'Error checking Idempotency-Key', error: err.message });
+    }
+
+    const { record, created } = claim;
+    if (!created) {
+      if (!record) {
+        // Beech mein expire/delete ho gaya - client dobara try kare
+        return res.status(409).json({ message: 'Request with this Idempotency-Key is being retried. Please try again.' });
+      }
+      if (record.requestHash !== scope.requestHash) {
+        return res.status(422).json({ message: 'Idempotency-Key was already used for a different request.' });
+      }
+      if (record.status === 'processing') {
+        return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed.' });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    // Handler ka JSON response capture karke store karein
+    const originalJson = res.json.bind(res);
+    let responseBody = null;
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on('finish', () => {
+      // 5xx store nahi karte - key free kar do taaki retry handler ko dobara chala sake
+      const done = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+          { _id: record._id },
+          { $set: { status: 'completed', responseStatus: res.statusCode, responseBody, lockedUntil: null } }
+        );
+      done.catch(err => console.error('Idempotency-Key save failed:', err.message));
+    });
+
+    next();
+  };
+  middleware.idempotent = true; // API docs mein Idempotency-Key header dikhane ke liye
+  return middleware;
+}
+
+module.exports = { idempotent };
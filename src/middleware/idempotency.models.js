@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// --- Idempotency Keys ---
+// Client ka Idempotency-Key + us request ka stored response. Retry par handler dobara nahi chalta,
+// wahi response replay hota hai. Records TTL index se apne aap expire ho jaate hain.
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // Public routes (payment verify) par null
+  method: { type: String, required: true },
+  path: { type: String, required: true },
+  requestHash: { type: String, required: true }, // Same key + alag body = client bug, reject
+  status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+  lockedUntil: { type: Date, default: null }, // Processing crash ho jaye to lock ke baad retry allowed
+  responseStatus: { type: Number, default: null },
+  responseBody: { type: mongoose.Schema.Types.Mixed, default: null },
+  expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+
+idempotencyKeySchema.index({ key: 1, user: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = { IdempotencyKey };
@@ -0,0 +1,19 @@
+const rateLimit = require('express-rate-limit');
+
+// 🛡️ SECURITY: IP Rate Limiting (Max 500 requests per second)
+const globalLimiter = rateLimit({
+  windowMs: 1000, // 1 second ka time window
+  max: 500, // Har IP ko sirf 500 request allow karega
+  message: { message: 'Too many requests from this IP, please try again later.' },
+  standardHeaders: true, 
+  legacyHeaders: false,
+});
+
+// 🛡️ SECURITY: Strict limit for OTP APIs (3 requests per minute)
+const otpLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 Minute
+  max: 3, // Ek IP se 1 minute mein sirf 3 OTP ja sakte hain
+  message: { message: 'Too many OTP requests. Please wait a minute before trying again.' }
+});
+
+module.exports = { globalLimiter, otpLimiter };
@@ -0,0 +1,110 @@
+const Joi = require('joi');
+
+// --------- REQUEST VALIDATION (Joi) ----------
+// Har route apne schemas <module>.validation.js mein declare karta hai:
+//   router.post('/api/x', protect, validate({ body, query, params }), handler)
+// Validated (type-converted) values wapas req.body / req.query / req.params mein set hoti hain.
+// Unknown keys allowed hain taaki purane app versions jo extra fields bhejte hain break na hon.
+
+const JOI_OPTIONS = { abortEarly: false, convert: true, allowUnknown: true };
+
+// --- Common building blocks ---
+const objectId = () => Joi.string().trim().pattern(/^[0-9a-fA-F]{24}$/).messages({ 'string.pattern.base': '{{#label}} must be a valid id' });
+const pincode = () => Joi.string().trim().pattern(/^\d{6}$/).messages({ 'string.pattern.base': '{{#label}} must be a 6 digit pincode' });
+const phone = () => Joi.string().trim().pattern(/^\+?\d{10,13}$/).messages({ 'string.pattern.base': '{{#label}} must be a valid mobile number' });
+// Kuch apps OTP number ki tarah bhejte hain - hamesha string mein normalize karte hain
+const otp = () => Joi.alternatives().try(
+  Joi.string().trim().pattern(/^\d{4,6}$/),
+  Joi.number().integer().min(1000).max(999999).custom(value => String(value))
+).messages({ 'alternatives.match': '{{#label}} must be a 4-6 digit code' });
+const upiId = () => Joi.string().trim().pattern(/^[\w.-]{2,256}@[a-zA-Z]{2,64}$/).messages({ 'string.pattern.base': '{{#label}} must be a valid UPI ID' });
+const ifsc = () => Joi.string().trim().uppercase().pattern(/^[A-Z]{4}0[A-Z0-9]{6}$/).messages({ 'string.pattern.base': '{{#label}} must be a valid IFSC code' });
+const gstin = () => Joi.string().trim().uppercase().pattern(/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/).messages({ 'string.pattern.base': '{{#label}} must be a valid GSTIN' });
+const pan = () => Joi.string().trim().uppercase().pattern(/^[A-Z]{5}\d{4}[A-Z]$/).messages({ 'string.pattern.base': '{{#label}} must be a valid PAN' });
+const latitude = () => Joi.number().min(-90).max(90);
+const longitude = () => Joi.number().min(-180).max(180);
+// [lng, lat] - GeoJSON order
+const coordinates = () => Joi.array().ordered(longitude().required(), latitude().required()).length(2);
+// Boolean flag jo as-is rehta hai (multipart forms 'true'/'false' string bhejte hain aur handlers string compare karte hain)
+const flag = () => Joi.alternatives().try(Joi.boolean().strict(), Joi.string().trim().valid('true', 'false'));
+// Multipart forms mein arrays/objects JSON string ban kar aate hain. Content check hota hai,
+// lekin value string hi rehti hai kyunki handler khud JSON.parse karta hai.
+const jsonString = (schema) => Joi.string().custom((value, helpers) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (e) {
+    return helpers.message('{{#label}} must be valid JSON');
+  }
+  const { error } = schema.validate(parsed, JOI_OPTIONS);
+  if (error) return helpers.message(`{{#label}}: ${error.details.map(d => d.message.replace(/"/g, '')).join(', ')}`);
+  return value;
+}).meta({ jsonSchema: schema });
+// Enum values seedhe Mongoose schema se, taaki model aur validation kabhi out-of-sync na hon
+const enumOf = (Model, path) => Model.schema.path(path).enumValues;
+const idParam = (...names) => Joi.object(Object.fromEntries((names.length ? names : ['id']).map(n => [n, objectId().required()])));
+
+/**
+ * HELPER: Joi error -> [{ field, message }]
+ */
+function formatDetails(location, error) {
+  return error.details.map(d => ({
+    field: [location, ...d.path].join('.'),
+    message: d.message.replace(/"/g, ''),
+  }));
+}
+
+/**
+ * Validates req.params, req.query and req.body against the given Joi schemas.
+ * Responds 400 with every failing field: { message, errors: [{ field, message }] }
+ * @param {{ params?: Joi.Schema, query?: Joi.Schema, body?: Joi.Schema }} schemas
+ */
+function validate(schemas) {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    const values = {};
+
+    for (const location of ['params', 'query', 'body']) {
+      const schema = schemas[location];
+      if (!schema) continue;
+
+      const { error, value } = schema.validate(req[location] || {}, JOI_OPTIONS);
+      if (error) errors.push(...formatDetails(location, error));
+      else values[location] = value;
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    if (values.params) req.params = values.params;
+    if (values.body) req.body = values.body;
+    // Express 5 mein req.query getter hai, isliye instance par override karte hain
+    if (values.query) Object.defineProperty(req, 'query', { value: values.query, writable: true, configurable: true, enumerable: true });
+
+    next();
+  };
+  // OpenAPI generator (src/docs) request schemas yahin se padhta hai
+  middleware.schemas = schemas;
+  return middleware;
+}
+
+module.exports = {
+  Joi,
+  validate,
+  objectId,
+  pincode,
+  phone,
+  otp,
+  upiId,
+  ifsc,
+  gstin,
+  pan,
+  latitude,
+  longitude,
+  coordinates,
+  flag,
+  jsonString,
+  idParam,
+  enumOf,
+};
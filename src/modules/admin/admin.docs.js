@@ -0,0 +1,123 @@
+// --------- ADMIN API DOCS (see src/docs/openapi.js) ----------
+module.exports = {
+  tag: 'Admin',
+  schemas: {
+    JobInfo: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' }, schedule: { type: 'string' }, description: { type: 'string' },
+        isRunning: { type: 'boolean' }, lockedBy: { type: 'string', nullable: true },
+        lastRun: { $ref: '#/components/schemas/JobRun' },
+      },
+    },
+    AdminRoleInfo: {
+      type: 'object',
+      properties: {
+        key: { type: 'string' }, name: { type: 'string' }, description: { type: 'string' },
+        permissions: { type: 'array', items: { type: 'string' } }, builtIn: { type: 'boolean' },
+      },
+    },
+    AdminStaff: {
+      type: 'object',
+      properties: {
+        _id: { type: 'string' }, name: { type: 'string' }, email: { type: 'string' }, phone: { type: 'string' }, role: { type: 'string' },
+        adminRole: { type: 'string', nullable: true, description: 'null = full access (legacy admin)' },
+        adminPincodes: { type: 'array', items: { type: 'string' }, description: 'Empty = all pincodes' },
+        twoFactorEnabled: { type: 'boolean' }, lastActiveAt: { type: 'string', format: 'date-time' },
+      },
+    },
+  },
+  routes: {
+    'GET /api/admin/users': { summary: 'All customers', response: ['User'] },
+    'GET /api/admin/sellers': { summary: 'All sellers', response: ['User'] },
+    'GET /api/admin/delivery-boys': { summary: 'All delivery boys', response: ['User'] },
+    'PUT /api/admin/users/{id}/role': {
+      summary: 'Change a user\'s role or approval',
+      description: 'Admin accounts need staff.manage; new admins are added through POST /api/admin/staff.',
+      response: { message: 'string', user: 'User' },
+    },
+    'PUT /api/admin/users/{id}/roles/{role}': {
+      summary: 'Approve or disapprove one role of a multi-role account', response: { message: 'string', role: 'string', approved: 'boolean', roles: ['object'] },
+    },
+    'DELETE /api/admin/users/{id}/roles/{role}': {
+      summary: 'Remove a role from an account', response: { message: 'string', role: 'string', approved: 'boolean', roles: ['object'] },
+    },
+    'DELETE /api/admin/users/{id}': {
+      summary: 'Delete a user',
+      description: 'Archives the user to DeletedUser immediately; their orders, rides and payments are re-pointed to the "Deleted User" account.',
+      response: { message: 'string' },
+    },
+    'POST /api/admin/users/{id}/force-logout': {
+      summary: 'Log a user out of every device and invalidate issued access tokens', response: { message: 'string', count: 'integer' },
+    },
+
+    // Support impersonation
+    'POST /api/admin/users/{id}/impersonate': {
+      summary: 'Get a short-lived token to use the app as this customer',
+      description: 'Read-only (GET requests) unless `write` is set, which needs users.impersonate.write. '
+        + 'Account routes (/api/auth/*) stay blocked except GET /api/auth/profile. Impersonated responses carry an '
+        + '`X-Impersonation` header, every request is recorded in the audit log as `impersonation.request`, and the customer is '
+        + 'notified once the session ends or expires. Admin accounts cannot be impersonated.',
+      status: 201, response: { message: 'string', token: 'string', expiresAt: 'string', impersonation: 'Impersonation' },
+    },
+    'GET /api/admin/impersonations': {
+      summary: 'Impersonation sessions, newest first',
+      description: 'Admins without audit.view only see their own sessions.',
+      response: ['Impersonation'],
+    },
+    'POST /api/admin/impersonations/{id}/end': {
+      summary: 'End an impersonation session now and notify the customer', response: { message: 'string', impersonation: 'Impersonation' },
+    },
+
+    // Contact history (fraud checks)
+    'GET /api/admin/users/{id}/contact-history': { summary: 'Completed phone/email changes of a user', response: ['ContactChange'] },
+    'GET /api/admin/contact-history': {
+      summary: 'Accounts that have held a phone number or email',
+      response: { currentHolder: 'User', changes: ['ContactChange'] },
+    },
+
+    // Deleted accounts
+    'GET /api/admin/deleted-users': { summary: 'Archived (deleted) accounts, newest first', response: ['DeletedUser'] },
+    'POST /api/admin/deleted-users/{id}/restore': {
+      summary: 'Restore a deleted account',
+      description: 'Recreates the user with the same id and re-links anonymized orders, rides and payments. 409 if the id, email or phone is taken.',
+      response: { message: 'string', user: 'User' },
+    },
+
+    'GET /api/admin/settings': { summary: 'App settings', response: 'AppSettings' },
+    'PUT /api/admin/settings': { summary: 'Update app settings', response: 'AppSettings' },
+
+    'GET /api/admin/reports/sales': { summary: 'Sales grouped by period', response: ['object'] },
+    'GET /api/admin/reports/products': { summary: 'Top selling products', response: ['object'] },
+    'GET /api/admin/reports/financial-summary': { summary: 'Sales, tax, shipping and discount totals', response: 'object' },
+    'GET /api/admin/statistics/dashboard': { summary: 'Dashboard statistics', response: 'object' },
+
+    // Admin staff & permissions (RBAC)
+    'GET /api/admin/me/permissions': {
+      summary: 'Permissions and pincode scope of the logged-in admin',
+      response: { adminRole: 'string', permissions: ['string'], pincodes: ['string'] },
+    },
+    'GET /api/admin/permissions': { summary: 'All admin permissions', response: ['object'] },
+    'GET /api/admin/staff-roles': { summary: 'Built-in and custom admin roles', response: ['AdminRoleInfo'] },
+    'POST /api/admin/staff-roles': {
+      summary: 'Create a custom admin role',
+      description: 'Only permissions the caller holds can be granted. 409 if the key exists.',
+      status: 201, response: { message: 'string', role: 'AdminRole' },
+    },
+    'PUT /api/admin/staff-roles/{key}': { summary: 'Update a custom admin role', response: { message: 'string', role: 'AdminRole' } },
+    'DELETE /api/admin/staff-roles/{key}': { summary: 'Delete a custom admin role (409 while assigned)', response: { message: 'string' } },
+    'GET /api/admin/staff': { summary: 'Admin staff with their roles and pincode scope', response: ['AdminStaff'] },
+    'POST /api/admin/staff': {
+      summary: 'Make an existing account admin staff',
+      description: 'Pincodes limit the staff member to those areas (district manager); empty = everywhere.',
+      status: 201, response: { message: 'string', staff: 'AdminStaff' },
+    },
+    'PUT /api/admin/staff/{id}': { summary: 'Change the admin role or pincodes of a staff member', response: { message: 'string', staff: 'AdminStaff' } },
+    'DELETE /api/admin/staff/{id}': { summary: 'Remove admin access (account becomes a customer, sessions revoked)', response: { message: 'string' } },
+
+    // Background jobs
+    'GET /api/admin/jobs': { summary: 'Registered background jobs with their last run', response: ['JobInfo'] },
+    'GET /api/admin/jobs/{name}/runs': { summary: 'Recent runs of a job', response: ['JobRun'] },
+    'POST /api/admin/jobs/{name}/run': { summary: 'Trigger a job now (409 if already running)', status: 202, response: { message: 'string', run: 'JobRun' } },
+  },
+};
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// ⚙️ APP SETTINGS SCHEMA (Admin Configuration)
+// ==========================================
+const appSettingsSchema = new mongoose.Schema({
+  singleton: { type: Boolean, default: true, unique: true, index: true },
+  
+  // Platform Fees
+  platformCommissionRate: { type: Number, default: 0.05, min: 0, max: 1 },
+  productCreationFee: { type: Number, default: 10 }, 
+
+  // 🗑️ Delete request ke baad itne din tak login karke account wapas paaya ja sakta hai (0 = turant delete)
+  accountDeletionGraceDays: { type: Number, default: 30, min: 0, max: 365 },
+  
+  // 🎨 App Theme Settings
+  theme: {
+    primaryColor: { type: String, default: '#2874F0' },
+    secondaryColor: { type: String, default: '#FFC200' },
+    backgroundColor: { type: String, default: '#F1F3F6' },
+    searchBarColor: { type: String, default: '#FFFFFF' },
+    categoryLayout: { type: String, enum: ['horizontal', 'grid', 'list'], default: 'horizontal' }
+  },
+
+  // ✅ PRINTING CONFIGURATION
+  printConfig: {
+      bwRatePerPage: { type: Number, default: 2 },       // Admin Default B/W Rate
+      colorRatePerPage: { type: Number, default: 10 },   // Admin Default Color Rate
+      adminPrintCommission: { type: Number, default: 0.10 } // Admin Commission on Print (10%)
+  },
+
+  // ✅ NEW FIELD: Print COD Control (True = COD Allowed, False = Online Only)
+  allowPrintCOD: { type: Boolean, default: false }, 
+
+  // ✅ DELIVERY CONFIGURATION
+  deliveryConfig: {
+      globalRadiusKm: { type: Number, default: 50 }, 
+      baseCharge: { type: Number, default: 20 },       
+      baseKm: { type: Number, default: 2 },           
+      extraPerKmCharge: { type: Number, default: 10 }, 
+      blockedPincodes: [{ type: String }], 
+      blockedZones: [{
+          lat: Number,
+          lng: Number,
+          radiusKm: { type: Number, default: 1 },
+          reason: String
+      }]
+  }
+}, { timestamps: true });
+
+// 👇 THIS LINE IS CRITICAL - DO NOT FORGET IT 👇
+const AppSettings = mongoose.model('AppSettings', appSettingsSchema);
+
+// ==========================================
+// 🛡️ CUSTOM ADMIN ROLES (RBAC)
+// ==========================================
+// Built-in roles (super_admin, finance...) rbac.service.js mein hain - yahan sirf admin ke banaye hue roles
+const adminRoleSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String, required: true, trim: true },
+  description: { type: String, default: '' },
+  permissions: { type: [String], default: [] },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { timestamps: true });
+
+const AdminRole = mongoose.model('AdminRole', adminRoleSchema);
+
+// ==========================================
+// 🕵️ SUPPORT IMPERSONATION (dekhein impersonation.service.js)
+// ==========================================
+// Har "login as user" ek record: kisne, kiske account mein, kyun, kitni der. Token isi ki id carry karta hai.
+const impersonationSchema = new mongoose.Schema({
+  admin: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  reason: { type: String, required: true },
+  scope: { type: String, enum: ['read', 'write'], default: 'read' }, // read = sirf GET requests
+  expiresAt: { type: Date, required: true },
+  endedAt: { type: Date, default: null },
+  endedReason: { type: String, enum: ['admin-ended', 'replaced', null], default: null },
+  requestCount: { type: Number, default: 0 },
+  lastRequestAt: { type: Date, default: null },
+  // Session khatam hone ke baad user ko bataya gaya
+  notifiedAt: { type: Date, default: null, index: true },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null }
+}, { timestamps: true });
+
+const Impersonation = mongoose.model('Impersonation', impersonationSchema);
+
+module.exports = { AppSettings, AdminRole, Impersonation };
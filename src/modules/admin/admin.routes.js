@@ -0,0 +1,931 @@
+const express = require('express');
+
+const { authorizeRole, protect, requirePermission, requireStepUp } = require('../../middleware/auth');
+const { audit } = require('../../middleware/audit');
+const { validate } = require('../../middleware/validate');
+const { AdminRole, AppSettings, Impersonation } = require('./admin.models');
+const { notifyImpersonatedUsers, startImpersonation } = require('./impersonation.service');
+const {
+  PERMISSIONS, adminRoleExists, getAdminPermissions, hasPermission, isBuiltInAdminRole, isInScope,
+  listAdminRoles, userPincodes, userScopeFilter
+} = require('./rbac.service');
+const { getJob, getJobs, runJob } = require('../../jobs');
+const { JobLock, JobRun } = require('../../jobs/jobs.models');
+const { finalizeAccountDeletion, restoreDeletedUser } = require('../auth/account.service');
+const { ContactChange, DeletedUser, User } = require('../auth/auth.models');
+const { contactVariants } = require('../auth/contactChange.service');
+const { findRoleGrant, getRoleGrants, revokeRole, roleQuery, rolesOf, setRoleApproval } = require('../auth/roles.service');
+const { revokeAllSessions } = require('../auth/session.service');
+const { Order } = require('../orders/orders.models');
+const { sendPushNotification, sendWhatsApp } = require('../notifications/notifications.service');
+const schemas = require('./admin.validation');
+
+const router = express.Router();
+
+/**
+ * HELPER: Kya ye admin is user ko manage kar sakta hai? Admin accounts sirf staff.manage wale,
+ * aur district admin sirf apne pincodes ke users. Mana ho to message return karta hai.
+ */
+function userAccessError(req, user) {
+  if (rolesOf(user).includes('admin') && !hasPermission(req.adminPermissions, 'staff.manage')) {
+    return 'Only staff managers can change admin accounts';
+  }
+  if (!isInScope(req, userPincodes(user))) return 'This user is outside your assigned area';
+  return null;
+}
+
+// Audit log ke liye account ki role state
+const roleState = (user) => ({
+  role: user.role,
+  approved: user.approved,
+  roles: getRoleGrants(user).map(g => ({ role: g.role, approved: g.approved }))
+});
+
+router.get('/api/admin/users', protect, authorizeRole('admin'), requirePermission('users.view'), async (req, res) => {
+  try {
+    const users = await User.find({ $and: [roleQuery('user'), userScopeFilter(req)], systemAccount: { $ne: true } }).select('-password');
+    res.json(users);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching users' });
+  }
+});
+
+router.get('/api/admin/sellers', protect, authorizeRole('admin'), requirePermission('users.view'), async (req, res) => {
+  try {
+    const sellers = await User.find({ $and: [roleQuery('seller'), userScopeFilter(req)] }).select('-password');
+    res.json(sellers);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching sellers' });
+  }
+});
+
+router.get('/api/admin/delivery-boys', protect, authorizeRole('admin'), requirePermission('users.view'), async (req, res) => {
+  try {
+    const deliveryBoys = await User.find({ $and: [roleQuery('delivery'), userScopeFilter(req)] }).select('-password');
+    res.json(deliveryBoys);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching delivery boys' });
+  }
+});
+
+router.put('/api/admin/users/:id/role', protect, authorizeRole('admin'), requirePermission('users.manage'), requireStepUp, validate(schemas.updateUserRole), audit('user.role.update', 'User'), async (req, res) => {
+  try {
+    const { role, approved } = req.body;
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const denied = userAccessError(req, user);
+    if (denied) return res.status(403).json({ message: denied });
+    // Admin banana = staff role + scope bhi chahiye, wo staff routes se hota hai
+    if (role === 'admin' && user.role !== 'admin') {
+      return res.status(400).json({ message: 'Use POST /api/admin/staff to make a user admin staff' });
+    }
+    req.audit.before = roleState(user);
+    if (role) user.role = role;
+    if (typeof approved !== 'undefined') {
+      if(user.role === 'seller' && approved === true && user.approved === false) {
+        const msg = "Congratulations! Your seller account has been approved. You can now log in and start selling.";
+        await sendWhatsApp(user.phone, msg);
+        
+        if (user.fcmToken) {
+          await sendPushNotification(
+            user.fcmToken,
+            'Account Approved!',
+            'Congratulations! Your seller account has been approved. You can now log in and start selling.',
+            { type: 'ACCOUNT_APPROVED' }
+          );
+        }
+      }
+      user.approved = approved;
+    }
+    await user.save();
+    req.audit.after = roleState(user);
+    res.json({ message: 'User role updated successfully', user });
+  } catch (err) {
+    res.status(500).json({ message: 'Error updating user role' });
+  }
+});
+
+// 👥 Multi-role: ek role ka approval (baaki roles par asar nahi)
+router.put('/api/admin/users/:id/roles/:role', protect, authorizeRole('admin'), requirePermission('users.manage'), requireStepUp, validate(schemas.roleApproval), audit('user.role.approval', 'User'), async (req, res) => {
+  try {
+    const { id, role } = req.params;
+    const { approved } = req.body;
+    const user = await User.findById(id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const denied = userAccessError(req, user);
+    if (denied) return res.status(403).json({ message: denied });
+
+    const grant = findRoleGrant(user, role);
+    const wasApproved = grant ? grant.approved : false;
+    req.audit.before = roleState(user);
+    setRoleApproval(user, role, approved);
+    await user.save();
+    req.audit.after = roleState(user);
+
+    if (approved !== wasApproved) {
+      const msg = approved
+        ? `Your ${role} account has been approved. Switch to ${role} mode in the app to get started.`
+        : `Your ${role} account has been suspended by the admin. Please contact support.`;
+      await sendWhatsApp(user.phone, msg);
+    }
+
+    res.json({ message: `Role '${role}' ${approved ? 'approved' : 'disapproved'}`, role: user.role, approved: user.approved, roles: getRoleGrants(user) });
+  } catch (err) {
+    res.status(500).json({ message: 'Error updating role approval', error: err.message });
+  }
+});
+
+router.delete('/api/admin/users/:id/roles/:role', protect, authorizeRole('admin'), requirePermission('users.manage'), requireStepUp, validate(schemas.roleGrant), audit('user.role.revoke', 'User'), async (req, res) => {
+  try {
+    const { id, role } = req.params;
+    const user = await User.findById(id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const denied = userAccessError(req, user);
+    if (denied) return res.status(403).json({ message: denied });
+    if (!findRoleGrant(user, role)) return res.status(404).json({ message: `User does not have the '${role}' role` });
+
+    req.audit.before = roleState(user);
+    if (!revokeRole(user, role)) return res.status(400).json({ message: 'Cannot remove the only role of an account' });
+    await user.save();
+    req.audit.after = roleState(user);
+
+    res.json({ message: `Role '${role}' removed`, role: user.role, approved: user.approved, roles: getRoleGrants(user) });
+  } catch (err) {
+    res.status(500).json({ message: 'Error removing role', error: err.message });
+  }
+});
+
+router.delete('/api/admin/users/:id', protect, authorizeRole('admin'), requirePermission('users.manage'), requireStepUp, validate(schemas.byId), audit('user.delete', 'User'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.systemAccount) return res.status(400).json({ message: 'System accounts cannot be deleted' });
+    if (user._id.equals(req.user._id)) return res.status(400).json({ message: 'You cannot delete your own account here' });
+    const denied = userAccessError(req, user);
+    if (denied) return res.status(403).json({ message: denied });
+
+    // Admin delete = bina grace period archive (DeletedUser se restore ho sakta hai)
+    await finalizeAccountDeletion(user, 'Admin-Delete');
+    res.json({ message: 'User deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Error deleting user' });
+  }
+});
+
+// ==========================================
+// 📇 CONTACT HISTORY (purane phone / email - fraud checks)
+// ==========================================
+router.get('/api/admin/users/:id/contact-history', protect, authorizeRole('admin'), requirePermission('users.view'), validate(schemas.byId), async (req, res) => {
+  try {
+    if (req.adminScope) {
+      const user = await User.findById(req.params.id).select('pincodes pickupAddress');
+      if (user && !isInScope(req, userPincodes(user))) return res.status(403).json({ message: 'This user is outside your assigned area' });
+    }
+    const history = await ContactChange.find({ user: req.params.id, status: 'completed' }).sort({ completedAt: -1 });
+    res.json(history);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching contact history', error: err.message });
+  }
+});
+
+// Ye number/email kab kab kis account ke paas raha
+router.get('/api/admin/contact-history', protect, authorizeRole('admin'), requirePermission('users.view'), validate(schemas.contactHistory), async (req, res) => {
+  try {
+    // Poore platform mein search hai - area wale admin ke liye nahi
+    if (req.adminScope) return res.status(403).json({ message: 'Contact search is not available to area-scoped admins' });
+    const { type, value } = req.query;
+    const values = contactVariants(type, value);
+    const [changes, currentHolder] = await Promise.all([
+      ContactChange.find({ type, status: 'completed', $or: [{ oldValue: { $in: values } }, { newValue: { $in: values } }] })
+        .populate('user', 'name role phone email')
+        .sort({ completedAt: -1 }),
+      User.findOne({ [type]: { $in: values } }).select('name role phone email')
+    ]);
+    res.json({ currentHolder, changes });
+  } catch (err) {
+    res.status(500).json({ message: 'Error searching contact history', error: err.message });
+  }
+});
+
+// ==========================================
+// 🗑️ DELETED USERS (Archive + Restore)
+// ==========================================
+router.get('/api/admin/deleted-users', protect, authorizeRole('admin'), requirePermission('users.manage'), validate(schemas.deletedUsers), async (req, res) => {
+  try {
+    const { search, restored } = req.query;
+    const filter = {};
+    if (search) {
+      const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+    if (typeof restored !== 'undefined') filter.restoredAt = restored ? { $ne: null } : null;
+    if (req.adminScope) {
+      filter.$and = [{ $or: [{ 'userData.pincodes': { $in: req.adminScope } }, { 'userData.pickupAddress.pincode': { $in: req.adminScope } }] }];
+    }
+
+    const deletedUsers = await DeletedUser.find(filter)
+      .select('-userData -anonymizedRefs.ids')
+      .sort({ deletedAt: -1 })
+      .limit(req.query.limit || 50);
+    res.json(deletedUsers);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching deleted users', error: err.message });
+  }
+});
+
+// Archive se User wapas banao (same _id) aur anonymized orders/rides dobara link karo
+router.post('/api/admin/deleted-users/:id/restore', protect, authorizeRole('admin'), requirePermission('users.manage'), requireStepUp, validate(schemas.byId), audit('user.restore', 'DeletedUser'), async (req, res) => {
+  try {
+    const archive = await DeletedUser.findById(req.params.id);
+    if (!archive) return res.status(404).json({ message: 'Deleted user not found' });
+    if (archive.restoredAt) return res.status(400).json({ message: 'This account has already been restored' });
+    if (archive.userData) {
+      const denied = userAccessError(req, archive.userData);
+      if (denied) return res.status(403).json({ message: denied });
+    }
+
+    const { user, conflict } = await restoreDeletedUser(archive, req.user._id);
+    if (conflict) return res.status(409).json({ message: conflict });
+
+    if (user.phone) {
+      await sendWhatsApp(user.phone, 'Your account has been restored by our support team. Please log in again to continue.');
+    }
+
+    console.log(`♻️ Admin ${req.user._id} restored deleted user ${user._id}.`);
+    const restoredUser = user.toObject();
+    delete restoredUser.password;
+    res.json({ message: 'User restored successfully', user: restoredUser });
+  } catch (err) {
+    res.status(500).json({ message: 'Error restoring user', error: err.message });
+  }
+});
+
+// Force logout (banned driver/seller): saare devices + already issued access tokens turant band
+router.post('/api/admin/users/:id/force-logout', protect, authorizeRole('admin'), requirePermission('users.manage'), requireStepUp, validate(schemas.byId), audit('user.force-logout', 'User'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('role approved roles isOnline pincodes pickupAddress adminPincodes');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    const denied = userAccessError(req, user);
+    if (denied) return res.status(403).json({ message: denied });
+
+    const count = await revokeAllSessions(user._id, 'admin-force-logout', { invalidateAccessTokens: true });
+
+    // Driver ko ride dispatch se bhi hata do
+    if (user.role === 'driver' && user.isOnline) {
+      await User.findByIdAndUpdate(user._id, { isOnline: false });
+    }
+
+    console.log(`🔒 Admin ${req.user._id} force-logged out user ${user._id} (${count} sessions).`);
+    res.json({ message: `User logged out from all devices (${count} sessions).`, count });
+  } catch (err) {
+    res.status(500).json({ message: 'Error forcing logout', error: err.message });
+  }
+});
+
+// ==========================================
+// 🕵️ SUPPORT IMPERSONATION (customer ki nazar se app dekhna)
+// ==========================================
+// Customer ka apna token nahi milta - alag short-lived token, default read-only, har request audit log mein
+// aur session ke baad customer ko notification (dekhein impersonation.service.js)
+router.post('/api/admin/users/:id/impersonate', protect, authorizeRole('admin'), requirePermission('users.impersonate'), requireStepUp, validate(schemas.startImpersonation), audit('user.impersonate', 'User'), async (req, res) => {
+  try {
+    const { reason, write, minutes } = req.body;
+    if (write && !hasPermission(req.adminPermissions, 'users.impersonate.write')) {
+      return res.status(403).json({ message: 'You do not have permission for this action', permission: 'users.impersonate.write' });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user || user.systemAccount) return res.status(404).json({ message: 'User not found' });
+    if (rolesOf(user).includes('admin')) return res.status(403).json({ message: 'Admin accounts cannot be impersonated' });
+    if (!isInScope(req, userPincodes(user))) return res.status(403).json({ message: 'This user is outside your assigned area' });
+
+    const { token, expiresAt, impersonation } = await startImpersonation(req.user, user, { reason, scope: write ? 'write' : 'read', minutes }, req);
+    req.audit.metadata = { impersonationId: impersonation._id, reason, scope: impersonation.scope, expiresAt };
+
+    console.log(`🕵️ Admin ${req.user._id} started ${impersonation.scope} impersonation of user ${user._id}.`);
+    res.status(201).json({
+      message: `Impersonating ${user.name || 'user'} until ${expiresAt.toISOString()}`,
+      token,
+      expiresAt,
+      impersonation,
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Error starting impersonation', error: err.message });
+  }
+});
+
+// Audit.view wale sab dekh sakte hain, baaki sirf apne sessions
+router.get('/api/admin/impersonations', protect, authorizeRole('admin'), requirePermission('users.impersonate'), validate(schemas.listImpersonations), async (req, res) => {
+  try {
+    const { admin, user, active, limit } = req.query;
+    const filter = {};
+    if (!hasPermission(req.adminPermissions, 'audit.view')) filter.admin = req.user._id;
+    else if (admin) filter.admin = admin;
+    if (user) filter.user = user;
+    if (active === true) Object.assign(filter, { endedAt: null, expiresAt: { $gt: new Date() } });
+    if (active === false) filter.$or = [{ endedAt: { $ne: null } }, { expiresAt: { $lte: new Date() } }];
+
+    const sessions = await Impersonation.find(filter)
+      .populate('admin', 'name email adminRole')
+      .populate('user', 'name phone email')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+    res.json(sessions);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching impersonation sessions', error: err.message });
+  }
+});
+
+// Kaam ho gaya: token turant band + customer ko abhi notification
+router.post('/api/admin/impersonations/:id/end', protect, authorizeRole('admin'), requirePermission('users.impersonate'), validate(schemas.byId), audit('impersonation.end', 'Impersonation'), async (req, res) => {
+  try {
+    const impersonation = await Impersonation.findById(req.params.id);
+    if (!impersonation) return res.status(404).json({ message: 'Impersonation session not found' });
+    if (!impersonation.admin.equals(req.user._id) && !hasPermission(req.adminPermissions, 'audit.view')) {
+      return res.status(403).json({ message: 'You can only end your own impersonation sessions' });
+    }
+    if (impersonation.endedAt || impersonation.expiresAt <= new Date()) {
+      return res.status(400).json({ message: 'Impersonation session has already ended' });
+    }
+
+    impersonation.endedAt = new Date();
+    impersonation.endedReason = 'admin-ended';
+    await impersonation.save();
+    await notifyImpersonatedUsers({ _id: impersonation._id });
+
+    res.json({ message: 'Impersonation ended', impersonation });
+  } catch (err) {
+    res.status(500).json({ message: 'Error ending impersonation', error: err.message });
+  }
+});
+// GET Settings
+router.get('/api/admin/settings', protect, authorizeRole('admin'), requirePermission('settings.view'), async (req, res) => {
+  try {
+    let settings = await AppSettings.findOne({ singleton: true });
+    if (!settings) {
+      // Create default if not exists
+      settings = await AppSettings.create({ 
+          singleton: true, 
+          platformCommissionRate: 0.05,
+          productCreationFee: 10 
+      });
+    }
+    res.json(settings);
+  } catch (err) {
+    console.error('Error fetching settings:', err.message);
+    res.status(500).json({ message: 'Error fetching app settings', error: err.message });
+  }
+});
+
+// PUT Settings (Update Fee & Theme)
+// PUT Settings (Update Fee, Theme, & Delivery Radius/Blocks)
+// PUT Settings (Update Fee, Theme, & Delivery Radius/Blocks)
+// ✅ UPDATED: PUT Settings (Includes Delivery Pricing)
+// ==========================================
+// ⚙️ UPDATE APP SETTINGS (Admin Panel)
+// ==========================================
+router.put('/api/admin/settings', protect, authorizeRole('admin'), requirePermission('settings.edit'), requireStepUp, validate(schemas.updateSettings), audit('settings.update', 'AppSettings', () => null), async (req, res) => {
+  try {
+    const { 
+        platformCommissionRate, 
+        productCreationFee, 
+        accountDeletionGraceDays,
+        theme, 
+        
+        // Print Settings
+        allowPrintCOD, // ✅ NEW: Toggle COD for Print
+        bwRatePerPage,
+        colorRatePerPage,
+        adminPrintCommission,
+
+        // Delivery Settings
+        deliveryRadius,      // Global Radius
+        deliveryBaseCharge,  // e.g. 30
+        deliveryBaseKm,      // e.g. 3
+        deliveryPerKmCharge, // e.g. 15
+        
+        blockedZones,
+        blockedPincodes 
+    } = req.body;
+    
+    const updateData = {};
+
+    // --- GENERAL SETTINGS ---
+    if (typeof platformCommissionRate !== 'undefined') updateData.platformCommissionRate = parseFloat(platformCommissionRate);
+    if (typeof productCreationFee !== 'undefined') updateData.productCreationFee = parseFloat(productCreationFee);
+    if (typeof accountDeletionGraceDays !== 'undefined') updateData.accountDeletionGraceDays = parseInt(accountDeletionGraceDays, 10);
+    if (theme) updateData.theme = theme;
+
+    // --- PRINT SETTINGS UPDATE ---
+    if (typeof allowPrintCOD !== 'undefined') updateData.allowPrintCOD = (String(allowPrintCOD) === 'true');
+    if (typeof bwRatePerPage !== 'undefined') updateData['printConfig.bwRatePerPage'] = parseFloat(bwRatePerPage);
+    if (typeof colorRatePerPage !== 'undefined') updateData['printConfig.colorRatePerPage'] = parseFloat(colorRatePerPage);
+    if (typeof adminPrintCommission !== 'undefined') updateData['printConfig.adminPrintCommission'] = parseFloat(adminPrintCommission);
+
+    // --- DELIVERY CONFIG UPDATE ---
+    
+    // 1. Global Radius
+    if (typeof deliveryRadius !== 'undefined') updateData['deliveryConfig.globalRadiusKm'] = parseFloat(deliveryRadius);
+
+    // 2. Delivery Pricing
+    if (typeof deliveryBaseCharge !== 'undefined') updateData['deliveryConfig.baseCharge'] = parseFloat(deliveryBaseCharge);
+    if (typeof deliveryBaseKm !== 'undefined') updateData['deliveryConfig.baseKm'] = parseFloat(deliveryBaseKm);
+    if (typeof deliveryPerKmCharge !== 'undefined') updateData['deliveryConfig.extraPerKmCharge'] = parseFloat(deliveryPerKmCharge);
+
+    // 3. Blocked Pincodes
+    if (typeof blockedPincodes !== 'undefined') {
+        let pins = [];
+        if (typeof blockedPincodes === 'string') {
+            if (blockedPincodes.trim().length > 0) {
+                pins = blockedPincodes.split(',').map(p => p.trim()).filter(p => p !== "");
+            }
+        } else if (Array.isArray(blockedPincodes)) {
+            pins = blockedPincodes;
+        }
+        updateData['deliveryConfig.blockedPincodes'] = pins;
+    }
+
+    // 4. Blocked Zones
+    if (typeof blockedZones !== 'undefined') {
+        let zones = [];
+        if (typeof blockedZones === 'string') {
+            try { zones = JSON.parse(blockedZones); } catch (e) { zones = []; }
+        } else if (Array.isArray(blockedZones)) {
+            zones = blockedZones;
+        }
+        if (Array.isArray(zones)) {
+            updateData['deliveryConfig.blockedZones'] = zones.map(z => ({
+                lat: parseFloat(z.lat),
+                lng: parseFloat(z.lng),
+                radiusKm: parseFloat(z.radiusKm || 1),
+                reason: z.reason || 'Restricted Area'
+            }));
+        }
+    }
+
+    req.audit.before = await AppSettings.findOne({ singleton: true }).lean();
+    const updatedSettings = await AppSettings.findOneAndUpdate(
+      { singleton: true },
+      { $set: updateData },
+      { new: true, upsert: true, runValidators: true }
+    );
+    req.audit.after = updatedSettings;
+    req.audit.targetId = updatedSettings._id;
+
+    res.json(updatedSettings);
+
+  } catch (err) {
+    console.error('Error updating settings:', err.message);
+    res.status(500).json({ message: 'Error updating app settings', error: err.message });
+  }
+});
+router.get('/api/admin/reports/sales', protect, authorizeRole('admin'), requirePermission('reports.view'), async (req, res) => {
+  try {
+    const salesReport = await Order.aggregate([
+      { $match: { deliveryStatus: 'Delivered', paymentStatus: 'completed' } },
+      { $group: { 
+        _id: { $dateToString: { format: "%Y-%m", date: "$createdAt" } }, 
+        totalSales: { $sum: { $add: ["$totalAmount", "$shippingFee", "$taxAmount", { $multiply: ["$discountAmount", -1] }] } },
+        totalOrders: { $sum: 1 } 
+      }},
+      { $sort: { _id: 1 } }
+    ]);
+    res.json(salesReport);
+  } catch (err) {
+    res.status(500).json({ message: 'Error generating sales report', error: err.message });
+  }
+});
+
+router.get('/api/admin/reports/products', protect, authorizeRole('admin'), requirePermission('reports.view'), async (req, res) => {
+  try {
+    const topProducts = await Order.aggregate([
+      { $match: { deliveryStatus: 'Delivered' } },
+      { $unwind: "$orderItems" },
+      { $group: { _id: "$orderItems.product", totalQuantitySold: { $sum: "$orderItems.qty" }, totalRevenue: { $sum: { $multiply: ["$orderItems.price", "$orderItems.qty"] } } } },
+      { $sort: { totalQuantitySold: -1 } },
+      { $limit: 10 },
+      { $lookup: { from: 'products', localField: '_id', foreignField: '_id', as: 'productInfo' } },
+      { $unwind: { path: "$productInfo", preserveNullAndEmptyArrays: true } },
+      { $project: { name: { $ifNull: [ "$productInfo.name", "Deleted Product" ] }, totalQuantitySold: 1 } }
+    ]);
+    res.json(topProducts);
+  } catch (err) {
+    res.status(500).json({ message: 'Error generating top products report', error: err.message });
+  }
+});
+
+router.get('/api/admin/reports/financial-summary', protect, authorizeRole('admin'), requirePermission('reports.view'), async (req, res) => {
+  try {
+    const salesSummary = await Order.aggregate([
+      { $match: { paymentStatus: 'completed', deliveryStatus: { $ne: 'Cancelled' } } },
+      {
+        $group: {
+          _id: null,
+          totalSales: { $sum: '$totalAmount' },
+          totalTax: { $sum: '$taxAmount' },
+          totalShipping: { $sum: '$shippingFee' },
+          totalDiscount: { $sum: '$discountAmount' },
+          totalRefunds: { $sum: '$totalRefunded' },
+          totalOrders: { $sum: 1 }
+        }
+      }
+    ]);
+    
+    const appSettings = await AppSettings.findOne({ singleton: true });
+    const PLATFORM_COMMISSION_RATE = appSettings ? appSettings.platformCommissionRate : 0.05;
+
+    const summary = salesSummary.length > 0 ? salesSummary[0] : { totalSales: 0, totalTax: 0, totalShipping: 0, totalDiscount: 0, totalRefunds: 0, totalOrders: 0 };
+    
+    const grossRevenue = summary.totalSales + summary.totalTax + summary.totalShipping - summary.totalDiscount;
+    const platformEarnings = summary.totalSales * PLATFORM_COMMISSION_RATE;
+    const netRevenue = grossRevenue - summary.totalRefunds;
+
+    res.json({
+      totalSales: summary.totalSales,
+      totalTax: summary.totalTax,
+      totalShipping: summary.totalShipping,
+      totalDiscount: summary.totalDiscount,
+      totalOrders: summary.totalOrders,
+      grossRevenue: grossRevenue,
+      netRevenue: netRevenue,
+      platformEarnings: platformEarnings,
+      commissionRate: PLATFORM_COMMISSION_RATE
+    });
+
+  } catch (err) {
+    console.error('Error generating financial summary:', err.message);
+    res.status(500).json({ message: 'Error generating financial summary report', error: err.message });
+  }
+});
+
+router.get('/api/admin/statistics/dashboard', protect, authorizeRole('admin'), requirePermission('reports.view'), async (req, res) => {
+  try {
+    const [
+      orderStatusCounts,
+      topSellingProducts,
+      topSellingSellers,
+      topCustomers,
+      financialSummaryData,
+      paymentCounts,
+      appSettings
+    ] = await Promise.all([
+
+      Order.aggregate([
+        { $group: { _id: "$deliveryStatus", count: { $sum: 1 } } }
+      ]),
+
+      Order.aggregate([
+        { $match: { deliveryStatus: 'Delivered' } },
+        { $unwind: "$orderItems" },
+        { $group: {
+          _id: "$orderItems.product",
+          totalQuantitySold: { $sum: "$orderItems.qty" }
+        }},
+        { $sort: { totalQuantitySold: -1 } },
+        { $limit: 5 },
+        { $lookup: { from: 'products', localField: '_id', foreignField: '_id', as: 'productInfo' } },
+        { $unwind: { path: "$productInfo", preserveNullAndEmptyArrays: true } },
+        { $project: { name: { $ifNull: [ "$productInfo.name", "Deleted Product" ] }, totalQuantitySold: 1 } }
+      ]),
+
+      Order.aggregate([
+        { $match: { deliveryStatus: 'Delivered' } },
+        { $group: {
+          _id: "$seller",
+          totalRevenue: { $sum: "$totalAmount" }
+        }},
+        { $sort: { totalRevenue: -1 } },
+        { $limit: 5 },
+        { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'sellerInfo' } },
+        { $unwind: { path: "$sellerInfo", preserveNullAndEmptyArrays: true } },
+        { $project: { name: { $ifNull: [ "$sellerInfo.name", "Deleted Seller" ] }, totalRevenue: 1 } }
+      ]),
+
+      Order.aggregate([
+        { $match: { deliveryStatus: 'Delivered' } },
+        { $group: {
+          _id: "$user",
+          totalSpent: { $sum: '$totalAmount' }
+        }},
+        { $sort: { totalSpent: -1 } },
+        { $limit: 5 },
+        { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'userInfo' } },
+        { $unwind: { path: "$userInfo", preserveNullAndEmptyArrays: true } },
+        { $project: { name: { $ifNull: [ "$userInfo.name", "Deleted User" ] }, totalSpent: 1 } }
+      ]),
+
+      Order.aggregate([
+        { $match: { paymentStatus: 'completed', deliveryStatus: { $ne: 'Cancelled' } } },
+        {
+          $group: {
+            _id: null,
+            totalSales: { $sum: '$totalAmount' },
+            totalTax: { $sum: '$taxAmount' },
+            totalShipping: { $sum: '$shippingFee' },
+            totalDiscount: { $sum: '$discountAmount' },
+            totalRefunds: { $sum: '$totalRefunded' }
+          }
+        }
+      ]),
+
+      Order.aggregate([
+        { $match: { paymentStatus: 'completed' } },
+        { $group: { _id: "$paymentMethod", count: { $sum: 1 } } }
+      ]),
+
+      AppSettings.findOne({ singleton: true })
+    ]);
+
+    const orderStatsFormatted = {};
+    orderStatusCounts.forEach(stat => {
+      orderStatsFormatted[stat._id] = stat.count;
+    });
+
+    const paymentStatsFormatted = {};
+    paymentCounts.forEach(stat => {
+      paymentStatsFormatted[stat._id] = stat.count;
+    });
+
+    const financials = financialSummaryData[0] || { totalSales: 0, totalTax: 0, totalShipping: 0, totalDiscount: 0, totalRefunds: 0 };
+    
+    const PLATFORM_COMMISSION_RATE = appSettings ? appSettings.platformCommissionRate : 0.05;
+    const grossRevenue = financials.totalSales + financials.totalTax + financials.totalShipping - financials.totalDiscount;
+    const platformEarnings = financials.totalSales * PLATFORM_COMMISSION_RATE;
+    const netRevenue = grossRevenue - financials.totalRefunds;
+
+    res.json({
+      orderStats: orderStatsFormatted,
+      paymentMethodStats: paymentStatsFormatted,
+      topProducts: topSellingProducts,
+      topSellers: topSellingSellers,
+      topCustomers: topCustomers,
+      financials: {
+        totalSales: financials.totalSales,
+        totalTax: financials.totalTax,
+        totalShipping: financials.totalShipping,
+        totalDiscount: financials.totalDiscount,
+        totalRefunds: financials.totalRefunds,
+        grossRevenue: grossRevenue,
+        netRevenue: netRevenue,
+        platformEarnings: platformEarnings,
+        commissionRate: PLATFORM_COMMISSION_RATE
+      }
+    });
+
+  } catch (err) {
+    console.error('Error generating dashboard statistics:', err.message);
+    res.status(500).json({ message: 'Error fetching dashboard statistics', error: err.message });
+  }
+});
+
+// ---------------------------------------------------------
+// 🛡️ ADMIN STAFF & PERMISSIONS (RBAC)
+// ---------------------------------------------------------
+
+/**
+ * HELPER: Admin sirf wahi permissions aage de sakta hai jo uske paas khud hain,
+ * aur area wala admin sirf apne pincodes ke andar ka scope.
+ */
+function grantError(req, permissions, pincodes) {
+  const missing = permissions.filter(p => !hasPermission(req.adminPermissions, p));
+  if (missing.length) return `You cannot grant permissions you do not have: ${missing.join(', ')}`;
+  if (req.adminScope && (!pincodes.length || pincodes.some(p => !req.adminScope.includes(p)))) {
+    return 'You can only assign pincodes inside your own area';
+  }
+  return null;
+}
+
+/**
+ * HELPER: Role key ki permissions (built-in ya custom)
+ */
+const rolePermissions = (adminRole) => getAdminPermissions({ role: 'admin', adminRole });
+
+const STAFF_FIELDS = 'name email phone role adminRole adminPincodes twoFactorEnabled lastActiveAt';
+
+// Logged-in admin ka apna access (admin panel menu isi se banta hai)
+router.get('/api/admin/me/permissions', protect, authorizeRole('admin'), async (req, res) => {
+  try {
+    const permissions = await getAdminPermissions(req.user);
+    res.json({ adminRole: req.user.adminRole || null, permissions, pincodes: req.user.adminPincodes || [] });
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching permissions', error: err.message });
+  }
+});
+
+router.get('/api/admin/permissions', protect, authorizeRole('admin'), requirePermission('staff.manage'), (req, res) => {
+  res.json(Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })));
+});
+
+router.get('/api/admin/staff-roles', protect, authorizeRole('admin'), requirePermission('staff.manage'), async (req, res) => {
+  try {
+    res.json(await listAdminRoles());
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching admin roles', error: err.message });
+  }
+});
+
+router.post('/api/admin/staff-roles', protect, authorizeRole('admin'), requirePermission('staff.manage'), requireStepUp, validate(schemas.createAdminRole), audit('admin-role.create', 'AdminRole', (req) => req.body.key), async (req, res) => {
+  try {
+    const { key, name, description, permissions } = req.body;
+    if (await adminRoleExists(key)) return res.status(409).json({ message: `Admin role '${key}' already exists` });
+    const denied = grantError(req, permissions, []);
+    if (denied) return res.status(403).json({ message: denied });
+
+    const role = await AdminRole.create({ key, name, description, permissions, createdBy: req.user._id });
+    res.status(201).json({ message: 'Admin role created', role });
+  } catch (err) {
+    res.status(500).json({ message: 'Error creating admin role', error: err.message });
+  }
+});
+
+router.put('/api/admin/staff-roles/:key', protect, authorizeRole('admin'), requirePermission('staff.manage'), requireStepUp, validate(schemas.updateAdminRole), audit('admin-role.update', 'AdminRole', (req) => req.params.key), async (req, res) => {
+  try {
+    if (isBuiltInAdminRole(req.params.key)) return res.status(400).json({ message: 'Built-in admin roles cannot be changed' });
+    const role = await AdminRole.findOne({ key: req.params.key });
+    if (!role) return res.status(404).json({ message: 'Admin role not found' });
+    if (req.body.permissions) {
+      const denied = grantError(req, req.body.permissions, []);
+      if (denied) return res.status(403).json({ message: denied });
+    }
+
+    ['name', 'description', 'permissions'].forEach(field => {
+      if (typeof req.body[field] !== 'undefined') role[field] = req.body[field];
+    });
+    await role.save();
+    res.json({ message: 'Admin role updated', role });
+  } catch (err) {
+    res.status(500).json({ message: 'Error updating admin role', error: err.message });
+  }
+});
+
+router.delete('/api/admin/staff-roles/:key', protect, authorizeRole('admin'), requirePermission('staff.manage'), requireStepUp, validate(schemas.adminRoleParams), audit('admin-role.delete', 'AdminRole', (req) => req.params.key), async (req, res) => {
+  try {
+    if (isBuiltInAdminRole(req.params.key)) return res.status(400).json({ message: 'Built-in admin roles cannot be deleted' });
+    const assigned = await User.countDocuments({ adminRole: req.params.key });
+    if (assigned) return res.status(409).json({ message: `Role is assigned to ${assigned} staff member(s). Reassign them first.`, assigned });
+
+    const result = await AdminRole.deleteOne({ key: req.params.key });
+    if (!result.deletedCount) return res.status(404).json({ message: 'Admin role not found' });
+    res.json({ message: 'Admin role deleted' });
+  } catch (err) {
+    res.status(500).json({ message: 'Error deleting admin role', error: err.message });
+  }
+});
+
+router.get('/api/admin/staff', protect, authorizeRole('admin'), requirePermission('staff.manage'), async (req, res) => {
+  try {
+    const filter = { $and: [roleQuery('admin')] };
+    if (req.adminScope) filter.$and.push({ adminPincodes: { $in: req.adminScope } });
+    const staff = await User.find(filter).select(STAFF_FIELDS).sort({ name: 1 });
+    res.json(staff);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching admin staff', error: err.message });
+  }
+});
+
+// Existing account ko admin staff banao (role + scope ke saath)
+router.post('/api/admin/staff', protect, authorizeRole('admin'), requirePermission('staff.manage'), requireStepUp, validate(schemas.addStaff), audit('staff.add', 'User', (req) => req.body.userId), async (req, res) => {
+  try {
+    const { userId, adminRole, pincodes = [] } = req.body;
+    if (!(await adminRoleExists(adminRole))) return res.status(400).json({ message: `Unknown admin role '${adminRole}'` });
+    const denied = grantError(req, await rolePermissions(adminRole), pincodes);
+    if (denied) return res.status(403).json({ message: denied });
+
+    const user = await User.findById(userId);
+    if (!user || user.systemAccount) return res.status(404).json({ message: 'User not found' });
+    if (rolesOf(user).includes('admin')) return res.status(409).json({ message: 'User is already admin staff' });
+
+    setRoleApproval(user, 'admin', true);
+    user.role = 'admin';
+    user.isOnline = false;
+    user.adminRole = adminRole;
+    user.adminPincodes = pincodes;
+    await user.save();
+
+    console.log(`🛡️ Admin ${req.user._id} added staff ${user._id} as ${adminRole}.`);
+    res.status(201).json({ message: 'Staff member added', staff: await User.findById(user._id).select(STAFF_FIELDS) });
+  } catch (err) {
+    res.status(500).json({ message: 'Error adding staff member', error: err.message });
+  }
+});
+
+router.put('/api/admin/staff/:id', protect, authorizeRole('admin'), requirePermission('staff.manage'), requireStepUp, validate(schemas.updateStaff), audit('staff.update', 'User'), async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) return res.status(400).json({ message: 'You cannot change your own admin role' });
+    const user = await User.findById(req.params.id);
+    if (!user || !rolesOf(user).includes('admin')) return res.status(404).json({ message: 'Staff member not found' });
+
+    const { adminRole = user.adminRole, pincodes = user.adminPincodes } = req.body;
+    if (adminRole && !(await adminRoleExists(adminRole))) return res.status(400).json({ message: `Unknown admin role '${adminRole}'` });
+    // Purana aur naya dono access caller ke andar hone chahiye
+    const denied = grantError(req, await rolePermissions(user.adminRole), user.adminPincodes)
+      || grantError(req, await rolePermissions(adminRole), pincodes);
+    if (denied) return res.status(403).json({ message: denied });
+
+    req.audit.before = { adminRole: user.adminRole, adminPincodes: user.adminPincodes };
+    user.adminRole = adminRole;
+    user.adminPincodes = pincodes;
+    await user.save();
+    req.audit.after = { adminRole: user.adminRole, adminPincodes: user.adminPincodes };
+    res.json({ message: 'Staff member updated', staff: await User.findById(user._id).select(STAFF_FIELDS) });
+  } catch (err) {
+    res.status(500).json({ message: 'Error updating staff member', error: err.message });
+  }
+});
+
+// Admin access hatao - account 'user' ban jaata hai aur saare admin sessions band
+router.delete('/api/admin/staff/:id', protect, authorizeRole('admin'), requirePermission('staff.manage'), requireStepUp, validate(schemas.byId), audit('staff.remove', 'User'), async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) return res.status(400).json({ message: 'You cannot remove your own admin access' });
+    const user = await User.findById(req.params.id);
+    if (!user || !rolesOf(user).includes('admin')) return res.status(404).json({ message: 'Staff member not found' });
+    const denied = grantError(req, await rolePermissions(user.adminRole), user.adminPincodes);
+    if (denied) return res.status(403).json({ message: denied });
+
+    req.audit.before = { ...roleState(user), adminRole: user.adminRole, adminPincodes: user.adminPincodes };
+    if (!findRoleGrant(user, 'user')) setRoleApproval(user, 'user', true);
+    revokeRole(user, 'admin');
+    user.adminRole = null;
+    user.adminPincodes = [];
+    await user.save();
+    req.audit.after = { ...roleState(user), adminRole: null, adminPincodes: [] };
+    await revokeAllSessions(user._id, 'admin-role-change', { invalidateAccessTokens: true });
+
+    console.log(`🛡️ Admin ${req.user._id} removed admin access of ${user._id}.`);
+    res.json({ message: 'Admin access removed' });
+  } catch (err) {
+    res.status(500).json({ message: 'Error removing staff member', error: err.message });
+  }
+});
+
+// ---------------------------------------------------------
+// ⏱️ SCHEDULED JOBS (Admin)
+// ---------------------------------------------------------
+
+// List all jobs with their last run and current lock
+router.get('/api/admin/jobs', protect, authorizeRole('admin'), requirePermission('jobs.manage'), async (req, res) => {
+  try {
+    const names = getJobs().map(j => j.name);
+    const [lastRuns, locks] = await Promise.all([
+      JobRun.aggregate([
+        { $match: { job: { $in: names } } },
+        { $sort: { startedAt: -1 } },
+        { $group: { _id: '$job', lastRun: { $first: '$$ROOT' } } }
+      ]),
+      JobLock.find({ _id: { $in: names } }).lean()
+    ]);
+
+    const lastRunMap = new Map(lastRuns.map(r => [r._id, r.lastRun]));
+    const lockMap = new Map(locks.map(l => [l._id, l]));
+    const now = new Date();
+
+    const jobs = getJobs().map(job => {
+      const lock = lockMap.get(job.name);
+      return {
+        name: job.name,
+        schedule: job.schedule,
+        description: job.description,
+        isRunning: !!(lock && lock.lockedUntil && lock.lockedUntil > now),
+        lockedBy: lock && lock.lockedUntil && lock.lockedUntil > now ? lock.lockedBy : null,
+        lastRun: lastRunMap.get(job.name) || null
+      };
+    });
+
+    res.json(jobs);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching jobs', error: err.message });
+  }
+});
+
+// Run history for one job
+router.get('/api/admin/jobs/:name/runs', protect, authorizeRole('admin'), requirePermission('jobs.manage'), validate(schemas.jobRuns), async (req, res) => {
+  try {
+    if (!getJob(req.params.name)) return res.status(404).json({ message: 'Job not found' });
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const runs = await JobRun.find({ job: req.params.name })
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .populate('triggeredBy', 'name email');
+
+    res.json(runs);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching job runs', error: err.message });
+  }
+});
+
+// Trigger a job manually (runs in background, poll /runs for the result)
+router.post('/api/admin/jobs/:name/run', protect, authorizeRole('admin'), requirePermission('jobs.manage'), validate(schemas.jobParams), audit('job.run', 'Job', (req) => req.params.name), async (req, res) => {
+  try {
+    if (!getJob(req.params.name)) return res.status(404).json({ message: 'Job not found' });
+
+    const started = await runJob(req.params.name, { trigger: 'manual', triggeredBy: req.user._id });
+    if (!started) return res.status(409).json({ message: 'Job is already running on another instance' });
+
+    res.status(202).json({ message: 'Job started', run: started.run });
+  } catch (err) {
+    res.status(500).json({ message: 'Error starting job', error: err.message });
+  }
+});
+
+module.exports = router;
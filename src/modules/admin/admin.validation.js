@@ -0,0 +1,157 @@
+const { Joi, objectId, phone, pincode, latitude, longitude, jsonString, idParam, enumOf } = require('../../middleware/validate');
+const { User } = require('../auth/auth.models');
+const { SWITCHABLE_ROLES } = require('../auth/roles.service');
+const { AppSettings } = require('./admin.models');
+const { PERMISSIONS } = require('./rbac.service');
+
+// --------- ADMIN REQUEST SCHEMAS ----------
+const color = () => Joi.string().trim().pattern(/^#?[0-9a-fA-F]{3,8}$/).messages({ 'string.pattern.base': '{{#label}} must be a hex color' });
+const rate = () => Joi.number().min(0);
+
+const blockedZone = Joi.object({
+  lat: latitude().required(),
+  lng: longitude().required(),
+  radiusKm: Joi.number().positive().max(100),
+  reason: Joi.string().trim().max(200).allow(''),
+});
+
+const updateUserRole = {
+  params: idParam(),
+  body: Joi.object({
+    role: Joi.string().valid(...enumOf(User, 'role')),
+    approved: Joi.boolean(),
+  }).or('role', 'approved'),
+};
+
+const updateSettings = {
+  body: Joi.object({
+    platformCommissionRate: Joi.number().min(0).max(1),
+    accountDeletionGraceDays: Joi.number().integer().min(0).max(365),
+    productCreationFee: rate(),
+    theme: Joi.object({
+      primaryColor: color(),
+      secondaryColor: color(),
+      backgroundColor: color(),
+      searchBarColor: color(),
+      categoryLayout: Joi.string().valid(...enumOf(AppSettings, 'theme.categoryLayout')),
+    }),
+    allowPrintCOD: Joi.alternatives().try(Joi.boolean().strict(), Joi.string().valid('true', 'false')),
+    bwRatePerPage: rate(),
+    colorRatePerPage: rate(),
+    adminPrintCommission: Joi.number().min(0).max(1),
+    deliveryRadius: Joi.number().positive().max(500),
+    deliveryBaseCharge: rate(),
+    deliveryBaseKm: rate(),
+    deliveryPerKmCharge: rate(),
+    // Admin panel comma-separated string ya array bhejta hai
+    blockedPincodes: Joi.alternatives().try(
+      Joi.array().items(pincode()),
+      Joi.string().trim().allow('').pattern(/^\d{6}(\s*,\s*\d{6})*\s*,?$/).messages({ 'string.pattern.base': '{{#label}} must be comma separated 6 digit pincodes' })
+    ),
+    blockedZones: Joi.alternatives().try(Joi.array().items(blockedZone), jsonString(Joi.array().items(blockedZone))),
+  }),
+};
+
+const jobRuns = {
+  params: Joi.object({ name: Joi.string().trim().max(100).required() }),
+  query: Joi.object({ limit: Joi.number().integer().min(1).max(100) }),
+};
+
+const jobParams = {
+  params: Joi.object({ name: Joi.string().trim().max(100).required() }),
+};
+
+const byId = { params: idParam() };
+
+const roleGrant = {
+  params: idParam().keys({ role: Joi.string().valid(...SWITCHABLE_ROLES).required() }),
+};
+
+const roleApproval = {
+  params: roleGrant.params,
+  body: Joi.object({ approved: Joi.boolean().required() }),
+};
+
+const deletedUsers = {
+  query: Joi.object({
+    search: Joi.string().trim().max(100).allow(''),
+    restored: Joi.boolean(),
+    limit: Joi.number().integer().min(1).max(100),
+  }),
+};
+
+const contactHistory = {
+  query: Joi.object({
+    type: Joi.string().valid('phone', 'email').required(),
+    value: Joi.when('type', {
+      is: 'phone',
+      then: phone().required(),
+      otherwise: Joi.string().trim().lowercase().email().required(),
+    }),
+  }),
+};
+
+// --------- RBAC ----------
+const adminRoleKey = () => Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9_]{1,49}$/)
+  .messages({ 'string.pattern.base': '{{#label}} must be lowercase letters, digits or underscores' });
+const permissionList = () => Joi.array().items(Joi.string().valid(...Object.keys(PERMISSIONS))).unique();
+
+const createAdminRole = {
+  body: Joi.object({
+    key: adminRoleKey().required(),
+    name: Joi.string().trim().max(100).required(),
+    description: Joi.string().trim().max(300).allow(''),
+    permissions: permissionList().min(1).required(),
+  }),
+};
+
+const updateAdminRole = {
+  params: Joi.object({ key: adminRoleKey().required() }),
+  body: Joi.object({
+    name: Joi.string().trim().max(100),
+    description: Joi.string().trim().max(300).allow(''),
+    permissions: permissionList().min(1),
+  }).min(1),
+};
+
+const adminRoleParams = { params: updateAdminRole.params };
+
+const addStaff = {
+  body: Joi.object({
+    userId: objectId().required(),
+    adminRole: adminRoleKey().required(),
+    pincodes: Joi.array().items(pincode()).unique(),
+  }),
+};
+
+const updateStaff = {
+  params: idParam(),
+  body: Joi.object({
+    adminRole: adminRoleKey(),
+    pincodes: Joi.array().items(pincode()).unique(),
+  }).or('adminRole', 'pincodes'),
+};
+
+const startImpersonation = {
+  params: idParam(),
+  body: Joi.object({
+    // Customer ko notification mein yahi dikhta hai
+    reason: Joi.string().trim().min(5).max(300).required(),
+    write: Joi.boolean().default(false),
+    minutes: Joi.number().integer().min(1).max(60),
+  }),
+};
+
+const listImpersonations = {
+  query: Joi.object({
+    admin: objectId(),
+    user: objectId(),
+    active: Joi.boolean(),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+  }),
+};
+
+module.exports = {
+  updateUserRole, updateSettings, jobRuns, jobParams, byId, roleGrant, roleApproval, deletedUsers, contactHistory,
+  createAdminRole, updateAdminRole, adminRoleParams, addStaff, updateStaff, startImpersonation, listImpersonations
+};
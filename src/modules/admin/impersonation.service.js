@@ -0,0 +1,134 @@
+const jwt = require('jsonwebtoken');
+
+const { Impersonation } = require('./admin.models');
+const { getAdminPermissions, hasPermission } = require('./rbac.service');
+const { User } = require('../auth/auth.models');
+const { isIpAllowed } = require('../auth/twoFactor.service');
+const { sendAndSavePersonalNotification, sendWhatsApp } = require('../notifications/notifications.service');
+
+// --------- SUPPORT IMPERSONATION ----------
+// Support agent customer ki nazar se app dekh sake ("cart mein galat price dikh raha hai").
+// Token: JWT { id: customer, imp: impersonationId } - protect isko pehchanta hai (req.impersonation).
+// Default read-only (sirf GET), har request audit log mein, session khatam hone par customer ko notification.
+// IMPERSONATION_MINUTES (default 15, max 60)
+const IMPERSONATION_MINUTES = Math.min(parseInt(process.env.IMPERSONATION_MINUTES, 10) || 15, 60);
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Starts an impersonation session and signs its token. Admin ke purane active sessions band ho jaate hain
+ * (ek waqt par ek hi customer).
+ * @returns {Promise<{ token: string, expiresAt: Date, impersonation: object }>}
+ */
+async function startImpersonation(admin, user, { reason, scope = 'read', minutes = IMPERSONATION_MINUTES }, req) {
+  const now = new Date();
+  await Impersonation.updateMany(
+    { admin: admin._id, endedAt: null, expiresAt: { $gt: now } },
+    { $set: { endedAt: now, endedReason: 'replaced' } }
+  );
+
+  const impersonation = await Impersonation.create({
+    admin: admin._id,
+    user: user._id,
+    reason,
+    scope,
+    expiresAt: new Date(now.getTime() + minutes * 60 * 1000),
+    ip: req.ip,
+    userAgent: req.get('user-agent') || null,
+  });
+
+  const token = jwt.sign({ id: user._id, imp: impersonation._id }, process.env.JWT_SECRET, { expiresIn: minutes * 60 });
+  return { token, expiresAt: impersonation.expiresAt, impersonation };
+}
+
+/**
+ * Validates an impersonation token's session on every request: still running, and the admin who started it
+ * still has the permission (role badla / staff se hataya = turant band) and is on an allowed IP.
+ * @returns {Promise<{ impersonation: object, admin: object } | null>}
+ */
+async function loadImpersonation(impersonationId, userId, requestIp) {
+  const impersonation = await Impersonation.findOne({
+    _id: impersonationId, user: userId, endedAt: null, expiresAt: { $gt: new Date() }
+  });
+  if (!impersonation) return null;
+
+  const admin = await User.findById(impersonation.admin).select('name email role adminRole adminPincodes ipAllowlist');
+  if (!admin || admin.role !== 'admin' || !isIpAllowed(admin, requestIp)) return null;
+
+  const permissions = await getAdminPermissions(admin);
+  if (!hasPermission(permissions, 'users.impersonate')) return null;
+  if (impersonation.scope === 'write' && !hasPermission(permissions, 'users.impersonate.write')) return null;
+
+  return { impersonation, admin };
+}
+
+/**
+ * Why an impersonated request is not allowed, or null. Read scope = sirf GET; account / login / security
+ * routes (/api/auth/*) kabhi nahi, sirf profile dekh sakte hain.
+ */
+function impersonationBlockReason(req, scope) {
+  const path = req.originalUrl.split('?')[0];
+  if (path.startsWith('/api/auth/') && !(req.method === 'GET' && path === '/api/auth/profile')) {
+    return 'Account and security settings are not available while impersonating';
+  }
+  if (scope === 'read' && !READ_METHODS.includes(req.method)) {
+    return 'This impersonation session is read-only';
+  }
+  return null;
+}
+
+/**
+ * Counts one impersonated request (fire and forget).
+ */
+function trackImpersonatedRequest(impersonationId) {
+  Impersonation.updateOne({ _id: impersonationId }, { $inc: { requestCount: 1 }, $set: { lastRequestAt: new Date() } })
+    .exec()
+    .catch(err => console.error('🕵️ Impersonation request count failed:', err.message));
+}
+
+/**
+ * Notifies customers whose account was viewed in an impersonation session that has ended or expired.
+ * Jis session mein koi request hi nahi hui uska notification nahi jaata (sirf mark hota hai).
+ * @param {object} [filter]  Extra filter, e.g. { _id } to notify one session right after it is ended
+ * @returns {Promise<{ notified: number, skipped: number }>}
+ */
+async function notifyImpersonatedUsers(filter = {}) {
+  const now = new Date();
+  const sessions = await Impersonation.find({
+    ...filter,
+    notifiedAt: null,
+    $or: [{ endedAt: { $ne: null } }, { expiresAt: { $lte: now } }]
+  }).populate('user', 'name phone');
+
+  let notified = 0;
+  let skipped = 0;
+  for (const session of sessions) {
+    // Pehle mark karo - dusra job run ya end route same session dobara notify na kare
+    const claimed = await Impersonation.updateOne({ _id: session._id, notifiedAt: null }, { $set: { notifiedAt: new Date() } });
+    if (!claimed.modifiedCount) continue;
+
+    if (!session.user || session.requestCount === 0) {
+      skipped++;
+      continue;
+    }
+
+    const when = (session.lastRequestAt || session.createdAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+    const access = session.scope === 'write' ? 'accessed' : 'viewed (read-only)';
+    const body = `Our support team ${access} your account on ${when} to help with: ${session.reason}. If you did not contact support, please reach out to us.`;
+    await sendAndSavePersonalNotification(session.user._id, 'Support accessed your account', body, {
+      type: 'impersonation', impersonationId: session._id.toString()
+    });
+    if (session.user.phone) await sendWhatsApp(session.user.phone, `Hi ${session.user.name || ''}, ${body}`);
+    notified++;
+  }
+  return { notified, skipped };
+}
+
+module.exports = {
+  IMPERSONATION_MINUTES,
+  startImpersonation,
+  loadImpersonation,
+  impersonationBlockReason,
+  trackImpersonatedRequest,
+  notifyImpersonatedUsers,
+};
@@ -0,0 +1,151 @@
+const { AdminRole } = require('./admin.models');
+const { User } = require('../auth/auth.models');
+
+// --------- ADMIN PERMISSIONS (RBAC) ----------
+// Har admin route ek permission maangta hai (requirePermission). Admin staff ko ek admin role milta hai
+// (built-in ya custom AdminRole) jiske permissions se access tay hota hai.
+// user.adminRole = null -> purane admin accounts = super admin (poora access).
+// user.adminPincodes = district manager jaisa scope (khali = saare pincodes).
+
+const PERMISSIONS = {
+  'users.view': 'View customers, sellers, partners and contact history',
+  'users.manage': 'Change roles and approvals, delete/restore and force-logout users',
+  'users.impersonate': 'View the app as a customer (read-only support impersonation)',
+  'users.impersonate.write': 'Impersonate with write access (act on behalf of the customer)',
+  'catalog.manage': 'Categories, products, banners, splash screens, affiliate products and services',
+  'catalog.approve': 'Approve or reject seller products',
+  'sellers.verify': 'Review seller KYC applications',
+  'partners.verify': 'Review driver / delivery partner documents',
+  'payouts.process': 'Process seller payouts and print settlements',
+  'orders.manage': 'View orders and update order status',
+  'orders.refund': 'Refund orders and approve returns',
+  'coupons.manage': 'Create, edit and delete coupons',
+  'notifications.send': 'Send broadcasts and schedule notifications',
+  'drivers.manage': 'View drivers and their details',
+  'drivers.punish': 'Block and punish drivers',
+  'complaints.manage': 'View and resolve complaints',
+  'print.manage': 'Print queue, print requests and print service approvals',
+  'settings.view': 'View app settings',
+  'settings.edit': 'Edit app settings',
+  'reports.view': 'Sales, product and financial reports and the dashboard',
+  'jobs.manage': 'View and run background jobs',
+  'staff.manage': 'Manage admin staff, admin roles and admin accounts',
+  'audit.view': 'Search and export the admin audit log',
+};
+
+// Built-in roles (code mein - har deployment mein same). '*' = saari permissions.
+const BUILT_IN_ADMIN_ROLES = {
+  super_admin: { name: 'Super Admin', description: 'Full access', permissions: ['*'] },
+  catalog_moderator: { name: 'Catalog Moderator', description: 'Product approvals and catalog content', permissions: ['catalog.approve', 'catalog.manage'] },
+  finance: { name: 'Finance', description: 'Payouts, refunds and reports', permissions: ['payouts.process', 'orders.refund', 'reports.view', 'settings.view'] },
+  support: {
+    name: 'Support',
+    description: 'Customers, orders, drivers and complaints',
+    permissions: ['users.view', 'users.impersonate', 'orders.manage', 'complaints.manage', 'drivers.manage']
+  },
+  // Reports saare pincodes ka data dete hain - isliye district role mein nahi
+  district_manager: {
+    name: 'District Manager',
+    description: 'Operations for the assigned pincodes',
+    permissions: ['users.view', 'orders.manage', 'drivers.manage', 'complaints.manage', 'sellers.verify', 'partners.verify']
+  },
+};
+
+const isBuiltInAdminRole = (key) => Object.prototype.hasOwnProperty.call(BUILT_IN_ADMIN_ROLES, key);
+
+/**
+ * Permissions of an admin account. Non-admins have none; an unknown role key gets none (fail closed).
+ * @returns {Promise<string[]>}
+ */
+async function getAdminPermissions(user) {
+  if (!user || user.role !== 'admin') return [];
+  if (!user.adminRole) return ['*'];
+  if (isBuiltInAdminRole(user.adminRole)) return BUILT_IN_ADMIN_ROLES[user.adminRole].permissions;
+
+  const role = await AdminRole.findOne({ key: user.adminRole }).select('permissions').lean();
+  return role ? role.permissions : [];
+}
+
+const hasPermission = (permissions, permission) => permissions.includes('*') || permissions.includes(permission);
+
+/**
+ * Pincodes the admin is limited to, or null if not limited.
+ */
+function getAdminScope(user) {
+  return user && user.role === 'admin' && user.adminPincodes && user.adminPincodes.length ? user.adminPincodes : null;
+}
+
+/**
+ * Mongo filter limiting a query to the request's pincode scope ({} when unscoped).
+ * requirePermission ke baad hi use karein (req.adminScope wahi set karta hai).
+ */
+function scopeFilter(req, field = 'pincode') {
+  return req.adminScope ? { [field]: { $in: req.adminScope } } : {};
+}
+
+/**
+ * Same as scopeFilter for User documents: serviceable pincodes or the pickup address pincode.
+ */
+function userScopeFilter(req) {
+  if (!req.adminScope) return {};
+  return { $or: [{ pincodes: { $in: req.adminScope } }, { 'pickupAddress.pincode': { $in: req.adminScope } }] };
+}
+
+/**
+ * Filter for records that point at a user (complaint.driver, kycApplication.seller...): only users in scope.
+ * @returns {Promise<object>} {} when unscoped
+ */
+async function userRefScopeFilter(req, field) {
+  if (!req.adminScope) return {};
+  return { [field]: { $in: await User.find(userScopeFilter(req)).distinct('_id') } };
+}
+
+/**
+ * Is a record with these pincodes inside the request's scope?
+ */
+function isInScope(req, pincodes) {
+  if (!req.adminScope) return true;
+  const list = (Array.isArray(pincodes) ? pincodes : [pincodes]).filter(Boolean).map(String);
+  return list.some(p => req.adminScope.includes(p));
+}
+
+/**
+ * HELPER: User document ke pincodes (scope check ke liye). Admin staff ka area unke adminPincodes hain.
+ */
+const userPincodes = (user) => [
+  ...(user.pincodes || []),
+  ...(user.adminPincodes || []),
+  user.pickupAddress && user.pickupAddress.pincode
+].filter(Boolean);
+
+/**
+ * All assignable roles: built-in first, then custom ones from the database.
+ */
+async function listAdminRoles() {
+  const builtIn = Object.entries(BUILT_IN_ADMIN_ROLES).map(([key, role]) => ({ key, ...role, builtIn: true }));
+  const custom = await AdminRole.find().sort({ name: 1 }).lean();
+  return [...builtIn, ...custom.map(role => ({ ...role, builtIn: false }))];
+}
+
+/**
+ * Does this role key exist (built-in or custom)?
+ */
+async function adminRoleExists(key) {
+  return isBuiltInAdminRole(key) || Boolean(await AdminRole.exists({ key }));
+}
+
+module.exports = {
+  PERMISSIONS,
+  BUILT_IN_ADMIN_ROLES,
+  isBuiltInAdminRole,
+  getAdminPermissions,
+  hasPermission,
+  getAdminScope,
+  scopeFilter,
+  userScopeFilter,
+  userRefScopeFilter,
+  isInScope,
+  userPincodes,
+  listAdminRoles,
+  adminRoleExists,
+};
@@ -0,0 +1,62 @@
+const { AppSettings } = require('./admin.models');
+const { Category, Subcategory } = require('../catalog/catalog.models');
+
+// --- Database Seeding Function ---
+async function seedDatabaseData() {
+  try {
+    const settingsCount = await AppSettings.countDocuments();
+    if (settingsCount === 0) {
+      console.log('Creating default app settings...');
+      await AppSettings.create({ singleton: true, platformCommissionRate: 0.05 });
+      console.log('Default app settings created (5% commission).');
+    }
+
+    // Inside seedDatabaseData function...
+
+const serviceCategoryCount = await Category.countDocuments({ type: 'service' });
+if (serviceCategoryCount === 0) {
+  console.log('Creating Village Service categories...');
+  const serviceCategories = [
+    { name: 'Doctor (Medical)', slug: 'doctor', type: 'service', sortOrder: 10 },
+   
+  ];
+  await Category.insertMany(serviceCategories);
+  console.log('Village Service categories created.');
+}
+
+    const categoryCount = await Category.countDocuments();
+    if (categoryCount === 0) {
+      console.log('No categories found. Creating default categories...');
+      const defaultCategories = [
+        { name: 'Fruits', slug: 'fruits', type: 'product', sortOrder: 1 },
+        
+      ];
+      const createdCategories = await Category.insertMany(defaultCategories);
+      console.log('Default categories created:', createdCategories.map(c => c.name));
+
+      const fruitsId = createdCategories.find(c => c.name === 'Fruits')._id;
+      const vegetablesId = createdCategories.find(c => c.name === 'Vegetables')._id;
+
+      const defaultSubcategories = [
+        { name: 'Mango', category: fruitsId, isTopLevel: true },
+     
+      ];
+      const createdSubcategories = await Subcategory.insertMany(defaultSubcategories);
+      console.log('Default subcategories created.');
+
+      const mangoId = createdSubcategories.find(s => s.name === 'Mango')._id;
+      const neelamMango = {
+        name: 'Neelam Mango',
+        category: fruitsId,
+        parent: mangoId,
+        isTopLevel: false
+      };
+      await Subcategory.create(neelamMango);
+      console.log('3-level subcategory created for Neelam Mango.');
+    }
+  } catch (err) {
+    console.error('Error creating default data:', err.message);
+  }
+}
+
+module.exports = { seedDatabaseData };
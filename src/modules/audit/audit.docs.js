@@ -0,0 +1,15 @@
+// --------- AUDIT LOG API DOCS (see src/docs/openapi.js) ----------
+module.exports = {
+  tag: 'Audit',
+  routes: {
+    'GET /api/admin/audit-logs': {
+      summary: 'Search the admin audit log, newest first',
+      description: 'Filter by actor, action (exact, or a prefix ending in "." such as "order."), target, date range or free text (actor name/email, target id, IP).',
+      response: { logs: ['AuditLog'], total: 'integer', page: 'integer', pages: 'integer' },
+    },
+    'GET /api/admin/audit-logs/export': {
+      summary: 'Download matching audit log entries as CSV (same filters as the search)',
+      produces: 'text/csv',
+    },
+  },
+};
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// 🧾 AUDIT LOG (Admin ke privileged actions - kisne, kya, kis par, kab)
+// ==========================================
+// Append-only: ek baar likha record na update hota hai na delete (neeche hooks).
+const auditLogSchema = new mongoose.Schema({
+  // Kisne kiya (name/email/role ki copy - account delete hone ke baad bhi record padha ja sake)
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+  actorName: { type: String, default: null },
+  actorEmail: { type: String, default: null },
+  actorRole: { type: String, default: null }, // admin staff role (finance, support...) ya 'system'
+
+  // Kya kiya: 'order.refund', 'settings.update', 'driver.punish'...
+  action: { type: String, required: true, index: true },
+
+  // Kis par
+  targetType: { type: String, default: null }, // Model name: Order, User, Product...
+  targetId: { type: String, default: null },
+
+  // Pehle aur baad ki state + field-wise diff
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  // Request body (secrets hata kar) ya extra details
+  metadata: { type: mongoose.Schema.Types.Mixed, default: null },
+
+  // Request details
+  method: { type: String, default: null },
+  path: { type: String, default: null },
+  statusCode: { type: Number, default: null },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+// Append-only: existing record badalne / mitaane wali har query fail
+function rejectChange() {
+  throw new Error('AuditLog is append-only');
+}
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+auditLogSchema.pre('save', function () {
+  if (!this.isNew) rejectChange();
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = { AuditLog };
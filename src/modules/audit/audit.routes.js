@@ -0,0 +1,58 @@
+const express = require('express');
+
+const { authorizeRole, protect, requirePermission } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { AuditLog } = require('./audit.models');
+const { auditCsvRow, buildAuditFilter, csvHeader } = require('./audit.service');
+const schemas = require('./audit.validation');
+
+const router = express.Router();
+
+// Compliance export ek baar mein itni rows tak (zyada ho to date range chhota karein)
+const EXPORT_MAX_ROWS = parseInt(process.env.AUDIT_EXPORT_MAX_ROWS, 10) || 100000;
+
+// ==========================================
+// 🧾 AUDIT LOG (search + CSV export)
+// ==========================================
+router.get('/api/admin/audit-logs', protect, authorizeRole('admin'), requirePermission('audit.view'), validate(schemas.listAuditLogs), async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const filter = buildAuditFilter(req.query);
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+    res.json({ logs, total, page, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching audit logs', error: err.message });
+  }
+});
+
+// Same filters, CSV download (stream - poori list memory mein load nahi hoti)
+router.get('/api/admin/audit-logs/export', protect, authorizeRole('admin'), requirePermission('audit.view'), validate(schemas.exportAuditLogs), async (req, res) => {
+  try {
+    const filter = buildAuditFilter(req.query);
+    const total = await AuditLog.countDocuments(filter);
+    if (total > EXPORT_MAX_ROWS) {
+      return res.status(400).json({ message: `Export is limited to ${EXPORT_MAX_ROWS} rows (${total} match). Please narrow the date range.` });
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${stamp}.csv"`);
+    res.write(`${csvHeader()}\n`);
+
+    const cursor = AuditLog.find(filter).sort({ createdAt: -1 }).lean().cursor();
+    for await (const log of cursor) {
+      res.write(`${auditCsvRow(log)}\n`);
+    }
+    res.end();
+    console.log(`🧾 Admin ${req.user._id} exported ${total} audit log rows.`);
+  } catch (err) {
+    // Headers ja chuke hon to JSON error nahi bhej sakte - stream band karo
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ message: 'Error exporting audit logs', error: err.message });
+  }
+});
+
+module.exports = router;
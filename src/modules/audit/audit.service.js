@@ -0,0 +1,135 @@
+const { AuditLog } = require('./audit.models');
+
+// Ye fields kabhi audit log mein nahi jaate (passwords, OTP, 2FA secrets, tokens)
+const SECRET_KEYS = new Set([
+  'password', 'newpassword', 'oldpassword', 'currentpassword', 'otp', 'code', 'recoverycode',
+  'token', 'refreshtoken', 'fcmtoken', 'twofactorsecret', 'twofactorpendingsecret', 'twofactorrecoverycodes', 'secret',
+]);
+// Har save par badalne wale fields - diff mein noise
+const IGNORED_DIFF_FIELDS = new Set(['updatedAt', '__v']);
+
+/**
+ * HELPER: Mongoose doc / ObjectId / Date ko plain JSON value mein badlo aur secrets hata do
+ */
+function sanitize(value) {
+  if (value === undefined || value === null) return null;
+  const plain = value && typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : value;
+  return JSON.parse(JSON.stringify(plain, (key, v) => (key && SECRET_KEYS.has(key.toLowerCase()) ? '[REDACTED]' : v)));
+}
+
+/**
+ * HELPER: Nested object ko dotted paths mein (arrays ek value maane jaate hain)
+ */
+function flatten(obj, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(obj || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) flatten(value, path, out);
+    else out[path] = value;
+  }
+  return out;
+}
+
+/**
+ * Field-wise diff of two snapshots.
+ * @returns {{ field: string, from: any, to: any }[]}
+ */
+function diffSnapshots(before, after) {
+  const a = flatten(sanitize(before) || {});
+  const b = flatten(sanitize(after) || {});
+  const changes = [];
+  for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (IGNORED_DIFF_FIELDS.has(field.split('.').pop())) continue;
+    const from = field in a ? a[field] : null;
+    const to = field in b ? b[field] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field, from, to });
+  }
+  return changes;
+}
+
+/**
+ * Writes one audit entry. Never throws - a failed audit write is logged, the action itself already happened.
+ * @param {object|null} req  Express request (actor, IP, user agent). null for jobs / system code.
+ * @param {{ action: string, targetType?: string, targetId?: any, before?: any, after?: any,
+ *   metadata?: any, statusCode?: number, actor?: object }} entry  actor defaults to req.user
+ *   (impersonation mein req.user customer hota hai, actor admin)
+ */
+async function recordAudit(req, { action, targetType = null, targetId = null, before = null, after = null, metadata = null, statusCode = null, actor = req && req.user }) {
+  try {
+    const cleanBefore = sanitize(before);
+    const cleanAfter = sanitize(after);
+    return await AuditLog.create({
+      actor: actor ? actor._id : null,
+      actorName: actor ? actor.name : 'System',
+      actorEmail: actor ? actor.email : null,
+      actorRole: actor ? (actor.role === 'admin' ? actor.adminRole || 'super_admin' : actor.role) : 'system',
+      action,
+      targetType,
+      targetId: targetId ? String(targetId) : null,
+      before: cleanBefore,
+      after: cleanAfter,
+      changes: cleanBefore || cleanAfter ? diffSnapshots(cleanBefore, cleanAfter) : [],
+      metadata: sanitize(metadata),
+      method: req ? req.method : null,
+      path: req ? req.originalUrl.split('?')[0] : null,
+      statusCode,
+      ip: req ? req.ip : null,
+      userAgent: req ? req.get('user-agent') || null : null,
+    });
+  } catch (err) {
+    console.error(`🧾 Audit log write failed (${action}):`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Mongo filter from the admin search query (actor, action, target, date range).
+ */
+function buildAuditFilter({ actor, action, targetType, targetId, from, to, search } = {}) {
+  const filter = {};
+  if (actor) filter.actor = actor;
+  // 'order.' jaisa prefix = us group ke saare actions
+  if (action) filter.action = action.endsWith('.') ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } : action;
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+  if (search) {
+    const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    filter.$or = [{ actorName: pattern }, { actorEmail: pattern }, { targetId: pattern }, { ip: pattern }];
+  }
+  return filter;
+}
+
+const CSV_COLUMNS = ['createdAt', 'actorName', 'actorEmail', 'actorRole', 'action', 'targetType', 'targetId', 'changes', 'statusCode', 'method', 'path', 'ip', 'userAgent'];
+
+/**
+ * HELPER: CSV cell - quotes escape, aur Excel formula injection (=, +, -, @) se bachao
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvHeader = () => CSV_COLUMNS.join(',');
+
+/**
+ * One CSV line of an audit entry (changes as "field: from -> to; ...").
+ */
+function auditCsvRow(log) {
+  const changes = (log.changes || []).map(c => `${c.field}: ${JSON.stringify(c.from)} -> ${JSON.stringify(c.to)}`).join('; ');
+  return CSV_COLUMNS.map(col => csvCell(col === 'changes' ? changes : log[col])).join(',');
+}
+
+module.exports = {
+  sanitize,
+  diffSnapshots,
+  recordAudit,
+  buildAuditFilter,
+  csvHeader,
+  auditCsvRow,
+};
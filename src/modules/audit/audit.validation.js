@@ -0,0 +1,25 @@
+const { Joi, objectId } = require('../../middleware/validate');
+
+// --------- AUDIT LOG REQUEST SCHEMAS ----------
+const filters = {
+  actor: objectId(),
+  // Exact action ya 'order.' jaisa prefix
+  action: Joi.string().trim().max(100),
+  targetType: Joi.string().trim().max(50),
+  targetId: Joi.string().trim().max(100),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().min(Joi.ref('from')),
+  search: Joi.string().trim().max(100).allow(''),
+};
+
+const listAuditLogs = {
+  query: Joi.object({
+    ...filters,
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+  }),
+};
+
+const exportAuditLogs = { query: Joi.object(filters) };
+
+module.exports = { listAuditLogs, exportAuditLogs };
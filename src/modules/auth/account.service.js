@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const { DeletedUser, User } = require('./auth.models');
+const { revokeAllSessions } = require('./session.service');
+const { AppSettings } = require('../admin/admin.models');
+const { Review } = require('../catalog/catalog.models');
+const { DeliveryAssignment } = require('../delivery/delivery.models');
+const { Order, PaymentHistory } = require('../orders/orders.models');
+const { PrintJob } = require('../print/print.models');
+const { Complaint, Ride, WalletTransaction } = require('../ride/ride.models');
+const { Payout } = require('../seller/seller.models');
+const { ServiceBooking } = require('../services/services.models');
+
+const DEFAULT_GRACE_DAYS = 30;
+
+// Saare deleted users ke historical records is ek account ko point karte hain
+// (populate par null/crash ki jagah "Deleted User" dikhe, aur required validators bhi pass hon)
+const PLACEHOLDER_EMAIL = 'deleted-user@system.invalid';
+const PLACEHOLDER_NAME = 'Deleted User';
+
+// select:false fields jo archive mein bhi chahiye - inke bina restore par 2FA enabled rehta par secret nahi
+const ARCHIVED_HIDDEN_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorLastStep +twoFactorRecoveryCodes';
+
+// Historical records (orders, rides, payments...) jo delete nahi hote - sirf reference anonymize hota hai.
+// Address/Cart/Wishlist jaise personal records original id par hi rehte hain, restore par apne aap wapas jud jaate hain.
+const ANONYMIZED_REFERENCES = [
+  { model: Order, fields: ['user', 'seller'] },
+  { model: PaymentHistory, fields: ['user'] },
+  { model: DeliveryAssignment, fields: ['deliveryBoy'] },
+  { model: Ride, fields: ['customer', 'driver'] },
+  { model: Complaint, fields: ['user', 'driver'] },
+  { model: WalletTransaction, fields: ['driver', 'seller'] },
+  { model: ServiceBooking, fields: ['user', 'provider'] },
+  { model: PrintJob, fields: ['user', 'seller'] },
+  { model: Review, fields: ['user'] },
+  { model: Payout, fields: ['seller'] },
+];
+
+/**
+ * HELPER: Admin settings se grace period (days). 0 = delete turant.
+ */
+async function getDeletionGraceDays() {
+  const settings = await AppSettings.findOne({ singleton: true }).select('accountDeletionGraceDays').lean();
+  const days = settings && settings.accountDeletionGraceDays;
+  return typeof days === 'number' && days >= 0 ? days : DEFAULT_GRACE_DAYS;
+}
+
+/**
+ * Marks the account for deletion after the grace period and logs it out everywhere,
+ * so the next login (which cancels the deletion) is a deliberate one.
+ * @returns {Promise<Date>} when the account will be deleted
+ */
+async function scheduleAccountDeletion(user, reason, graceDays) {
+  const now = new Date();
+  const scheduledAt = new Date(now.getTime() + graceDays * 24 * 60 * 60 * 1000);
+
+  user.deletionRequestedAt = now;
+  user.deletionScheduledAt = scheduledAt;
+  user.deletionReason = reason;
+  await user.save();
+
+  await revokeAllSessions(user._id, 'account-deletion', { invalidateAccessTokens: true });
+  return scheduledAt;
+}
+
+/**
+ * Login par call hota hai. Pending deletion ho to cancel karta hai.
+ * @returns {Promise<boolean>} true if a scheduled deletion was cancelled
+ */
+async function cancelAccountDeletion(user) {
+  if (!user.deletionScheduledAt) return false;
+
+  user.deletionRequestedAt = null;
+  user.deletionScheduledAt = null;
+  user.deletionReason = null;
+  await user.save();
+  console.log(`♻️ Account deletion cancelled by login: ${user._id}`);
+  return true;
+}
+
+/**
+ * HELPER: Shared "Deleted User" account (pehli baar zarurat par ban jaata hai).
+ * Random non-bcrypt password ki wajah se is account mein koi login nahi kar sakta.
+ */
+async function getDeletedUserPlaceholder() {
+  return User.findOneAndUpdate(
+    { email: PLACEHOLDER_EMAIL },
+    {
+      $setOnInsert: {
+        name: PLACEHOLDER_NAME,
+        email: PLACEHOLDER_EMAIL,
+        password: crypto.randomBytes(32).toString('hex'),
+        role: 'user',
+        approved: false,
+        systemAccount: true,
+      }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+}
+
+/**
+ * Archives the user into DeletedUser, points their historical records at the
+ * "Deleted User" placeholder and removes the User document.
+ * The re-pointed record ids are kept on the archive so an admin restore can undo it.
+ * Archive + anonymize + delete ek transaction mein - beech mein crash hua to retry par duplicate archive nahi banta.
+ * @returns {Promise<object|null>} the archive, or null if the user was already deleted
+ */
+async function finalizeAccountDeletion(user, reason) {
+  const placeholder = await getDeletedUserPlaceholder();
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let archive;
+  try {
+    // Caller ka user doc 2FA secrets ke bina load hota hai - archive ke liye poora dobara padho
+    const fullUser = await User.findById(user._id).select(ARCHIVED_HIDDEN_FIELDS).session(session);
+    if (!fullUser) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    // 1. Pehle saare affected ids collect karo (archive mein save honge)
+    const anonymizedRefs = [];
+    for (const { model, fields } of ANONYMIZED_REFERENCES) {
+      for (const field of fields) {
+        const ids = await model.find({ [field]: fullUser._id }).session(session).distinct('_id');
+        if (ids.length) anonymizedRefs.push({ refModel: model.modelName, field, ids });
+      }
+    }
+
+    // 2. Archive (full backup + anonymized ids)
+    [archive] = await DeletedUser.create([{
+      originalUserId: fullUser._id,
+      name: fullUser.name,
+      email: fullUser.email,
+      phone: fullUser.phone,
+      role: fullUser.role,
+      userData: fullUser.toObject(),
+      deletionReason: reason || fullUser.deletionReason || 'Manual-Request',
+      deletedAt: new Date(),
+      anonymizedRefs
+    }], { session });
+
+    // 3. References anonymize karo
+    for (const ref of anonymizedRefs) {
+      const { model } = ANONYMIZED_REFERENCES.find(r => r.model.modelName === ref.refModel);
+      await model.updateMany({ _id: { $in: ref.ids }, [ref.field]: fullUser._id }, { $set: { [ref.field]: placeholder._id } }, { session });
+    }
+
+    // 4. User delete
+    await User.deleteOne({ _id: fullUser._id }, { session });
+    await session.commitTransaction();
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+
+  // 5. Sessions band (user ab exist nahi karta - fail hua to bhi tokens kaam nahi karenge)
+  await revokeAllSessions(user._id, 'account-deletion');
+  return archive;
+}
+
+/**
+ * Rebuilds the User from the archive (same _id) and re-links the records that were anonymized.
+ * @returns {Promise<{ user?: object, conflict?: string }>}
+ */
+async function restoreDeletedUser(archive, adminId) {
+  const userId = archive.originalUserId || (archive.userData && archive.userData._id);
+  if (!archive.userData || !userId) return { conflict: 'Archive has no user data to restore.' };
+
+  // Phone/email ab kisi naye account ke paas ho sakta hai
+  const identifiers = [{ _id: userId }];
+  if (archive.userData.email) identifiers.push({ email: archive.userData.email });
+  if (archive.userData.phone) identifiers.push({ phone: archive.userData.phone });
+  if (await User.exists({ $or: identifiers })) {
+    return { conflict: 'An account with this id, email or phone already exists.' };
+  }
+
+  // Purane archives mein 2FA secret save nahi hua - enabled flag ke saath restore hua to login hi nahi ho payega
+  const twoFactorLost = archive.userData.twoFactorEnabled && !archive.userData.twoFactorSecret;
+
+  const user = await User.create({
+    ...archive.userData,
+    ...(twoFactorLost ? { twoFactorEnabled: false, twoFactorSecret: null, twoFactorLastStep: null, twoFactorRecoveryCodes: [] } : {}),
+    _id: userId,
+    deletionRequestedAt: null,
+    deletionScheduledAt: null,
+    deletionReason: null,
+    isOnline: false,
+    // Deletion se pehle ke tokens restore ke baad bhi kaam na karein
+    tokensRevokedAt: new Date(),
+    lastActiveAt: new Date()
+  });
+
+  const placeholder = await User.findOne({ email: PLACEHOLDER_EMAIL }).select('_id').lean();
+  if (placeholder) {
+    for (const ref of archive.anonymizedRefs || []) {
+      const entry = ANONYMIZED_REFERENCES.find(r => r.model.modelName === ref.refModel);
+      if (!entry) continue;
+      await entry.model.updateMany({ _id: { $in: ref.ids }, [ref.field]: placeholder._id }, { $set: { [ref.field]: user._id } });
+    }
+  }
+
+  archive.restoredAt = new Date();
+  archive.restoredBy = adminId;
+  await archive.save();
+  return { user };
+}
+
+module.exports = {
+  getDeletionGraceDays,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  getDeletedUserPlaceholder,
+  finalizeAccountDeletion,
+  restoreDeletedUser,
+};
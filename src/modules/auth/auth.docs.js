@@ -0,0 +1,145 @@
+// --------- AUTH API DOCS (see src/docs/openapi.js) ----------
+const authUser = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    email: { type: 'string' },
+    phone: { type: 'string' },
+    role: { type: 'string', description: 'Active mode' },
+    roles: {
+      type: 'array',
+      description: 'Roles held by the account, each with its own approval',
+      items: { type: 'object', properties: { role: { type: 'string' }, approved: { type: 'boolean' }, grantedAt: { type: 'string', format: 'date-time' } } },
+    },
+    pincodes: { type: 'array', items: { type: 'string' } },
+    approved: { type: 'boolean' },
+    kycStatus: { type: 'string', description: 'Seller KYC status (None, Draft, Pending, Approved, Rejected)' },
+  },
+};
+
+module.exports = {
+  tag: 'Auth',
+  schemas: {
+    AuthUser: authUser,
+    TokenPair: {
+      type: 'object',
+      properties: {
+        token: { type: 'string', description: 'Short-lived access token (Bearer)' },
+        refreshToken: { type: 'string', description: 'Rotating refresh token for POST /api/auth/refresh' },
+        expiresIn: { type: 'string', example: '15m' },
+      },
+    },
+    AuthResponse: {
+      allOf: [
+        { $ref: '#/components/schemas/TokenPair' },
+        {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            deletionCancelled: { type: 'boolean', description: 'True when this login cancelled a scheduled account deletion' },
+            user: { $ref: '#/components/schemas/AuthUser' },
+          },
+        },
+      ],
+    },
+  },
+  routes: {
+    'POST /api/auth/send-otp-register': {
+      summary: 'Send registration OTP on WhatsApp',
+      description: 'Resends are rate limited per phone (429 with retryAfter seconds while cooling down or locked).',
+      response: { message: 'string' },
+    },
+    'POST /api/auth/register-with-otp': {
+      summary: 'Verify OTP and register a customer',
+      description: 'Wrong codes return attemptsLeft; after 5 wrong codes the phone is locked out (429) for 30 minutes.',
+      status: 201,
+      response: 'AuthResponse',
+    },
+    'POST /api/auth/verify-login-otp': { summary: 'Log in (or auto-register) with a Firebase phone token', response: 'AuthResponse' },
+    'POST /api/auth/register': { summary: 'Register with password (user, seller, delivery, provider, driver)', status: 201, response: 'AuthResponse' },
+    'POST /api/auth/login': {
+      summary: 'Log in with phone or email and password',
+      description: 'Admins with 2FA get { twoFactorRequired: true, challengeToken } instead of tokens; finish with POST /api/auth/2fa/verify. '
+        + 'Admins without 2FA get { twoFactorSetupRequired: true, setupToken }: a 15 minute token accepted only by POST /api/auth/2fa/setup and /enable.',
+      response: 'AuthResponse',
+    },
+    'POST /api/auth/2fa/verify': {
+      summary: 'Second login step for admins: challenge token + TOTP or recovery code',
+      description: 'Wrong codes count per account (shared with step-up); after 5 the account is locked for 15 minutes (429 with retryAfter seconds).',
+      response: 'AuthResponse',
+    },
+    'POST /api/auth/2fa/setup': {
+      summary: 'Start 2FA setup (secret and QR for an authenticator app)', response: { secret: 'string', otpauthUrl: 'string', qrCodeDataUrl: 'string' },
+    },
+    'POST /api/auth/2fa/enable': {
+      summary: 'Confirm the first code and enable 2FA; returns recovery codes once',
+      description: 'Called with the login setup token, it also starts the session (token, refreshToken, user).',
+      response: { message: 'string', recoveryCodes: ['string'], token: 'string', refreshToken: 'string' },
+    },
+    'POST /api/auth/2fa/disable': { summary: 'Disable 2FA (needs a current code)', response: { message: 'string' } },
+    'POST /api/auth/2fa/recovery-codes': { summary: 'Replace recovery codes', response: { message: 'string', recoveryCodes: ['string'] } },
+    'POST /api/auth/step-up': {
+      summary: 'Re-authenticate with 2FA before sensitive admin actions',
+      description: 'Shares the per-account wrong-code limit with /api/auth/2fa/verify (429 with retryAfter while locked).',
+      response: { message: 'string' },
+    },
+    'GET /api/auth/ip-allowlist': { summary: 'Own admin IP allowlist', response: { ips: ['string'], currentIp: 'string' } },
+    'PUT /api/auth/ip-allowlist': { summary: 'Replace own admin IP allowlist (IPs or CIDR ranges)', response: { message: 'string', ips: ['string'] } },
+    'POST /api/auth/forgot-password': {
+      summary: 'Send password reset OTP on WhatsApp',
+      description: 'Resends are rate limited per phone (429 with retryAfter seconds while cooling down or locked).',
+      response: { message: 'string' },
+    },
+    'POST /api/auth/reset-password-with-otp': {
+      summary: 'Reset password using the WhatsApp OTP',
+      description: 'Wrong codes return attemptsLeft; after 5 wrong codes the phone is locked out (429) for 30 minutes.',
+      response: { message: 'string' },
+    },
+    'GET /api/auth/profile': { summary: 'Current user profile', response: 'User' },
+    'PUT /api/auth/profile': { summary: 'Update profile, pincodes and pickup location', response: 'User' },
+    'POST /api/auth/refresh': { summary: 'Exchange a refresh token for a new token pair (refresh token rotates)', response: 'TokenPair' },
+    'POST /api/auth/logout': { summary: 'Revoke the current session (by refresh token or Authorization header)', response: { message: 'string' } },
+    'GET /api/auth/sessions': { summary: 'Devices currently logged in', response: ['object'] },
+    'DELETE /api/auth/sessions/{id}': { summary: 'Log out one device', response: { message: 'string' } },
+    'DELETE /api/auth/sessions': { summary: 'Log out every other device', response: { message: 'string', count: 'integer' } },
+    'POST /api/auth/save-fcm-token': { summary: 'Save the device FCM token for push notifications', response: { message: 'string' } },
+    'POST /api/auth/data-export': {
+      summary: 'Request a copy of all personal data (zip of JSON files, built in the background)',
+      description: 'Returns 202 with a new export, or 200 with the export that is already queued or ready.',
+      status: 202,
+      response: { message: 'string', export: 'DataExport' },
+    },
+    'GET /api/auth/data-export': { summary: 'Own recent data exports and their status', response: ['DataExport'] },
+    'GET /api/auth/data-export/{id}/download': {
+      summary: 'Download a ready export (once; the archive is deleted after download or when it expires)',
+      description: '409 while the export is still being prepared, 410 once it was downloaded or has expired.',
+      produces: 'application/zip',
+    },
+    'PUT /api/auth/profile/role': {
+      summary: 'Switch app mode (customer, seller, driver, provider, delivery)',
+      description: 'Switching to a role the account does not hold yet adds it; seller needs KYC and admin approval, driver needs a vehicleType. '
+        + 'Requests are authorized against the active mode.',
+      response: { message: 'string', role: 'string', approved: 'boolean', kycStatus: 'string', roles: ['object'] },
+    },
+    'POST /api/auth/change-contact': {
+      summary: 'Start a phone number or email change',
+      description: 'Sends one OTP to the current contact (the phone on WhatsApp when there is no real email) and one to the new contact. '
+        + '409 if another account uses the new value; 429 while OTP resends are cooling down.',
+      status: 201,
+      response: { message: 'string', requestId: 'string', type: 'string', newValue: 'string', currentTarget: 'string', expiresAt: 'string' },
+    },
+    'POST /api/auth/change-contact/{id}/verify': {
+      summary: 'Confirm a phone number or email change',
+      description: 'Send currentCode and newCode together or one at a time. The contact changes once both are verified; '
+        + 'other devices are logged out and the old contact is alerted. 410 once the request has expired.',
+      response: { message: 'string', waitingFor: ['string'], user: 'AuthUser' },
+    },
+    'DELETE /api/auth/delete-account': {
+      summary: 'Schedule deletion of own account',
+      description: 'Logs out every device and deletes the account after the grace period (AppSettings.accountDeletionGraceDays). '
+        + 'Logging in before deletionScheduledAt cancels it. With a grace period of 0 the account is archived immediately.',
+      response: { message: 'string', deletionScheduledAt: 'string' },
+    },
+  },
+};
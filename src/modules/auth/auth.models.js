@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['user', 'seller', 'admin', 'delivery', 'provider', 'driver'];
+
+const userSchema = new mongoose.Schema({
+    name: String,
+    email: { type: String, unique: true, sparse: true, index: true },
+    password: { type: String, required: true },
+    phone: { type: String, unique: true, sparse: true, index: true },
+    
+    // ✅ ROLE: abhi wala mode (active role). Multi-role account mein app isse switch karti hai (PUT /api/auth/profile/role)
+    role: { 
+        type: String, 
+        enum: ROLES, 
+        default: 'user', 
+        index: true 
+    },
+
+    // 👥 Multi-role: account ke paas jo roles hain, har role ka apna approval.
+    // Purane accounts mein khali hota hai - pehli save par role/approved se ban jaata hai (pre-save hook neeche).
+    roles: [{
+        _id: false,
+        role: { type: String, enum: ROLES, required: true },
+        approved: { type: Boolean, default: true },
+        grantedAt: { type: Date, default: Date.now },
+        // 🪪 Driver / delivery documents isi role ke liye verified? (refreshPartnerVerification likhta hai)
+        // Default nahi - purane grants par undefined rehta hai, tab tak top-level copy maani jaati hai
+        documentsVerified: Boolean,
+        documentsExpireAt: Date
+    }],
+    
+    pincodes: { type: [String], default: [] },
+    
+    // General Account Approval (Login enable/disable) - active role ke approval ki copy
+    approved: { type: Boolean, default: true, index: true },
+
+    // 🪪 Seller KYC status (KycApplication.status ki copy, taaki checkSellerApproved ko extra query na karni pade)
+    // None = abhi tak application nahi bani
+    kycStatus: {
+        type: String,
+        enum: ['None', 'Draft', 'Pending', 'Approved', 'Rejected'],
+        default: 'None'
+    },
+    // KYC se pehle approved sellers ki grace: is date tak bina approved KYC ke bhi bech sakte hain
+    // ('seller-kyc-grace' job set karta hai, ek hi baar). null = koi grace nahi.
+    kycDeadline: { type: Date, default: null },
+    kycGraceNoticesSent: { type: [Number], default: [] }, // Deadline se itne din pehle wale notices (30 / 7 / 1 / 0 = lapsed)
+
+    // 🖨️ ✅ NEW: PRINT SERVICE PERMISSION STATUS
+    // None = अभी तक अप्लाई नहीं किया
+    // Pending = अप्लाई किया है, एडमिन का वेट कर रहा है
+    // Approved = एडमिन ने परमिशन दे दी (User को दिखेगा)
+    // Rejected = एडमिन ने मना कर दिया
+    printServiceStatus: { 
+        type: String, 
+        enum: ['None', 'Pending', 'Approved', 'Rejected'], 
+        default: 'None',
+        index: true 
+    },
+
+    
+    pickupAddress: {
+        street: String,
+        village: String,
+        landmark: String,
+        city: String,
+        state: String,
+        pincode: String,
+        isSet: { type: Boolean, default: false }
+    },
+    
+    lockExpiresAt: { type: Date, default: null }, 
+    blockReason: { type: String, default: null }, 
+    
+    // ======== ✨ EXISTING PAYOUT DETAILS ✨ ========
+    payoutDetails: {
+        razorpayContactId: { type: String, default: null }, 
+        razorpayFundAccountId: { type: String, default: null, index: true }, 
+        accountType: { type: String, enum: ['bank', 'vpa', null], default: null },
+        bankAccountNumber: { type: String, default: null },
+        ifsc: { type: String, default: null },
+        vpa: { type: String, default: null } 
+    },
+    
+    // ======== 🚖 DRIVER / RIDE BOOKING FIELDS 🚖 ========
+    vehicleType: { 
+        type: String, 
+        enum: ['Bike', 'Auto', 'Car', 'Tempo', 'E-Rickshaw'],
+        default: null 
+    },
+    
+    walletBalance: { type: Number, default: 0 }, 
+    isLocked: { type: Boolean, default: false }, 
+    isOnline: { type: Boolean, default: false }, 
+    
+    // GeoJSON for finding nearest driver
+    location: {
+        type: { type: String, default: 'Point' },
+        coordinates: { type: [Number], default: [0, 0] } // [longitude, latitude]
+    },
+
+    // 🪪 Driver / delivery documents - active role ke grant ki copy (asli state roles[].documentsVerified mein)
+    // documentsExpireAt = mandatory documents mein sabse pehle expire hone wali date
+    documentsVerified: { type: Boolean, default: false },
+    documentsExpireAt: { type: Date, default: null },
+    // ========================================================
+
+    // Track last active time
+    lastActiveAt: { type: Date, default: Date.now, index: true },
+
+    // Force logout: isse pehle issue hue saare access tokens invalid (purane 365-day tokens bhi)
+    tokensRevokedAt: { type: Date, default: null },
+
+    // 🗑️ Account deletion grace period (dekhein account.service.js)
+    // deletionScheduledAt tak login karne par deletion cancel ho jaata hai; uske baad cleanup job account archive karta hai
+    deletionRequestedAt: { type: Date, default: null },
+    deletionScheduledAt: { type: Date, default: null, index: true },
+    deletionReason: { type: String, enum: ['Auto-Inactive', 'Manual-Request', null], default: null },
+
+    // 'Deleted User' placeholder account (deleted users ke purane orders/rides isse point karte hain)
+    systemAccount: { type: Boolean, default: false },
+
+    // ======== 🔐 ADMIN 2FA / IP ALLOWLIST ========
+    twoFactorEnabled: { type: Boolean, default: false },
+    twoFactorSecret: { type: String, default: null, select: false },
+    twoFactorPendingSecret: { type: String, default: null, select: false }, // Setup ke baad, enable hone tak
+    twoFactorLastStep: { type: Number, default: null, select: false }, // Same TOTP code dobara use na ho
+    twoFactorRecoveryCodes: { type: [String], default: [], select: false }, // sha256 hashes
+    twoFactorFailedAttempts: { type: Number, default: 0 }, // Galat 2FA codes (login verify / step-up), sahi code par reset
+    twoFactorLockedUntil: { type: Date, default: null },
+    ipAllowlist: { type: [String], default: [] }, // Khali = kahin se bhi login allowed
+
+    // ======== 🛡️ ADMIN STAFF (RBAC - dekhein admin/rbac.service.js) ========
+    // null = full access (purane admin accounts). Built-in key (finance, support...) ya custom AdminRole.key
+    adminRole: { type: String, default: null },
+    // District manager jaisa scope: sirf in pincodes ka data (khali = saare)
+    adminPincodes: { type: [String], default: [] },
+
+    fcmToken: { type: String, default: null }
+}, { timestamps: true });
+
+// ✅ IMPORTANT: Create Index for Geospatial Queries
+userSchema.index({ location: '2dsphere' });
+userSchema.index({ 'roles.role': 1, 'roles.approved': 1 });
+
+// role/approved (active mode) aur roles (grants) ko sync rakho:
+// - naya active role -> grant ban jaata hai (purana approved ke saath)
+// - approved badla -> active role ke grant par bhi
+// - sirf mode switch hua -> approved aur documents status us role ke grant se aata hai
+userSchema.pre('save', function () {
+  const grant = this.roles.find(r => r.role === this.role);
+  if (!grant) {
+    this.roles.push({ role: this.role, approved: this.approved, documentsVerified: this.documentsVerified, documentsExpireAt: this.documentsExpireAt });
+    return;
+  }
+  if (this.isModified('approved')) {
+    grant.approved = this.approved;
+  } else if (this.isModified('role')) {
+    this.approved = grant.approved;
+  }
+  if (this.isModified('role')) {
+    this.documentsVerified = Boolean(grant.documentsVerified);
+    this.documentsExpireAt = grant.documentsExpireAt || null;
+  }
+});
+
+const User = mongoose.model('User', userSchema);
+
+// ------------------------------------------------------------------
+// ✅ NEW MODEL: To Store Deleted/Archived Users
+// ------------------------------------------------------------------
+const deletedUserSchema = new mongoose.Schema({
+  originalUserId: { type: mongoose.Schema.Types.ObjectId, index: true },
+  name: String,
+  email: String,
+  phone: String,
+  role: String,
+  userData: { type: Object }, // Store full original JSON data here
+  deletionReason: { type: String, enum: ['Auto-Inactive', 'Manual-Request', 'Admin-Delete'], required: true },
+  deletedAt: { type: Date, default: Date.now },
+  // Orders/rides etc. jinka reference 'Deleted User' placeholder par shift hua (restore par wapas link hote hain)
+  anonymizedRefs: [{
+    refModel: String,
+    field: String,
+    ids: [mongoose.Schema.Types.ObjectId]
+  }],
+  restoredAt: { type: Date, default: null },
+  restoredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { strict: false }); // strict: false allows saving any extra fields
+
+const DeletedUser = mongoose.model('DeletedUser', deletedUserSchema);
+
+// ------------------------------------------------------------------
+// ✅ Device Sessions (refresh tokens)
+// ------------------------------------------------------------------
+// Har login = ek session (ek device). Refresh token har use par rotate hota hai; sirf uska hash store hota hai.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true },
+  previousTokenHash: { type: String, default: null }, // Rotate ho chuka token dobara aaye = token chori, session revoke
+  deviceId: { type: String, default: null },
+  deviceName: { type: String, default: null },
+  platform: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  ip: { type: String, default: null },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  stepUpAt: { type: Date, default: null }, // Sensitive admin actions se pehle 2FA dobara (src/middleware/auth.js)
+  revokedReason: { type: String, enum: ['logout', 'user-revoked', 'admin-force-logout', 'token-reuse', 'password-reset', 'account-deletion', 'contact-change', 'admin-role-change', null], default: null },
+}, { timestamps: true });
+
+// Expired sessions 30 din baad apne aap delete
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 3600 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+// ------------------------------------------------------------------
+// ✅ Personal Data Export (DPDP)
+// ------------------------------------------------------------------
+// User request karta hai -> 'data-exports' job zip banata hai -> user ek baar download karta hai.
+// Download ke baad (ya expiresAt tak download na ho to) archive hata diya jaata hai; record audit ke liye rehta hai.
+const dataExportSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'ready', 'downloaded', 'expired', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  startedAt: { type: Date, default: null },
+  completedAt: { type: Date, default: null },
+  archive: { type: Buffer, select: false }, // Zip file (sirf download route select karta hai)
+  fileName: { type: String, default: null },
+  size: { type: Number, default: null },
+  expiresAt: { type: Date, default: null },
+  downloadedAt: { type: Date, default: null },
+  error: { type: String, default: null },
+}, { timestamps: true });
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+// ------------------------------------------------------------------
+// ✅ Phone / Email Change (dono taraf OTP) + audit trail
+// ------------------------------------------------------------------
+// Purane aur naye dono contact par OTP verify hone ke baad hi change hota hai.
+// Completed records purane numbers ki history hain (fraud checks - dekhein GET /api/admin/contact-history).
+const contactChangeSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  type: { type: String, enum: ['phone', 'email'], required: true },
+  oldValue: { type: String, default: null, index: true },
+  newValue: { type: String, required: true, index: true },
+  // Purana contact na ho (ya placeholder email ho) to current wala OTP phone par jaata hai
+  currentChannel: { type: String, enum: ['whatsapp', 'email'], required: true },
+  currentTarget: { type: String, required: true },
+  currentVerifiedAt: { type: Date, default: null },
+  newVerifiedAt: { type: Date, default: null },
+  status: { type: String, enum: ['pending', 'completed', 'cancelled', 'expired'], default: 'pending', index: true },
+  expiresAt: { type: Date, required: true },
+  completedAt: { type: Date, default: null },
+  firebaseSynced: { type: Boolean, default: null }, // null = Firebase mein is contact ka koi account nahi tha
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+}, { timestamps: true });
+
+const ContactChange = mongoose.model('ContactChange', contactChangeSchema);
+
+module.exports = { User, DeletedUser, Session, DataExport, ContactChange };
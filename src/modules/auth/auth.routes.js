@@ -0,0 +1,950 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const qrcode = require('qrcode');
+
+const { getFirebaseAdmin } = require('../../config/firebase');
+const { authorizeRole, protect, requireStepUp } = require('../../middleware/auth');
+const { audit } = require('../../middleware/audit');
+const { validate } = require('../../middleware/validate');
+const { issueOtp, otpHttpStatus, verifyOtp } = require('../../otp');
+const { cancelAccountDeletion, finalizeAccountDeletion, getDeletionGraceDays, scheduleAccountDeletion } = require('./account.service');
+const { ContactChange, DataExport, Session, User } = require('./auth.models');
+const { placeholderEmail, startContactChange, verifyContactChange } = require('./contactChange.service');
+const { getRoleGrants, roleQuery, rolesOf, switchRole } = require('./roles.service');
+const { createSession, revokeAllSessions, revokeByRefreshToken, revokeSession, rotateRefreshToken } = require('./session.service');
+const { generateRecoveryCodes, generateSecret, isIpAllowed, otpauthUrl, verifySecondFactor, verifyTotp } = require('./twoFactor.service');
+const { Order } = require('../orders/orders.models');
+const { WalletTransaction } = require('../ride/ride.models');
+const { notifyAdmin, sendPushNotification, sendWhatsApp } = require('../notifications/notifications.service');
+const schemas = require('./auth.validation');
+
+const router = express.Router();
+
+// --------------------------------------------------------------------------------
+// --------- AUTH ROUTES (Includes new OTP Registration and existing Firebase/Login) ----------
+// --------------------------------------------------------------------------------
+
+// --- NEW OTP REGISTRATION ENDPOINTS ---
+
+// [NEW] 1. Endpoint to send the OTP for registration
+router.post('/api/auth/send-otp-register', validate(schemas.sendOtpRegister), async (req, res) => {
+    try {
+        const { phone } = req.body;
+        if (!phone) return res.status(400).json({ message: 'Phone number is required.' });
+
+        // 1. Ensure user does not already exist as a finalized user
+        const existingUser = await User.findOne({ phone, ...roleQuery('user', { approved: true }) });
+        if (existingUser) {
+            return res.status(409).json({ message: 'User with this phone number is already registered. Please log in.' });
+        }
+
+        // 2. Generate OTP (hashed, 10 min expiry, resend cooldown - src/otp)
+        const result = await issueOtp('register', phone);
+        if (result.status !== 'sent') return res.status(otpHttpStatus(result)).json({ message: result.message, retryAfter: result.retryAfter });
+
+        // 3. Send OTP
+        const message = `Namaste! Your OTP for registration is ${result.code}. This OTP is valid for 10 minutes.`;
+        await sendWhatsApp(phone, message); 
+
+        res.status(200).json({ message: 'OTP sent successfully. Proceed to verification.' });
+
+    } catch (err) {
+        console.error('Send OTP for registration error:', err.message);
+        res.status(500).json({ message: 'Server error sending OTP.' });
+    }
+});
+
+
+// [NEW] 2. Endpoint to verify OTP and finalize registration
+router.post('/api/auth/register-with-otp', validate(schemas.registerWithOtp), async (req, res) => {
+    try {
+        const { name, email, phone, pincode, otp } = req.body;
+        
+        if (!name || !phone || !pincode || !otp) {
+            return res.status(400).json({ message: 'Name, phone, pincode, and OTP are required for registration.' });
+        }
+
+        // 1. Verify the OTP (galat tries count hote hain, limit ke baad lockout)
+        const check = await verifyOtp('register', phone, otp);
+        if (check.status !== 'valid') {
+            return res.status(otpHttpStatus(check)).json({ message: check.message, attemptsLeft: check.attemptsLeft, retryAfter: check.retryAfter });
+        }
+
+        // 2. Purane flow ka temporary (unapproved) record ho to wahi finalize, warna naya user
+        let user = await User.findOne({ phone });
+        if (user && user.approved) {
+            return res.status(409).json({ message: 'An account with this email/phone already exists. Please log in.' });
+        }
+        if (!user) {
+            user = new User({ phone, role: 'user' });
+        }
+
+        // 3. Finalize User Creation/Update
+        const finalEmail = email || placeholderEmail(phone, 'register');
+        
+        // Ensure email uniqueness if provided and if it's different from the temporary one
+        if (email && finalEmail !== user.email) {
+            const emailCheck = await User.findOne({ email: finalEmail });
+            if (emailCheck && emailCheck.phone !== phone) {
+                return res.status(409).json({ message: 'This email address is already in use.' });
+            }
+        }
+        
+        // Create a real password hash (since the password field is required and we need a secure hash)
+        const newPassword = crypto.randomBytes(16).toString('hex');
+        const finalPasswordHash = await bcrypt.hash(newPassword, 10);
+
+
+        user.name = name;
+        user.email = finalEmail; 
+        user.password = finalPasswordHash;
+        user.pincodes = [pincode];
+        user.approved = true; 
+        await user.save();
+
+
+        // 4. Registration successful, generate local JWT token
+        const tokens = await createSession(user, req);
+        
+        await sendWhatsApp(user.phone, `🎉 Welcome, ${user.name}! Your account is created. You can now log in and start shopping.`);
+        
+        res.status(201).json({ 
+            ...tokens, 
+            message: 'Registration successful!',
+            user: { id: user._id, name: user.name, email: user.email, phone: user.phone, role: user.role, pincodes: user.pincodes, approved: user.approved } 
+        });
+
+    } catch (err) {
+        console.error('Register with OTP error:', err.message);
+        if (err.code === 11000) {
+            return res.status(409).json({ message: 'An account with this email/phone already exists. Please log in.' });
+        }
+        res.status(500).json({ message: 'Server error during OTP registration.' });
+    }
+});
+
+
+// --- MODIFIED: Verify Firebase ID Token and handle auto-registration ---
+router.post('/api/auth/verify-login-otp', validate(schemas.verifyLoginOtp), async (req, res) => {
+  try {
+    const { firebaseToken } = req.body;
+    if (!firebaseToken) {
+      return res.status(400).json({ message: 'Firebase ID Token is required.' });
+    }
+
+    // 1. Verify the Firebase ID Token
+    const decodedToken = await getFirebaseAdmin().auth().verifyIdToken(firebaseToken);
+    const phoneNumber = decodedToken.phone_number;
+    
+    if (!phoneNumber) {
+      return res.status(401).json({ message: 'Firebase token missing phone number.' });
+    }
+
+    // 2. Find the user in the local database
+    let user = await User.findOne({ phone: phoneNumber, ...roleQuery('user') });
+
+    if (!user) {
+        // *** Auto-Register New User (only for 'user' role via OTP) ***
+        const defaultName = `User-${phoneNumber.slice(-4)}`;
+        // Create a temporary password hash (required by schema)
+        const temporaryPasswordHash = await bcrypt.hash(crypto.randomBytes(16).toString('hex'), 10);
+        
+        user = await User.create({
+            name: defaultName,
+            // Create a unique placeholder email
+            email: placeholderEmail(phoneNumber, 'otp-login'), 
+            phone: phoneNumber,
+            password: temporaryPasswordHash, 
+            role: 'user',
+            approved: true
+        });
+        console.log(`✅ Auto-registered new user: ${user.phone}`);
+    }
+
+    if (!rolesOf(user).includes('user')) {
+        return res.status(403).json({ message: 'Phone login is restricted to user accounts.' });
+    }
+
+    // Phone OTP login customer app se hota hai - multi-role account customer mode mein khulega
+    if (user.role !== 'user') {
+        switchRole(user, 'user');
+        await user.save();
+    }
+
+    // 3. Login successful: pending account deletion cancel, then local JWT token
+    const deletionCancelled = await cancelAccountDeletion(user);
+    const tokens = await createSession(user, req);
+    res.json({ 
+        ...tokens, 
+        deletionCancelled,
+        user: { 
+            id: user._id, 
+            name: user.name, 
+            email: user.email, 
+            phone: user.phone, 
+            role: user.role, 
+            roles: getRoleGrants(user),
+            pincodes: user.pincodes, 
+            approved: user.approved 
+        } 
+    });
+
+  } catch (err) {
+    let message = 'Error verifying Firebase token. Please ensure Phone Sign-in is enabled in Firebase Console.';
+    if (err.code && err.code.startsWith('auth/')) {
+        message = `Firebase Auth Error: ${err.message}`;
+    }
+    console.error('Verify Login OTP/Firebase Token Error:', err.message);
+    res.status(401).json({ message: message });
+  }
+});
+
+// ✅ UPDATED REGISTER ROUTE (With ₹500 Seller Bonus)
+router.post('/api/auth/register', validate(schemas.register), async (req, res) => {
+  try {
+    const { name, email, password, phone, role = 'user', pincodes, vehicleType } = req.body;
+    
+    // --- 1. Validation ---
+    if (!name || !password || !phone) return res.status(400).json({ message: 'Name, password, and phone number are required' });
+
+    if (role === 'seller' && !email) {
+        return res.status(400).json({ message: 'Email is required for seller registration.' });
+    }
+    if ((role === 'user' || role === 'delivery') && !phone) {
+      return res.status(400).json({ message: 'Phone number is required for user/delivery registration.' });
+    }
+    
+    // Driver Validation
+    if (role === 'driver' && !vehicleType) {
+        return res.status(400).json({ message: 'Vehicle Type is required for drivers.' });
+    }
+
+    // --- 2. Check Existing User ---
+    let existingUser;
+    if (role === 'seller') {
+        existingUser = await User.findOne({ email });
+    } else {
+        existingUser = await User.findOne({ phone });
+    }
+
+    if (existingUser) {
+      return res.status(409).json({ message: 'User with this email or phone number already exists' });
+    }
+
+    const hashed = await bcrypt.hash(password, 10);
+
+    // --- 3. Determine Status & Bonus ---
+    let approved = true;
+    let initialBalance = 0; 
+    const SELLER_BONUS_AMOUNT = 500;
+
+    if (role === 'seller') {
+      approved = false; // Sellers need approval
+      initialBalance = SELLER_BONUS_AMOUNT; // 🎁 GIVE 500 BONUS
+    }
+
+    // --- 4. Create User ---
+    const user = await User.create({ 
+        name, 
+        email, 
+        password: hashed, 
+        phone, 
+        role, 
+        pincodes: Array.isArray(pincodes) ? pincodes : [], 
+        approved,
+        vehicleType: role === 'driver' ? vehicleType : null,
+        walletBalance: initialBalance // ✅ Apply Bonus Here
+    });
+
+    // --- 5. 🎁 BONUS LOGIC: Create Transaction & Notify ---
+    if (role === 'seller') {
+      // A. Create Transaction History
+      await WalletTransaction.create({
+          seller: user._id,
+          type: 'Credit',
+          amount: SELLER_BONUS_AMOUNT,
+          balanceBefore: 0,
+          balanceAfter: SELLER_BONUS_AMOUNT,
+          description: '🎁 Welcome Bonus! (Registration Reward)'
+      });
+
+      // B. Notify Admin
+      await notifyAdmin(`🆕 New Seller Registered (KYC pending)\n\nName: ${user.name}\nEmail: ${user.email}\nPhone: ${user.phone}\nWallet: Credited ₹500 Bonus`);
+      
+      // C. Notify Seller (WhatsApp)
+      if (user.phone) {
+          const welcomeMsg = `🎉 Welcome to Quick Sauda, ${user.name}!\n\nCongratulations! You have received a ₹500 Welcome Bonus in your wallet. Please complete your KYC (business details, PAN and shop documents) in the app to start selling.`;
+          await sendWhatsApp(user.phone, welcomeMsg);
+      }
+    }
+
+    const tokens = await createSession(user, req);
+    
+    res.status(201).json({ 
+        ...tokens, 
+        user: { 
+            id: user._id, 
+            name: user.name, 
+            email: user.email, 
+            phone: user.phone, 
+            role: user.role, 
+            pincodes: user.pincodes, 
+            approved: user.approved,
+            kycStatus: user.kycStatus,
+            vehicleType: user.vehicleType,
+            walletBalance: user.walletBalance // Return updated balance
+        } 
+    });
+
+  } catch (err) {
+    console.error('Register error:', err.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/api/auth/login', validate(schemas.login), async (req, res) => {
+  try {
+    const { phone, password, email } = req.body;
+    if (!password || (!email && !phone)) {
+      return res.status(400).json({ message: 'Password and either email or phone number are required' });
+    }
+
+    let user;
+    if (email) {
+      user = await User.findOne({ email });
+      // Multi-role: koi bhi role email login wala ho (seller/admin/...) to chalega
+      if (user && rolesOf(user).every(r => r === 'user' || r === 'delivery')) {
+        return res.status(403).json({ message: 'User/Delivery roles cannot log in with email. Please use phone number.' });
+      }
+    } else if (phone) {
+      user = await User.findOne({ phone });
+      if (user && (rolesOf(user).includes('admin') || rolesOf(user).every(r => r === 'seller'))) {
+        return res.status(403).json({ message: 'Seller/Admin roles must log in with email.' });
+      }
+    }
+
+    if (!user) return res.status(401).json({ message: 'Invalid credentials' });
+
+    if (!(await bcrypt.compare(password, user.password))) return res.status(401).json({ message: 'Invalid credentials' });
+
+    // KYC se pehle seller login kar sakta hai (documents upload karne ke liye); selling checkSellerApproved se band rehti hai.
+    // KYC approved hone ke baad approved=false matlab admin ne account band kiya hai.
+    if (user.role === 'seller' && !user.approved && user.kycStatus === 'Approved') return res.status(403).json({ message: 'Seller account awaiting admin approval' });
+
+    // 🔐 Admin: IP allowlist + 2FA zaroori (tokens sirf /api/auth/2fa/verify ke baad milenge)
+    if (user.role === 'admin') {
+      if (!isIpAllowed(user, req.ip)) return res.status(403).json({ message: 'Access from this IP address is not allowed' });
+      if (user.twoFactorEnabled) {
+        const challengeToken = jwt.sign({ id: user._id, purpose: '2fa' }, process.env.JWT_SECRET, { expiresIn: '5m' });
+        return res.json({ twoFactorRequired: true, challengeToken, message: 'Enter the code from your authenticator app.' });
+      }
+      // 2FA abhi on nahi: sirf setup token - /api/auth/2fa/setup + /enable ke alawa kahin nahi chalta, enable par session milta hai
+      const setupToken = jwt.sign({ id: user._id, purpose: '2fa-setup' }, process.env.JWT_SECRET, { expiresIn: '15m' });
+      return res.json({ twoFactorSetupRequired: true, setupToken, message: 'Set up two-factor authentication to continue.' });
+    }
+
+    // Grace period mein login = account deletion cancel
+    const deletionCancelled = await cancelAccountDeletion(user);
+    const tokens = await createSession(user, req);
+    res.json({ ...tokens, deletionCancelled, user: { id: user._id, name: user.name, email: user.email, phone: user.phone, role: user.role, roles: getRoleGrants(user), pincodes: user.pincodes, approved: user.approved, kycStatus: user.kycStatus } });
+  } catch (err) {
+    console.error('Login error:', err.message);
+    res.status(500).json({ message: 'Login error' });
+  }
+});
+
+router.post('/api/auth/forgot-password', validate(schemas.forgotPassword), async (req, res) => {
+  try {
+    const { phone } = req.body;
+    if (!phone) return res.status(400).json({ message: 'Phone number is required' });
+
+    const user = await User.findOne({ phone });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found with this phone number' });
+    }
+
+    const result = await issueOtp('password-reset', user.phone);
+    if (result.status !== 'sent') return res.status(otpHttpStatus(result)).json({ message: result.message, retryAfter: result.retryAfter });
+
+    const message = `Namaste! Your OTP for password reset is ${result.code}. This OTP is valid for 10 minutes.`;
+    await sendWhatsApp(user.phone, message);
+
+    res.status(200).json({ message: 'OTP sent to your WhatsApp number' });
+  } catch (err) {
+    console.error('Forgot password error:', err.message);
+    res.status(500).json({ message: 'Error processing forgot password request' });
+  }
+});
+
+router.post('/api/auth/reset-password-with-otp', validate(schemas.resetPasswordWithOtp), async (req, res) => {
+  try {
+    const { phone, otp, newPassword } = req.body;
+    if (!phone || !otp || !newPassword) {
+      return res.status(400).json({ message: 'Phone, OTP, and new password are required' });
+    }
+
+    const user = await User.findOne({ phone });
+    if (!user) {
+      return res.status(400).json({ message: 'User not found or OTP has expired' });
+    }
+
+    const check = await verifyOtp('password-reset', phone, otp);
+    if (check.status !== 'valid') {
+      return res.status(otpHttpStatus(check)).json({ message: check.message, attemptsLeft: check.attemptsLeft, retryAfter: check.retryAfter });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+
+    // Password badla - saare devices se logout
+    await revokeAllSessions(user._id, 'password-reset', { invalidateAccessTokens: true });
+
+    res.status(200).json({ message: 'Password has been reset successfully' });
+  } catch (err) {
+    console.error('Error resetting password with OTP:', err.message);
+    res.status(500).json({ message: 'Error resetting password' });
+  }
+});
+
+router.get('/api/auth/profile', protect, async (req, res) => {
+  try {
+    res.json(req.user);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching profile' });
+  }
+});
+
+// ✅ UPDATED: Update Profile (Fixed to read lat/lng from pickupAddress)
+router.put('/api/auth/profile', protect, validate(schemas.updateProfile), async (req, res) => {
+  try {
+    // 1. Extract lat/lng along with other fields
+    const { name, phone, pincodes, pickupAddress, lat, lng } = req.body;
+    
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    if (name) user.name = name;
+    // Phone identity hai - sirf OTP verified flow se badlega
+    if (phone && phone !== user.phone) {
+      return res.status(400).json({ message: 'To change your phone number use POST /api/auth/change-contact.' });
+    }
+    
+    // Check if 'pincodes' property is present
+    if (pincodes !== undefined) { 
+        user.pincodes = Array.isArray(pincodes) ? pincodes : []; 
+    } 
+
+    // ✅ CRITICAL FIX: Extract coordinates correctly
+    // Flutter sends them INSIDE pickupAddress, so we check there too.
+    const latitude = lat || (pickupAddress ? pickupAddress.lat : null);
+    const longitude = lng || (pickupAddress ? pickupAddress.lng : null);
+
+    // Save Location Coordinates (GeoJSON)
+    if (latitude && longitude) {
+        user.location = {
+            type: 'Point',
+            // MongoDB expects [Longitude, Latitude]
+            coordinates: [parseFloat(longitude), parseFloat(latitude)] 
+        };
+        console.log(`📍 Location Saved: [${longitude}, ${latitude}]`);
+    }
+
+    // Update Text Address Fields
+    if (pickupAddress) {
+      // Use existing values if new ones aren't provided (Partial Update Safety)
+      const currentAddress = user.pickupAddress || {};
+      
+      user.pickupAddress = {
+        street: pickupAddress.street || currentAddress.street,
+        village: pickupAddress.village || currentAddress.village,
+        landmark: pickupAddress.landmark || currentAddress.landmark,
+        city: pickupAddress.city || currentAddress.city,
+        state: pickupAddress.state || currentAddress.state,
+        pincode: pickupAddress.pincode || currentAddress.pincode,
+        
+        // Mark as set if essential fields exist
+        isSet: !!((pickupAddress.street || currentAddress.street) && 
+                  (pickupAddress.pincode || currentAddress.pincode))
+      };
+    }
+
+    await user.save();
+    res.json(user);
+  } catch (err) {
+    console.error('Error updating profile:', err.message);
+    res.status(500).json({ message: 'Error updating profile' });
+  }
+});
+
+// --- MULTI-ROLE: app mode switch (customer / seller / driver / provider / delivery) ---
+// Jo role account ke paas nahi hai wo yahin se request hota hai (seller ko KYC + admin approval chahiye).
+router.put('/api/auth/profile/role', protect, validate(schemas.switchRole), async (req, res) => {
+  try {
+    const { role, vehicleType } = req.body;
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.role === 'admin') return res.status(403).json({ message: 'Admin accounts cannot switch modes' });
+
+    if (role === 'driver' && !user.vehicleType) {
+      if (!vehicleType) return res.status(400).json({ message: 'Vehicle type is required for driver mode' });
+      user.vehicleType = vehicleType;
+    }
+
+    const { added } = switchRole(user, role);
+    await user.save();
+
+    // Approval wale role (seller) ki request admin ko
+    if (added && !user.approved) {
+      await notifyAdmin(`👥 ${user.name} (${user.phone || user.email}) requested the '${role}' role - approval pending.`);
+    }
+
+    res.json({
+      message: added ? `${role} mode added to your account.` : `Switched to ${role} mode.`,
+      role: user.role,
+      approved: user.approved,
+      kycStatus: user.kycStatus,
+      roles: getRoleGrants(user)
+    });
+  } catch (err) {
+    console.error('Switch role error:', err.message);
+    res.status(500).json({ message: 'Error switching mode', error: err.message });
+  }
+});
+
+// --- ADMIN 2FA (TOTP) ---
+
+/**
+ * HELPER: Galat / locked 2FA code ka response (verifySecondFactor result). Locked = 429 + retryAfter seconds.
+ */
+function sendSecondFactorError(res, check) {
+  return res.status(check.status === 'locked' ? 429 : 400).json({ message: check.message, attemptsLeft: check.attemptsLeft, retryAfter: check.retryAfter });
+}
+
+// Login ka second step: password ke baad mila challengeToken + authenticator code (ya recovery code)
+router.post('/api/auth/2fa/verify', validate(schemas.verifyTwoFactor), async (req, res) => {
+  try {
+    let decoded = null;
+    try {
+      decoded = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET);
+    } catch (e) {
+      decoded = null;
+    }
+    if (!decoded || decoded.purpose !== '2fa') return res.status(401).json({ message: 'Login expired. Please log in again.' });
+
+    const user = await User.findById(decoded.id).select('+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+    if (!user || !user.twoFactorEnabled) return res.status(401).json({ message: 'Login expired. Please log in again.' });
+    if (!isIpAllowed(user, req.ip)) return res.status(403).json({ message: 'Access from this IP address is not allowed' });
+
+    const check = await verifySecondFactor(user, req.body);
+    if (check.status !== 'valid') return sendSecondFactorError(res, check);
+
+    // Grace period mein login = account deletion cancel
+    const deletionCancelled = await cancelAccountDeletion(user);
+    const tokens = await createSession(user, req);
+    res.json({ ...tokens, deletionCancelled, user: { id: user._id, name: user.name, email: user.email, phone: user.phone, role: user.role, roles: getRoleGrants(user), pincodes: user.pincodes, approved: user.approved, kycStatus: user.kycStatus } });
+  } catch (err) {
+    console.error('2FA verify error:', err.message);
+    res.status(500).json({ message: 'Error verifying code' });
+  }
+});
+
+// 1. Naya secret + QR (authenticator app mein scan karein). Enable tabhi hoga jab code verify ho.
+router.post('/api/auth/2fa/setup', protect, authorizeRole('admin'), async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) return res.status(400).json({ message: 'Two-factor authentication is already enabled.' });
+
+    const secret = generateSecret();
+    await User.findByIdAndUpdate(req.user._id, { twoFactorPendingSecret: secret });
+
+    const url = otpauthUrl(secret, req.user.email || req.user.phone);
+    const qrCodeDataUrl = await qrcode.toDataURL(url);
+    res.json({ secret, otpauthUrl: url, qrCodeDataUrl });
+  } catch (err) {
+    res.status(500).json({ message: 'Error starting 2FA setup', error: err.message });
+  }
+});
+
+// 2. App ka pehla code verify -> 2FA on + recovery codes (sirf ek baar dikhte hain)
+router.post('/api/auth/2fa/enable', protect, authorizeRole('admin'), validate(schemas.enableTwoFactor), audit('2fa.enable', 'User', (req) => req.user._id), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+    if (user.twoFactorEnabled) return res.status(400).json({ message: 'Two-factor authentication is already enabled.' });
+    if (!user.twoFactorPendingSecret) return res.status(400).json({ message: 'Start 2FA setup first.' });
+
+    const step = verifyTotp(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) return res.status(400).json({ message: 'Invalid verification code' });
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorLastStep = step;
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save();
+
+    const message = 'Two-factor authentication enabled. Save these recovery codes somewhere safe.';
+
+    // Login ke setup token se aaye: ab asli session (code abhi verify hua hai - step-up bhi)
+    if (req.twoFactorSetup) {
+      const tokens = await createSession(user, req, { stepUp: true });
+      return res.json({ ...tokens, message, recoveryCodes: codes, user: { id: user._id, name: user.name, email: user.email, phone: user.phone, role: user.role, roles: getRoleGrants(user), pincodes: user.pincodes } });
+    }
+
+    // Code abhi verify hua hai - is session ko step-up bhi maan lo
+    if (req.sessionId) await Session.updateOne({ _id: req.sessionId }, { stepUpAt: new Date() });
+
+    res.json({ message, recoveryCodes: codes });
+  } catch (err) {
+    res.status(500).json({ message: 'Error enabling 2FA', error: err.message });
+  }
+});
+
+router.post('/api/auth/2fa/disable', protect, authorizeRole('admin'), validate(schemas.secondFactor), audit('2fa.disable', 'User', (req) => req.user._id), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+    if (!user.twoFactorEnabled) return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+    const check = await verifySecondFactor(user, req.body);
+    if (check.status !== 'valid') return sendSecondFactorError(res, check);
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorLastStep = null;
+    user.twoFactorRecoveryCodes = [];
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled.' });
+  } catch (err) {
+    res.status(500).json({ message: 'Error disabling 2FA', error: err.message });
+  }
+});
+
+// Naye recovery codes (purane sab band)
+router.post('/api/auth/2fa/recovery-codes', protect, authorizeRole('admin'), validate(schemas.secondFactor), audit('2fa.recovery-codes.regenerate', 'User', (req) => req.user._id), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+    if (!user.twoFactorEnabled) return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+    const check = await verifySecondFactor(user, req.body);
+    if (check.status !== 'valid') return sendSecondFactorError(res, check);
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save();
+
+    res.json({ message: 'New recovery codes generated. Old codes no longer work.', recoveryCodes: codes });
+  } catch (err) {
+    res.status(500).json({ message: 'Error generating recovery codes', error: err.message });
+  }
+});
+
+// Step-up: payouts/refunds/settings jaise actions se pehle 2FA code dobara (requireStepUp dekhein)
+router.post('/api/auth/step-up', protect, authorizeRole('admin'), validate(schemas.secondFactor), async (req, res) => {
+  try {
+    if (!req.sessionId) return res.status(401).json({ message: 'Session expired. Please log in again.' });
+
+    const user = await User.findById(req.user._id).select('+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+    if (!user.twoFactorEnabled) {
+      return res.status(403).json({ message: 'Enable two-factor authentication to perform sensitive actions.' });
+    }
+    const check = await verifySecondFactor(user, req.body);
+    if (check.status !== 'valid') return sendSecondFactorError(res, check);
+
+    await Session.updateOne({ _id: req.sessionId }, { stepUpAt: new Date() });
+    res.json({ message: 'Re-authenticated successfully.' });
+  } catch (err) {
+    res.status(500).json({ message: 'Error re-authenticating', error: err.message });
+  }
+});
+
+// --- ADMIN IP ALLOWLIST ---
+router.get('/api/auth/ip-allowlist', protect, authorizeRole('admin'), async (req, res) => {
+  res.json({ ips: req.user.ipAllowlist || [], currentIp: req.ip });
+});
+
+router.put('/api/auth/ip-allowlist', protect, authorizeRole('admin'), requireStepUp, validate(schemas.ipAllowlist), audit('ip-allowlist.update', 'User', (req) => req.user._id), async (req, res) => {
+  try {
+    const { ips } = req.body;
+    // Apne aap ko lock-out na kar lein
+    if (ips.length > 0 && !isIpAllowed({ ipAllowlist: ips }, req.ip)) {
+      return res.status(400).json({ message: `Your current IP (${req.ip}) must be in the allowlist.` });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, { ipAllowlist: ips });
+    res.json({ message: ips.length ? 'IP allowlist updated.' : 'IP allowlist cleared.', ips });
+  } catch (err) {
+    res.status(500).json({ message: 'Error updating IP allowlist', error: err.message });
+  }
+});
+
+// --- SESSIONS: refresh, logout, devices ---
+
+// Access token expire hone par naya pair (refresh token rotate hota hai - purana ab kaam nahi karega)
+router.post('/api/auth/refresh', validate(schemas.refreshToken), async (req, res) => {
+  try {
+    const tokens = await rotateRefreshToken(req.body.refreshToken, req);
+    if (!tokens) return res.status(401).json({ message: 'Session expired. Please log in again.' });
+    res.json(tokens);
+  } catch (err) {
+    console.error('Refresh token error:', err.message);
+    res.status(500).json({ message: 'Error refreshing session' });
+  }
+});
+
+// Body mein refreshToken ho to wahi session, warna Authorization header wala session band
+router.post('/api/auth/logout', validate(schemas.logout), async (req, res) => {
+  try {
+    if (req.body.refreshToken) {
+      await revokeByRefreshToken(req.body.refreshToken, 'logout');
+    } else {
+      const token = req.headers.authorization?.split(' ')[1];
+      let decoded = null;
+      try {
+        // Expired access token se bhi logout ho sake
+        decoded = token ? jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true }) : null;
+      } catch (e) {
+        decoded = null; // Invalid token - revoke karne ko kuch nahi
+      }
+      if (decoded && decoded.sid) await revokeSession(decoded.sid, 'logout');
+    }
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    console.error('Logout error:', err.message);
+    res.status(500).json({ message: 'Error logging out' });
+  }
+});
+
+// Logged-in devices ki list (current device marked)
+router.get('/api/auth/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('deviceId deviceName platform userAgent ip lastUsedAt createdAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json(sessions.map(s => ({ ...s, current: String(s._id) === String(req.sessionId) })));
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching sessions', error: err.message });
+  }
+});
+
+// Ek device logout karein
+router.delete('/api/auth/sessions/:id', protect, validate(schemas.sessionById), async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null });
+    if (!session) return res.status(404).json({ message: 'Session not found' });
+
+    await revokeSession(session._id, 'user-revoked');
+    res.json({ message: 'Device logged out successfully' });
+  } catch (err) {
+    res.status(500).json({ message: 'Error revoking session', error: err.message });
+  }
+});
+
+// Is device ko chhodkar baaki sab devices se logout
+router.delete('/api/auth/sessions', protect, async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user._id, 'user-revoked', { exceptSessionId: req.sessionId || null });
+    res.json({ message: `Logged out from ${count} other device(s).`, count });
+  } catch (err) {
+    res.status(500).json({ message: 'Error revoking sessions', error: err.message });
+  }
+});
+
+router.post('/api/auth/save-fcm-token', protect, validate(schemas.saveFcmToken), async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ message: 'FCM token is required.' });
+    }
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found.' });
+    }
+    
+    user.fcmToken = token;
+    await user.save();
+
+    if (user.role !== 'admin') {
+      await sendPushNotification(
+        token,
+        'Welcome Back! 🛍️ Ready to Shop?',
+        `Hi ${user.name}! We've missed you. Your next great deal is waiting!`,
+        { type: 'LOGIN_WELCOME' }
+      );
+    }
+    res.json({ message: 'FCM token saved and welcome notification handled.' });
+  } catch (err) {
+    res.status(500).json({ message: 'Error saving FCM token', error: err.message });
+  }
+});
+// ... (The rest of your existing order routes and other routes go here) ...
+// ✅ NEW: Allow users to delete their own account manually
+// ✅ MANUAL DELETE ACCOUNT (With Cloning)
+// ==========================================
+// 📦 PERSONAL DATA EXPORT (DPDP)
+// ==========================================
+// Request -> 'data-exports' job zip banata hai (notification aata hai) -> ek baar download, phir archive delete
+
+router.post('/api/auth/data-export', protect, async (req, res) => {
+  try {
+    // Pehle wala export abhi ban raha hai ya download ke liye ready hai to wahi lautao
+    const active = await DataExport.findOne({
+      user: req.user._id,
+      $or: [{ status: { $in: ['queued', 'processing'] } }, { status: 'ready', expiresAt: { $gt: new Date() } }]
+    });
+    if (active) {
+      return res.status(200).json({
+        message: active.status === 'ready' ? 'Your data export is ready to download.' : 'Your data export is already being prepared.',
+        export: active
+      });
+    }
+
+    const dataExport = await DataExport.create({ user: req.user._id });
+    res.status(202).json({ message: "We're preparing your data. You'll get a notification when it's ready to download.", export: dataExport });
+  } catch (err) {
+    res.status(500).json({ message: 'Error requesting data export', error: err.message });
+  }
+});
+
+router.get('/api/auth/data-export', protect, async (req, res) => {
+  try {
+    const exports = await DataExport.find({ user: req.user._id }).sort({ createdAt: -1 }).limit(10);
+    res.json(exports);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching data exports', error: err.message });
+  }
+});
+
+router.get('/api/auth/data-export/:id/download', protect, validate(schemas.dataExportById), async (req, res) => {
+  try {
+    const dataExport = await DataExport.findOne({ _id: req.params.id, user: req.user._id }).select('+archive');
+    if (!dataExport) return res.status(404).json({ message: 'Data export not found' });
+
+    if (['queued', 'processing'].includes(dataExport.status)) {
+      return res.status(409).json({ message: 'Your data export is still being prepared.' });
+    }
+    if (dataExport.status !== 'ready' || !dataExport.archive || dataExport.expiresAt <= new Date()) {
+      return res.status(410).json({ message: 'This export has expired or was already downloaded. Please request a new one.' });
+    }
+
+    // Download poora hote hi archive hata do (ek hi baar download)
+    res.on('finish', () => {
+      DataExport.updateOne(
+        { _id: dataExport._id, status: 'ready' },
+        { $set: { status: 'downloaded', downloadedAt: new Date() }, $unset: { archive: 1 } }
+      ).catch(err => console.error('Data export cleanup error:', err.message));
+    });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${dataExport.fileName}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(dataExport.archive);
+  } catch (err) {
+    res.status(500).json({ message: 'Error downloading data export', error: err.message });
+  }
+});
+
+// --- CHANGE PHONE / EMAIL (OTP on old + new contact) ---
+
+router.post('/api/auth/change-contact', protect, validate(schemas.changeContact), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+
+    const { type, value } = req.body;
+    const result = await startContactChange(user, type, value, { ip: req.ip, userAgent: req.get('user-agent') || null });
+
+    if (result.status === 'conflict') return res.status(409).json({ message: result.message });
+    if (result.status === 'unchanged' || result.status === 'no-contact') return res.status(400).json({ message: result.message });
+    if (result.status !== 'sent') {
+      return res.status(otpHttpStatus(result)).json({ message: result.message, retryAfter: result.retryAfter });
+    }
+
+    const { change } = result;
+    res.status(201).json({
+      message: `OTPs sent to ${change.currentTarget} and ${change.newValue}. Enter both to confirm the change.`,
+      requestId: change._id,
+      type: change.type,
+      newValue: change.newValue,
+      currentTarget: change.currentTarget,
+      expiresAt: change.expiresAt
+    });
+  } catch (err) {
+    console.error('Change contact error:', err.message);
+    res.status(500).json({ message: 'Error starting contact change', error: err.message });
+  }
+});
+
+router.post('/api/auth/change-contact/:id/verify', protect, validate(schemas.verifyContactChange), async (req, res) => {
+  try {
+    const change = await ContactChange.findOne({ _id: req.params.id, user: req.user._id });
+    if (!change) return res.status(404).json({ message: 'Change request not found.' });
+
+    const result = await verifyContactChange(change, req.body, req.sessionId);
+
+    if (result.status === 'pending') {
+      return res.json({ message: 'Code verified. Waiting for the other code.', waitingFor: result.waitingFor });
+    }
+    if (result.status === 'completed') {
+      const { user } = result;
+      return res.json({
+        message: `Your ${change.type === 'phone' ? 'phone number' : 'email address'} has been updated.`,
+        user: { id: user._id, name: user.name, email: user.email, phone: user.phone, role: user.role }
+      });
+    }
+    if (result.status === 'conflict') return res.status(409).json({ message: result.message });
+    if (result.status === 'closed') return res.status(400).json({ message: result.message });
+    if (!result.side) return res.status(410).json({ message: result.message });
+
+    res.status(otpHttpStatus(result)).json({
+      message: result.message, side: result.side, attemptsLeft: result.attemptsLeft, retryAfter: result.retryAfter
+    });
+  } catch (err) {
+    console.error('Verify contact change error:', err.message);
+    res.status(500).json({ message: 'Error verifying contact change', error: err.message });
+  }
+});
+
+router.delete('/api/auth/delete-account', protect, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    
+    // Check for pending orders
+    const pendingOrders = await Order.countDocuments({ 
+        user: userId, 
+        deliveryStatus: { $in: ['Pending', 'Processing', 'Shipped'] } 
+    });
+
+    if (pendingOrders > 0) {
+        return res.status(400).json({ message: 'Cannot delete account. You have pending orders.' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+
+    const graceDays = await getDeletionGraceDays();
+
+    // Grace period off: turant archive + delete
+    if (graceDays === 0) {
+        await finalizeAccountDeletion(user, 'Manual-Request');
+        return res.json({ message: 'Your account has been securely archived and deleted.' });
+    }
+
+    // Grace period: abhi sirf schedule + sab devices se logout. Is beech login karne par deletion cancel.
+    const deletionScheduledAt = await scheduleAccountDeletion(user, 'Manual-Request', graceDays);
+
+    res.json({
+        message: `Your account will be deleted on ${deletionScheduledAt.toDateString()}. Log in before then to cancel the deletion.`,
+        deletionScheduledAt
+    });
+
+  } catch (err) {
+    console.error('Manual delete error:', err);
+    res.status(500).json({ message: 'Error deleting account', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,201 @@
+const { Joi, phone, pincode, otp, latitude, longitude, enumOf, idParam } = require('../../middleware/validate');
+const { User } = require('./auth.models');
+const { SWITCHABLE_ROLES } = require('./roles.service');
+
+// --------- AUTH REQUEST SCHEMAS ----------
+const REGISTER_ROLES = enumOf(User, 'role').filter(r => r !== 'admin'); // 'admin' self-register nahi kar sakta
+const VEHICLE_TYPES = enumOf(User, 'vehicleType');
+
+// Login/registration par optional device info (Session list mein dikhta hai)
+const device = {
+  deviceId: Joi.string().trim().max(200),
+  deviceName: Joi.string().trim().max(200),
+  platform: Joi.string().trim().max(50),
+};
+
+const sendOtpRegister = {
+  body: Joi.object({
+    phone: phone().required(),
+  }),
+};
+
+const registerWithOtp = {
+  body: Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    email: Joi.string().trim().email().allow('', null),
+    phone: phone().required(),
+    pincode: pincode().required(),
+    otp: otp().required(),
+    ...device,
+  }),
+};
+
+const verifyLoginOtp = {
+  body: Joi.object({
+    firebaseToken: Joi.string().required(),
+    ...device,
+  }),
+};
+
+const register = {
+  body: Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    email: Joi.string().trim().email().when('role', { is: 'seller', then: Joi.required(), otherwise: Joi.allow('', null) }),
+    password: Joi.string().min(6).max(128).required(),
+    phone: phone().required(),
+    role: Joi.string().valid(...REGISTER_ROLES).default('user'),
+    pincodes: Joi.array().items(pincode()),
+    vehicleType: Joi.string().valid(...VEHICLE_TYPES).when('role', { is: 'driver', then: Joi.required(), otherwise: Joi.allow(null) }),
+    ...device,
+  }),
+};
+
+const login = {
+  body: Joi.object({
+    phone: phone(),
+    email: Joi.string().trim().email(),
+    password: Joi.string().required(),
+    ...device,
+  }).or('phone', 'email'),
+};
+
+const forgotPassword = {
+  body: Joi.object({
+    phone: phone().required(),
+  }),
+};
+
+const resetPasswordWithOtp = {
+  body: Joi.object({
+    phone: phone().required(),
+    otp: otp().required(),
+    newPassword: Joi.string().min(6).max(128).required(),
+  }),
+};
+
+const updateProfile = {
+  body: Joi.object({
+    name: Joi.string().trim().min(2).max(100),
+    phone: phone(),
+    pincodes: Joi.array().items(pincode()),
+    pickupAddress: Joi.object({
+      street: Joi.string().allow(''),
+      village: Joi.string().allow(''),
+      landmark: Joi.string().allow(''),
+      city: Joi.string().allow(''),
+      state: Joi.string().allow(''),
+      pincode: pincode().allow(''),
+      lat: latitude().allow(null),
+      lng: longitude().allow(null),
+    }).allow(null),
+    lat: latitude().allow(null),
+    lng: longitude().allow(null),
+  }),
+};
+
+const switchRole = {
+  body: Joi.object({
+    role: Joi.string().valid(...SWITCHABLE_ROLES).required(),
+    vehicleType: Joi.string().valid(...VEHICLE_TYPES),
+  }),
+};
+
+const saveFcmToken = {
+  body: Joi.object({
+    token: Joi.string().required(),
+  }),
+};
+
+const refreshToken = {
+  body: Joi.object({
+    refreshToken: Joi.string().required(),
+  }),
+};
+
+const logout = {
+  body: Joi.object({
+    refreshToken: Joi.string(),
+  }),
+};
+
+// --- Admin 2FA ---
+const totpCode = () => Joi.string().trim().pattern(/^\d{6}$/).messages({ 'string.pattern.base': '{{#label}} must be a 6 digit code' });
+
+const verifyTwoFactor = {
+  body: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: totpCode(),
+    recoveryCode: Joi.string().trim().max(20),
+    ...device,
+  }).xor('code', 'recoveryCode'),
+};
+
+const secondFactor = {
+  body: Joi.object({
+    code: totpCode(),
+    recoveryCode: Joi.string().trim().max(20),
+  }).xor('code', 'recoveryCode'),
+};
+
+const enableTwoFactor = {
+  body: Joi.object({
+    code: totpCode().required(),
+    ...device, // Login setup token se enable = naya session
+  }),
+};
+
+const ipAllowlist = {
+  body: Joi.object({
+    ips: Joi.array().items(Joi.string().trim().ip({ cidr: 'optional' })).max(20).required(),
+  }),
+};
+
+const sessionById = {
+  params: idParam(),
+};
+
+const dataExportById = {
+  params: idParam(),
+};
+
+const changeContact = {
+  body: Joi.object({
+    type: Joi.string().valid('phone', 'email').required(),
+    value: Joi.when('type', {
+      is: 'phone',
+      then: phone().required(),
+      otherwise: Joi.string().trim().lowercase().email().required(),
+    }),
+  }),
+};
+
+const verifyContactChange = {
+  params: idParam(),
+  body: Joi.object({
+    currentCode: otp(),
+    newCode: otp(),
+  }).or('currentCode', 'newCode'),
+};
+
+module.exports = {
+  sendOtpRegister,
+  registerWithOtp,
+  verifyLoginOtp,
+  register,
+  login,
+  forgotPassword,
+  resetPasswordWithOtp,
+  updateProfile,
+  switchRole,
+  saveFcmToken,
+  refreshToken,
+  logout,
+  sessionById,
+  dataExportById,
+  changeContact,
+  verifyContactChange,
+  verifyTwoFactor,
+  secondFactor,
+  enableTwoFactor,
+  ipAllowlist,
+};
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+
+const { getFirebaseAdmin } = require('../../config/firebase');
+const { issueOtp, verifyOtp } = require('../../otp');
+const { ContactChange, User } = require('./auth.models');
+const { revokeAllSessions } = require('./session.service');
+const { sendEmail, sendWhatsApp } = require('../notifications/notifications.service');
+
+// Phone-only accounts ke placeholder emails - in par OTP / mail nahi bheja ja sakta:
+// - register-with-otp (email na diya ho): <phone>@user-reg.com
+// - verify-login-otp auto-register:       <phone>@temp-<hex>.com
+const PLACEHOLDER_EMAIL = /@(user-reg|temp-[0-9a-f]+)\.com$/i;
+
+const LABELS = { phone: 'phone number', email: 'email address' };
+
+const isPlaceholderEmail = (email) => PLACEHOLDER_EMAIL.test(String(email || ''));
+
+/**
+ * HELPER: Placeholder email for an account created with only a phone number.
+ * @param {string} phone - E.164 phone ('+919876543210')
+ * @param {'register' | 'otp-login'} source - register = fixed domain, otp-login = random (unique) domain
+ */
+function placeholderEmail(phone, source) {
+  const local = String(phone).substring(1).replace(/\+/g, '');
+  const domain = source === 'otp-login' ? `temp-${crypto.randomBytes(8).toString('hex')}` : 'user-reg';
+  return `${local}@${domain}.com`;
+}
+
+/**
+ * HELPER: Same number ke saare stored formats ('9876543210', '+919876543210', '919876543210')
+ */
+function phoneVariants(phone) {
+  const last10 = String(phone).replace(/\D/g, '').slice(-10);
+  return [...new Set([String(phone), last10, `91${last10}`, `+91${last10}`])];
+}
+
+/**
+ * HELPER: Contact values jinse history/conflict match hoti hai
+ */
+function contactVariants(type, value) {
+  return type === 'phone' ? phoneVariants(value) : [String(value).toLowerCase()];
+}
+
+const toE164 = (phone) => {
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.length === 10 ? `+91${digits}` : `+${digits}`;
+};
+
+/**
+ * HELPER: Naya phone purane wale ke format mein (Firebase phone login E.164 se user dhoondta hai)
+ */
+function normalizeContact(type, value, currentValue) {
+  if (type === 'email') return String(value).toLowerCase();
+  return currentValue && String(currentValue).startsWith('+') ? toE164(value) : String(value);
+}
+
+/**
+ * Another account already using this phone / email (any stored format)?
+ */
+async function findContactConflict(type, value, userId) {
+  return User.exists({ _id: { $ne: userId }, [type]: { $in: contactVariants(type, value) } });
+}
+
+/**
+ * HELPER: Code deliver karo (WhatsApp ya email)
+ */
+async function deliverCode(channel, target, subject, message) {
+  if (channel === 'email') await sendEmail(target, subject, message);
+  else await sendWhatsApp(target, message);
+}
+
+/**
+ * Starts a phone/email change: one OTP to the current contact, one to the new one.
+ * An older pending request of the same user is cancelled.
+ * @returns {Promise<{ status: 'sent', change: object }
+ *   | { status: 'conflict' | 'unchanged' | 'no-contact', message: string }
+ *   | { status: 'cooldown' | 'locked', retryAfter: number, message: string }>}
+ */
+async function startContactChange(user, type, rawValue, { ip = null, userAgent = null } = {}) {
+  const oldValue = user[type] || null;
+  const newValue = normalizeContact(type, rawValue, oldValue);
+
+  if (oldValue && contactVariants(type, oldValue).includes(newValue)) {
+    return { status: 'unchanged', message: `This is already your ${LABELS[type]}.` };
+  }
+  if (await findContactConflict(type, newValue, user._id)) {
+    return { status: 'conflict', message: `This ${LABELS[type]} is already registered with another account.` };
+  }
+
+  // Current contact: same type ho to wahi, warna (email na ho / placeholder ho) phone
+  let currentChannel = type === 'email' ? 'email' : 'whatsapp';
+  let currentTarget = oldValue;
+  if (type === 'email' && (!oldValue || isPlaceholderEmail(oldValue))) {
+    currentChannel = 'whatsapp';
+    currentTarget = user.phone;
+  }
+  if (!currentTarget) {
+    return { status: 'no-contact', message: 'No verified contact on this account to confirm the change. Please contact support.' };
+  }
+
+  const current = await issueOtp('contact-change-current', `${user._id}:${currentTarget}`);
+  if (current.status !== 'sent') return current;
+  const next = await issueOtp('contact-change-new', `${user._id}:${newValue}`);
+  if (next.status !== 'sent') return next;
+
+  await ContactChange.updateMany({ user: user._id, status: 'pending' }, { $set: { status: 'cancelled' } });
+  const change = await ContactChange.create({
+    user: user._id,
+    type,
+    oldValue,
+    newValue,
+    currentChannel,
+    currentTarget,
+    expiresAt: current.expiresAt < next.expiresAt ? current.expiresAt : next.expiresAt,
+    ip,
+    userAgent
+  });
+
+  const subject = `Confirm your ${LABELS[type]} change`;
+  await deliverCode(currentChannel, currentTarget, subject,
+    `Your OTP to change the ${LABELS[type]} on your account is ${current.code}. If you did not request this, ignore this message and change your password.`);
+  await deliverCode(type === 'email' ? 'email' : 'whatsapp', newValue, subject,
+    `Your OTP to confirm ${newValue} as your new ${LABELS[type]} is ${next.code}.`);
+
+  return { status: 'sent', change };
+}
+
+/**
+ * Firebase account (agar hai) par bhi naya phone/email set karo.
+ * @returns {Promise<boolean|null>} null = Firebase mein purane contact ka koi account nahi
+ */
+async function syncFirebaseIdentity(type, oldValue, newValue) {
+  if (!oldValue || (type === 'email' && isPlaceholderEmail(oldValue))) return null;
+  try {
+    const auth = getFirebaseAdmin().auth();
+    const record = type === 'phone' ? await auth.getUserByPhoneNumber(toE164(oldValue)) : await auth.getUserByEmail(oldValue);
+    await auth.updateUser(record.uid, type === 'phone' ? { phoneNumber: toE164(newValue) } : { email: newValue });
+    return true;
+  } catch (err) {
+    if (err.code === 'auth/user-not-found') return null;
+    console.error('Firebase identity update failed:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Checks the codes sent for a pending change. Codes can arrive together or one at a time;
+ * the contact is switched once both sides are verified.
+ * @returns {Promise<{ status: 'pending', waitingFor: string[] } | { status: 'completed', user: object }
+ *   | { status: 'closed' | 'expired' | 'conflict', message: string }
+ *   | { status: 'invalid' | 'expired' | 'locked', side: string, message: string }>}
+ */
+async function verifyContactChange(change, { currentCode, newCode }, sessionId = null) {
+  if (change.status !== 'pending') return { status: 'closed', message: `This change request is ${change.status}.` };
+  if (change.expiresAt < new Date()) {
+    change.status = 'expired';
+    await change.save();
+    return { status: 'expired', message: 'This change request has expired. Please start again.' };
+  }
+
+  const checks = [
+    { side: 'current', code: currentCode, purpose: 'contact-change-current', target: change.currentTarget, field: 'currentVerifiedAt' },
+    { side: 'new', code: newCode, purpose: 'contact-change-new', target: change.newValue, field: 'newVerifiedAt' },
+  ];
+  for (const check of checks) {
+    if (!check.code || change[check.field]) continue;
+    const result = await verifyOtp(check.purpose, `${change.user}:${check.target}`, check.code);
+    if (result.status !== 'valid') {
+      await change.save();
+      return { ...result, side: check.side };
+    }
+    change[check.field] = new Date();
+  }
+
+  const waitingFor = checks.filter(c => !change[c.field]).map(c => c.side);
+  if (waitingFor.length) {
+    await change.save();
+    return { status: 'pending', waitingFor };
+  }
+
+  // Dono verify - ab tak kisi aur ne ye contact le liya ho to change nahi hoga
+  if (await findContactConflict(change.type, change.newValue, change.user)) {
+    change.status = 'cancelled';
+    await change.save();
+    return { status: 'conflict', message: `This ${LABELS[change.type]} is already registered with another account.` };
+  }
+
+  const user = await User.findById(change.user);
+  user[change.type] = change.newValue;
+  await user.save();
+
+  change.status = 'completed';
+  change.completedAt = new Date();
+  change.firebaseSynced = await syncFirebaseIdentity(change.type, change.oldValue, change.newValue);
+  await change.save();
+
+  // Phone/email identity hai - baaki devices logout, purane contact ko alert
+  await revokeAllSessions(user._id, 'contact-change', { exceptSessionId: sessionId });
+  if (change.oldValue) {
+    await deliverCode(change.currentChannel, change.currentTarget, `Your ${LABELS[change.type]} was changed`,
+      `The ${LABELS[change.type]} on your account was changed to ${change.newValue}. If this was not you, contact support immediately.`);
+  }
+
+  console.log(`📇 ${change.type} changed for user ${user._id}`);
+  return { status: 'completed', user };
+}
+
+module.exports = {
+  contactVariants,
+  isPlaceholderEmail,
+  placeholderEmail,
+  startContactChange,
+  verifyContactChange,
+};
@@ -0,0 +1,162 @@
+const { createZip } = require('../../utils/zip');
+const { DataExport, Session, User } = require('./auth.models');
+const { Like, Review, Wishlist } = require('../catalog/catalog.models');
+const { Notification } = require('../notifications/notifications.models');
+const { sendAndSavePersonalNotification } = require('../notifications/notifications.service');
+const { Address, Cart, Order, PaymentHistory } = require('../orders/orders.models');
+const { PrintJob } = require('../print/print.models');
+const { Complaint, Ride, WalletTransaction } = require('../ride/ride.models');
+const { KycApplication } = require('../seller/seller.models');
+const { ServiceBooking } = require('../services/services.models');
+const { PartnerDocument } = require('../verification/verification.models');
+
+// Ready archive itne ghante tak download ho sakta hai, uske baad expire
+const EXPORT_READY_HOURS = parseInt(process.env.DATA_EXPORT_READY_HOURS, 10) || 48;
+// Processing mein atka export (instance crash) itne minute baad dobara uthaya jaata hai
+const STALE_PROCESSING_MINUTES = 15;
+// Ek job run mein max exports (JobLock time ke andar rehne ke liye)
+const EXPORTS_PER_RUN = 10;
+// MongoDB document limit (16 MB) se neeche
+const MAX_ARCHIVE_BYTES = 15 * 1024 * 1024;
+
+// Ye internal/security fields export mein nahi jaate
+const PROFILE_EXCLUDE = '-password -tokensRevokedAt -twoFactorSecret -twoFactorPendingSecret -twoFactorLastStep -twoFactorRecoveryCodes -__v';
+
+/**
+ * Gathers everything we hold about a user, keyed by archive file name.
+ * Orders received by a seller are left out - they are other customers' data.
+ */
+async function collectUserData(userId) {
+  const user = await User.findById(userId).select(PROFILE_EXCLUDE).lean();
+  if (!user) return null;
+
+  const [
+    addresses, cart, wishlist, orders, payments, rides, serviceBookings, printJobs,
+    walletTransactions, reviews, likes, notifications, complaints, sessions, kyc, documents
+  ] = await Promise.all([
+    Address.find({ user: userId }).lean(),
+    Cart.findOne({ user: userId }).lean(),
+    Wishlist.findOne({ user: userId }).lean(),
+    Order.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    PaymentHistory.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    Ride.find({ $or: [{ customer: userId }, { driver: userId }] })
+      .select('-potentialDrivers -rejectedDrivers -currentDriverIndex -dispatchDeadline')
+      .sort({ createdAt: -1 }).lean(),
+    ServiceBooking.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    PrintJob.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    WalletTransaction.find({ $or: [{ driver: userId }, { seller: userId }] }).sort({ createdAt: -1 }).lean(),
+    Review.find({ user: userId }).lean(),
+    Like.find({ user: userId }).lean(),
+    Notification.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    Complaint.find({ user: userId }).lean(),
+    Session.find({ user: userId }).select('deviceName platform userAgent ip lastUsedAt revokedAt createdAt').lean(),
+    KycApplication.findOne({ seller: userId }).select('-history').lean(),
+    PartnerDocument.find({ user: userId }).select('-remindersSent').lean(),
+  ]);
+
+  return {
+    'profile.json': user,
+    'addresses.json': addresses,
+    'cart.json': cart,
+    'wishlist.json': wishlist,
+    'orders.json': orders,
+    'payments.json': payments,
+    'rides.json': rides,
+    'service-bookings.json': serviceBookings,
+    'print-jobs.json': printJobs,
+    'wallet-transactions.json': walletTransactions,
+    'reviews.json': reviews,
+    'likes.json': likes,
+    'notifications.json': notifications,
+    'complaints.json': complaints,
+    'login-sessions.json': sessions,
+    'seller-kyc.json': kyc,
+    'partner-documents.json': documents,
+  };
+}
+
+/**
+ * HELPER: Collected data -> zip (one JSON file per section + README)
+ */
+function buildExportArchive(data, generatedAt = new Date()) {
+  const readme = [
+    'Your personal data export',
+    `Generated: ${generatedAt.toISOString()}`,
+    '',
+    'Each .json file holds one kind of record we store about your account',
+    '(profile, addresses, orders, rides, service bookings, print jobs, wallet, reviews, notifications...).',
+    'Empty files mean we hold no records of that kind.',
+    'This archive can be downloaded once; request a new export from the app if you need another copy.',
+  ].join('\n');
+
+  const files = Object.entries(data).map(([name, value]) => ({
+    name,
+    data: JSON.stringify(value === undefined ? null : value, null, 2),
+  }));
+  return createZip([{ name: 'README.txt', data: readme }, ...files], generatedAt);
+}
+
+/**
+ * 'data-exports' job: expires unclaimed archives and builds queued exports.
+ * Each export is claimed atomically, so overlapping runs never build the same one twice.
+ */
+async function processDataExports(now = new Date()) {
+  const expired = await DataExport.updateMany(
+    { status: 'ready', expiresAt: { $lte: now } },
+    { $set: { status: 'expired' }, $unset: { archive: 1 } }
+  );
+
+  let ready = 0;
+  let failed = 0;
+  for (let i = 0; i < EXPORTS_PER_RUN; i++) {
+    const job = await DataExport.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued' },
+          { status: 'processing', startedAt: { $lte: new Date(now.getTime() - STALE_PROCESSING_MINUTES * 60 * 1000) } }
+        ]
+      },
+      { $set: { status: 'processing', startedAt: new Date() } },
+      { new: true, sort: { createdAt: 1 } }
+    );
+    if (!job) break;
+
+    try {
+      const data = await collectUserData(job.user);
+      if (!data) throw new Error('User not found');
+
+      const generatedAt = new Date();
+      const archive = buildExportArchive(data, generatedAt);
+      if (archive.length > MAX_ARCHIVE_BYTES) throw new Error('Export is too large');
+
+      const expiresAt = new Date(generatedAt.getTime() + EXPORT_READY_HOURS * 60 * 60 * 1000);
+      await DataExport.updateOne({ _id: job._id }, {
+        $set: {
+          status: 'ready',
+          archive,
+          size: archive.length,
+          fileName: `my-data-${generatedAt.toISOString().slice(0, 10)}.zip`,
+          completedAt: generatedAt,
+          expiresAt,
+          error: null
+        }
+      });
+
+      await sendAndSavePersonalNotification(
+        job.user,
+        'Your data is ready 📦',
+        `Your personal data export is ready to download until ${expiresAt.toDateString()}. It can be downloaded once.`,
+        { type: 'DATA_EXPORT_READY', exportId: job._id.toString() }
+      );
+      ready += 1;
+    } catch (err) {
+      console.error(`Data export ${job._id} failed:`, err.message);
+      await DataExport.updateOne({ _id: job._id }, { $set: { status: 'failed', error: err.message, completedAt: new Date() } });
+      failed += 1;
+    }
+  }
+
+  return { ready, failed, expired: expired.modifiedCount };
+}
+
+module.exports = { collectUserData, buildExportArchive, processDataExports };
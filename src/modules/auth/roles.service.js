@@ -0,0 +1,118 @@
+// --------- MULTI-ROLE ACCOUNTS ----------
+// Ek account ke kai roles ho sakte hain (dukaandaar + auto driver + service provider).
+// user.roles = grants (har role ka apna approval), user.role = abhi wala mode, user.approved = us mode ka approval.
+
+// App in modes ke beech switch kar sakti hai ('admin' kabhi self-service nahi)
+const SWITCHABLE_ROLES = ['user', 'seller', 'driver', 'provider', 'delivery'];
+// Naya role milne par in roles ko admin approval chahiye (registration jaisa hi)
+const ROLES_REQUIRING_APPROVAL = ['seller'];
+
+/**
+ * Grants of a user. Old accounts without a roles array have exactly one: role + approved.
+ */
+function getRoleGrants(user) {
+  if (user.roles && user.roles.length) return user.roles;
+  return [{ role: user.role, approved: user.approved, documentsVerified: user.documentsVerified, documentsExpireAt: user.documentsExpireAt }];
+}
+
+const findRoleGrant = (user, role) => getRoleGrants(user).find(g => g.role === role) || null;
+
+const rolesOf = (user) => getRoleGrants(user).map(g => g.role);
+
+/**
+ * Mongo filter: users holding a role (any mode), optionally only approved grants.
+ * Legacy accounts (roles abhi tak bana nahi) role/approved fields se match hote hain.
+ */
+function roleQuery(role, { approved } = {}) {
+  const grant = { role };
+  const legacy = { role, 'roles.0': { $exists: false } };
+  if (typeof approved !== 'undefined') {
+    grant.approved = approved;
+    legacy.approved = approved;
+  }
+  return { $or: [{ roles: { $elemMatch: grant } }, legacy] };
+}
+
+/**
+ * HELPER: Legacy account par roles array bana do (grant change se pehle)
+ */
+function ensureRoleGrants(user) {
+  if (!user.roles.length) user.roles.push({ role: user.role, approved: user.approved });
+}
+
+/**
+ * Sets the approval of one role grant (adds the grant if missing). Caller saves the user.
+ */
+function setRoleApproval(user, role, approved) {
+  ensureRoleGrants(user);
+  const grant = user.roles.find(r => r.role === role);
+  if (grant) grant.approved = approved;
+  else user.roles.push({ role, approved });
+  if (user.role === role) user.approved = approved;
+}
+
+/**
+ * Saves driver / delivery document verification on one role grant. Role revoke ho chuka ho to kuch nahi.
+ * Active mode wala role ho to top-level copy bhi. Caller saves the user.
+ */
+function setRoleVerification(user, role, { verified, expiresAt }) {
+  ensureRoleGrants(user);
+  const grant = user.roles.find(r => r.role === role);
+  if (!grant) return;
+  grant.documentsVerified = verified;
+  grant.documentsExpireAt = expiresAt;
+  if (user.role === role) {
+    user.documentsVerified = verified;
+    user.documentsExpireAt = expiresAt;
+  }
+}
+
+/**
+ * Removes a role grant. The active mode falls back to 'user' (or the first remaining role).
+ * @returns {boolean} false if it was the only role
+ */
+function revokeRole(user, role) {
+  ensureRoleGrants(user);
+  const remaining = user.roles.filter(r => r.role !== role);
+  if (!remaining.length) return false;
+
+  user.roles = remaining;
+  if (user.role === role) {
+    const next = remaining.find(r => r.role === 'user') || remaining[0];
+    user.role = next.role;
+    user.approved = next.approved;
+    user.isOnline = false;
+  }
+  return true;
+}
+
+/**
+ * Switches the active mode. A role the user does not hold yet is added as a new grant
+ * (pending admin approval for ROLES_REQUIRING_APPROVAL). Caller saves the user.
+ * @returns {{ added: boolean }}
+ */
+function switchRole(user, role) {
+  ensureRoleGrants(user);
+  let added = false;
+  if (!user.roles.some(r => r.role === role)) {
+    user.roles.push({ role, approved: !ROLES_REQUIRING_APPROVAL.includes(role) });
+    added = true;
+  }
+  // Driver mode chhodte hi ride dispatch band
+  if (user.role === 'driver' && role !== 'driver') user.isOnline = false;
+  user.role = role;
+  return { added };
+}
+
+module.exports = {
+  SWITCHABLE_ROLES,
+  ROLES_REQUIRING_APPROVAL,
+  getRoleGrants,
+  findRoleGrant,
+  rolesOf,
+  roleQuery,
+  setRoleApproval,
+  setRoleVerification,
+  revokeRole,
+  switchRole,
+};
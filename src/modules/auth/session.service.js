@@ -0,0 +1,147 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+const { Session, User } = require('./auth.models');
+
+// --------- Sessions & Tokens ----------
+// Access token: short-lived JWT { id, sid }. Refresh token: "<sessionId>.<random>", har refresh par naya.
+// ACCESS_TOKEN_TTL (default 15m), REFRESH_TOKEN_DAYS (default 60)
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 3600 * 1000);
+}
+
+/**
+ * HELPER: Access token + refresh token ka response part
+ */
+function tokenPair(user, session, secret) {
+  const token = jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+  return { token, refreshToken: `${session._id}.${secret}`, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+/**
+ * Starts a new device session on login/registration.
+ * Device details body (deviceId, deviceName, platform) aur request headers se aati hain.
+ * options.stepUp: 2FA abhi verify hua hai - session pehle se stepped-up (e.g. 2FA enable par login).
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: string }>}
+ */
+async function createSession(user, req, { stepUp = false } = {}) {
+  const { deviceId = null, deviceName = null, platform = null } = req.body || {};
+
+  // Same device par dobara login = purana session band
+  if (deviceId) {
+    await Session.updateMany(
+      { user: user._id, deviceId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    deviceId,
+    deviceName,
+    platform,
+    userAgent: req.get('user-agent') || null,
+    ip: req.ip,
+    expiresAt: refreshExpiry(),
+    stepUpAt: stepUp ? new Date() : null,
+  });
+
+  return tokenPair(user, session, secret);
+}
+
+/**
+ * Exchanges a refresh token for a new access + refresh token pair.
+ * Returns null if the token is invalid, expired, revoked or was already rotated.
+ */
+async function rotateRefreshToken(refreshToken, req) {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!secret || !/^[0-9a-fA-F]{24}$/.test(sessionId)) return null;
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt < new Date()) return null;
+
+  const presentedHash = hashToken(secret);
+  const newSecret = crypto.randomBytes(32).toString('hex');
+
+  // Atomic rotate - do parallel refresh mein se ek hi jeetega
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newSecret),
+        previousTokenHash: presentedHash,
+        lastUsedAt: new Date(),
+        ip: req.ip,
+        expiresAt: refreshExpiry(),
+      },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // ⚠️ Purana (rotate ho chuka) token dobara use hua - kisi ne token copy kiya hai, session khatam
+    if (session.previousTokenHash === presentedHash) {
+      await revokeSession(session._id, 'token-reuse');
+      console.warn(`⚠️ Refresh token reuse detected for session ${session._id}. Session revoked.`);
+    }
+    return null;
+  }
+
+  const user = await User.findById(rotated.user).select('_id');
+  if (!user) return null;
+
+  return tokenPair(user, rotated, newSecret);
+}
+
+/**
+ * Revokes one session (logout / device removal).
+ */
+async function revokeSession(sessionId, reason) {
+  await Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+}
+
+/**
+ * Revokes every session of a user, optionally keeping one (e.g. the current device).
+ * With `invalidateAccessTokens`, already issued access tokens stop working immediately too.
+ * @returns {Promise<number>} number of sessions revoked
+ */
+async function revokeAllSessions(userId, reason, { exceptSessionId = null, invalidateAccessTokens = false } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  if (invalidateAccessTokens) {
+    await User.findByIdAndUpdate(userId, { tokensRevokedAt: new Date() });
+  }
+  return result.modifiedCount;
+}
+
+/**
+ * Revokes the session a refresh token belongs to (logout without a valid access token).
+ * @returns {Promise<boolean>} true if a session was revoked
+ */
+async function revokeByRefreshToken(refreshToken, reason) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !/^[0-9a-fA-F]{24}$/.test(sessionId)) return false;
+
+  const result = await Session.updateOne(
+    { _id: sessionId, refreshTokenHash: hashToken(secret), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeByRefreshToken,
+  revokeAllSessions,
+};
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const ip = require('ip');
+const { User } = require('./auth.models');
+
+// --------- Admin 2FA (TOTP, RFC 6238) + IP allowlist ----------
+// Google Authenticator / Authy compatible: SHA1, 6 digits, 30 second step.
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Phone ki ghadi thodi aage/peeche ho to ±1 step allowed
+const RECOVERY_CODE_COUNT = 10;
+// Per-account guessing limit: itne galat codes ke baad 2FA kuch der ke liye band
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+const ISSUER = process.env.TOTP_ISSUER || 'Quick Sauda Admin';
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * HELPER: Buffer -> base32 (authenticator apps secret isi format mein lete hain)
+ */
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const char of str.replace(/=+$/, '').toUpperCase()) {
+    const idx = BASE32.indexOf(char);
+    if (idx === -1) continue;
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+/**
+ * HELPER: Ek time step ka TOTP code
+ */
+function totpAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function otpauthUrl(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+}
+
+/**
+ * Checks a TOTP code. Returns the matched time step, or null.
+ * Pass the last used step so the same code can't be replayed.
+ */
+function verifyTotp(secret, code, lastUsedStep = null) {
+  if (!secret || !/^\d{6}$/.test(String(code))) return null;
+  const current = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+    const expected = totpAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) return step;
+  }
+  return null;
+}
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(String(code).replace(/-/g, '').toUpperCase()).digest('hex');
+
+/**
+ * Generates one-time recovery codes. Plain codes sirf ek baar user ko dikhte hain, DB mein hash.
+ * @returns {{ codes: string[], hashes: string[] }}
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Verifies a second factor for a user loaded with the 2FA fields
+ * (+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes).
+ * Consumes the code (TOTP step / recovery code) so it can't be used twice. Returns true on success.
+ */
+async function consumeSecondFactor(user, { code, recoveryCode }) {
+  if (code) {
+    const step = verifyTotp(user.twoFactorSecret, code, user.twoFactorLastStep);
+    if (step === null) return false;
+    user.twoFactorLastStep = step;
+    await user.save();
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    if (!user.twoFactorRecoveryCodes.includes(hash)) return false;
+    user.twoFactorRecoveryCodes = user.twoFactorRecoveryCodes.filter(h => h !== hash);
+    await user.save();
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * consumeSecondFactor with a per-account attempt limit (login verify, step-up, disable, recovery codes - sab ek counter).
+ * MAX_FAILED_ATTEMPTS galat codes ke baad account LOCK_MINUTES ke liye locked; sahi code par counter reset.
+ * @returns {Promise<{ status: 'valid' } | { status: 'invalid' | 'locked', message: string, attemptsLeft?: number, retryAfter?: number }>}
+ */
+async function verifySecondFactor(user, factor) {
+  const now = new Date();
+  if (user.twoFactorLockedUntil && user.twoFactorLockedUntil > now) {
+    const retryAfter = Math.ceil((user.twoFactorLockedUntil.getTime() - now.getTime()) / 1000);
+    return { status: 'locked', retryAfter, message: `Too many wrong codes. Try again in ${Math.ceil(retryAfter / 60)} minute(s).` };
+  }
+
+  if (await consumeSecondFactor(user, factor)) {
+    if (user.twoFactorFailedAttempts || user.twoFactorLockedUntil) {
+      await User.updateOne({ _id: user._id }, { $set: { twoFactorFailedAttempts: 0, twoFactorLockedUntil: null } });
+    }
+    return { status: 'valid' };
+  }
+
+  // Atomic $inc - parallel guesses bhi gine jaate hain
+  const updated = await User.findByIdAndUpdate(user._id, { $inc: { twoFactorFailedAttempts: 1 } }, { new: true }).select('twoFactorFailedAttempts');
+  if (updated.twoFactorFailedAttempts >= MAX_FAILED_ATTEMPTS) {
+    const lockedUntil = new Date(now.getTime() + LOCK_MINUTES * 60 * 1000);
+    await User.updateOne({ _id: user._id }, { $set: { twoFactorLockedUntil: lockedUntil, twoFactorFailedAttempts: 0 } });
+    console.log(`🔐 2FA locked for admin ${user._id} until ${lockedUntil.toISOString()} after ${MAX_FAILED_ATTEMPTS} wrong codes.`);
+    return { status: 'locked', retryAfter: LOCK_MINUTES * 60, message: `Too many wrong codes. Try again in ${LOCK_MINUTES} minutes.` };
+  }
+
+  const attemptsLeft = MAX_FAILED_ATTEMPTS - updated.twoFactorFailedAttempts;
+  return { status: 'invalid', attemptsLeft, message: `Invalid verification code. ${attemptsLeft} attempt(s) left.` };
+}
+
+/**
+ * Admin IP allowlist check. Empty list = koi restriction nahi.
+ * Entries can be single IPs or CIDR ranges ("203.0.113.0/24").
+ */
+function isIpAllowed(user, requestIp) {
+  const allowlist = user.ipAllowlist || [];
+  if (allowlist.length === 0) return true;
+
+  const addr = String(requestIp || '').replace(/^::ffff:/, '');
+  return allowlist.some(entry => {
+    try {
+      return entry.includes('/') ? ip.cidrSubnet(entry).contains(addr) : ip.isEqual(entry, addr);
+    } catch (e) {
+      return false; // IPv4 range vs IPv6 address etc.
+    }
+  });
+}
+
+module.exports = {
+  TOTP_STEP_SECONDS,
+  totpAt,
+  generateSecret,
+  otpauthUrl,
+  verifyTotp,
+  generateRecoveryCodes,
+  consumeSecondFactor,
+  verifySecondFactor,
+  isIpAllowed,
+};
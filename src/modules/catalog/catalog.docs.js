@@ -0,0 +1,129 @@
+// --------- CATALOG API DOCS (see src/docs/openapi.js) ----------
+const message = { message: 'string' };
+const productFiles = ['images[]', 'variantImages[]', 'video'];
+const pagedListing = 'Sending `limit`, `sort`, `cursor` or `facets` returns a page instead of the full array: '
+  + '`{ products, nextCursor, hasMore, total, facets }` (see ProductPage). Pass `nextCursor` back as `cursor` with the same sort '
+  + 'and filters. Sorts: newest, price_asc, price_desc, rating, popularity, distance (needs lat/lng; default when given).';
+
+// Pincode / lat-lng wale listings ka rule (serviceability.service)
+const serviceableListing = 'With a location only products orderable there are listed: not in a blocked pincode / zone, '
+  + 'isGlobal or the pincode in the seller\'s pincodes (and the product\'s, if it has its own), seller within the delivery '
+  + 'radius, and some variant in stock - the same rules cart and checkout apply.';
+
+const facetCount = { type: 'object', properties: { value: { type: 'string' }, count: { type: 'integer' } } };
+const refCount = { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' }, count: { type: 'integer' } } };
+
+module.exports = {
+  tag: 'Catalog',
+  schemas: {
+    ProductPage: {
+      type: 'object',
+      properties: {
+        products: { type: 'array', items: { $ref: '#/components/schemas/Product' } },
+        nextCursor: { type: 'string', nullable: true },
+        hasMore: { type: 'boolean' },
+        total: { type: 'integer' },
+        facets: {
+          type: 'object',
+          description: 'Only with facets=true. Counts cover every product matching the current filters.',
+          properties: {
+            brands: { type: 'array', items: facetCount },
+            categories: { type: 'array', items: refCount },
+            sellers: { type: 'array', items: refCount },
+            priceRanges: {
+              type: 'array',
+              items: { type: 'object', properties: { min: { type: 'number' }, max: { type: 'number', nullable: true }, count: { type: 'integer' } } },
+            },
+            colors: { type: 'array', items: facetCount },
+            sizes: { type: 'array', items: facetCount },
+          },
+        },
+      },
+    },
+  },
+  routes: {
+    // Categories
+    'GET /api/categories': { summary: 'Active categories that have approved products (optionally for a pincode)', response: ['Category'] },
+    'GET /api/categories/{id}': { summary: 'Category by id', response: 'Category' },
+    'GET /api/admin/categories': { summary: 'All categories (admin)', response: ['Category'] },
+    'POST /api/admin/categories': { summary: 'Create category', status: 201, files: ['image'], response: 'Category' },
+    'PUT /api/admin/categories/reorder': { summary: 'Bulk update category sort order', response: message },
+    'PUT /api/admin/categories/{id}': { summary: 'Update category', files: ['image'], response: 'Category' },
+    'DELETE /api/admin/categories/{id}': { summary: 'Delete category', response: message },
+
+    // Subcategories
+    'GET /api/subcategories': { summary: 'Active subcategories (top level unless parentId given)', response: ['Subcategory'] },
+    'GET /api/subcategories/{id}': { summary: 'Subcategory by id', response: 'Subcategory' },
+    'GET /api/admin/subcategories': { summary: 'All subcategories (admin)', response: ['Subcategory'] },
+    'POST /api/admin/subcategories': { summary: 'Create subcategory', status: 201, files: ['image'], response: 'Subcategory' },
+    'PUT /api/admin/subcategories/{id}': { summary: 'Update subcategory', files: ['image'], response: 'Subcategory' },
+    'DELETE /api/admin/subcategories/{id}': { summary: 'Delete subcategory', response: message },
+
+    // Products (public)
+    'GET /api/products': {
+      summary: 'Search and filter approved products (empty list if location is blocked)',
+      description: '`search` uses the search index (synonyms, typo tolerance) without ranking; use GET /api/search for ranked results. '
+        + `${serviceableListing} ${pagedListing}`,
+      response: ['Product'],
+    },
+    'GET /api/products/{id}': { summary: 'Product details', response: 'Product' },
+    'GET /api/products/pincode/{pincode}': {
+      summary: 'Products deliverable to a pincode, with distance',
+      description: `${serviceableListing} A blocked location answers 403 \`{ blocked: true }\`. ${pagedListing} An empty paged result is 200 with \`products: []\` (the plain array form answers 404).`,
+      response: ['Product'],
+    },
+    'GET /api/products/recommendations/area-popular': { summary: 'Popular products in the user\'s area, topped up with global trending', response: ['Product'] },
+    'GET /api/wishlist': { summary: 'Current user\'s wishlist', response: 'Wishlist' },
+    'POST /api/products/{id}/like': { summary: 'Like a product and add it to the wishlist', status: 201, response: message },
+    'DELETE /api/products/{id}/like': { summary: 'Unlike a product', response: message },
+
+    // Reviews
+    'GET /api/products/{id}/reviews': { summary: 'Reviews for a product', response: ['Review'] },
+    'POST /api/products/{id}/reviews': { summary: 'Add a review', status: 201, response: 'Review' },
+    'PUT /api/products/{id}/reviews/{reviewId}': { summary: 'Edit own review', response: 'Review' },
+    'DELETE /api/products/{id}/reviews/{reviewId}': { summary: 'Delete a review (admin)', response: message },
+
+    // Seller products
+    'GET /api/seller/categories-and-subcategories': { summary: 'Category tree for the product form', response: 'object' },
+    'GET /api/seller/products': { summary: 'Own products', response: ['Product'] },
+    'POST /api/seller/products': {
+      summary: 'Create product with variants (deducts listing fee after free slots)',
+      status: 201, files: productFiles, response: { message: 'string', product: 'Product' },
+    },
+    'POST /api/seller/products/bulk': {
+      summary: 'Bulk create up to 10 simple products',
+      status: 201, files: ['images[]'], response: { message: 'string', products: ['Product'] },
+    },
+    'PUT /api/seller/products/{id}': { summary: 'Update own product', files: productFiles, response: 'Product' },
+    'DELETE /api/seller/products/{id}': { summary: 'Delete own product', response: message },
+
+    // Admin products
+    'GET /api/admin/products': { summary: 'All products (admin)', response: ['Product'] },
+    'PUT /api/admin/products/{id}': { summary: 'Edit any product', files: productFiles, response: 'Product' },
+    'PUT /api/admin/products/{id}/approval': { summary: 'Approve or reject a product', response: { message: 'string', product: 'Product' } },
+
+    // Banners & splash
+    'POST /api/admin/banners': { summary: 'Create banner (image or video)', status: 201, files: ['media'], response: 'Banner' },
+    'GET /api/banners/hero': { summary: 'Active top banners', response: ['Banner'] },
+    'GET /api/banners/dynamic': { summary: 'Active middle/bottom banners', response: ['Banner'] },
+    'GET /api/admin/banners': { summary: 'All banners (admin)', response: ['Banner'] },
+    'PUT /api/admin/banners/{id}': { summary: 'Update banner', files: ['media'], response: 'Banner' },
+    'DELETE /api/admin/banners/{id}': { summary: 'Delete banner', response: message },
+    'GET /api/admin/splash': { summary: 'All splash screens (admin)', response: ['Splash'] },
+    'POST /api/admin/splash': { summary: 'Create splash screen', status: 201, files: ['media'], response: 'Splash' },
+    'PUT /api/admin/splash/{id}': { summary: 'Update splash screen', files: ['media'], response: 'Splash' },
+    'DELETE /api/admin/splash/{id}': { summary: 'Delete splash screen', response: message },
+    'GET /api/splash': { summary: 'Splash screen to show right now (scheduled wins over default)', response: { splash: 'Splash' } },
+
+    // Affiliate products
+    'POST /api/admin/affiliate-products': {
+      summary: 'Create affiliate product', status: 201, files: ['media'], response: { message: 'string', product: 'AffiliateProduct' },
+    },
+    'PUT /api/admin/affiliate-products/{id}': { summary: 'Update affiliate product', files: ['media'], response: { message: 'string', product: 'AffiliateProduct' } },
+    'DELETE /api/admin/affiliate-products/{id}': { summary: 'Delete affiliate product', response: message },
+    'GET /api/affiliate-products': { summary: 'Active affiliate products', response: ['AffiliateProduct'] },
+    'PUT /api/affiliate-products/{id}/click': { summary: 'Track an affiliate link click', response: message },
+
+    'GET /api/home/layout': { summary: 'Home screen theme and section layout', response: 'object' },
+  },
+};
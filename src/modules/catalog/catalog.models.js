@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+
+const { tokenize } = require('../../utils/searchText');
+
+const categorySchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, index: true },
+  slug: { type: String, required: true, unique: true, index: true },
+  type: { type: String, enum: ['product', 'service'], default: 'product', index: true },
+  isActive: { type: Boolean, default: true, index: true },
+  image: {
+    url: String,
+    publicId: String
+  },
+  sortOrder: { type: Number, default: 0, index: true },
+
+  // ✅ NEW: Design properties for Flipkart-style UI
+  bgColor: { type: String, default: '#FFFFFF' },        // Circle/Square Background Color
+  textColor: { type: String, default: '#000000' },      // Category Name Color
+  shape: { type: String, enum: ['circle', 'square', 'rectangle'], default: 'circle' }, // Shape
+  borderColor: { type: String, default: 'transparent' } // Optional Border
+}, { timestamps: true });
+
+const Category = mongoose.model('Category', categorySchema);
+
+const subcategorySchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true, index: true },
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Subcategory', default: null, index: true },
+  isTopLevel: { type: Boolean, default: false, index: true },
+  isActive: { type: Boolean, default: true },
+  image: {
+    url: String,
+    publicId: String
+  }
+}, { timestamps: true });
+const Subcategory = mongoose.model('Subcategory', subcategorySchema);
+
+
+const productSchema = new mongoose.Schema({
+  name: String,
+  brand: { type: String, default: 'Unbranded' },
+  sku: String, 
+  category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true, index: true },
+  subcategory: { type: mongoose.Schema.Types.ObjectId, ref: 'Subcategory', default: null, index: true },
+  childCategory: { type: mongoose.Schema.Types.ObjectId, ref: 'Subcategory', default: null },
+  
+  // ❌ Main price and stock fields are removed (Variants handle this now)
+  
+  unit: {
+    type: String,
+    enum: ['kg', '100g', '250g', '500g', 'L', 'ml', 'pcs', 'pack', 'piece', 'bunch', 'packet', 'dozen', 'bag', '50g'],
+    required: false,
+  },
+  minOrderQty: { type: Number, default: 1 },
+  shortDescription: String,
+  fullDescription: String,
+  
+  images: [{
+    url: String,
+    publicId: String
+  }],
+  videoLink: String,
+  uploadedVideo: {
+    url: String,
+    publicId: String
+  },
+  specifications: { type: Map, of: String, default: {} },
+  
+  // ✅ VARIANTS SECTION
+  variants: [{
+      color: { type: String },
+      size: { type: String },
+      price: { type: Number, required: true },
+      originalPrice: { type: Number }, 
+      costPrice: { type: Number }, 
+      stock: { type: Number, required: true, default: 0 },
+      sku: { type: String }, 
+      images: [{ 
+        url: String,
+        publicId: String
+      }]
+  }],
+  
+  shippingDetails: {
+    weight: Number,
+    dimensions: {
+      length: Number,
+      width: Number,
+      height: Number,
+    },
+    shippingType: { type: String, enum: ['Free', 'Paid', 'COD Available'], default: 'Free' },
+  },
+  otherInformation: {
+    warranty: String,
+    returnPolicy: {
+      type: String,
+      enum: ['Non-Returnable', 'Returnable', 'Replacement'],
+      default: 'Non-Returnable'
+    },
+    tags: [String],
+  },
+  serviceDurationMinutes: { type: Number },
+  
+  pincodes: [{ 
+    type: String, 
+    required: false,
+    index: true
+  }], 
+  
+  isGlobal: { type: Boolean, default: false, index: true }, 
+  
+  // ✅✅ NEW FIELDS ADDED HERE (Alerts & Daily Update ke liye) ✅✅
+  dailyPriceUpdate: { type: Boolean, default: false }, // Agar true hai, to roj subah notification jayega
+  lowStockThreshold: { type: Number, default: 5 },     // Isse kam stock hone par alert jayega
+  // -------------------------------------------------------------
+
+  // ✅ NEW FIELD: Product Approval Status
+  // Default is false so sellers' products are hidden until approved.
+  isApproved: { type: Boolean, default: false, index: true }, 
+
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  isTrending: { type: Boolean, default: false, index: true },
+
+  // ⭐ Listing sort ke liye (reviews se / product-stats job se update hote hain)
+  ratingAverage: { type: Number, default: 0 },
+  ratingCount: { type: Number, default: 0 },
+  popularity: { type: Number, default: 0 }, // Pichhle 30 din mein biki quantity
+
+  // 🔎 Search index (normalized words - dekhein src/utils/searchText.js). Khud se set na karein, save par banta hai.
+  searchTerms: { type: [String], default: [], select: false }
+
+}, { timestamps: true });
+
+productSchema.index({ searchTerms: 1, isApproved: 1 });
+
+// Product ke searchable fields -> index terms
+const SEARCH_FIELDS = ['name', 'brand', 'shortDescription', 'fullDescription', 'otherInformation.tags', 'variants'];
+
+/**
+ * HELPER: Product (doc ya plain object) ke search terms
+ */
+function productSearchTerms(product) {
+  const tags = (product.otherInformation && product.otherInformation.tags) || [];
+  const variantText = (product.variants || []).map(v => `${v.color || ''} ${v.size || ''}`);
+  const brand = product.brand === 'Unbranded' ? '' : product.brand; // default brand search mein kaam ka nahi
+  return tokenize([product.name, brand, tags.join(' '), product.shortDescription, product.fullDescription, ...variantText].join(' '));
+}
+
+// save, create aur insertMany sab validate chalate hain
+productSchema.pre('validate', function () {
+  if (this.isNew || SEARCH_FIELDS.some(field => this.isModified(field))) {
+    this.searchTerms = productSearchTerms(this);
+  }
+});
+
+const Product = mongoose.model('Product', productSchema);
+
+const bannerSchema = new mongoose.Schema({
+  title: String,
+  image: {
+    url: String,
+    publicId: String
+  },
+  link: String,
+  type: { type: String, enum: ['image', 'video'], default: 'image' },
+  position: { type: String, enum: ['top', 'middle', 'bottom'], default: 'top' },
+  isActive: { type: Boolean, default: true },
+  video: {
+    url: String,
+    publicId: String
+  }
+}, { timestamps: true });
+const Banner = mongoose.model('Banner', bannerSchema);
+
+const splashSchema = new mongoose.Schema({
+  title: String,
+  image: {
+    url: String,
+    publicId: String
+  },
+  video: {
+    url: String,
+    publicId: String
+  },
+  link: String,
+  type: { type: String, enum: ['scheduled', 'default'], default: 'default' },
+  startDate: Date,
+  endDate: Date,
+  isActive: { type: Boolean, default: true },
+}, { timestamps: true });
+const Splash = mongoose.model('Splash', splashSchema);
+const wishlistSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }]
+}, { timestamps: true });
+const Wishlist = mongoose.model('Wishlist', wishlistSchema);
+
+const reviewSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  comment: { type: String, required: true },
+}, { timestamps: true });
+
+/**
+ * HELPER: Product ki rating summary (ratingAverage / ratingCount) reviews se dobara nikaalo
+ */
+async function refreshProductRating(productId) {
+  try {
+    const [stats] = await Review.aggregate([
+      { $match: { product: productId } },
+      { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]);
+    await Product.updateOne({ _id: productId }, {
+      $set: { ratingAverage: stats ? Math.round(stats.average * 10) / 10 : 0, ratingCount: stats ? stats.count : 0 }
+    });
+  } catch (err) {
+    // Review save ho chuka hai - rating nightly product-stats job mein theek ho jaayegi
+    console.error(`⭐ Rating refresh failed for product ${productId}:`, err.message);
+  }
+}
+reviewSchema.post('save', function () { return refreshProductRating(this.product); });
+reviewSchema.post('deleteOne', { document: true, query: false }, function () { return refreshProductRating(this.product); });
+
+const Review = mongoose.model('Review', reviewSchema);
+
+const likeSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+}, { timestamps: true });
+const Like = mongoose.model('Like', likeSchema);
+// --------- Affiliate Product Model (New) ----------
+const affiliateProductSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: String,
+  price: { type: Number, required: true }, // Display price
+  originalPrice: Number, // MRP (Optional)
+  
+  // External Link (Amazon/Flipkart/etc.)
+  affiliateLink: { type: String, required: true }, 
+  
+  // Platform Name (e.g., 'Amazon', 'Flipkart', 'Myntra')
+  platform: { type: String, required: true, default: 'Amazon' },
+  
+  image: {
+    url: String,
+    publicId: String
+  },
+  
+  // Optional: Link to existing category structure
+  category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' }, 
+  
+  isActive: { type: Boolean, default: true },
+  clicks: { type: Number, default: 0 }, // Analytics: Track how many people clicked
+}, { timestamps: true });
+
+const AffiliateProduct = mongoose.model('AffiliateProduct', affiliateProductSchema);
+
+module.exports = { Category, Subcategory, Product, productSearchTerms, Banner, Splash, Wishlist, Review, Like, AffiliateProduct };
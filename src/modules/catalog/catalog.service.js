@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+/**
+ * HELPER FUNCTION
+ * Generates a unique SKU based on category, product name, and random characters.
+ */
+function generateUniqueSku(categoryId, productName) {
+  const catPart = categoryId.toString().slice(-4).toUpperCase();
+  let prodPart = productName.substring(0, 3).toUpperCase();
+  prodPart = prodPart.replace(/[^A-Z0-9]/g, 'X');
+
+  const randomPart = crypto.randomBytes(3).toString('hex').toUpperCase();
+
+  return `${catPart}-${prodPart}-${randomPart}`;
+}
+
+module.exports = { generateUniqueSku };
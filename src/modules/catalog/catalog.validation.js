@@ -0,0 +1,353 @@
+const { Joi, objectId, pincode, latitude, longitude, flag, jsonString, idParam, enumOf } = require('../../middleware/validate');
+const { Banner, Category, Product, Splash } = require('./catalog.models');
+const { LISTING_SORTS } = require('./listing.service');
+
+// --------- CATALOG REQUEST SCHEMAS ----------
+const CATEGORY_TYPES = enumOf(Category, 'type');
+const CATEGORY_SHAPES = enumOf(Category, 'shape');
+const PRODUCT_UNITS = enumOf(Product, 'unit');
+const SHIPPING_TYPES = enumOf(Product, 'shippingDetails.shippingType');
+const RETURN_POLICIES = enumOf(Product, 'otherInformation.returnPolicy');
+
+// Optional ObjectId jo multipart form mein khali string bhi aa sakta hai
+const optionalId = () => objectId().allow('', null);
+const color = () => Joi.string().trim().max(20);
+const searchText = () => Joi.string().trim().max(100);
+
+// --- Categories ---
+const listCategories = {
+  query: Joi.object({
+    active: Joi.string().valid('true', 'false'),
+    userPincode: pincode(),
+    type: Joi.string().valid(...CATEGORY_TYPES),
+  }),
+};
+
+const adminListCategories = {
+  query: Joi.object({
+    active: Joi.string().valid('true', 'false'),
+    type: Joi.string().valid(...CATEGORY_TYPES),
+  }),
+};
+
+const createCategory = {
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    type: Joi.string().valid(...CATEGORY_TYPES),
+    sortOrder: Joi.number().integer().min(0),
+    bgColor: color(),
+    textColor: color(),
+    shape: Joi.string().valid(...CATEGORY_SHAPES),
+    borderColor: color(),
+  }),
+};
+
+const updateCategory = {
+  params: idParam(),
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    isActive: flag(),
+    type: Joi.string().valid(...CATEGORY_TYPES),
+    sortOrder: Joi.number().integer().min(0),
+    bgColor: color(),
+    textColor: color(),
+    shape: Joi.string().valid(...CATEGORY_SHAPES),
+    borderColor: color(),
+  }),
+};
+
+const reorderCategories = {
+  body: Joi.object({
+    order: Joi.array().items(Joi.object({
+      id: objectId().required(),
+      order: Joi.number().integer().min(0).required(),
+    })).min(1).required(),
+  }),
+};
+
+// --- Subcategories ---
+const listSubcategories = {
+  query: Joi.object({
+    active: Joi.string().valid('true', 'false'),
+    categoryId: objectId(),
+    parentId: objectId(),
+  }),
+};
+
+const adminListSubcategories = {
+  query: Joi.object({
+    active: Joi.string().valid('true', 'false'),
+    categoryId: objectId(),
+    parentId: objectId(),
+    isTopLevel: Joi.string().valid('true', 'false'),
+  }),
+};
+
+const createSubcategory = {
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    categoryId: objectId().required(),
+    parentId: optionalId(),
+  }),
+};
+
+const updateSubcategory = {
+  params: idParam(),
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    categoryId: objectId(),
+    parentId: optionalId(),
+    isActive: flag(),
+  }),
+};
+
+// --- Products (public) ---
+// Paged listing (cursor / sort / facets) + variant filters - dekhein listing.service.js
+const listingQuery = {
+  sort: Joi.string().valid(...Object.keys(LISTING_SORTS)),
+  cursor: Joi.string().trim().max(500),
+  facets: Joi.boolean(),
+  color: Joi.string().trim().max(50),
+  size: Joi.string().trim().max(50),
+};
+
+const listProducts = {
+  query: Joi.object({
+    ...listingQuery,
+    search: searchText(),
+    minPrice: Joi.number().min(0),
+    maxPrice: Joi.number().min(0),
+    categoryId: objectId(),
+    subcategoryId: objectId(),
+    sellerId: objectId(),
+    brand: searchText(),
+    userPincode: pincode(),
+    lat: latitude(),
+    lng: longitude(),
+    sample: Joi.string().valid('true', 'false'),
+    limit: Joi.number().integer().min(1).max(100),
+  }),
+};
+
+const productsByPincode = {
+  params: Joi.object({ pincode: pincode().required() }),
+  query: Joi.object({
+    ...listingQuery,
+    lat: latitude(),
+    lng: longitude(),
+    categoryId: objectId(),
+    subcategoryId: objectId(),
+    sellerId: objectId(),
+    brand: searchText(),
+    minPrice: Joi.number().min(0),
+    maxPrice: Joi.number().min(0),
+    limit: Joi.number().integer().min(1).max(100),
+  }),
+};
+
+const areaPopular = {
+  query: Joi.object({ pincode: pincode() }),
+};
+
+// --- Reviews ---
+const reviewBody = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required(),
+  comment: Joi.string().trim().max(2000).allow(''),
+});
+
+const createReview = { params: idParam(), body: reviewBody };
+const updateReview = { params: idParam('id', 'reviewId'), body: reviewBody };
+const reviewParams = { params: idParam('id', 'reviewId') };
+
+// --- Seller products ---
+const variantSchema = Joi.object({
+  color: Joi.string().allow('', null),
+  size: Joi.string().allow('', null),
+  storage: Joi.string().allow('', null),
+  price: Joi.number().positive().required(),
+  originalPrice: Joi.number().positive().allow('', null),
+  costPrice: Joi.number().min(0).allow('', null),
+  stock: Joi.number().integer().min(1).required(),
+});
+
+const productFields = {
+  productTitle: Joi.string().trim().min(1).max(200),
+  brand: Joi.string().trim().max(100).allow(''),
+  category: objectId(),
+  subcategory: optionalId(),
+  childCategory: optionalId(),
+  shortDescription: Joi.string().max(1000).allow(''),
+  fullDescription: Joi.string().max(20000).allow(''),
+  unit: Joi.string().valid(...PRODUCT_UNITS).allow(''),
+  videoLink: Joi.string().uri().allow('', null),
+  specifications: jsonString(Joi.object()).allow(''),
+  shippingWeight: Joi.number().min(0).allow(''),
+  shippingLength: Joi.number().min(0).allow(''),
+  shippingWidth: Joi.number().min(0).allow(''),
+  shippingHeight: Joi.number().min(0).allow(''),
+  shippingType: Joi.string().valid(...SHIPPING_TYPES),
+  warranty: Joi.string().max(200).allow('', null),
+  returnPolicy: Joi.string().valid(...RETURN_POLICIES),
+  tags: jsonString(Joi.array().items(Joi.string())).allow(''),
+  serviceDurationMinutes: Joi.number().integer().min(1).allow(''),
+  pincodeList: jsonString(Joi.array().items(Joi.string())).allow(''),
+  isGlobal: flag(),
+  dailyPriceUpdate: flag(),
+  lowStockThreshold: Joi.number().integer().min(0).allow(''),
+};
+
+const createProduct = {
+  body: Joi.object({
+    ...productFields,
+    productTitle: productFields.productTitle.required(),
+    category: productFields.category.required(),
+    variants: jsonString(Joi.array().items(variantSchema).min(1)).required(),
+  }),
+};
+
+const updateProduct = {
+  params: idParam(),
+  body: Joi.object({
+    ...productFields,
+    isTrending: flag(),
+    variants: jsonString(Joi.array().items(variantSchema.keys({ _id: objectId() })).min(1)),
+    imagesToDelete: Joi.alternatives().try(Joi.array().items(Joi.string()), Joi.string()),
+  }),
+};
+
+const bulkCreateProducts = {
+  body: Joi.object({
+    products: jsonString(Joi.array().items(Joi.object({
+      productTitle: Joi.string().trim().min(1).max(200).required(),
+      sellingPrice: Joi.number().positive().required(),
+      stockQuantity: Joi.number().integer().min(1).required(),
+      unit: Joi.string().valid(...PRODUCT_UNITS).required(),
+      category: objectId().required(),
+      imageCount: Joi.number().integer().min(0).required(),
+      mrp: Joi.number().positive().allow('', null),
+    })).min(1).max(10)).required(),
+  }),
+};
+
+const adminUpdateProduct = {
+  params: idParam(),
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(200),
+    description: Joi.string().max(20000).allow(''),
+    brand: Joi.string().trim().max(100).allow(''),
+    price: Joi.number().positive().allow(''),
+    originalPrice: Joi.number().positive().allow(''),
+    costPrice: Joi.number().min(0).allow(''),
+    stock: Joi.number().integer().min(0).allow(''),
+    category: optionalId(),
+    subcategory: optionalId(),
+    childSubcategory: optionalId(),
+    specifications: jsonString(Joi.object()).allow(''),
+    imagesToDelete: Joi.alternatives().try(Joi.array().items(Joi.string()), Joi.string()),
+    unit: Joi.string().valid(...PRODUCT_UNITS).allow(''),
+    isTrending: flag(),
+    serviceDurationMinutes: Joi.number().integer().min(1).allow(''),
+    returnPolicy: Joi.string().valid(...RETURN_POLICIES),
+  }),
+};
+
+const productApproval = {
+  params: idParam(),
+  body: Joi.object({
+    isApproved: Joi.boolean().required(),
+  }),
+};
+
+// --- Banners / Splash ---
+const bannerFields = {
+  title: Joi.string().trim().max(200).allow(''),
+  link: Joi.string().trim().max(500).allow(''),
+  isActive: flag(),
+  position: Joi.string().valid(...enumOf(Banner, 'position')),
+  type: Joi.string().valid(...enumOf(Banner, 'type')),
+};
+
+const createBanner = { body: Joi.object(bannerFields) };
+const updateBanner = { params: idParam(), body: Joi.object(bannerFields) };
+
+const splashFields = {
+  title: Joi.string().trim().max(200).allow(''),
+  link: Joi.string().trim().max(500).allow(''),
+  type: Joi.string().valid(...enumOf(Splash, 'type')),
+  isActive: flag(),
+  startDate: Joi.date().iso().allow('', null),
+  endDate: Joi.date().iso().allow('', null),
+};
+
+const createSplash = {
+  body: Joi.object({
+    ...splashFields,
+    startDate: splashFields.startDate.when('type', { is: 'scheduled', then: Joi.required() }),
+    endDate: splashFields.endDate.when('type', { is: 'scheduled', then: Joi.required() }),
+  }),
+};
+const updateSplash = { params: idParam(), body: Joi.object(splashFields) };
+
+// --- Affiliate products ---
+const affiliateFields = {
+  name: Joi.string().trim().min(1).max(200),
+  description: Joi.string().max(5000).allow(''),
+  price: Joi.number().positive(),
+  originalPrice: Joi.number().positive().allow(''),
+  affiliateLink: Joi.string().uri(),
+  platform: Joi.string().trim().max(50),
+  category: optionalId(),
+  isActive: flag(),
+};
+
+const createAffiliateProduct = {
+  body: Joi.object({
+    ...affiliateFields,
+    name: affiliateFields.name.required(),
+    price: affiliateFields.price.required(),
+    affiliateLink: affiliateFields.affiliateLink.required(),
+  }),
+};
+const updateAffiliateProduct = { params: idParam(), body: Joi.object(affiliateFields) };
+
+const listAffiliateProducts = {
+  query: Joi.object({
+    category: objectId(),
+    platform: Joi.string().trim().max(50),
+    search: searchText(),
+  }),
+};
+
+// Sirf :id wale routes (get/delete/like/click)
+const byId = { params: idParam() };
+
+module.exports = {
+  listCategories,
+  adminListCategories,
+  createCategory,
+  updateCategory,
+  reorderCategories,
+  listSubcategories,
+  adminListSubcategories,
+  createSubcategory,
+  updateSubcategory,
+  listProducts,
+  productsByPincode,
+  areaPopular,
+  createReview,
+  updateReview,
+  reviewParams,
+  createProduct,
+  updateProduct,
+  bulkCreateProducts,
+  adminUpdateProduct,
+  productApproval,
+  createBanner,
+  updateBanner,
+  createSplash,
+  updateSplash,
+  createAffiliateProduct,
+  updateAffiliateProduct,
+  listAffiliateProducts,
+  byId,
+};
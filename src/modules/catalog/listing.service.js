@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+
+const { Product, Review } = require('./catalog.models');
+const { distanceExpression } = require('./serviceability.service');
+const { Order } = require('../orders/orders.models');
+
+// --------- PRODUCT LISTINGS (cursor pagination, sort, facets) ----------
+// /api/products aur /api/products/pincode/:pincode ka paged mode. Ek aggregation:
+//   match + seller join (route) -> computed fields (price, stock, distance) -> $facet { page, total, facets }
+// Cursor = aakhri product ki sort value + _id (base64). Naye products aane par bhi page repeat / skip nahi hote.
+
+const LISTING_SORTS = {
+  newest: { field: 'createdAt', order: -1 },
+  price_asc: { field: 'price', order: 1 },
+  price_desc: { field: 'price', order: -1 },
+  rating: { field: 'ratingAverage', order: -1 },
+  popularity: { field: 'popularity', order: -1 },
+  distance: { field: 'distanceKm', order: 1 }, // lat/lng chahiye
+};
+
+// Price facet ke buckets (₹). Aakhri bucket = 10000 se upar.
+const PRICE_BUCKETS = [0, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+const FACET_LIMIT = 30;
+
+/**
+ * Is this listing request asking for the paged response ({ products, nextCursor, ... }) instead of the plain array?
+ * Purane clients (sirf filters) ko array hi milta hai.
+ */
+function isPagedListing(query) {
+  return Boolean(query.cursor || query.sort || query.facets || (query.limit && query.sample !== 'true'));
+}
+
+/**
+ * HELPER: Aakhri product se agle page ka cursor
+ */
+function encodeCursor(sort, product) {
+  const { field } = LISTING_SORTS[sort];
+  return Buffer.from(JSON.stringify({ s: sort, v: product[field], id: product._id })).toString('base64url');
+}
+
+/**
+ * HELPER: Decodes a listing cursor. Returns null if it is malformed or was issued for a different sort.
+ */
+function decodeCursor(cursor, sort) {
+  try {
+    const { s, v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (s !== sort || !mongoose.isValidObjectId(id)) return null;
+    const value = sort === 'newest' ? new Date(v) : v;
+    if (sort === 'newest' ? isNaN(value) : typeof value !== 'number') return null;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Paged listing options from the validated query, or { error } for a bad sort / cursor.
+ */
+function listingOptions(query) {
+  const hasLocation = typeof query.lat === 'number' && typeof query.lng === 'number';
+  const sort = query.sort || (hasLocation ? 'distance' : 'newest');
+  if (sort === 'distance' && !hasLocation) return { error: 'Sorting by distance needs lat and lng' };
+
+  const cursor = query.cursor ? decodeCursor(query.cursor, sort) : null;
+  if (query.cursor && !cursor) return { error: 'Invalid cursor. Load the list again from the first page.' };
+
+  return {
+    sort,
+    cursor,
+    limit: query.limit || 20,
+    facets: Boolean(query.facets),
+    lat: hasLocation ? query.lat : undefined,
+    lng: hasLocation ? query.lng : undefined,
+    minPrice: query.minPrice,
+    maxPrice: query.maxPrice,
+  };
+}
+
+/**
+ * Match conditions for the listing filters (category, brand, seller, variant color/size).
+ * @returns {object[]} conditions for $and
+ */
+function listingFilters({ categoryId, subcategoryId, brand, sellerId, color, size } = {}) {
+  const { ObjectId } = mongoose.Types;
+  const exact = (text) => ({ $regex: `^${text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' });
+  const conditions = [];
+  if (categoryId) conditions.push({ category: new ObjectId(categoryId) });
+  if (subcategoryId) {
+    conditions.push({ $or: [{ subcategory: new ObjectId(subcategoryId) }, { childCategory: new ObjectId(subcategoryId) }] });
+  }
+  if (brand) conditions.push({ brand: exact(brand) });
+  if (sellerId) conditions.push({ seller: new ObjectId(sellerId) });
+  if (color || size) {
+    const variant = {};
+    if (color) variant.color = exact(color);
+    if (size) variant.size = exact(size);
+    conditions.push({ variants: { $elemMatch: variant } });
+  }
+  return conditions;
+}
+
+/**
+ * HELPER: Variants se price / stock aur sort fields.
+ * Purane products (variants se pehle ke) mein variants khali hain - unke liye top-level price / stock (pincode route jaisa).
+ */
+function computedFields(lat, lng) {
+  const hasVariants = { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] };
+  const fields = {
+    price: { $cond: [hasVariants, { $min: '$variants.price' }, '$price'] },
+    originalPrice: { $cond: [hasVariants, { $max: '$variants.originalPrice' }, '$originalPrice'] },
+    stock: { $cond: [hasVariants, { $sum: '$variants.stock' }, { $ifNull: ['$stock', 0] }] },
+    ratingAverage: { $ifNull: ['$ratingAverage', 0] },
+    ratingCount: { $ifNull: ['$ratingCount', 0] },
+    popularity: { $ifNull: ['$popularity', 0] },
+  };
+  if (typeof lat === 'number' && typeof lng === 'number') fields.distanceKm = distanceExpression(lat, lng);
+  return fields;
+}
+
+/**
+ * HELPER: Ek field ke facet counts (distinct products), variant fields ke liye unwind
+ */
+function variantFacet(field) {
+  return [
+    { $unwind: '$variants' },
+    { $match: { [`variants.${field}`]: { $nin: [null, ''] } } },
+    { $group: { _id: { value: { $toLower: `$variants.${field}` }, product: '$_id' } } },
+    { $group: { _id: '$_id.value', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_LIMIT },
+    { $project: { _id: 0, value: '$_id', count: 1 } },
+  ];
+}
+
+const FACET_STAGES = {
+  brands: [
+    { $group: { _id: '$brand', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_LIMIT },
+    { $project: { _id: 0, value: '$_id', count: 1 } },
+  ],
+  categories: [
+    { $group: { _id: '$category', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: FACET_LIMIT },
+    { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+    { $project: { _id: 0, id: '$_id', name: { $first: '$category.name' }, count: 1 } },
+  ],
+  sellers: [
+    { $group: { _id: '$seller._id', name: { $first: '$seller.name' }, count: { $sum: 1 } } },
+    { $match: { _id: { $ne: null } } },
+    { $sort: { count: -1 } },
+    { $limit: FACET_LIMIT },
+    { $project: { _id: 0, id: '$_id', name: 1, count: 1 } },
+  ],
+  priceRanges: [
+    { $bucket: { groupBy: '$price', boundaries: PRICE_BUCKETS, default: 'above', output: { count: { $sum: 1 } } } },
+  ],
+  colors: variantFacet('color'),
+  sizes: variantFacet('size'),
+};
+
+/**
+ * HELPER: $bucket output -> { min, max, count } (max null = us se upar)
+ */
+function formatPriceRanges(buckets) {
+  return buckets.map(bucket => {
+    if (bucket._id === 'above') return { min: PRICE_BUCKETS[PRICE_BUCKETS.length - 1], max: null, count: bucket.count };
+    const index = PRICE_BUCKETS.indexOf(bucket._id);
+    return { min: bucket._id, max: PRICE_BUCKETS[index + 1], count: bucket.count };
+  });
+}
+
+// List mein jo fields jaate hain (legacy /api/products jaise)
+const LISTING_PROJECTION = {
+  name: 1, price: 1, originalPrice: 1, images: 1, stock: 1, unit: 1, brand: 1, variants: 1,
+  shortDescription: 1, isTrending: 1, ratingAverage: 1, ratingCount: 1, distanceKm: 1, pincodes: 1, isGlobal: 1,
+  'seller._id': 1, 'seller.name': 1, 'seller.location': 1,
+  'category._id': 1, 'category.name': 1, createdAt: 1,
+};
+
+/**
+ * Runs a paged product listing.
+ * @param {object[]} basePipeline  Route ke match + seller join stages (seller object hona chahiye)
+ * @param {{ sort: string, limit: number, cursor?: { value: any, id: any }, facets?: boolean,
+ *   lat?: number, lng?: number, minPrice?: number, maxPrice?: number }} options
+ * @returns {Promise<{ products: object[], nextCursor: string|null, hasMore: boolean, total: number, facets?: object }>}
+ */
+async function runListing(basePipeline, { sort, limit, cursor = null, facets = false, lat, lng, minPrice, maxPrice }) {
+  const { field, order } = LISTING_SORTS[sort];
+  const pipeline = [...basePipeline, { $addFields: computedFields(lat, lng) }];
+
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    const price = {};
+    if (minPrice !== undefined) price.$gte = minPrice;
+    if (maxPrice !== undefined) price.$lte = maxPrice;
+    pipeline.push({ $match: { price } });
+  }
+
+  const page = [];
+  if (cursor) {
+    const past = order === 1 ? '$gt' : '$lt';
+    page.push({ $match: { $or: [{ [field]: { [past]: cursor.value } }, { [field]: cursor.value, _id: { [past]: cursor.id } }] } });
+  }
+  page.push(
+    { $sort: { [field]: order, _id: order } },
+    { $limit: limit + 1 },
+    { $lookup: { from: 'categories', localField: 'category', foreignField: '_id', as: 'category' } },
+    { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+    { $project: LISTING_PROJECTION }
+  );
+
+  const stages = { products: page, total: [{ $count: 'count' }] };
+  if (facets) Object.assign(stages, FACET_STAGES);
+  const [result] = await Product.aggregate([...pipeline, { $facet: stages }]);
+
+  const hasMore = result.products.length > limit;
+  const products = result.products.slice(0, limit);
+  const response = {
+    products,
+    nextCursor: hasMore ? encodeCursor(sort, products[products.length - 1]) : null,
+    hasMore,
+    total: result.total.length ? result.total[0].count : 0,
+  };
+  if (facets) {
+    response.facets = {
+      brands: result.brands,
+      categories: result.categories,
+      sellers: result.sellers,
+      priceRanges: formatPriceRanges(result.priceRanges),
+      colors: result.colors,
+      sizes: result.sizes,
+    };
+  }
+  return response;
+}
+
+/**
+ * Recomputes the stored sort fields: popularity (units sold in the last 30 days) and ratings (reviews).
+ * Ratings review save/delete par bhi update hoti hain - ye unhe sync rakhta hai.
+ * @returns {Promise<{ popular: number, rated: number }>}
+ */
+async function refreshProductStats() {
+  const since = new Date(Date.now() - 30 * 24 * 3600 * 1000);
+  const sales = await Order.aggregate([
+    { $match: { createdAt: { $gte: since }, paymentStatus: 'completed', deliveryStatus: { $ne: 'Cancelled' } } },
+    { $unwind: '$orderItems' },
+    { $match: { 'orderItems.product': { $ne: null } } },
+    { $group: { _id: '$orderItems.product', sold: { $sum: '$orderItems.qty' } } },
+  ]);
+  const ratings = await Review.aggregate([
+    { $group: { _id: '$product', average: { $avg: '$rating' }, count: { $sum: 1 } } },
+  ]);
+
+  const ops = [
+    ...sales.map(s => ({ updateOne: { filter: { _id: s._id }, update: { $set: { popularity: s.sold } } } })),
+    ...ratings.map(r => ({
+      updateOne: { filter: { _id: r._id }, update: { $set: { ratingAverage: Math.round(r.average * 10) / 10, ratingCount: r.count } } }
+    })),
+  ];
+  for (let i = 0; i < ops.length; i += 500) {
+    await Product.bulkWrite(ops.slice(i, i + 500), { ordered: false });
+  }
+  // Jinki bikri / reviews ab nahi rahe
+  await Product.updateMany({ _id: { $nin: sales.map(s => s._id) }, popularity: { $ne: 0 } }, { $set: { popularity: 0 } });
+  await Product.updateMany({ _id: { $nin: ratings.map(r => r._id) }, ratingCount: { $ne: 0 } }, { $set: { ratingAverage: 0, ratingCount: 0 } });
+
+  return { popular: sales.length, rated: ratings.length };
+}
+
+module.exports = {
+  LISTING_SORTS,
+  isPagedListing,
+  listingOptions,
+  listingFilters,
+  runListing,
+  refreshProductStats,
+};
@@ -0,0 +1,239 @@
+const { getDistanceFromLatLonInKm } = require('../../utils/geo');
+const { AppSettings } = require('../admin/admin.models');
+const { User } = require('../auth/auth.models');
+
+// --------- SERVICEABILITY ENGINE ----------
+// Ek hi jagah decide hota hai ki product kisi pincode / lat-lng par order ho sakta hai ya nahi.
+// Listing (aggregation $match), search, cart aur checkout sab isi ko use karte hain - rules (order mein):
+//   1. Location blocked nahi (admin: deliveryConfig.blockedPincodes / blockedZones)
+//   2. Area (pincode pata ho to): isGlobal product har jagah; warna pincode seller.pincodes mein ho
+//      aur product.pincodes mein bhi (agar product ne apne pincodes set kiye hain)
+//   3. Radius (dono ke coordinates ho to): seller se doori <= deliveryConfig.globalRadiusKm
+//   4. Stock: chuna hua variant (ya listing mein koi bhi variant) qty jitna; bina variants wala product = top-level stock
+// Seller ki location [0, 0] (default) = location set nahi hai, radius check nahi hota.
+
+const DEFAULT_RADIUS_KM = 50;
+// Seller ki location na ho to distance sort mein sabse neeche
+const UNKNOWN_DISTANCE_KM = 1000000;
+
+/**
+ * Admin delivery settings (radius, blocked pincodes / zones). Bina settings ke = {}.
+ */
+async function getDeliveryConfig() {
+  const settings = await AppSettings.findOne({ singleton: true }).lean();
+  return (settings && settings.deliveryConfig) || {};
+}
+
+/**
+ * Normalizes a customer location from a query / body / saved Address.
+ * @returns {{ pincode: string|null, lat: number|null, lng: number|null }}
+ */
+function toLocation({ pincode, lat, lng } = {}) {
+  const coordinate = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  };
+  const location = { pincode: pincode ? String(pincode) : null, lat: coordinate(lat), lng: coordinate(lng) };
+  if (location.lat === null || location.lng === null) location.lat = location.lng = null;
+  return location;
+}
+
+/**
+ * Does the request carry any location to check against (pincode or lat/lng)?
+ */
+function hasLocation(location) {
+  return Boolean(location && (location.pincode || location.lat !== null));
+}
+
+/**
+ * HELPER: Seller ke [lng, lat] coordinates, ya null agar location set nahi hai
+ */
+function sellerCoordinates(seller) {
+  const coordinates = seller && seller.location && seller.location.coordinates;
+  if (!coordinates || coordinates.length !== 2 || (coordinates[0] === 0 && coordinates[1] === 0)) return null;
+  return coordinates;
+}
+
+/**
+ * Customer se seller ki doori (km, 1 decimal), ya null agar kisi ki location nahi pata.
+ */
+function sellerDistanceKm(location, seller) {
+  const coordinates = sellerCoordinates(seller);
+  if (!coordinates || !location || location.lat === null) return null;
+  const distance = getDistanceFromLatLonInKm(location.lat, location.lng, coordinates[1], coordinates[0]);
+  return Math.round(distance * 10) / 10;
+}
+
+/**
+ * Why deliveries to this location are paused (admin blocked pincode / geo zone), or null.
+ */
+function locationBlockReason(location, config) {
+  if (!location) return null;
+  if (location.pincode && (config.blockedPincodes || []).includes(location.pincode)) {
+    return `Delivery is currently unavailable in pincode ${location.pincode}.`;
+  }
+  if (location.lat !== null) {
+    for (const zone of config.blockedZones || []) {
+      if (getDistanceFromLatLonInKm(location.lat, location.lng, zone.lat, zone.lng) <= zone.radiusKm) {
+        return `Service paused in your area: ${zone.reason}`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * HELPER: Cart / order item ka variant (color + size dono match, khali = khali)
+ */
+function findVariant(product, { _id, color, size } = {}) {
+  const variants = product.variants || [];
+  if (_id) return variants.find(v => String(v._id) === String(_id)) || null;
+  return variants.find(v =>
+    (v.color === color || (!v.color && !color)) &&
+    (v.size === size || (!v.size && !size))
+  ) || null;
+}
+
+/**
+ * HELPER: Pincode product ke delivery area mein hai? (rule 2)
+ */
+function coversPincode(product, pincode) {
+  if (product.isGlobal) return true;
+  const sellerPincodes = (product.seller && product.seller.pincodes) || [];
+  const productPincodes = product.pincodes || [];
+  return sellerPincodes.includes(pincode) && (!productPincodes.length || productPincodes.includes(pincode));
+}
+
+/**
+ * Decides whether a product can be ordered at a location. Seller populated hona chahiye (pincodes location).
+ * @param {object} product
+ * @param {{ pincode: string|null, lat: number|null, lng: number|null }|null} location  null = sirf stock check
+ * @param {{ config?: object, qty?: number, variant?: { _id?: any, color?: string, size?: string } }} [options]
+ *   variant na ho to koi bhi variant jisme qty jitna stock hai chalega (listing); cart / checkout apna variant bhejte hain
+ * @returns {{ orderable: boolean, code?: string, reason?: string, distanceKm: number|null, variant: object|null }}
+ */
+function checkServiceability(product, location, { config = {}, qty = 1, variant } = {}) {
+  const distanceKm = sellerDistanceKm(location, product.seller);
+  const fail = (code, reason) => ({ orderable: false, code, reason, distanceKm, variant: null });
+
+  if (!product.seller) return fail('unavailable', `${product.name} is no longer available.`);
+
+  const blocked = locationBlockReason(location, config);
+  if (blocked) return fail('blocked', blocked);
+
+  if (location && location.pincode && !coversPincode(product, location.pincode)) {
+    return fail('area', `Delivery not available for ${product.name} at your location.`);
+  }
+
+  const maxRadius = config.globalRadiusKm || DEFAULT_RADIUS_KM;
+  if (distanceKm !== null && distanceKm > maxRadius) {
+    return fail('distance', `"${product.name}" is too far (${distanceKm}km). We only deliver within ${maxRadius}km.`);
+  }
+
+  const variants = product.variants || [];
+  let selected = null;
+  if (variant) {
+    selected = findVariant(product, variant);
+    if (variants.length && !selected) return fail('variant', `The selected variant of ${product.name} is not available.`);
+  } else if (variants.length) {
+    selected = variants.find(v => v.stock >= qty) || null;
+  }
+  const stock = variants.length ? (selected ? selected.stock : 0) : (product.stock || 0);
+  if (stock < qty) return fail('stock', `Insufficient stock for ${product.name}.`);
+
+  return { orderable: true, distanceKm, variant: selected };
+}
+
+/**
+ * HELPER: Seller tak ki doori (km) aggregation mein - haversine, seller.location.coordinates = [lng, lat].
+ * Location set na ho to UNKNOWN_DISTANCE_KM.
+ */
+function distanceExpression(lat, lng) {
+  const rad = (expr) => ({ $degreesToRadians: expr });
+  const sellerLng = { $arrayElemAt: ['$seller.location.coordinates', 0] };
+  const sellerLat = { $arrayElemAt: ['$seller.location.coordinates', 1] };
+  const halfSin = (a, b) => ({ $pow: [{ $sin: { $divide: [rad({ $subtract: [a, b] }), 2] } }, 2] });
+  const a = {
+    $add: [
+      halfSin(sellerLat, lat),
+      { $multiply: [Math.cos(lat * Math.PI / 180), { $cos: rad(sellerLat) }, halfSin(sellerLng, lng)] }
+    ]
+  };
+  return {
+    $cond: [
+      {
+        $and: [
+          { $eq: [{ $size: { $ifNull: ['$seller.location.coordinates', []] } }, 2] },
+          { $ne: ['$seller.location.coordinates', [0, 0]] }
+        ]
+      },
+      { $round: [{ $multiply: [2 * 6371, { $asin: { $sqrt: a } }] }, 1] },
+      UNKNOWN_DISTANCE_KM
+    ]
+  };
+}
+
+/**
+ * Same rules as checkServiceability (2-4, listing = koi bhi variant in stock) as one $match stage.
+ * Seller join ke baad lagta hai ($seller object). Blocked location route pehle hi locationBlockReason se rokta hai.
+ * @returns {object} $match stage
+ */
+function serviceableMatch(location, config = {}) {
+  const conditions = [
+    { 'seller._id': { $exists: true } },
+    { $or: [{ variants: { $elemMatch: { stock: { $gt: 0 } } } }, { 'variants.0': { $exists: false }, stock: { $gt: 0 } }] },
+  ];
+  if (location && location.pincode) {
+    const { pincode } = location;
+    conditions.push({
+      $or: [
+        { isGlobal: true },
+        { 'seller.pincodes': pincode, $or: [{ pincodes: pincode }, { 'pincodes.0': { $exists: false } }] }
+      ]
+    });
+  }
+  if (location && location.lat !== null) {
+    const maxRadius = config.globalRadiusKm || DEFAULT_RADIUS_KM;
+    conditions.push({
+      $or: [
+        { 'seller.location.coordinates.1': { $exists: false } },
+        { 'seller.location.coordinates': [0, 0] },
+        { $expr: { $lte: [distanceExpression(location.lat, location.lng), maxRadius] } }
+      ]
+    });
+  }
+  return { $match: { $and: conditions } };
+}
+
+/**
+ * Filters plain (lean) products to the ones orderable at a location; sellers yahin load hote hain.
+ * Search jaise find() wale flows ke liye - aggregation wale serviceableMatch use karein.
+ * @returns {Promise<{ products: object[], blocked: string|null }>}
+ */
+async function filterServiceable(products, location, config) {
+  const blocked = locationBlockReason(location, config);
+  if (blocked) return { products: [], blocked };
+
+  const sellerIds = [...new Set(products.map(p => String(p.seller)))];
+  const sellers = await User.find({ _id: { $in: sellerIds } }).select('pincodes location').lean();
+  const sellerById = new Map(sellers.map(s => [String(s._id), s]));
+
+  const serviceable = products.filter(product =>
+    checkServiceability({ ...product, seller: sellerById.get(String(product.seller)) }, location, { config }).orderable
+  );
+  return { products: serviceable, blocked: null };
+}
+
+module.exports = {
+  UNKNOWN_DISTANCE_KM,
+  getDeliveryConfig,
+  toLocation,
+  hasLocation,
+  sellerDistanceKm,
+  locationBlockReason,
+  findVariant,
+  checkServiceability,
+  distanceExpression,
+  serviceableMatch,
+  filterServiceable,
+};
@@ -0,0 +1,21 @@
+// --------- DELIVERY API DOCS (see src/docs/openapi.js) ----------
+module.exports = {
+  tag: 'Delivery',
+  routes: {
+    'GET /api/delivery/available-orders': { summary: 'Unassigned deliveries in the boy\'s pincodes', response: ['DeliveryAssignment'] },
+    'GET /api/delivery/my-orders': { summary: 'Active assignments', response: ['DeliveryAssignment'] },
+    'GET /api/delivery/my-history': { summary: 'Completed and cancelled assignments', response: ['DeliveryAssignment'] },
+    'PUT /api/delivery/assignments/{id}/accept': {
+      summary: 'Accept an assignment', response: { message: 'string', assignment: 'DeliveryAssignment' },
+    },
+    'PUT /api/delivery/assignments/{id}/status': {
+      summary: 'Update pickup/delivery status', response: { message: 'string', assignment: 'DeliveryAssignment' },
+    },
+    'POST /api/delivery/orders/{id}/generate-payment-link': {
+      summary: 'Payment link and QR for collecting a COD order online',
+      status: 201,
+      response: { message: 'string', shortUrl: 'string', qrCodeDataUrl: 'string', paymentLinkId: 'string' },
+    },
+    'GET /api/delivery/order-payment-status/{id}': { summary: 'Whether the COD payment link has been paid', response: { paymentStatus: 'string' } },
+  },
+};
@@ -0,0 +1,476 @@
+const express = require('express');
+const qrcode = require('qrcode');
+
+const { authorizeRole, checkPartnerDocuments, protect } = require('../../middleware/auth');
+const { validate } = require('../../middleware/validate');
+const { getPayments } = require('../../payments');
+const { Product } = require('../catalog/catalog.models');
+const { DeliveryAssignment } = require('./delivery.models');
+const { Order } = require('../orders/orders.models');
+const { notifyAdmin, sendPushNotification, sendWhatsApp } = require('../notifications/notifications.service');
+const schemas = require('./delivery.validation');
+
+const router = express.Router();
+
+router.get('/api/delivery/available-orders', protect, authorizeRole('delivery'), async (req, res) => {
+  try {
+    const myPincodes = req.user.pincodes;
+    if (!myPincodes || myPincodes.length === 0) {
+      return res.json([]);
+    }
+
+    const availableJobs = await DeliveryAssignment.find({
+      deliveryBoy: null,
+      status: { $in: ['Pending', 'ReturnPending'] }, // 👈 FIX: Added 'ReturnPending'
+      pincode: { $in: myPincodes }
+    })
+    .populate({
+      path: 'order',
+      select: 'orderItems shippingAddress totalAmount paymentMethod seller user shippingFee discountAmount taxAmount createdAt', // Added createdAt for sorting
+      populate: [
+        { path: 'seller', select: 'name pickupAddress' },
+        { path: 'user', select: 'name phone' }
+      ]
+    })
+    .sort({ createdAt: 1 });
+
+    res.json(availableJobs);
+  } catch (err) {
+    console.error('Error fetching available orders:', err.message);
+    res.status(500).json({ message: 'Error fetching available orders', error: err.message });
+  }
+});
+
+router.get('/api/delivery/my-orders', protect, authorizeRole('delivery'), async (req, res) => {
+  try {
+    const myJobs = await DeliveryAssignment.find({
+      deliveryBoy: req.user._id,
+      status: { $in: ['Accepted', 'PickedUp', 'ReturnAccepted', 'ReturnPickedUp'] } // 👈 FIX: Added Return statuses
+    })
+    .populate({
+      path: 'order',
+      select: 'orderItems shippingAddress totalAmount paymentMethod seller user shippingFee discountAmount taxAmount createdAt', // Added createdAt
+      populate: [
+        { path: 'seller', select: 'name pickupAddress' },
+        { path: 'user', select: 'name phone' }
+      ]
+    })
+    .sort({ updatedAt: -1 });
+
+    res.json(myJobs);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching my orders', error: err.message });
+  }
+});
+
+router.put('/api/delivery/assignments/:id/accept', protect, authorizeRole('delivery'), checkPartnerDocuments, validate(schemas.byId), async (req, res) => {
+  try {
+    const assignmentId = req.params.id;
+
+    // --- 1. Determine the assignment type and the next status ---
+    const updateQuery = {
+        _id: assignmentId,
+        deliveryBoy: null,
+        // FIX: Allow acceptance of both Delivery ('Pending') and Return Pickup ('ReturnPending')
+        status: { $in: ['Pending', 'ReturnPending'] } 
+    };
+    
+    // Find the assignment first to check its current status
+    const assignmentToUpdate = await DeliveryAssignment.findOne(updateQuery);
+    if (!assignmentToUpdate) {
+        return res.status(409).json({ message: 'This assignment has already been accepted by someone else or is not pending.' });
+    }
+    
+    // Determine the new status based on the current status
+    const isReturnFlow = assignmentToUpdate.status === 'ReturnPending';
+    const newStatus = isReturnFlow ? 'ReturnAccepted' : 'Accepted';
+    
+    // --- 2. Atomically update the assignment with the new status ---
+    const assignment = await DeliveryAssignment.findOneAndUpdate(
+      updateQuery, // Use the query that checks for null/Pending status
+      {
+        $set: {
+          deliveryBoy: req.user._id,
+          status: newStatus // 👈 FIXED: Setting dynamic status
+        },
+        $push: { history: { status: newStatus } }
+      },
+      { new: true }
+    ).populate({
+        path: 'order',
+        select: 'seller user',
+        populate: [
+          { path: 'seller', select: 'name phone fcmToken' },
+          { path: 'user', select: 'name phone fcmToken' }
+        ]
+    });
+
+    if (!assignment) {
+      return res.status(409).json({ message: 'This assignment has just been accepted by someone else or is not pending.' });
+    }
+
+    const orderIdShort = assignment.order._id.toString().slice(-6);
+    
+    // --- 3. Notification Logic (Dynamic Messages) ---
+
+    const messageType = isReturnFlow ? 'Return Pickup Accepted' : 'Order Accepted';
+    const sellerMessage = isReturnFlow 
+        ? `Return Update: Delivery boy ${req.user.name} accepted return pickup for #${orderIdShort}.`
+        : `Order Update: Delivery boy ${req.user.name} is on the way to pick up order #${orderIdShort}.`;
+        
+    const customerMessage = isReturnFlow
+        ? `Your return pickup for #${orderIdShort} has been accepted by ${req.user.name}.`
+        : `Your order #${orderIdShort} is being prepared! Delivery partner ${req.user.name} has accepted it.`;
+
+
+    const seller = assignment.order.seller;
+    if (seller) {
+      await sendWhatsApp(seller.phone, sellerMessage);
+      await sendPushNotification(
+        seller.fcmToken,
+        messageType,
+        sellerMessage,
+        { orderId: assignment.order._id.toString(), type: 'DELIVERY_ASSIGNED' }
+      );
+    }
+    
+    const customer = assignment.order.user;
+    if (customer) {
+        await sendWhatsApp(customer.phone, customerMessage);
+        await sendPushNotification(
+          customer.fcmToken,
+          messageType,
+          customerMessage,
+          { orderId: assignment.order._id.toString(), type: 'ORDER_STATUS' }
+        );
+    }
+
+    res.json({ message: `Assignment accepted successfully! Status: ${newStatus}`, assignment });
+
+  } catch (err) {
+    console.error('Error accepting assignment:', err.message);
+    res.status(500).json({ message: 'Error accepting assignment', error: err.message });
+  }
+});
+
+router.put('/api/delivery/assignments/:id/status', protect, authorizeRole('delivery'), validate(schemas.updateAssignmentStatus), async (req, res) => {
+  try {
+    const { status } = req.body;
+    const assignmentId = req.params.id;
+
+    const validStatuses = ['PickedUp', 'Delivered', 'Cancelled', 'ReturnAccepted', 'ReturnPickedUp', 'ReturnDelivered', 'ReturnCancelled'];
+
+    if (!validStatuses.includes(status)) {
+        return res.status(400).json({ message: 'Invalid status provided.' });
+    }
+
+    const assignment = await DeliveryAssignment.findOne({
+      _id: assignmentId,
+      deliveryBoy: req.user._id
+    });
+
+    if (!assignment) {
+      return res.status(404).json({ message: 'Delivery assignment not found or you are not authorized.' });
+    }
+
+    let newOrderStatus = '';
+    let newAssignmentStatus = status;
+    let notificationTitle = '';
+    let notificationBody = '';
+    let isReturnFlow = assignment.status.toLowerCase().includes('return');
+    let allowTransition = false;
+
+
+    // --- 1. Check Valid Transitions ---
+
+    if (status === 'PickedUp' && assignment.status === 'Accepted') {
+      newOrderStatus = 'Shipped';
+      notificationTitle = 'Order Picked Up!';
+      notificationBody = `Your order (#${assignment.order.toString().slice(-6)}) is on its way!`;
+      allowTransition = true;
+    } else if (status === 'Delivered' && assignment.status === 'PickedUp') {
+      newOrderStatus = 'Delivered';
+      notificationTitle = 'Order Delivered! 🎉';
+      notificationBody = `Your order (#${assignment.order.toString().slice(-6)}) has been successfully delivered. Thank you!`;
+      allowTransition = true;
+    } else if (status === 'ReturnPickedUp' && assignment.status === 'ReturnAccepted') {
+      newOrderStatus = 'Return In Transit';
+      notificationTitle = 'Return Picked Up!';
+      notificationBody = `Your return package (#${assignment.order.toString().slice(-6)}) has been picked up.`;
+      allowTransition = true;
+    } else if (status === 'ReturnDelivered' && assignment.status === 'ReturnPickedUp') {
+      newOrderStatus = 'Return Completed';
+      notificationTitle = 'Return Completed';
+      notificationBody = `Your return package (#${assignment.order.toString().slice(-6)}) has been delivered back to the seller.`;
+      allowTransition = true;
+    } else if (status.includes('Cancelled')) {
+        newAssignmentStatus = status;
+        newOrderStatus = 'Cancelled';
+        notificationTitle = 'Order Cancelled';
+        notificationBody = `The assignment for order (#${assignment.order.toString().slice(-6)}) has been cancelled.`;
+        allowTransition = true;
+    }
+    
+    if (!allowTransition) {
+        return res.status(400).json({ message: `Invalid status transition from ${assignment.status} to ${status}.` });
+    }
+
+    // --- 2. Apply Status Changes ---
+    
+    assignment.status = newAssignmentStatus;
+    assignment.history.push({ status: newAssignmentStatus });
+    await assignment.save();
+
+    const order = await Order.findById(assignment.order).populate('user', 'phone fcmToken');
+    if (!order) {
+        return res.status(404).json({ message: 'Associated order not found.' });
+    }
+
+    order.deliveryStatus = newOrderStatus;
+    order.history.push({ status: newOrderStatus, note: `Updated by Delivery Boy ${req.user.name}` });
+
+    // Handle payment completion for COD on successful delivery
+    if (newOrderStatus === 'Delivered' && (order.paymentMethod === 'cod' || order.paymentMethod === 'razorpay_cod') && order.paymentStatus === 'pending') {
+      order.paymentStatus = 'completed';
+    }
+    
+    // Handle stock restore on return completion (VARIANT AWARE FIX)
+    if (newOrderStatus === 'Return Completed') {
+        // Find the original item in the return list (refunds array)
+        const returnRefundEntry = order.refunds.find(r => r.status === 'requested');
+        
+        if (returnRefundEntry) {
+            // ✅ Restore stock for all items (Variant + Main)
+            for (const item of order.orderItems) {
+                const productDoc = await Product.findById(item.product);
+                
+                if (productDoc && productDoc.variants && productDoc.variants.length > 0) {
+                    await Product.findOneAndUpdate(
+                        {
+                            _id: item.product,
+                            "variants": { 
+                                $elemMatch: { 
+                                    color: item.selectedColor || null, 
+                                    size: item.selectedSize || null 
+                                } 
+                            }
+                        },
+                        { $inc: { "variants.$.stock": item.qty, "stock": item.qty } } // Increase both
+                    );
+                } else {
+                    await Product.findByIdAndUpdate(item.product, { $inc: { stock: item.qty } });
+                }
+            }
+            
+            // Mark the refund request as completed/resolved
+            returnRefundEntry.status = 'approved';
+            returnRefundEntry.updatedAt = new Date();
+            
+            // Notify admin to process the customer refund
+            await notifyAdmin(`📦 Return Completed (Order #${order._id.toString().slice(-6)}). Admin needs to process refund for customer.`);
+        }
+    }
+    
+    // Handle cancellations (VARIANT AWARE FIX)
+    if (newOrderStatus === 'Cancelled') {
+        // Stock only needs restoration if cancelled after pickup, and only for delivery flow.
+        if (!isReturnFlow && order.paymentStatus !== 'failed' && order.deliveryStatus !== 'Payment Pending') {
+             for (const item of order.orderItems) {
+                const productDoc = await Product.findById(item.product);
+                
+                if (productDoc && productDoc.variants && productDoc.variants.length > 0) {
+                    await Product.findOneAndUpdate(
+                        {
+                            _id: item.product,
+                            "variants": { 
+                                $elemMatch: { 
+                                    color: item.selectedColor || null, 
+                                    size: item.selectedSize || null 
+                                } 
+                            }
+                        },
+                        { $inc: { "variants.$.stock": item.qty, "stock": item.qty } }
+                    );
+                } else {
+                    await Product.findByIdAndUpdate(item.product, { $inc: { stock: item.qty } });
+                }
+            }
+        }
+    }
+
+    await order.save();
+
+    // --- 3. Notifications ---
+    const customer = order.user;
+    if (customer) {
+        await sendWhatsApp(customer.phone, `${notificationTitle}\n${notificationBody}`);
+        await sendPushNotification(
+            customer.fcmToken,
+            notificationTitle,
+            notificationBody,
+            { orderId: order._id.toString(), type: 'ORDER_STATUS' }
+        );
+    }
+    
+    res.json({ message: `Assignment status updated to ${newAssignmentStatus}`, assignment });
+
+  } catch (err) {
+    console.error('Error updating order status:', err.message);
+    res.status(500).json({ message: 'Error updating order status', error: err.message });
+  }
+});
+
+router.get('/api/delivery/my-history', protect, authorizeRole('delivery'), validate(schemas.history), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    if (!startDate || !endDate) {
+      return res.status(400).json({ message: 'startDate and endDate query parameters are required.' });
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+
+    const historyJobs = await DeliveryAssignment.find({
+      deliveryBoy: req.user._id,
+      status: 'Delivered',
+      updatedAt: {
+        $gte: start,
+        $lte: end
+      }
+    })
+    .populate({
+      path: 'order',
+      select: 'orderItems totalAmount paymentMethod paymentStatus shippingFee discountAmount taxAmount',
+    })
+    .sort({ updatedAt: -1 });
+
+    res.json(historyJobs);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching delivery history', error: err.message });
+  }
+});
+
+router.post('/api/delivery/orders/:id/generate-payment-link', protect, authorizeRole('delivery'), validate(schemas.byId), async (req, res) => {
+  try {
+    const orderId = req.params.id;
+    const assignment = await DeliveryAssignment.findOne({ 
+      order: orderId, 
+      deliveryBoy: req.user._id 
+    });
+
+    if (!assignment) {
+      return res.status(404).json({ message: 'No delivery assignment found for this order under your name.' });
+    }
+
+    const order = await Order.findById(orderId).populate('user', 'name phone');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found.' });
+    }
+    if (order.paymentMethod !== 'cod') {
+      return res.status(400).json({ message: 'This order is not a Cash on Delivery order.' });
+    }
+    if (order.paymentStatus === 'completed') {
+      return res.status(400).json({ message: 'This order has already been paid for.' });
+    }
+
+    if (order.razorpayPaymentLinkId) {
+      try {
+        const existingLink = await getPayments().fetchPaymentLink(order.razorpayPaymentLinkId);
+        if (existingLink.status === 'created' || existingLink.status === 'pending') {
+          const qrCodeDataUrl = await qrcode.toDataURL(existingLink.short_url);
+          return res.json({ 
+            message: 'Existing payment link retrieved.',
+            shortUrl: existingLink.short_url, 
+            qrCodeDataUrl,
+            paymentLinkId: existingLink.id
+          });
+        }
+      } catch (fetchErr) {
+        console.log('Could not fetch existing payment link, creating a new one.');
+      }
+    }
+    const amountToCollect = (order.totalAmount + order.shippingFee + order.taxAmount - order.discountAmount);
+    const orderIdShort = order._id.toString().slice(-6);
+
+    const paymentLink = await getPayments().createPaymentLink({
+      amount: Math.round(amountToCollect * 100),
+      currency: "INR",
+      accept_partial: false,
+      description: `Payment for Order #${orderIdShort}`,
+      customer: {
+        name: order.user.name || 'Valued Customer',
+        phone: order.user.phone,
+      },
+      notify: {
+        sms: true,
+        email: false
+      },
+      reminder_enable: false,
+      notes: {
+        order_id: order._id.toString(),
+        delivery_boy_id: req.user._id.toString()
+      }
+    });
+
+    order.razorpayPaymentLinkId = paymentLink.id;
+    await order.save();
+
+    const qrCodeDataUrl = await qrcode.toDataURL(paymentLink.short_url);
+
+    res.status(201).json({
+      message: 'Payment link generated successfully.',
+      shortUrl: paymentLink.short_url,
+      qrCodeDataUrl,
+      paymentLinkId: paymentLink.id
+    });
+
+  } catch (err) {
+    console.error('Error generating payment link:', err.message);
+    res.status(500).json({ message: 'Error generating payment link', error: err.message });
+  }
+});
+
+router.get('/api/delivery/order-payment-status/:id', protect, authorizeRole('delivery'), validate(schemas.byId), async (req, res) => {
+  try {
+    const orderId = req.params.id;
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found.' });
+    }
+
+    const assignment = await DeliveryAssignment.findOne({ order: orderId, deliveryBoy: req.user._id });
+    if (!assignment) {
+        return res.status(403).json({ message: 'Access denied. You are not assigned to this order.' });
+    }
+
+    if (order.paymentStatus === 'completed') {
+      return res.json({ paymentStatus: 'completed' });
+    }
+
+    if (!order.razorpayPaymentLinkId) {
+      return res.json({ paymentStatus: 'pending' });
+    }
+
+    const paymentLink = await getPayments().fetchPaymentLink(order.razorpayPaymentLinkId);
+
+    if (paymentLink.status === 'paid') {
+      order.paymentStatus = 'completed';
+      order.paymentMethod = 'razorpay_cod';
+      
+      if (paymentLink.payments && paymentLink.payments.length > 0) {
+        order.paymentId = paymentLink.payments[0].payment_id;
+      }
+      await order.save();
+      return res.json({ paymentStatus: 'completed' });
+    }
+
+    return res.json({ paymentStatus: 'pending' });
+
+  } catch (err) {
+    console.error('Error checking payment status:', err.message);
+    res.status(500).json({ message: 'Error checking payment status', error: err.message });
+  }
+});
+
+module.exports = router;
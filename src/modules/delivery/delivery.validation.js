@@ -0,0 +1,23 @@
+const { Joi, idParam } = require('../../middleware/validate');
+
+// --------- DELIVERY REQUEST SCHEMAS ----------
+// Delivery boy sirf ye statuses set kar sakta hai (Pending/Accepted/ReturnPending system set karta hai)
+const DELIVERY_BOY_STATUSES = ['PickedUp', 'Delivered', 'Cancelled', 'ReturnAccepted', 'ReturnPickedUp', 'ReturnDelivered', 'ReturnCancelled'];
+
+const updateAssignmentStatus = {
+  params: idParam(),
+  body: Joi.object({
+    status: Joi.string().valid(...DELIVERY_BOY_STATUSES).required(),
+  }),
+};
+
+const history = {
+  query: Joi.object({
+    startDate: Joi.date().iso().required(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).required(),
+  }),
+};
+
+const byId = { params: idParam() };
+
+module.exports = { updateAssignmentStatus, history, byId };
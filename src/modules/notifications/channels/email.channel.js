@@ -0,0 +1,34 @@
+/**
+ * Email channel backed by the SendGrid v3 HTTP API (no SDK, plain fetch).
+ * message: { to, title (subject), body }
+ */
+const emailChannel = {
+  name: 'sendgrid',
+
+  async send({ to, title, body }) {
+    if (!process.env.SENDGRID_API_KEY || !process.env.EMAIL_FROM) {
+      console.log(`Email not configured. Message for ${to}: ${body}`);
+      return null;
+    }
+
+    const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${process.env.SENDGRID_API_KEY}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        personalizations: [{ to: [{ email: to }] }],
+        from: { email: process.env.EMAIL_FROM },
+        subject: title,
+        content: [{ type: 'text/plain', value: body }],
+      }),
+    });
+    if (!response.ok) throw new Error(`SendGrid responded with ${response.status}`);
+
+    console.log(`Email sent to ${to}`);
+    return { id: response.headers.get('x-message-id') };
+  },
+};
+
+module.exports = { emailChannel };
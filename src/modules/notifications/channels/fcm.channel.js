@@ -0,0 +1,48 @@
+const { getFirebaseAdmin } = require('../../../config/firebase');
+
+/**
+ * Push channel backed by Firebase Cloud Messaging.
+ * message: { to: [tokens], title, body, data, imageUrl }
+ */
+const fcmChannel = {
+  name: 'fcm',
+
+  async send({ to, title, body, data = {}, imageUrl = null }) {
+    const notificationPayload = { title, body };
+    // The key must be 'image', not 'imageUrl'
+    if (imageUrl) {
+      notificationPayload.image = imageUrl;
+    }
+
+    const message = {
+      notification: notificationPayload,
+      data: data,
+      tokens: to,
+      android: {
+        notification: {
+          sound: 'default',
+          clickAction: 'FLUTTER_NOTIFICATION_CLICK',
+        }
+      },
+      apns: {
+        payload: {
+          aps: {
+            sound: 'default',
+            badge: 1,
+            ...(imageUrl && { 'mutable-content': 1 })
+          }
+        },
+        ...(imageUrl && { 
+          fcm_options: { 
+            image: imageUrl 
+          }
+        })
+      }
+    };
+
+    const response = await getFirebaseAdmin().messaging().sendEachForMulticast(message);
+    return { successCount: response.successCount, failureCount: response.failureCount };
+  },
+};
+
+module.exports = { fcmChannel };
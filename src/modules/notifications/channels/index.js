@@ -0,0 +1,33 @@
+const { twilioChannel } = require('./twilio.channel');
+const { fcmChannel } = require('./fcm.channel');
+const { emailChannel } = require('./email.channel');
+const { createLocalChannel } = require('./local.channel');
+
+// Har channel ka ek hi interface hai: { name, async send(message) }
+// NOTIFICATION_TRANSPORT=live (default) -> Twilio (whatsapp) + FCM (push) + SendGrid (email)
+// NOTIFICATION_TRANSPORT=local          -> sab local adapter se record hote hain (dev / CI / staging)
+const channels = {};
+
+function defaultChannel(kind) {
+  if ((process.env.NOTIFICATION_TRANSPORT || 'live') === 'local') return createLocalChannel(kind);
+  if (kind === 'whatsapp') return twilioChannel;
+  if (kind === 'email') return emailChannel;
+  return fcmChannel;
+}
+
+/**
+ * Returns the channel used for a message kind ('whatsapp' | 'push' | 'email').
+ */
+function getChannel(kind) {
+  if (!channels[kind]) channels[kind] = defaultChannel(kind);
+  return channels[kind];
+}
+
+/**
+ * Replaces the channel for a message kind, e.g. a recording stub in tests.
+ */
+function setChannel(kind, channel) {
+  channels[kind] = channel;
+}
+
+module.exports = { getChannel, setChannel };
@@ -0,0 +1,34 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const { OutboundMessage } = require('../notifications.models');
+
+const LOCAL_NOTIFICATION_FILE = process.env.LOCAL_NOTIFICATION_FILE
+  || path.join(process.cwd(), 'logs', 'notifications.jsonl');
+
+/**
+ * Local stand-in for Twilio/FCM. Kuch bhi bahar nahi bhejta, sirf record karta hai:
+ * sink 'db' -> OutboundMessage collection, sink 'file' -> JSON lines file.
+ * message: { to, title, body, data, imageUrl }
+ */
+function createLocalChannel(kind, sink = process.env.LOCAL_NOTIFICATION_SINK || 'db') {
+  return {
+    name: `local:${sink}`,
+
+    async send({ to, title = null, body, data = {}, imageUrl = null }) {
+      const recipients = Array.isArray(to) ? to : [to];
+      const record = { channel: kind, to: recipients, title, body, data, imageUrl };
+
+      if (sink === 'file') {
+        await fs.mkdir(path.dirname(LOCAL_NOTIFICATION_FILE), { recursive: true });
+        await fs.appendFile(LOCAL_NOTIFICATION_FILE, JSON.stringify({ ...record, sentAt: new Date() }) + '\n');
+      } else {
+        await OutboundMessage.create(record);
+      }
+      console.log(`[local ${kind}] -> ${recipients.join(', ')}: ${title ? title + ' - ' : ''}${body}`);
+      return { successCount: recipients.length, failureCount: 0 };
+    },
+  };
+}
+
+module.exports = { createLocalChannel };
@@ -0,0 +1,31 @@
+const twilio = require('twilio');
+
+let client = null;
+
+/**
+ * WhatsApp channel backed by Twilio.
+ * message: { to, body }
+ */
+const twilioChannel = {
+  name: 'twilio',
+
+  async send({ to, body }) {
+    if (!process.env.TWILIO_ACCOUNT_SID) {
+      console.log(`WhatsApp not configured. Message for ${to}: ${body}`);
+      return null;
+    }
+    if (!client) client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+
+    const normalized = to.replace(/\D/g, '');
+    const toNumber = (normalized.length === 12 && normalized.startsWith('91')) ? `whatsapp:+${normalized}` : `whatsapp:+91${normalized}`;
+    const result = await client.messages.create({
+      body,
+      from: `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}`,
+      to: toNumber
+    });
+    console.log(`WhatsApp sent to ${toNumber}`);
+    return { id: result.sid };
+  },
+};
+
+module.exports = { twilioChannel };
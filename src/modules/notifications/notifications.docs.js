@@ -0,0 +1,12 @@
+// --------- NOTIFICATIONS API DOCS (see src/docs/openapi.js) ----------
+module.exports = {
+  tag: 'Notifications',
+  routes: {
+    'POST /api/admin/broadcast': { summary: 'Push a notification to all users of a role', files: ['media'], response: { message: 'string' } },
+    'POST /api/admin/notifications/schedule': {
+      summary: 'Schedule a broadcast for later',
+      status: 201, files: ['image'], response: { message: 'string', notification: 'ScheduledNotification' },
+    },
+    'GET /api/notifications/history': { summary: 'Personal and broadcast notifications for the current user', response: ['Notification'] },
+  },
+};
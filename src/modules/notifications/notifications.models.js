@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// --- Personal Notification Schema (User Specific) ---
+// ✅ ISSE ADD KAREIN (Bell Icon History ke liye)
+const notificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  title: { type: String, required: true },
+  body: { type: String, required: true },
+  type: { type: String, default: 'personal' }, // 'order', 'wallet', 'promo'
+  isRead: { type: Boolean, default: false },
+  data: { type: Object }, // Store extra data like orderId
+  sentAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+// --- Scheduled Notification Schema (Admin Broadcasts) ---
+const scheduledNotificationSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  body: { type: String, required: true },
+  imageUrl: { type: String, default: null },
+  // Target: 'all' = sabko, 'users' = customers, 'sellers' = dukan wale
+  target: { type: String, enum: ['all', 'users', 'sellers', 'delivery_boys'], required: true },
+  scheduledAt: { type: Date, required: true },
+  isSent: { type: Boolean, default: false },
+  sentAt: Date,
+}, { timestamps: true });
+
+scheduledNotificationSchema.index({ isSent: 1, scheduledAt: 1 });
+const ScheduledNotification = mongoose.model('ScheduledNotification', scheduledNotificationSchema);
+
+// --- Outbound Message Schema (Local notification transport) ---
+// Jab NOTIFICATION_TRANSPORT=local ho, WhatsApp/Push messages yahan record hote hain
+const outboundMessageSchema = new mongoose.Schema({
+  channel: { type: String, enum: ['whatsapp', 'push', 'email'], required: true, index: true },
+  to: { type: [String], index: true },
+  title: { type: String, default: null },
+  body: { type: String, required: true },
+  data: { type: Object },
+  imageUrl: { type: String, default: null },
+}, { timestamps: true });
+
+const OutboundMessage = mongoose.model('OutboundMessage', outboundMessageSchema);
+
+module.exports = { Notification, ScheduledNotification, OutboundMessage };
@@ -0,0 +1,171 @@
+const express = require('express');
+
+const { upload, uploadSingleMedia } = require('../../config/upload');
+const { authorizeRole, protect, requirePermission } = require('../../middleware/auth');
+const { audit } = require('../../middleware/audit');
+const { validate } = require('../../middleware/validate');
+const { User } = require('../auth/auth.models');
+const { roleQuery } = require('../auth/roles.service');
+const { Notification, ScheduledNotification } = require('./notifications.models');
+const { sendPushNotification, sendWhatsApp } = require('./notifications.service');
+const schemas = require('./notifications.validation');
+
+const router = express.Router();
+
+// ✅ UPDATED: This route now handles a file upload named 'media'
+router.post('/api/admin/broadcast', protect, authorizeRole('admin'), requirePermission('notifications.send'), uploadSingleMedia, validate(schemas.broadcast), audit('notification.broadcast', 'Notification', () => null), async (req, res) => {
+  try {
+    const { title, message, target } = req.body;
+    
+    if (!title || !message || !target) { 
+      return res.status(400).json({ message: 'Title, message, and target audience are required.' });
+    }
+
+    // Check if a file was uploaded and get its URL from Cloudinary
+    const imageUrl = req.file ? req.file.path : null;
+
+    let query = {};
+    if (target === 'users') {
+      query = roleQuery('user');
+    } else if (target === 'sellers') {
+      query = roleQuery('seller', { approved: true });
+    } else if (target === 'delivery_boys') {
+      query = roleQuery('delivery', { approved: true });
+    } else if (target !== 'all') {
+      return res.status(400).json({ message: "Invalid target." });
+    }
+
+    const recipients = await User.find(query).select('phone fcmToken');
+    
+    let successCount = 0;
+    const fcmTokens = [];
+
+    for (const recipient of recipients) {
+      // WhatsApp does not support images in this simple way, so we only send text.
+      if (recipient.phone) {
+        await sendWhatsApp(recipient.phone, `*${title}*\n\n${message}`);
+        successCount++;
+      }
+      if (recipient.fcmToken) {
+        fcmTokens.push(recipient.fcmToken);
+      }
+    }
+
+    if (fcmTokens.length > 0) {
+      await sendPushNotification(
+        fcmTokens, 
+        title, 
+        message, 
+        { type: 'BROADCAST' },
+        imageUrl // Use the uploaded image URL here
+      );
+    }
+
+    res.json({ message: `Broadcast sent successfully to ${fcmTokens.length} devices.` });
+
+  } catch (err) {
+    console.error('Broadcast error:', err.message);
+    res.status(500).json({ message: 'Error sending broadcast message', error: err.message });
+  }
+});
+router.post('/api/admin/notifications/schedule', protect, authorizeRole('admin'), requirePermission('notifications.send'), upload.single('image'), validate(schemas.schedule), audit('notification.schedule', 'ScheduledNotification', () => null), async (req, res) => {
+  try {
+    const { title, body, target, scheduledAt } = req.body;
+
+    if (!title || !body || !target || !scheduledAt) {
+      return res.status(400).json({ message: 'Title, message, scheduled time, and target audience are required.' });
+    }
+
+    const scheduledDate = new Date(scheduledAt);
+    if (isNaN(scheduledDate.getTime()) || scheduledDate < new Date()) {
+      return res.status(400).json({ message: 'Invalid or past scheduled date.' });
+    }
+
+    let imageUrl = null;
+
+    // ✅ Image upload middleware already stored it (storage provider), bas URL save karein
+    if (req.file) {
+      imageUrl = req.file.path;
+      console.log('✅ Image uploaded:', imageUrl);
+    }
+
+    // ✅ Save notification data in DB
+    const newNotification = await ScheduledNotification.create({
+      title,
+      body,
+      target,
+      scheduledAt: scheduledDate,
+      imageUrl
+    });
+
+    res.status(201).json({
+      message: 'Notification scheduled successfully.',
+      notification: newNotification
+    });
+
+  } catch (err) {
+    console.error('❌ Schedule notification error:', err.message);
+    res.status(500).json({
+      message: 'Error scheduling notification.',
+      error: err.message
+    });
+  }
+});
+// In server.js, add this new route (e.g., after the admin broadcast route)
+
+// ✅ GET: Notification History (Merged: Personal + Broadcasts)
+router.get('/api/notifications/history', protect, async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const userRole = req.user.role || 'user';
+        const userCreatedAt = req.user.createdAt; // Taaki purani broadcast na dikhe
+
+        // 1. Fetch Personal Notifications (Last 30)
+        const personalNotifsPromise = Notification.find({ user: userId })
+            .sort({ sentAt: -1 })
+            .limit(30)
+            .lean();
+
+        // 2. Fetch Broadcast/Scheduled Notifications (Last 30)
+        const broadcastNotifsPromise = ScheduledNotification.find({
+            isSent: true,
+            target: { $in: ['all', userRole] },
+            // Filter: Show broadcasts only created AFTER user registered (Optional logic)
+            // sentAt: { $gte: userCreatedAt } 
+        })
+        .sort({ sentAt: -1 })
+        .limit(30)
+        .lean();
+
+        // 3. Run queries in parallel
+        const [personalNotifs, broadcastNotifs] = await Promise.all([
+            personalNotifsPromise,
+            broadcastNotifsPromise
+        ]);
+
+        // 4. Merge & Sort Combined List
+        const allNotifications = [...personalNotifs, ...broadcastNotifs];
+        
+        // Sort by Date (Newest First)
+        allNotifications.sort((a, b) => new Date(b.sentAt) - new Date(a.sentAt));
+
+        // 5. Format Data for Flutter
+        const formattedNotifications = allNotifications.map(n => ({
+            id: n._id,
+            title: n.title,
+            body: n.body,
+            imageUrl: n.imageUrl || null, // ScheduledNotification has imageUrl
+            sentAt: n.sentAt,
+            isRead: n.isRead || false, // Broadcasts usually don't track read status per user
+            type: n.target ? 'broadcast' : 'personal' // Frontend icon ke liye
+        }));
+
+        res.json(formattedNotifications);
+
+    } catch (err) {
+        console.error('Error fetching notification history:', err.message);
+        res.status(500).json({ message: 'Error fetching notifications' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const { User } = require('../auth/auth.models');
+const { Notification } = require('./notifications.models');
+const { getChannel } = require('./channels');
+
+// --------- Notifications ----------
+// Actual delivery channels ke through hoti hai (Twilio / FCM / local), dekhein ./channels
+async function sendWhatsApp(to, message) {
+  try {
+    if (!to) {
+      console.log(`WhatsApp not configured. Message for ${to}: ${message}`);
+      return;
+    }
+    await getChannel('whatsapp').send({ to, body: message });
+  } catch (err) {
+    console.error('WhatsApp failed:', err && err.message ? err.message : err);
+  }
+}
+
+async function sendEmail(to, subject, message) {
+  try {
+    if (!to) {
+      console.log(`Email not configured. Message for ${to}: ${message}`);
+      return;
+    }
+    await getChannel('email').send({ to, title: subject, body: message });
+  } catch (err) {
+    console.error('Email failed:', err && err.message ? err.message : err);
+  }
+}
+
+async function notifyAdmin(message) {
+  if (process.env.WHATSAPP_ADMIN_NUMBER) await sendWhatsApp(process.env.WHATSAPP_ADMIN_NUMBER, message);
+  else console.log('Admin WhatsApp not configured. Message:', message);
+}
+
+async function sendPushNotification(tokens, title, body, data = {}, imageUrl = null) {
+  try {
+    if (!tokens) return;
+    const validTokens = (Array.isArray(tokens) ? tokens : [tokens]).filter(t => typeof t === 'string' && t.length > 0);
+    if (validTokens.length === 0) {
+      console.log('Push Notification: No valid FCM tokens.');
+      return;
+    }
+
+    const response = await getChannel('push').send({ to: validTokens, title, body, data, imageUrl });
+    console.log(`Push Notification: Sent to ${response.successCount} users.`);
+    if (response.failureCount > 0) {
+      console.error(`Push Notification: Failed to send to ${response.failureCount} users.`);
+    }
+  } catch (err) {
+    console.error('Push Notification Failed:', err.message);
+  }
+}
+
+/**
+ * HELPER: Save Personal Notification to DB & Send via FCM
+ */
+async function sendAndSavePersonalNotification(userId, title, body, data = {}, imageUrl = null) {
+  try {
+    // 1. Save to MongoDB
+    await Notification.create({
+      user: userId,
+      title: title,
+      body: body,
+      type: data.type || 'personal',
+      data: data,
+      sentAt: new Date()
+    });
+
+    // 2. Fetch User Token & Send FCM
+    const user = await User.findById(userId).select('fcmToken');
+    if (user && user.fcmToken) {
+      await sendPushNotification(user.fcmToken, title, body, data, imageUrl);
+    }
+  } catch (err) {
+    console.error('Error in sendAndSavePersonalNotification:', err.message);
+  }
+}
+
+module.exports = { sendWhatsApp, sendEmail, notifyAdmin, sendPushNotification, sendAndSavePersonalNotification };
@@ -0,0 +1,24 @@
+const { Joi, enumOf } = require('../../middleware/validate');
+const { ScheduledNotification } = require('./notifications.models');
+
+// --------- NOTIFICATION REQUEST SCHEMAS ----------
+const TARGETS = enumOf(ScheduledNotification, 'target');
+
+const broadcast = {
+  body: Joi.object({
+    title: Joi.string().trim().min(1).max(200).required(),
+    message: Joi.string().trim().min(1).max(2000).required(),
+    target: Joi.string().valid(...TARGETS).required(),
+  }),
+};
+
+const schedule = {
+  body: Joi.object({
+    title: Joi.string().trim().min(1).max(200).required(),
+    body: Joi.string().trim().min(1).max(2000).required(),
+    target: Joi.string().valid(...TARGETS).required(),
+    scheduledAt: Joi.date().iso().greater('now').required().messages({ 'date.greater': 'scheduledAt must be in the future' }),
+  }),
+};
+
+module.exports = { broadcast, schedule };
@@ -0,0 +1,73 @@
+// --------- ORDERS / CART / PAYMENT API DOCS (see src/docs/openapi.js) ----------
+const message = { message: 'string' };
+const summary = {
+  message: 'string', itemsTotal: 'number', totalShippingFee: 'number', totalTaxAmount: 'number',
+  totalDiscount: 'number', grandTotal: 'number',
+};
+const placedOrder = { message: 'string', orders: ['string'], razorpayOrder: 'object' };
+// Serviceability fail (400) par `code` bhi aata hai
+const serviceable = 'Items are checked with the same serviceability rules as product listings: blocked pincode / zone, '
+  + 'seller and product pincodes, delivery radius and the variant\'s stock. A failed check answers 400 with '
+  + '`{ message, code }`, code = blocked | area | distance | variant | stock | unavailable.';
+
+module.exports = {
+  tag: 'Orders',
+  routes: {
+    // Cart
+    'GET /api/cart': { summary: 'Current user\'s cart', response: 'Cart' },
+    'POST /api/cart': {
+      summary: 'Add a product variant (or print job) to the cart',
+      description: `Checks the variant's stock (including the quantity already in the cart). With \`pincode\` and/or \`lat\`/\`lng\` `
+        + `the item is only added if it can be delivered there. ${serviceable}`,
+      response: 'Cart',
+    },
+    'PUT /api/cart/{itemId}': { summary: 'Change quantity of a cart item', description: 'Checks the variant\'s stock.', response: 'Cart' },
+    'DELETE /api/cart/{itemId}': { summary: 'Remove a cart item', response: 'Cart' },
+
+    // Checkout
+    'GET /api/orders/checkout-summary': { summary: 'Totals for the whole cart', description: serviceable, response: summary },
+    'POST /api/orders/calculate-summary': { summary: 'Totals for the cart with an address and coupon', description: serviceable, response: summary },
+    'POST /api/orders': { summary: 'Place orders for the cart (one per seller)', description: serviceable, status: 201, response: placedOrder },
+    'POST /api/orders/buy-now-summary': { summary: 'Totals for a single product purchase', description: serviceable, response: summary },
+    'POST /api/orders/buy-now': { summary: 'Place an order for a single product', description: serviceable, status: 201, response: placedOrder },
+
+    // Orders
+    'GET /api/orders': { summary: 'Current user\'s orders', response: ['Order'] },
+    'GET /api/orders/{id}': { summary: 'Order details (or ride details for ride ids)', response: 'Order' },
+    'GET /api/orders/{id}/payment-status': { summary: 'Payment status of an order', response: { paymentStatus: 'string' } },
+    'PUT /api/orders/{id}/cancel': { summary: 'Cancel an order (refunds online payments)', response: { message: 'string', order: 'Order' } },
+    'PUT /api/orders/{id}/submit-upi': { summary: 'Submit UPI/bank details for a COD refund', response: message },
+    'POST /api/orders/{id}/return-request': { summary: 'Request a return within 48 hours of delivery', response: message },
+
+    // Payments
+    'POST /api/payment/verify': { summary: 'Verify a Razorpay payment signature', response: { status: 'string', message: 'string' } },
+    'POST /api/payment/razorpay-webhook': {
+      summary: 'Razorpay webhook receiver',
+      description: 'Called by Razorpay; authenticated with the X-Razorpay-Signature header.',
+      response: { status: 'string' },
+    },
+    'POST /api/payment/simulate': { summary: 'Simulate a payment outcome (fake payment provider only)', response: 'object' },
+    'GET /api/payment/history': { summary: 'Current user\'s payment history', response: ['PaymentHistory'] },
+
+    // Addresses
+    'GET /api/addresses': { summary: 'Saved addresses', response: ['Address'] },
+    'POST /api/addresses': { summary: 'Add an address', status: 201, response: 'Address' },
+    'PUT /api/addresses/{id}': { summary: 'Update an address', response: 'Address' },
+    'DELETE /api/addresses/{id}': { summary: 'Delete an address', response: message },
+
+    // Coupons
+    'GET /api/coupons': { summary: 'Coupons available to the current user', response: ['Coupon'] },
+    'GET /api/admin/coupons': { summary: 'All coupons (admin)', response: ['Coupon'] },
+    'POST /api/admin/coupons': { summary: 'Create coupon', status: 201, response: 'Coupon' },
+    'PUT /api/admin/coupons/{id}': { summary: 'Update coupon', response: 'Coupon' },
+    'DELETE /api/admin/coupons/{id}': { summary: 'Delete coupon', response: message },
+
+    // Admin orders
+    'GET /api/admin/orders': { summary: 'All orders (admin)', response: ['Order'] },
+    'PUT /api/admin/orders/{id}/status': { summary: 'Update order status', response: 'Order' },
+    'POST /api/admin/orders/{id}/refund': { summary: 'Refund an order', response: { message: 'string', refund: 'object', order: 'Order' } },
+    'POST /api/admin/orders/{id}/approve-return': {
+      summary: 'Approve a return and assign a pickup', response: { message: 'string', assignment: 'DeliveryAssignment' },
+    },
+  },
+};
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+
+const { GST_RATE } = require('../../config/constants');
+
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true },
+  discountType: { type: String, enum: ['percentage', 'fixed'], required: true },
+  discountValue: { type: Number, required: true },
+  maxDiscountAmount: Number,
+  minPurchaseAmount: { type: Number, default: 0 },
+  expiryDate: { type: Date, required: true },
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+const orderSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  
+  orderItems: [{
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    name: String,
+    qty: Number,
+    originalPrice: Number,
+    price: Number,
+    category: String,
+    
+    // ⭐️ EXISTING VARIANT FIELDS ⭐️
+    selectedColor: { type: String, required: false }, 
+    selectedSize: { type: String, required: false },
+
+    // ✅ CRITICAL FIX: PRINT JOB DETAILS ADDED HERE ✅
+    // These fields are required for the "Print Service" to work
+    isPrintJob: { type: Boolean, default: false },
+    printMeta: {
+        fileUrl: String,      // PDF Link from Cloudinary
+        originalName: String, // Original File Name
+        copies: Number,       // Number of copies
+        printType: String,    // 'bw' or 'color'
+        sideType: String,     // 'single' or 'double'
+        paperSize: String,    // 'A4'
+        totalCost: Number     // Calculated Print Cost
+    }
+    // --------------------------------------------------
+  }],
+
+  shippingAddress: { type: String, required: true },
+  
+  deliveryStatus: { 
+    type: String, 
+    enum: [
+        'Pending', 
+        'Processing', 
+        'Shipped', 
+        'Delivered', 
+        'Cancelled', 
+        'Payment Pending', 
+        'Return Requested',
+        'Return Accepted by Admin', 
+        'Return In Transit',        
+        'Return Completed'
+    ], 
+    default: 'Pending', 
+    index: true 
+  }, 
+  
+  paymentMethod: { type: String, enum: ['cod', 'razorpay', 'razorpay_cod'], required: true, index: true },
+  paymentId: String,
+  paymentStatus: { type: String, enum: ['pending', 'completed', 'failed', 'refunded'], default: 'pending', index: true },
+  
+  pincode: String,
+  totalAmount: Number, 
+  taxRate: { type: Number, default: (typeof GST_RATE !== 'undefined' ? GST_RATE : 0) },
+  taxAmount: { type: Number, default: 0 },
+  couponApplied: String,
+  discountAmount: { type: Number, default: 0 },
+  shippingFee: { type: Number, default: 0 }, 
+  
+  refunds: [{
+    amount: Number,
+    reason: String,
+    status: { type: String, enum: ['requested', 'approved', 'processing', 'completed', 'rejected'], default: 'requested' },
+    razorpayRefundId: String,
+    processedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    
+    // 🚨 MANUAL REFUND FIELDS 🚨
+    upiId: String, 
+    bankAccountNumber: String, 
+    ifsc: String, 
+    // -------------------------
+    
+    createdAt: Date,
+    updatedAt: Date
+  }],
+  
+  totalRefunded: { type: Number, default: 0 },
+  history: [{ status: String, timestamp: { type: Date, default: Date.now } }],
+  razorpayPaymentLinkId: { type: String, default: null }
+}, { timestamps: true });
+
+const Order = mongoose.model('Order', orderSchema);
+
+const cartSchema = new mongoose.Schema({
+  user: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true, 
+    unique: true 
+  },
+  items: [{
+    product: { 
+      type: mongoose.Schema.Types.ObjectId, 
+      ref: 'Product', 
+      required: true 
+    },
+    qty: { 
+      type: Number, 
+      required: true, 
+      default: 1 
+    },
+    // ⭐️ EXISTING VARIANT FIELDS ⭐️
+    selectedColor: { 
+      type: String 
+    },
+    selectedSize: { 
+      type: String 
+    },
+    
+    // ✅ NEW: PRINT JOB FIELDS ADDED HERE ✅
+    // This allows the cart to tell if an item is a file for printing or a regular product
+    isPrintJob: { 
+      type: Boolean, 
+      default: false 
+    },
+    printMeta: {
+        fileUrl: String,      // Link to the PDF file on Cloudinary
+        originalName: String, // The name of the file user uploaded
+        copies: Number,       // How many sets
+        printType: String,    // 'bw' or 'color'
+        sideType: String,     // 'single' or 'double'
+        paperSize: String,    // 'A4', etc.
+        totalCost: Number     // Price calculated by Flutter app (e.g., ₹50)
+    }
+  }]
+}, { timestamps: true });
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+const addressSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true },
+  street: { type: String, required: true },
+  village: { type: String },
+  landmark: { type: String },
+  city: { type: String, required: true },
+  state: { type: String, required: true },
+  pincode: { type: String, required: true },
+  phone: String,
+  
+  // ✅ ADDED COORDINATES (Required for Radius Check)
+  lat: { type: Number }, 
+  lng: { type: Number },
+  
+  isDefault: { type: Boolean, default: false }
+}, { timestamps: true });
+
+const Address = mongoose.model('Address', addressSchema);
+
+const paymentHistorySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  razorpayOrderId: String,
+  razorpayPaymentId: String,
+  amount: { type: Number, required: true },
+  status: { type: String, enum: ['pending', 'completed', 'failed', 'refunded'], default: 'pending' },
+  createdAt: { type: Date, default: Date.now },
+});
+const PaymentHistory = mongoose.model('PaymentHistory', paymentHistorySchema);
+
+module.exports = { Coupon, Order, Cart, Address, PaymentHistory };
@@ -0,0 +1,2060 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const { GST_RATE } = require('../../config/constants');
+const { authorizeRole, protect, requirePermission, requireStepUp } = require('../../middleware/auth');
+const { audit } = require('../../middleware/audit');
+const { idempotent } = require('../../middleware/idempotency');
+const { validate } = require('../../middleware/validate');
+const { getPayments } = require('../../payments');
+const { AppSettings } = require('../admin/admin.models');
+const { isInScope, scopeFilter } = require('../admin/rbac.service');
+const { User } = require('../auth/auth.models');
+const { roleQuery } = require('../auth/roles.service');
+const { Product } = require('../catalog/catalog.models');
+const { DeliveryAssignment } = require('../delivery/delivery.models');
+const { Address, Cart, Coupon, Order, PaymentHistory } = require('./orders.models');
+const { Ride, WalletTransaction } = require('../ride/ride.models');
+const { notifyAdmin, sendAndSavePersonalNotification, sendPushNotification, sendWhatsApp } = require('../notifications/notifications.service');
+const { handleFailedPayment, handleSuccessfulPayment, processPaymentEvent } = require('./payment.service');
+const { creditSellerForPrint } = require('../print/print.service');
+const { calculateShippingFee, getDynamicDeliveryFee } = require('./shipping.service');
+const {
+  checkServiceability, getDeliveryConfig, hasLocation, sellerDistanceKm, toLocation
+} = require('../catalog/serviceability.service');
+const schemas = require('./orders.validation');
+
+const router = express.Router();
+
+router.get('/api/cart', protect, async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user._id }).populate('items.product');
+    if (!cart) return res.status(404).json({ message: 'Cart not found' });
+    res.json(cart);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching cart' });
+  }
+});
+
+// server.js (POST /api/cart)
+
+
+router.post('/api/cart', protect, validate(schemas.addToCart), async (req, res) => {
+    try {
+        const { 
+            productId, 
+            qty = 1, 
+            selectedVariant,
+            // ✅ NEW: Print Parameters
+            isPrintJob,
+            printMeta 
+        } = req.body;
+        
+        // ✅ --- DEBUGGING LOGS START --- ✅
+        console.log("--- ADD TO CART REQUEST RECEIVED ---");
+        console.log("Type:", isPrintJob ? "PRINT JOB" : "PRODUCT");
+        console.log("Request Body:", JSON.stringify(req.body, null, 2));
+        // ✅ --- DEBUGGING LOGS END --- ✅
+
+        let cart = await Cart.findOne({ user: req.user._id });
+        if (!cart) {
+            cart = await Cart.create({ user: req.user._id, items: [] });
+        }
+
+        // ============================================================
+        // 🖨️ SCENARIO 1: PRINT JOB LOGIC
+        // ============================================================
+        if (isPrintJob && printMeta) {
+            // Print jobs are always added as new items (we don't merge them because files might be different)
+            cart.items.push({
+                product: productId, // This should be the ID of your "Document Printing" service product
+                qty: 1, // Usually 1 job entry (copies are inside printMeta)
+                isPrintJob: true,
+                printMeta: {
+                    fileUrl: printMeta.fileUrl,
+                    originalName: printMeta.originalName,
+                    copies: printMeta.copies,
+                    printType: printMeta.printType,
+                    sideType: printMeta.sideType,
+                    paperSize: printMeta.paperSize,
+                    totalCost: printMeta.totalCost
+                }
+            });
+
+            console.log("✅ SUCCESS: Print Job added to cart.");
+        } 
+        
+        // ============================================================
+        // 🛒 SCENARIO 2: STANDARD PRODUCT LOGIC (Vegetables, Clothes, etc.)
+        // ============================================================
+        else {
+            const selectedColor = selectedVariant ? selectedVariant.color : undefined;
+            const selectedSize = selectedVariant ? selectedVariant.size : undefined;
+
+            const product = await Product.findById(productId).populate('seller', 'pincodes location');
+            if (!product) {
+                console.log(`❌ FAILED: Product with ID ${productId} not found.`);
+                return res.status(404).json({ message: 'Product not found' });
+            }
+
+            // Check if item exists (Excluding Print Jobs)
+            const itemIndex = cart.items.findIndex(item => 
+                item.product.toString() === productId &&
+                !item.isPrintJob && // Important: Don't merge with print jobs
+                (item.selectedColor === selectedColor || (!item.selectedColor && !selectedColor)) &&
+                (item.selectedSize === selectedSize || (!item.selectedSize && !selectedSize))
+            );
+
+            // --- Variant Validation ---
+            if (itemIndex === -1) {
+                const hasColorOptions = product.variants.some(v => v.color && v.color.length > 0);
+                const hasSizeOptions = product.variants.some(v => v.size && v.size.length > 0);
+
+                if ((hasColorOptions && !selectedColor) || (hasSizeOptions && !selectedSize)) {
+                    let missing = [];
+                    if (hasColorOptions && !selectedColor) missing.push('Color');
+                    if (hasSizeOptions && !selectedSize) missing.push('Size');
+                    console.log(`❌ FAILED: Missing required variants: ${missing.join(' & ')}`);
+                    return res.status(400).json({ message: `Please select ${missing.join(' and ')}.` });
+                }
+            }
+
+            // --- Stock + Delivery Check (serviceability.service) ---
+            // Variant ka stock (cart mein pehle se jitna hai usko mila ke); app delivery location bheje to wahan ki serviceability bhi
+            const newQty = itemIndex > -1 ? cart.items[itemIndex].qty + qty : qty;
+            const location = toLocation(req.body);
+            const config = hasLocation(location) ? await getDeliveryConfig() : {};
+            const check = checkServiceability(product, location, { config, qty: newQty, variant: { color: selectedColor, size: selectedSize } });
+            if (!check.orderable) {
+                console.log(`❌ FAILED: ${check.reason}`);
+                return res.status(400).json({ message: check.reason, code: check.code });
+            }
+
+            if (itemIndex > -1) {
+                cart.items[itemIndex].qty = newQty;
+            } else {
+                // Push new item
+                cart.items.push({ 
+                    product: productId, 
+                    qty,
+                    selectedColor: selectedColor,
+                    selectedSize: selectedSize,
+                    isPrintJob: false // Explicitly set false for normal items
+                });
+            }
+        }
+
+        await cart.save();
+        console.log("✅ SUCCESS: Cart saved.");
+        res.status(200).json(cart);
+        
+    } catch (err) {
+        console.error("❌ CRITICAL ERROR in /api/cart:", err.message);
+        res.status(500).json({ message: 'Error adding item to cart', error: err.message });
+    }
+});
+
+router.put('/api/cart/:itemId', protect, validate(schemas.updateCartItem), async (req, res) => {
+  try {
+    const { qty } = req.body;
+    const cart = await Cart.findOne({ user: req.user._id });
+    if (!cart) return res.status(44).json({ message: 'Cart not found' });
+
+    const item = cart.items.find(item => item._id.toString() === req.params.itemId);
+    if (!item) return res.status(404).json({ message: 'Item not found in cart' });
+
+    const product = await Product.findById(item.product).populate('seller', 'pincodes location');
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+    if (!item.isPrintJob) {
+      // Variant ka stock (top-level stock ab nahi hota)
+      const check = checkServiceability(product, null, { qty, variant: { color: item.selectedColor, size: item.selectedSize } });
+      if (!check.orderable) return res.status(400).json({ message: check.reason, code: check.code });
+    }
+
+    item.qty = qty;
+    await cart.save();
+    res.json(cart);
+  } catch (err) {
+    res.status(500).json({ message: 'Error updating cart item' });
+  }
+});
+
+router.delete('/api/cart/:itemId', protect, validate(schemas.removeCartItem), async (req, res) => {
+  try {
+    const cart = await Cart.findOneAndUpdate(
+      { user: req.user._id },
+      { $pull: { items: { _id: req.params.itemId } } },
+      { new: true }
+    );
+    if (!cart) return res.status(404).json({ message: 'Cart not found' });
+    res.json(cart);
+  } catch (err) {
+    res.status(500).json({ message: 'Error removing item from cart' });
+  }
+});
+
+/**
+ * HELPER: Cart ke har product item ko serviceability engine se check karo (blocked location, area, radius, variant stock).
+ * Print jobs skip. Pehla fail hua check ({ reason, code }) return karta hai, sab theek ho to null.
+ */
+function cartServiceabilityError(cart, location, config) {
+  for (const item of cart.items) {
+    if (item.isPrintJob) continue;
+    if (!item.product) return { code: 'unavailable', reason: 'An item in your cart is invalid or its seller is inactive.' };
+    const check = checkServiceability(item.product, location, {
+      config, qty: item.qty, variant: { color: item.selectedColor, size: item.selectedSize }
+    });
+    if (!check.orderable) return check;
+  }
+  return null;
+}
+
+router.get('/api/orders/checkout-summary', protect, validate(schemas.checkoutSummaryQuery), async (req, res) => {
+  try {
+    const { shippingAddressId, couponCode } = req.query;
+
+    // 1. Cart Fetch करें (Seller Location के साथ)
+    const cart = await Cart.findOne({ user: req.user._id }).populate({
+      path: 'items.product',
+      populate: { path: 'seller', select: 'pincodes location' }
+    });
+
+    if (!cart || cart.items.length === 0) return res.status(400).json({ message: 'Cart is empty' });
+
+    const shippingAddress = await Address.findById(shippingAddressId);
+    if (!shippingAddress) return res.status(404).json({ message: 'Shipping address not found' });
+
+    // ✅ SETTINGS Fetch करें
+    const config = await getDeliveryConfig();
+    const location = toLocation(shippingAddress);
+
+    // ---------------------------------------------------------
+    // 🚫 1. SERVICEABILITY (blocked pincode / zone, area, radius, variant stock)
+    // ---------------------------------------------------------
+    const unavailable = cartServiceabilityError(cart, location, config);
+    if (unavailable) return res.status(400).json({ message: unavailable.reason, code: unavailable.code });
+
+    // ---------------------------------------------------------
+    // 🚚 2. CALCULATE FEE (seller ki doori se)
+    // ---------------------------------------------------------
+    let maxShippingFee = 0;
+    let distanceCalculated = false;
+
+    for (const item of cart.items) {
+        const distKm = item.product ? sellerDistanceKm(location, item.product.seller) : null;
+        if (distKm === null) continue;
+
+        // Calculate Fee (Dynamic)
+        // (Nearest = Kam Paisa, Furthest = Jyada Paisa)
+        const itemFee = getDynamicDeliveryFee(distKm);
+
+        // Hum max fee lenge (agar multiple seller hain to sabse dur wale ka charge lagega)
+        if (itemFee > maxShippingFee) {
+            maxShippingFee = itemFee;
+        }
+        distanceCalculated = true;
+    }
+
+    // Fallback: Agar GPS nahi hai to Pincode based fee lagayein
+    if (!distanceCalculated || maxShippingFee === 0) {
+        maxShippingFee = calculateShippingFee(shippingAddress.pincode);
+    }
+
+    const shippingFee = maxShippingFee;
+
+    // ---------------------------------------------------------
+    // 💰 3. CALCULATE TOTALS (Items + Tax + Shipping - Coupon)
+    // ---------------------------------------------------------
+    
+    // Calculate Items Total (Considering Variants)
+    let totalCartAmount = 0;
+    for (const item of cart.items) {
+        const product = item.product;
+        let price = product.price;
+
+        // Variant Price Check
+        if (product.variants && product.variants.length > 0) {
+             const variant = product.variants.find(v => 
+                (v.color === item.selectedColor || (!v.color && !item.selectedColor)) && 
+                (v.size === item.selectedSize || (!v.size && !item.selectedSize))
+            );
+            if (variant) price = variant.price;
+        }
+        totalCartAmount += price * item.qty;
+    }
+
+    const totalTaxAmount = totalCartAmount * GST_RATE;
+    let discountAmount = 0;
+
+    // Coupon Logic
+    if (couponCode) {
+      const coupon = await Coupon.findOne({
+        code: couponCode,
+        isActive: true,
+        expiryDate: { $gt: new Date() },
+        minPurchaseAmount: { $lte: totalCartAmount } 
+      });
+
+      if (coupon) {
+        if (coupon.discountType === 'percentage') {
+          discountAmount = totalCartAmount * (coupon.discountValue / 100);
+          if (coupon.maxDiscountAmount && discountAmount > coupon.maxDiscountAmount) {
+            discountAmount = coupon.maxDiscountAmount;
+          }
+        } else if (coupon.discountType === 'fixed') {
+          discountAmount = coupon.discountValue;
+        }
+      }
+    }
+
+    // Final Total
+    let finalAmountForPayment = Math.max(0, totalCartAmount + shippingFee + totalTaxAmount - discountAmount);
+
+    res.json({
+      message: 'Checkout summary calculated successfully.',
+      itemsTotal: totalCartAmount,
+      totalShippingFee: shippingFee,
+      totalTaxAmount: totalTaxAmount,
+      totalDiscount: discountAmount,
+      grandTotal: finalAmountForPayment,
+    });
+
+  } catch (err) {
+      console.error("Checkout Summary Error:", err.message);
+      res.status(500).json({ message: 'Error calculating summary', error: err.message });
+  }
+});
+
+// ✅ UPDATED: Calculate Summary with Distance Logic & Multi-Seller Support
+// ✅ UPDATED: Calculate Summary with Distance Logic & Admin Pricing Support
+router.post('/api/orders/calculate-summary', protect, validate(schemas.calculateSummary), async (req, res) => {
+  try {
+    const { shippingAddressId, couponCode } = req.body; 
+
+    // 1. Populate cart with Product AND Seller Location
+    const cart = await Cart.findOne({ user: req.user._id }).populate({
+      path: 'items.product',
+      select: 'name variants shortDescription unit price originalPrice pincodes isGlobal', 
+      populate: { 
+          path: 'seller', 
+          select: 'pincodes location' // Fetch Seller GPS
+      } 
+    });
+
+    if (!cart || cart.items.length === 0) return res.status(400).json({ message: 'Cart is empty' });
+
+    const shippingAddress = await Address.findById(shippingAddressId);
+    if (!shippingAddress) return res.status(404).json({ message: 'Shipping address not found' });
+    
+    // Fetch Admin Settings for Radius & Pricing
+    const deliveryConfig = await getDeliveryConfig();
+    const location = toLocation(shippingAddress);
+
+    // 🚫 Serviceability (blocked location, area, radius, variant stock) - serviceability.service
+    const unavailable = cartServiceabilityError(cart, location, deliveryConfig);
+    if (unavailable) return res.status(400).json({ message: unavailable.reason, code: unavailable.code });
+
+    // --- 🚚 DYNAMIC DISTANCE CALCULATION ---
+    let totalShippingFee = 0;
+    
+    // Group items by Seller ID
+    const sellersInCart = new Map();
+    for (const item of cart.items) {
+        if (item.product && item.product.seller) {
+            const sellerId = item.product.seller._id.toString();
+            if (!sellersInCart.has(sellerId)) {
+                sellersInCart.set(sellerId, item.product.seller);
+            }
+        }
+    }
+
+    // Calculate fee for each seller
+    for (const seller of sellersInCart.values()) {
+        const distKm = sellerDistanceKm(location, seller);
+
+        // ✅ Pass 'deliveryConfig' so Admin rates are applied
+        // Fallback: Use Pincode logic if GPS failed
+        totalShippingFee += distKm !== null
+            ? getDynamicDeliveryFee(distKm, deliveryConfig)
+            : calculateShippingFee(shippingAddress.pincode);
+    }
+
+    // --- CART TOTAL CALCULATION ---
+    let totalCartAmount = 0;
+    for (const item of cart.items) {
+      
+      // ✅ NEW: HANDLE PRINT JOBS
+      if (item.isPrintJob && item.printMeta && item.printMeta.totalCost) {
+          totalCartAmount += item.printMeta.totalCost;
+          continue; // Skip standard product checks for print jobs
+      }
+
+      // --- STANDARD PRODUCT LOGIC ---
+      const product = item.product;
+      
+      if (!product || !product.seller) continue; 
+
+      // Variant Logic
+      let selectedVariant;
+      if (product.variants && product.variants.length > 0) {
+          selectedVariant = product.variants.find(v => 
+              (v.color === item.selectedColor || (!v.color && !item.selectedColor)) && 
+              (v.size === item.selectedSize || (!v.size && !item.selectedSize))
+          );
+      }
+      
+      let price = (selectedVariant) ? selectedVariant.price : product.price;
+
+      totalCartAmount += price * item.qty;
+    }
+
+    // --- FINANCIALS ---
+    let discountAmount = 0;
+    // Handle case where GST_RATE might be undefined
+    const taxRate = (typeof GST_RATE !== 'undefined') ? GST_RATE : 0; 
+    const totalTaxAmount = totalCartAmount * taxRate;
+
+    if (couponCode) {
+      const coupon = await Coupon.findOne({
+        code: couponCode,
+        isActive: true,
+        expiryDate: { $gt: new Date() },
+        minPurchaseAmount: { $lte: totalCartAmount } 
+      });
+
+      if (coupon) {
+        if (coupon.discountType === 'percentage') {
+          discountAmount = totalCartAmount * (coupon.discountValue / 100);
+          if (coupon.maxDiscountAmount && discountAmount > coupon.maxDiscountAmount) {
+            discountAmount = coupon.maxDiscountAmount;
+          }
+        } else if (coupon.discountType === 'fixed') {
+          discountAmount = coupon.discountValue;
+        }
+      }
+    }
+
+    let finalAmountForPayment = Math.max(0, totalCartAmount + totalShippingFee + totalTaxAmount - discountAmount);
+
+    res.json({
+      message: 'Summary calculated successfully.',
+      itemsTotal: totalCartAmount,
+      totalShippingFee: totalShippingFee,
+      totalTaxAmount: totalTaxAmount,
+      totalDiscount: discountAmount,
+      grandTotal: finalAmountForPayment,
+    });
+
+  } catch (err) {
+    console.error('POST Summary calculation error:', err.message);
+    res.status(500).json({ message: 'Error calculating order summary', error: err.message });
+  }
+});
+// ============================================================
+// 📦 CREATE ORDER ENDPOINT (Full Logic)
+// ============================================================
+// ============================================================
+// 📦 CREATE ORDER ENDPOINT (Full Logic)
+// ============================================================
+// ============================================================
+// 📦 CREATE ORDER ENDPOINT (Updated with Admin Control)
+// ============================================================
+router.post('/api/orders', protect, validate(schemas.placeOrder), idempotent(), async (req, res) => {
+  try {
+    const { shippingAddressId, paymentMethod, couponCode } = req.body;
+
+    // 1. Cart Fetch
+    const cart = await Cart.findOne({ user: req.user._id }).populate({
+      path: 'items.product',
+      select: 'name price originalPrice variants category seller lowStockThreshold stock pincodes isGlobal', 
+      populate: {
+        path: 'seller',
+        select: 'pincodes name phone fcmToken walletBalance location' 
+      }
+    });
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ message: 'Cart is empty' });
+    }
+
+    // ============================================================
+    // ⚙️ FETCH ADMIN SETTINGS
+    // ============================================================
+    const appSettings = await AppSettings.findOne({ singleton: true });
+    
+    // अगर Admin ने allowPrintCOD true किया है, तो COD मिलेगा, वरना नहीं।
+    // Default false (सुरक्षा के लिए)
+    const isPrintCODAllowed = appSettings ? appSettings.allowPrintCOD : false; 
+
+    // ============================================================
+    // 🚫 CHECK: Block COD for Print Jobs (If Admin Disabled it)
+    // ============================================================
+    const hasPrintJob = cart.items.some(item => item.isPrintJob === true);
+    
+    if (hasPrintJob && (paymentMethod === 'cod' || paymentMethod === 'razorpay_cod')) {
+        // अगर कार्ट में प्रिंट जॉब है और यूजर ने COD चुना है
+        // तो चेक करो कि क्या Admin ने परमिशन दी है?
+        if (!isPrintCODAllowed) {
+            return res.status(400).json({ 
+                message: 'Cash on Delivery is currently disabled for Print orders. Please pay online.' 
+            });
+        }
+    }
+    // ============================================================
+
+    const shippingAddress = await Address.findById(shippingAddressId);
+    if (!shippingAddress) return res.status(404).json({ message: 'Shipping address not found' });
+
+    // 🚫 Serviceability (blocked location, area, radius, variant stock) - wahi rules jo listing / cart mein
+    const deliveryConfig = (appSettings && appSettings.deliveryConfig) || {};
+    const location = toLocation(shippingAddress);
+    const unavailable = cartServiceabilityError(cart, location, deliveryConfig);
+    if (unavailable) return res.status(400).json({ message: unavailable.reason, code: unavailable.code });
+
+    // --- Pre-order validation and grouping ---
+    const ordersBySeller = new Map();
+    let calculatedTotalCartAmount = 0; 
+
+    // ✅ Group Items by Seller
+    for (const item of cart.items) {
+      const product = item.product;
+      
+      if (!product || !product.seller) {
+        return res.status(400).json({ message: `An item in your cart is invalid or its seller is inactive.` });
+      }
+
+      // ... (बाकी का कोड सेम रहेगा - Print Job Logic & Standard Product Logic) ...
+      // ... (SCENARIO 1: PRINT JOB LOGIC) ...
+      if (item.isPrintJob && item.printMeta) {
+          const sellerId = product.seller._id.toString();
+          
+          if (!ordersBySeller.has(sellerId)) {
+            ordersBySeller.set(sellerId, {
+              seller: product.seller,
+              orderItems: [],
+              totalAmount: 0,
+              calculatedShippingFee: 0 
+            });
+          }
+
+          const sellerOrder = ordersBySeller.get(sellerId);
+          const jobCost = Number(item.printMeta.totalCost) || 0; 
+
+          sellerOrder.orderItems.push({
+            product: product._id,
+            name: item.printMeta.originalName || "Print Document",
+            qty: item.qty,
+            originalPrice: jobCost,
+            price: jobCost,
+            isPrintJob: true,
+            printMeta: item.printMeta,
+            category: product.category,
+            selectedColor: null,
+            selectedSize: null,
+          });
+
+          sellerOrder.totalAmount += jobCost;
+          calculatedTotalCartAmount += jobCost;
+          continue; 
+      }
+
+      // ... (SCENARIO 2: STANDARD PRODUCT LOGIC) ...
+      let itemPrice = product.price; 
+      let itemOriginalPrice = product.originalPrice; 
+      
+      if (product.variants && product.variants.length > 0) {
+          const selectedVariant = product.variants.find(v => 
+              (v.color === item.selectedColor || (!v.color && !item.selectedColor)) && 
+              (v.size === item.selectedSize || (!v.size && !item.selectedSize))
+          );
+          if (!selectedVariant) {
+             return res.status(400).json({ message: `Invalid variant combination selected for product: ${product.name}.` });
+          }
+          itemPrice = selectedVariant.price;
+          itemOriginalPrice = selectedVariant.originalPrice;
+      }
+
+      const sellerId = product.seller._id.toString();
+      if (!ordersBySeller.has(sellerId)) {
+        ordersBySeller.set(sellerId, {
+          seller: product.seller,
+          orderItems: [],
+          totalAmount: 0,
+          calculatedShippingFee: 0
+        });
+      }
+
+      const sellerOrder = ordersBySeller.get(sellerId);
+      
+      sellerOrder.orderItems.push({
+        product: product._id,
+        name: product.name,
+        qty: item.qty,
+        originalPrice: itemOriginalPrice,
+        price: itemPrice,
+        category: product.category,
+        selectedColor: item.selectedColor,
+        selectedSize: item.selectedSize,
+        isPrintJob: false 
+      });
+
+      sellerOrder.totalAmount += itemPrice * item.qty;
+      calculatedTotalCartAmount += itemPrice * item.qty;
+    }
+    
+    // --- 🚚 Calculate Shipping Fee ---
+    let totalShippingFee = 0;
+
+    for (const [sellerId, sellerData] of ordersBySeller.entries()) {
+        let fee = 0;
+        const dist = sellerDistanceKm(location, sellerData.seller);
+        if (dist !== null) {
+            fee = getDynamicDeliveryFee(dist, deliveryConfig); 
+        } else {
+            fee = calculateShippingFee(shippingAddress.pincode);
+        }
+        sellerData.calculatedShippingFee = fee;
+        totalShippingFee += fee;
+    }
+
+    const totalCartAmount = calculatedTotalCartAmount; 
+    
+    // --- Coupon & Tax ---
+    let discountAmount = 0;
+    const GST_RATE_VAL = (typeof GST_RATE !== 'undefined') ? GST_RATE : 0;
+    const totalTaxAmount = totalCartAmount * GST_RATE_VAL;
+    
+    if (couponCode) {
+      const coupon = await Coupon.findOne({
+        code: couponCode,
+        isActive: true,
+        expiryDate: { $gt: new Date() },
+        minPurchaseAmount: { $lte: totalCartAmount }
+      });
+
+      if (coupon) {
+        if (coupon.discountType === 'percentage') {
+          discountAmount = totalCartAmount * (coupon.discountValue / 100);
+          if (coupon.maxDiscountAmount && discountAmount > coupon.maxDiscountAmount) {
+            discountAmount = coupon.maxDiscountAmount;
+          }
+        } else if (coupon.discountType === 'fixed') {
+          discountAmount = coupon.discountValue;
+        }
+      }
+    }
+    
+    let finalAmountForPayment = Math.max(0, totalCartAmount + totalShippingFee + totalTaxAmount - discountAmount);
+    
+    // Payment Method Check
+    let effectivePaymentMethod = paymentMethod;
+    if (paymentMethod === 'razorpay' && finalAmountForPayment <= 0) {
+      effectivePaymentMethod = 'cod';
+    }
+
+    // Razorpay Order Creation
+    let razorpayOrder = null;
+    if (effectivePaymentMethod === 'razorpay') {
+      razorpayOrder = await getPayments().createOrder({
+        amount: Math.round(finalAmountForPayment * 100),
+        currency: 'INR',
+        receipt: `rcpt_${crypto.randomBytes(8).toString('hex')}`,
+      });
+    }
+
+    let fullAddress = `${shippingAddress.street}`;
+    if (shippingAddress.landmark) fullAddress += `, ${shippingAddress.landmark}`;
+    if (shippingAddress.village) fullAddress += `, ${shippingAddress.village}`;
+    fullAddress += `, ${shippingAddress.city}, ${shippingAddress.state} - ${shippingAddress.pincode}`;
+    
+    const createdOrders = [];
+    const COMMISSION_RATE = appSettings ? appSettings.platformCommissionRate : 0.05; 
+
+    // Coupon Split Variables
+    let remainingDiscount = discountAmount;
+    let remainingTaxAmount = totalTaxAmount;
+
+    // --- Create Sub-Orders for Each Seller ---
+    for (const [sellerId, sellerData] of ordersBySeller.entries()) {
+      
+      const proportion = (totalCartAmount > 0) ? sellerData.totalAmount / totalCartAmount : 0; 
+
+      const sellerDiscount = remainingDiscount * proportion;
+      const sellerTaxAmount = remainingTaxAmount * proportion;
+
+      remainingDiscount -= sellerDiscount;
+      remainingTaxAmount -= sellerTaxAmount;
+
+      const isCodOrFree = effectivePaymentMethod === 'cod' || finalAmountForPayment === 0;
+      
+      const totalAmountFloat = parseFloat((sellerData.totalAmount || 0).toFixed(2));
+      const taxAmountFloat = parseFloat((sellerTaxAmount || 0).toFixed(2));
+      const discountAmountFloat = parseFloat((sellerDiscount || 0).toFixed(2));
+      const sellerShippingFee = sellerData.calculatedShippingFee; 
+      
+      // 💰 COMMISSION DEDUCTION
+      const commissionAmount = parseFloat((totalAmountFloat * COMMISSION_RATE).toFixed(2));
+      const sellerUser = await User.findById(sellerId);
+      const balanceBefore = sellerUser.walletBalance;
+      
+      sellerUser.walletBalance -= commissionAmount; 
+      await sellerUser.save();
+
+      const order = new Order({
+        user: req.user._id,
+        seller: sellerData.seller,
+        orderItems: sellerData.orderItems, 
+        shippingAddress: fullAddress,
+        pincode: shippingAddress.pincode,
+        paymentMethod: effectivePaymentMethod,
+        totalAmount: totalAmountFloat, 
+        taxRate: GST_RATE_VAL,
+        taxAmount: taxAmountFloat, 
+        couponApplied: couponCode,
+        discountAmount: discountAmountFloat, 
+        shippingFee: sellerShippingFee, 
+        paymentId: razorpayOrder ? razorpayOrder.id : (isCodOrFree ? `cod_${crypto.randomBytes(8).toString('hex')}` : undefined),
+        paymentStatus: isCodOrFree ? 'completed' : 'pending',
+        deliveryStatus: isCodOrFree ? 'Pending' : 'Payment Pending',
+        history: [{ status: isCodOrFree ? 'Pending' : 'Payment Pending' }]
+      });
+      await order.save();
+      createdOrders.push(order);
+
+      // Wallet Log
+      await WalletTransaction.create({
+          seller: sellerId,
+          orderId: order._id,
+          type: 'Debit',
+          amount: commissionAmount,
+          balanceBefore: balanceBefore,
+          balanceAfter: sellerUser.walletBalance,
+          description: `Platform Commission (Order #${order._id.toString().slice(-6)})`
+      });
+
+      const orderIdShort = order._id.toString().slice(-6);
+
+      // --- Post-creation actions (STOCK UPDATE FIX) ---
+      if (isCodOrFree) {
+        for(const item of sellerData.orderItems) {
+            if (item.isPrintJob) continue; // Skip stock update for print jobs
+
+            const productDoc = await Product.findById(item.product);
+            if (productDoc && productDoc.variants && productDoc.variants.length > 0) {
+                await Product.findOneAndUpdate(
+                    { _id: item.product, "variants": { $elemMatch: { color: item.selectedColor || null, size: item.selectedSize || null } } },
+                    { $inc: { "variants.$.stock": -item.qty, "stock": -item.qty } }
+                );
+            } else {
+                await Product.findByIdAndUpdate(item.product, { $inc: { stock: -item.qty } });
+            }
+
+            // Low Stock Alert
+            const updatedProduct = await Product.findById(item.product).populate('seller', 'fcmToken phone'); 
+            let currentStock = updatedProduct.stock;
+            if (updatedProduct.variants && updatedProduct.variants.length > 0) {
+                 const v = updatedProduct.variants.find(v => (v.color === item.selectedColor || (!v.color && !item.selectedColor)) && (v.size === item.selectedSize || (!v.size && !item.selectedSize)));
+                 if (v) currentStock = v.stock;
+            }
+            if (updatedProduct && currentStock <= updatedProduct.lowStockThreshold) {
+                const alertMsg = `⚠️ Low Stock Alert: "${updatedProduct.name}" is running low (${currentStock} left).`;
+                if (updatedProduct.seller.fcmToken) {
+                    await sendPushNotification([updatedProduct.seller.fcmToken], 'Stock Alert 📉', alertMsg, { type: 'LOW_STOCK' });
+                }
+            }
+        }
+
+        // Notifications & Delivery Assignment (Same as before)
+        const userMessage = `✅ Your COD order #${orderIdShort} has been successfully placed!`;
+        const sellerMessage = `🎉 New Order (COD)!\nOrder #${orderIdShort}. Subtotal: ₹${totalAmountFloat.toFixed(2)}.`;
+        
+        await sendAndSavePersonalNotification(req.user._id, 'Order Placed! 🎉', `Order #${orderIdShort} placed.`, { orderId: order._id.toString(), type: 'ORDER_PLACED' });
+        await sendWhatsApp(req.user.phone, userMessage);
+        await sendWhatsApp(sellerData.seller.phone, sellerMessage);
+        await notifyAdmin(`Admin Alert: New COD order #${orderIdShort} placed.`);
+
+        try {
+            const orderPincode = shippingAddress.pincode;
+            await DeliveryAssignment.create({
+              order: order._id, deliveryBoy: null, status: 'Pending', pincode: orderPincode, history: [{ status: 'Pending' }]
+            });
+            const nearbyDeliveryBoys = await User.find({ ...roleQuery('delivery', { approved: true }), pincodes: orderPincode }).select('fcmToken');
+            const deliveryTokens = nearbyDeliveryBoys.map(db => db.fcmToken).filter(Boolean);
+            if (deliveryTokens.length > 0) {
+              await sendPushNotification(deliveryTokens, 'New Delivery Available! 🛵', `New order #${orderIdShort} in ${orderPincode}.`, { orderId: order._id.toString(), type: 'NEW_DELIVERY_AVAILABLE' });
+            }
+        } catch (deliveryErr) { console.error('Delivery Assign Error:', deliveryErr.message); }
+        
+      } else {
+        const userMessage = `🔔 Your order #${orderIdShort} is awaiting payment.`;
+        await sendWhatsApp(req.user.phone, userMessage);
+      }
+    }
+
+    if (effectivePaymentMethod === 'cod') {
+      await Cart.deleteOne({ user: req.user._id }); 
+    }
+
+    res.status(201).json({
+      message: effectivePaymentMethod === 'razorpay' ? 'Order initiated.' : 'Orders created successfully',
+      orders: createdOrders.map(o => o._id),
+      razorpayOrder: razorpayOrder ? { id: razorpayOrder.id, amount: razorpayOrder.amount, key_id: getPayments().keyId } : undefined,
+      user: { name: req.user.name, email: req.user.email, phone: req.user.phone },
+      paymentMethod: effectivePaymentMethod,
+      grandTotal: finalAmountForPayment,
+    });
+
+  } catch (err) {
+    console.error('Create order error:', err.message);
+    res.status(500).json({ message: 'Error creating order', error: err.message });
+  }
+});
+
+router.get('/api/orders', protect, async (req, res) => {
+  try {
+    const orders = await Order.find({ user: req.user._id })
+      .populate({
+        path: 'orderItems.product',
+        select: 'name images price originalPrice unit category',
+        populate: {
+          path: 'category',
+          select: 'name'
+        }
+      })
+      .populate('seller', 'name email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const ordersWithDisplayImage = orders.map(order => {
+      let image = null;
+      if (order.orderItems?.[0]?.product?.images?.[0]?.url) {
+        image = order.orderItems[0].product.images[0].url;
+      }
+      const grandTotal = (order.totalAmount + order.shippingFee + order.taxAmount) - order.discountAmount;
+
+      return { 
+        ...order, 
+        displayImage: image,
+        grandTotal: grandTotal
+      };
+    });
+
+    res.json(ordersWithDisplayImage);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching orders' });
+  }
+});
+
+// ✅ UPDATED ROUTE: Get Details for E-commerce Order OR Ride Request
+// ✅ KEEP THIS BLOCK (यह सही कोड है, इसे रखें)
+// ✅ UPDATED ROUTE: Get Details for E-commerce Order OR Ride Request
+router.get('/api/orders/:id', protect, validate(schemas.byId), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user._id.toString();
+
+    // ---------------------------------------------------------
+    // 1. Check if this is a RIDE (For Village Ride Polling)
+    // ---------------------------------------------------------
+    // ✅ FIXED: Added 'location' to populate so Rider can track Driver
+    const ride = await Ride.findById(id).populate('driver', 'name phone vehicleType location');
+    
+    if (ride) {
+      // Security Check: Only allow the Customer, the Assigned Driver, or Admin to see details
+      const isCustomer = ride.customer.toString() === userId;
+      const isDriver = ride.driver && ride.driver._id.toString() === userId; // Safely check _id
+      const isAdmin = req.user.role === 'admin';
+
+      if (isCustomer || isDriver || isAdmin) {
+        return res.json(ride); // Return Ride Data (contains status, otp, driver location)
+      } else {
+        return res.status(403).json({ message: 'Access denied to this ride.' });
+      }
+    }
+
+    // ---------------------------------------------------------
+    // 2. If not a Ride, check if it is an E-COMMERCE ORDER
+    // ---------------------------------------------------------
+    const order = await Order.findOne({ _id: id, user: userId })
+      .populate({
+        path: 'orderItems.product',
+        select: 'name images price originalPrice unit',
+      })
+      .populate('seller', 'name email');
+
+    if (order) {
+      return res.json(order); // Return Order Data
+    }
+
+    // ---------------------------------------------------------
+    // 3. Not found in either collection
+    // ---------------------------------------------------------
+    return res.status(404).json({ message: 'Order or Ride not found' });
+
+  } catch (err) {
+    console.error('Error fetching details:', err.message);
+    res.status(500).json({ message: 'Error fetching details' });
+  }
+});
+
+router.get('/api/orders/:id/payment-status', protect, validate(schemas.byId), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    // Ensure the user owns this order
+    if (order.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({ paymentStatus: order.paymentStatus });
+
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching payment status', error: err.message });
+  }
+});
+
+// -------- Cancel order with auto/prepaid refund or COD manual refund --------
+// -------- Cancel order with auto/prepaid refund or COD manual refund --------
+router.put('/api/orders/:id/cancel', protect, validate(schemas.cancelOrder), idempotent(), async (req, res) => {
+  try {
+    const { upiId } = req.body; // optional: user can provide UPI when cancelling COD
+    
+    // ✅ UPDATE: Added 'walletBalance' to populate to ensure we can update it accurately
+    const order = await Order.findOne({ _id: req.params.id, user: req.user._id })
+      .populate('seller', 'phone walletBalance');
+
+    if (!order) return res.status(404).json({ message: 'Order not found or you do not have permission' });
+    if (['Cancelled', 'Delivered', 'Shipped'].includes(order.deliveryStatus)) {
+      return res.status(400).json({ message: `Cannot cancel an order that is already ${order.deliveryStatus}` });
+    }
+
+    // Mark cancelled
+    order.deliveryStatus = 'Cancelled';
+    order.history.push({ status: 'Cancelled by user', timestamp: new Date() });
+
+    // Cancel any assigned delivery
+    try {
+      await DeliveryAssignment.findOneAndUpdate(
+        { order: order._id },
+        { $set: { status: 'Cancelled' }, $push: { history: { status: 'Cancelled', timestamp: new Date() } } }
+      );
+    } catch (assignErr) {
+      console.error('Error cancelling delivery assignment:', assignErr.message);
+    }
+
+    // ==================================================================
+    // 💰 ✅ NEW: COMMISSION REFUND LOGIC (Seller Wallet Credit)
+    // ==================================================================
+    try {
+        // 1. Get Commission Rate
+        const appSettings = await AppSettings.findOne({ singleton: true });
+        const COMMISSION_RATE = appSettings ? appSettings.platformCommissionRate : 0.05;
+
+        // 2. Calculate Commission Amount to Refund
+        const commissionToRefund = parseFloat((order.totalAmount * COMMISSION_RATE).toFixed(2));
+
+        if (commissionToRefund > 0 && order.seller) {
+            // Fetch seller user to ensure we are writing to the latest state
+            const sellerUser = await User.findById(order.seller._id);
+            
+            if (sellerUser) {
+                const balanceBefore = sellerUser.walletBalance;
+                
+                // 3. Credit Wallet
+                sellerUser.walletBalance += commissionToRefund;
+                await sellerUser.save();
+
+                // 4. Log Transaction
+                await WalletTransaction.create({
+                    seller: sellerUser._id,
+                    orderId: order._id,
+                    type: 'Credit', // Money coming back
+                    amount: commissionToRefund,
+                    balanceBefore: balanceBefore,
+                    balanceAfter: sellerUser.walletBalance,
+                    description: `Commission Refund (Order Cancelled #${order._id.toString().slice(-6)})`
+                });
+
+                console.log(`✅ Refunded commission ₹${commissionToRefund} to seller ${sellerUser.name}`);
+            }
+        }
+    } catch (commErr) {
+        console.error('❌ Error refunding commission to seller:', commErr.message);
+        // We do not stop the cancellation process here, just log the error
+    }
+    // ==================================================================
+
+    let refundMessage = '';
+    const isPrepaid = ['razorpay', 'razorpay_cod'].includes(order.paymentMethod);
+
+    // ---------- Prepaid: Attempt auto refund via Razorpay ----------
+    if (isPrepaid && order.paymentStatus === 'completed') {
+      try {
+        const orderGrandTotal = (Number(order.totalAmount || 0) + Number(order.shippingFee || 0) + Number(order.taxAmount || 0)) - Number(order.discountAmount || 0);
+        const refundableAmount = orderGrandTotal - (Number(order.totalRefunded || 0));
+
+        if (refundableAmount > 0 && order.paymentId) {
+          const refund = await getPayments().refundPayment(order.paymentId, {
+            amount: Math.round(refundableAmount * 100),
+            speed: 'normal',
+            notes: { reason: 'Order cancelled by user' }
+          });
+
+          const newRefundEntry = {
+            amount: (refund.amount || 0) / 100,
+            reason: 'Order cancelled by user (auto refund)',
+            status: refund.status === 'processed' ? 'completed' : 'processing',
+            razorpayRefundId: refund.id,
+            processedBy: req.user._id,
+            createdAt: new Date(),
+            updatedAt: new Date(),
+          };
+          order.refunds.push(newRefundEntry);
+          order.totalRefunded = (order.totalRefunded || 0) + newRefundEntry.amount;
+          order.paymentStatus = 'refunded';
+          refundMessage = ' Your payment has been automatically refunded.';
+        } else {
+          // nothing to refund
+          refundMessage = ' No refundable amount found.';
+        }
+      } catch (refundErr) {
+        console.error("Auto-refund failed:", refundErr && refundErr.message ? refundErr.message : refundErr);
+        refundMessage = ' Refund will be processed manually after admin approval.';
+        await notifyAdmin(`⚠️ Auto-refund FAILED for cancelled order #${order._id}. Error: ${refundErr.message || refundErr}`);
+      }
+    }
+
+    // ---------- COD flow: request manual refund and optionally capture UPI ----------
+    if (order.paymentMethod === 'cod') {
+      const refundEntry = {
+        amount: Number(order.totalAmount || 0),
+        reason: 'Order cancelled (COD)',
+        status: 'requested', // requested -> user to submit UPI or already provided
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+
+      if (upiId) {
+        refundEntry.upiId = upiId;
+        refundEntry.notes = `UPI ID provided by user: ${upiId}`;
+        refundEntry.status = 'pending'; // pending admin approval
+        refundMessage = ` COD order cancelled. Refund will be processed manually to ${upiId} after admin approval.`;
+      } else {
+        refundMessage = ' COD order cancelled. Please provide your UPI ID for manual refund.';
+      }
+
+      order.refunds.push(refundEntry);
+      order.paymentStatus = 'pending';
+    }
+
+    await order.save();
+
+    // ---------- Restore stock for cancelled items ----------
+    try {
+     // ✅ FIXED: Increase (Restore) Variant Stock AND Main Stock
+for (const item of order.orderItems) {
+    const productDoc = await Product.findById(item.product);
+
+    if (productDoc && productDoc.variants && productDoc.variants.length > 0) {
+        await Product.findOneAndUpdate(
+            {
+                _id: item.product,
+                "variants": {
+                    $elemMatch: {
+                        color: item.selectedColor || null,
+                        size: item.selectedSize || null
+                    }
+                }
+            },
+            { $inc: { "variants.$.stock": item.qty, "stock": item.qty } } // 🔺 +qty (Increase)
+        );
+    } else {
+        await Product.findByIdAndUpdate(item.product, { $inc: { stock: item.qty } });
+    }
+}
+    } catch (stockErr) {
+      console.error('Error restoring stock after cancel:', stockErr.message || stockErr);
+    }
+
+    // ---------- Notify seller & admin ----------
+    try {
+      const orderIdShort = order._id.toString().slice(-6);
+      if (order.seller && order.seller.phone) {
+        // Updated message to mention commission refund
+        await sendWhatsApp(order.seller.phone, `Order #${orderIdShort} has been cancelled by the customer. Commission has been refunded to your wallet.`);
+      }
+      await notifyAdmin(`📦 Order #${order._id} cancelled by user. ${refundMessage}`);
+    } catch (notifyErr) {
+      console.error('Notification error after cancel:', notifyErr && notifyErr.message ? notifyErr.message : notifyErr);
+    }
+
+    res.json({ message: `Order cancelled successfully.${refundMessage}`, order });
+  } catch (err) {
+    console.error('Cancel Order Error:', err && err.message ? err.message : err);
+    res.status(500).json({ message: 'Error cancelling order' });
+  }
+});
+
+
+// -------- User submits UPI for COD refund --------
+// PUT /api/orders/:id/submit-upi - User submits UPI ID or Bank Details for manual refund
+router.put('/api/orders/:id/submit-upi', protect, validate(schemas.submitUpi), async (req, res) => {
+    try {
+        // Fetch all potential details from the client
+        const { upiId, accountNumber, ifsc } = req.body;
+        
+        // 1. Validation: Ensure at least one valid method is provided
+        // (UPI ID OR both Account Number and IFSC)
+        if (!upiId && (!accountNumber || !ifsc)) {
+            return res.status(400).json({ message: 'UPI ID or complete Bank Account/IFSC details are required for refund.' });
+        }
+
+        const order = await Order.findOne({ _id: req.params.id, user: req.user._id });
+        if (!order) return res.status(404).json({ message: 'Order not found' });
+
+        // 2. Find the pending refund entry (status: 'requested')
+        const pendingRefund = order.refunds.find(r => r.status === 'requested');
+        
+        if (!pendingRefund) {
+             return res.status(400).json({ message: 'No active COD refund request found or details already submitted.' });
+        }
+        
+        // 3. Update the refund entry with provided details
+        if (upiId) {
+            pendingRefund.upiId = upiId;
+        }
+        if (accountNumber && ifsc) {
+            pendingRefund.bankAccountNumber = accountNumber;
+            pendingRefund.ifsc = ifsc;
+        }
+
+        // 4. Construct notification and change status to 'pending'
+        const notesArray = [];
+        if (upiId) notesArray.push(`UPI: ${upiId}`);
+        if (accountNumber && ifsc) notesArray.push(`A/C: ${accountNumber}, IFSC: ${ifsc}`);
+        
+        pendingRefund.notes = `Refund details submitted by user: ${notesArray.join(' / ')}`;
+        pendingRefund.status = 'pending'; // Ready for admin action
+        pendingRefund.updatedAt = new Date();
+
+        order.history.push({ status: 'Refund Details Submitted', timestamp: new Date() });
+
+        await order.save();
+
+        await notifyAdmin(`📩 Refund Details Submitted for COD: ${notesArray.join(' / ')} (Order #${order._id.toString().slice(-6)}). Awaiting manual transfer.`);
+        
+        res.json({ message: 'Refund details submitted successfully. Awaiting admin approval and manual transfer.' });
+    } catch (err) {
+        console.error('Submit UPI/Bank Details error:', err && err.message ? err.message : err);
+        res.status(500).json({ message: 'Error submitting refund details' });
+    }
+});
+
+
+router.post('/api/payment/verify', validate(schemas.verifyPayment), idempotent(), async (req, res) => {
+  try {
+    const { order_id, payment_id, signature, printJobId } = req.body; // printJobId यहाँ ज़रूरी है
+    const isValid = getPayments().verifyPaymentSignature({ orderId: order_id, paymentId: payment_id, signature });
+
+    if (isValid) {
+      
+      // 1. अगर यह "प्रिंट सर्विस" का पेमेंट है
+      if (printJobId) {
+        // सेलर के वॉलेट में कमीशन काटकर पैसा जमा करें - job complete + credit ek transaction mein,
+        // sirf pehli baar (retry / webhook race par double credit nahi)
+        const credit = await creditSellerForPrint(printJobId, payment_id);
+
+        return res.json({
+          status: 'success',
+          message: credit.credited ? 'Print payment verified and seller credited' : 'Print payment already verified'
+        });
+      }
+
+      // 2. अगर यह सामान्य "Product Order" का पेमेंट है
+      await handleSuccessfulPayment(order_id, payment_id);
+      return res.json({ status: 'success', message: 'Payment verified successfully' });
+
+    } else {
+      await handleFailedPayment(order_id);
+      return res.status(400).json({ status: 'failure', message: 'Payment verification failed' });
+    }
+  } catch (err) {
+    res.status(500).json({ message: 'Error verifying payment', error: err.message });
+  }
+});
+
+// --- PAYMENT GATEWAY WEBHOOK HANDLER ---
+// Signature check & payload parsing provider karta hai (src/payments), events processPaymentEvent handle karta hai
+router.post('/api/payment/razorpay-webhook', async (req, res) => {
+    console.log('Payment webhook called!');
+
+    try {
+        // 🚨 CRITICAL FIX: Use req.rawBody, NOT JSON.stringify(req.body)
+        if (!req.rawBody) {
+             console.error("rawBody is missing! Make sure you updated your express.json() middleware.");
+             return res.status(400).send("Webhook error: Missing raw body.");
+        }
+
+        const event = getPayments().parseWebhook(req.rawBody, req.headers);
+        if (!event) {
+            console.error('Webhook signature validation failed.');
+            return res.status(400).send('Invalid signature');
+        }
+
+        console.log('Webhook signature verified.');
+        await processPaymentEvent(event);
+        res.status(200).json({ status: 'ok' });
+    } catch (error) {
+        console.error('Error in payment webhook handler:', error.message);
+        res.status(500).send('Webhook processing error');
+    }
+});
+
+// --- [DEV] Simulate a customer payment (sirf PAYMENT_PROVIDER=fake ke saath) ---
+// Body: { orderId, outcome: 'success' | 'failure' | 'delayed' }  ya  { paymentLinkId }
+router.post('/api/payment/simulate', protect, validate(schemas.simulatePayment), async (req, res) => {
+  try {
+    const payments = getPayments();
+    if (payments.name !== 'fake') {
+      return res.status(404).json({ message: 'Payment simulation is only available with the fake payment provider.' });
+    }
+
+    const { orderId, paymentLinkId, outcome } = req.body;
+    if (paymentLinkId) {
+      return res.json(await payments.simulatePaymentLinkPayment(paymentLinkId));
+    }
+    if (!orderId) {
+      return res.status(400).json({ message: 'orderId or paymentLinkId is required.' });
+    }
+    res.json(await payments.simulatePayment(orderId, outcome));
+  } catch (err) {
+    res.status(500).json({ message: 'Error simulating payment', error: err.message });
+  }
+});
+
+router.get('/api/payment/history', protect, async (req, res) => {
+  try {
+    const history = await PaymentHistory.find({ user: req.user._id }).sort({ createdAt: -1 });
+    res.json(history);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching payment history' });
+  }
+});
+
+// --------------------------------------------------------------------------------
+// --------- ADDRESS ROUTES (User: Add, Edit, Delete, Get) ----------
+// --------------------------------------------------------------------------------
+
+// 1. Get All Addresses
+router.get('/api/addresses', protect, async (req, res) => {
+  try {
+    // Sort by isDefault (-1 puts true first) so default address shows at top
+    const addresses = await Address.find({ user: req.user._id }).sort({ isDefault: -1 });
+    res.json(addresses);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching addresses', error: err.message });
+  }
+});
+
+// 2. Add New Address
+// 2. Add New Address (Updated to save Lat/Lng)
+router.post('/api/addresses', protect, validate(schemas.createAddress), async (req, res) => {
+  try {
+    // ✅ Extract lat and lng from req.body along with other fields
+    const { 
+        name, street, village, landmark, city, state, pincode, phone, isDefault, 
+        lat, lng // <--- Added these
+    } = req.body;
+
+    // Check if this is the user's first address. If so, make it default automatically.
+    const addressCount = await Address.countDocuments({ user: req.user._id });
+    let shouldBeDefault = isDefault === true;
+    if (addressCount === 0) {
+        shouldBeDefault = true;
+    }
+
+    // If this new address is set to default, unset previous default
+    if (shouldBeDefault) {
+      await Address.updateMany({ user: req.user._id }, { isDefault: false });
+    }
+
+    const newAddress = await Address.create({
+      user: req.user._id,
+      name, 
+      street, 
+      village, 
+      landmark, 
+      city, 
+      state, 
+      pincode, 
+      phone,
+      // ✅ Save coordinates to database
+      lat,
+      lng,
+      isDefault: shouldBeDefault
+    });
+    
+    res.status(201).json(newAddress);
+  } catch (err) {
+    console.error("Add Address Error:", err.message);
+    res.status(500).json({ message: 'Error adding address', error: err.message });
+  }
+});
+
+// 3. Edit Address
+router.put('/api/addresses/:id', protect, validate(schemas.updateAddress), async (req, res) => {
+  try {
+    const { name, street, village, landmark, city, state, pincode, phone, isDefault } = req.body;
+    
+    // Find address and ensure it belongs to the logged-in user
+    const address = await Address.findOne({ _id: req.params.id, user: req.user._id });
+    if (!address) {
+        return res.status(404).json({ message: 'Address not found or you do not have permission' });
+    }
+
+    // If setting as default, unset all other addresses for this user first
+    if (isDefault === true) {
+      await Address.updateMany({ user: req.user._id }, { isDefault: false });
+    }
+
+    // Update fields if provided
+    if (name) address.name = name;
+    if (street) address.street = street;
+    if (village) address.village = village;
+    if (landmark) address.landmark = landmark;
+    if (city) address.city = city;
+    if (state) address.state = state;
+    if (pincode) address.pincode = pincode;
+    if (phone) address.phone = phone;
+    if (typeof isDefault !== 'undefined') address.isDefault = isDefault;
+
+    await address.save();
+    res.json(address);
+  } catch (err) {
+    console.error("Edit Address Error:", err.message);
+    res.status(500).json({ message: 'Error updating address', error: err.message });
+  }
+});
+
+// 4. Delete Address
+router.delete('/api/addresses/:id', protect, validate(schemas.byId), async (req, res) => {
+  try {
+    // Find address ensuring it belongs to the user (security check)
+    // REMOVED authorizeRole('admin') so users can delete their own
+    const address = await Address.findOne({ _id: req.params.id, user: req.user._id });
+    
+    if (!address) {
+        return res.status(404).json({ message: 'Address not found or you do not have permission' });
+    }
+
+    await address.deleteOne();
+    res.json({ message: 'Address deleted successfully' });
+  } catch (err) {
+    console.error("Delete Address Error:", err.message);
+    res.status(500).json({ message: 'Error deleting address', error: err.message });
+  }
+});
+
+// [NEW ADMIN ROUTE] - Admin approves customer return request and creates delivery assignment
+// [CORRECTED ADMIN ROUTE] - Admin approves customer return request and updates existing assignment
+router.post('/api/admin/orders/:id/approve-return', protect, authorizeRole('admin'), requirePermission('orders.refund'), validate(schemas.byId), audit('order.return.approve', 'Order'), async (req, res) => {
+    try {
+        const orderId = req.params.id;
+        // Populate seller details to check if they have a phone/fcmToken
+        const order = await Order.findById(orderId).populate('user', 'phone fcmToken').populate('seller', 'fcmToken phone');
+        
+        if (!order || order.deliveryStatus !== 'Return Requested') {
+            return res.status(400).json({ message: 'Order is not in Return Requested status.' });
+        }
+        if (!isInScope(req, order.pincode)) {
+            return res.status(403).json({ message: 'This order is outside your assigned area.' });
+        }
+
+        // 1. Update Order Status
+        order.deliveryStatus = 'Return Accepted by Admin';
+        order.history.push({ status: 'Return Accepted by Admin' });
+        await order.save();
+
+        // 2. FIND AND UPDATE THE EXISTING Delivery Assignment for Return Pickup
+        // CRITICAL FIX: Use findOneAndUpdate to prevent E11000 duplicate key errors
+        const newAssignmentStatus = 'ReturnPending';
+        
+        const assignment = await DeliveryAssignment.findOneAndUpdate(
+            { order: order._id }, // ⬅️ यह मौजूदा असाइनमेंट को ऑर्डर ID से ढूंढ़ता है
+            {
+                $set: {
+                    deliveryBoy: null, // इसे पूल के लिए असाइन न किया गया सेट करें
+                    status: newAssignmentStatus, // रिटर्न पिकअप के लिए स्थिति सेट करें
+                },
+                $push: { history: { status: newAssignmentStatus } }
+            },
+            { new: true, upsert: true } // Upsert: true इसे नहीं मिलने पर बनाएगा (जो एक सुरक्षित फ़ॉलबैक है)
+        );
+
+        // 3. Notify Delivery Boys 
+        const nearbyDeliveryBoys = await User.find({
+          ...roleQuery('delivery', { approved: true }), pincodes: order.pincode
+        }).select('fcmToken');
+        const deliveryTokens = nearbyDeliveryBoys.map(db => db.fcmToken).filter(Boolean);
+
+        if (deliveryTokens.length > 0) {
+          await sendPushNotification(
+              deliveryTokens,
+              'New Return Pickup Available! 📦',
+              `A new return pickup (#${orderId.slice(-6)}) is available in Pincode: ${order.pincode}.`,
+              { orderId: order._id.toString(), type: 'NEW_RETURN_AVAILABLE' }
+          );
+        }
+        
+        // 4. Notify Customer
+        await sendWhatsApp(order.user.phone, `✅ Your return request for order #${orderId.slice(-6)} has been approved. A delivery partner will be assigned for pickup shortly.`);
+
+        // 5. Notify Seller (Optional, but good practice)
+        if (order.seller) {
+            await sendWhatsApp(order.seller.phone, `🔔 Return Approved: Admin accepted the return request for order #${orderId.slice(-6)}. A delivery boy will pick up the item soon.`);
+        }
+
+
+        res.json({ message: 'Return approved and assigned for pickup.', assignment });
+
+    } catch (err) {
+        console.error('Error approving return and processing assignment:', err.message);
+        res.status(500).json({ message: 'Error processing return approval.' });
+    }
+});
+
+router.get('/api/admin/orders', protect, authorizeRole('admin', 'seller'), requirePermission('orders.manage'), async (req, res) => {
+  try {
+    // District admin sirf apne pincodes ke orders dekhe
+    const filter = scopeFilter(req);
+    if (req.user.role === 'seller') {
+      filter.seller = req.user._id;
+      filter.deliveryStatus = { $ne: 'Payment Pending' };
+      filter.paymentStatus = { $ne: 'failed' };
+    }
+
+    const orders = await Order.find(filter)
+      .populate('user', 'name email phone')
+      .populate('seller', 'name email')
+      .populate('orderItems.product', 'name images price unit')
+      .sort({ createdAt: -1 });
+    res.json(orders);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching all orders' });
+  }
+});
+
+router.put('/api/admin/orders/:id/status', protect, authorizeRole('admin', 'seller'), requirePermission('orders.manage'), validate(schemas.updateOrderStatus), audit('order.status.update', 'Order'), async (req, res) => {
+  try {
+    const { status } = req.body;
+    
+    // Populate user to get ID and Phone
+    const order = await Order.findById(req.params.id).populate('user');
+    
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+    
+    if (req.user.role === 'seller' && order.seller.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    if (!isInScope(req, order.pincode)) {
+      return res.status(403).json({ message: 'This order is outside your assigned area.' });
+    }
+
+    if (req.audit) req.audit.before = { deliveryStatus: order.deliveryStatus };
+    order.deliveryStatus = status;
+    order.history.push({ status: status });
+    await order.save();
+    if (req.audit) req.audit.after = { deliveryStatus: order.deliveryStatus };
+    
+    // --- Handle Cancellation Logic ---
+    if (status === 'Cancelled') {
+        try {
+            const assignment = await DeliveryAssignment.findOneAndUpdate(
+              { order: order._id },
+              { $set: { status: 'Cancelled' }, $push: { history: { status: 'Cancelled' } } },
+              { new: true }
+            ).populate('deliveryBoy', 'fcmToken');
+            
+            // Notify Delivery Boy (if assigned)
+            if (assignment && assignment.deliveryBoy && assignment.status !== 'Pending') {
+                await sendPushNotification(
+                    assignment.deliveryBoy.fcmToken,
+                    'Order Cancelled',
+                    `Order #${order._id.toString().slice(-6)} has been cancelled by the ${req.user.role}.`,
+                    { orderId: order._id.toString(), type: 'ORDER_CANCELLED' }
+                );
+            }
+
+            // Restore Stock (if not failed payment)
+            // Restore Stock (if not failed payment)
+if (order.paymentStatus !== 'failed' && order.deliveryStatus !== 'Payment Pending') {
+    for (const item of order.orderItems) {
+        const productDoc = await Product.findById(item.product);
+        if (productDoc && productDoc.variants && productDoc.variants.length > 0) {
+            // Restore Variant Stock + Main Stock
+            await Product.findOneAndUpdate(
+                {
+                    _id: item.product,
+                    "variants": { 
+                        $elemMatch: { 
+                            color: item.selectedColor || null, 
+                            size: item.selectedSize || null 
+                        } 
+                    }
+                },
+                { $inc: { "variants.$.stock": item.qty, "stock": item.qty } }
+            );
+        } else {
+            // Restore Main Stock Only
+            await Product.findByIdAndUpdate(item.product, { $inc: { stock: item.qty } });
+        }
+    }
+}
+
+        } catch(assignErr) {
+            console.error("Error updating assignment on admin cancel:", assignErr.message);
+        }
+    }
+
+    const orderIdShort = order._id.toString().slice(-6);
+    
+    // 1. Send WhatsApp Message
+    const userMessage = `Order Update: Your order #${orderIdShort} has been updated to: ${status}.`;
+    if (order.user.phone) {
+        await sendWhatsApp(order.user.phone, userMessage);
+    }
+
+    // 2. ✅ [UPDATED] Save Notification to Database (Bell Icon) & Send Push
+    await sendAndSavePersonalNotification(
+        order.user._id, // User ID
+        'Order Status Updated 📦', // Title
+        `Your order #${orderIdShort} is now: ${status}.`, // Body
+        { orderId: order._id.toString(), type: 'ORDER_STATUS' } // Data
+    );
+
+    res.json(order);
+
+  } catch (err) {
+    res.status(500).json({ message: 'Error updating order status', error: err.message });
+  }
+});
+
+router.post('/api/admin/orders/:id/refund', protect, authorizeRole('admin'), requirePermission('orders.refund'), requireStepUp, validate(schemas.refundOrder), idempotent(), audit('order.refund', 'Order'), async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+    const order = await Order.findById(req.params.id).populate('user');
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found.' });
+    }
+    if (!isInScope(req, order.pincode)) {
+      return res.status(403).json({ message: 'This order is outside your assigned area.' });
+    }
+
+    if ((order.paymentMethod !== 'razorpay' && order.paymentMethod !== 'razorpay_cod') || order.paymentStatus !== 'completed') {
+      return res.status(400).json({ message: 'Refunds are only available for completed Razorpay payments.' });
+    }
+    
+    const paymentId = order.paymentId;
+    if (!paymentId.startsWith('pay_') && !paymentId.startsWith('plink_')) {
+      return res.status(400).json({ message: 'Invalid payment ID associated with this order. Cannot refund.' });
+    }
+
+    const orderGrandTotal = (order.totalAmount + order.shippingFee + order.taxAmount) - order.discountAmount;
+    const refundableAmount = orderGrandTotal - order.totalRefunded;
+    const requestedAmount = parseFloat(amount);
+
+    if (!requestedAmount || requestedAmount <= 0 || requestedAmount > refundableAmount) {
+      return res.status(400).json({ message: `Invalid refund amount. Max refundable amount is ${refundableAmount.toFixed(2)}.` });
+    }
+
+    req.audit.before = { paymentStatus: order.paymentStatus, totalRefunded: order.totalRefunded };
+    const refund = await getPayments().refundPayment(paymentId, {
+      amount: Math.round(requestedAmount * 100),
+      speed: 'normal',
+      notes: { reason: reason }
+    });
+
+    const newRefundEntry = {
+      amount: refund.amount / 100,
+      reason: reason || 'Not specified',
+      status: refund.status === 'processed' ? 'completed' : 'processing',
+      razorpayRefundId: refund.id,
+      processedBy: req.user._id,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    order.refunds.push(newRefundEntry);
+    order.totalRefunded += newRefundEntry.amount;
+    order.history.push({ status: 'Refund Initiated', note: `Refund of ${newRefundEntry.amount} initiated by Admin.` });
+    
+    if (order.totalRefunded >= orderGrandTotal) {
+      order.paymentStatus = 'refunded';
+    }
+    await order.save();
+    req.audit.after = { paymentStatus: order.paymentStatus, totalRefunded: order.totalRefunded };
+    req.audit.metadata = { amount: newRefundEntry.amount, reason: newRefundEntry.reason, refundId: refund.id, refundStatus: newRefundEntry.status };
+
+    const user = order.user;
+    if (user && user.phone) {
+      const message = `💸 Refund Alert!\n\nYour refund of ₹${newRefundEntry.amount} for order #${order._id.toString().slice(-6)} has been initiated. The amount will be credited to your account shortly.`;
+      await sendWhatsApp(user.phone, message);
+
+      if (user.fcmToken) {
+        await sendPushNotification(
+          user.fcmToken,
+          '💸 Refund Initiated',
+          `Your refund of ₹${newRefundEntry.amount} for order #${order._id.toString().slice(-6)} has been initiated.`,
+          { orderId: order._id.toString(), type: 'REFUND' }
+        );
+      }
+    }
+
+    res.status(200).json({
+      message: 'Refund initiated successfully.',
+      refund,
+      order
+    });
+
+  } catch (err) {
+    console.error('Error initiating refund:', err.message);
+    res.status(500).json({
+      message: 'Failed to initiate refund.',
+      error: err.message
+    });
+  }
+});
+// --------------------------------------------------------------------------------
+// --------- ADMIN COUPON ROUTES ----------
+// --------------------------------------------------------------------------------
+
+// GET all coupons (Admin only)
+router.get('/api/admin/coupons', protect, authorizeRole('admin'), requirePermission('coupons.manage'), async (req, res) => {
+  try {
+    const coupons = await Coupon.find().sort({ expiryDate: -1 });
+    res.json(coupons);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching coupons', error: err.message });
+  }
+});
+
+// POST to create a new coupon (Admin only)
+router.post('/api/admin/coupons', protect, authorizeRole('admin'), requirePermission('coupons.manage'), validate(schemas.createCoupon), audit('coupon.create', 'Coupon'), async (req, res) => {
+  try {
+    const { 
+      code, 
+      discountType, 
+      discountValue, 
+      minPurchaseAmount, 
+      maxDiscountAmount, 
+      expiryDate 
+    } = req.body;
+
+    if (!code || !discountType || !discountValue || !expiryDate) {
+      return res.status(400).json({ message: 'Code, discount type, value, and expiry date are required.' });
+    }
+
+    const newCoupon = await Coupon.create({
+      code: code.toUpperCase(),
+      discountType,
+      discountValue,
+      minPurchaseAmount,
+      maxDiscountAmount,
+      expiryDate
+    });
+
+    res.status(201).json(newCoupon);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ message: `Coupon code "${req.body.code}" already exists.` });
+    }
+    res.status(500).json({ message: 'Error creating coupon', error: err.message });
+  }
+});
+
+// PUT to update an existing coupon (Admin only)
+router.put('/api/admin/coupons/:id', protect, authorizeRole('admin'), requirePermission('coupons.manage'), validate(schemas.updateCoupon), audit('coupon.update', 'Coupon'), async (req, res) => {
+  try {
+    const { 
+      discountType, 
+      discountValue, 
+      minPurchaseAmount, 
+      maxDiscountAmount, 
+      expiryDate,
+      isActive
+    } = req.body;
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found.' });
+    }
+
+    // Update fields if they are provided
+    if (discountType) coupon.discountType = discountType;
+    if (discountValue) coupon.discountValue = discountValue;
+    if (minPurchaseAmount) coupon.minPurchaseAmount = minPurchaseAmount;
+    if (maxDiscountAmount) coupon.maxDiscountAmount = maxDiscountAmount;
+    if (expiryDate) coupon.expiryDate = expiryDate;
+    if (typeof isActive !== 'undefined') coupon.isActive = isActive;
+
+    await coupon.save();
+    res.json(coupon);
+  } catch (err) {
+    res.status(500).json({ message: 'Error updating coupon', error: err.message });
+  }
+});
+
+// DELETE a coupon (Admin only)
+router.delete('/api/admin/coupons/:id', protect, authorizeRole('admin'), requirePermission('coupons.manage'), validate(schemas.byId), audit('coupon.delete', 'Coupon'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found.' });
+    }
+
+    res.json({ message: 'Coupon deleted successfully.' });
+  } catch (err) {
+    res.status(500).json({ message: 'Error deleting coupon', error: err.message });
+  }
+});
+// --------------------------------------------------------------------------------
+// --------- COUPON ROUTES (FOR USERS) ----------
+// --------------------------------------------------------------------------------
+
+// GET all active and valid coupons
+router.get('/api/coupons', protect, async (req, res) => {
+  try {
+    const now = new Date();
+    
+    // Find coupons that are active and not expired
+    const availableCoupons = await Coupon.find({
+      isActive: true,
+      expiryDate: { $gt: now } 
+    }).sort({ minPurchaseAmount: 1 }); // Sort by minimum purchase amount
+
+    res.json(availableCoupons);
+  } catch (err) {
+    console.error('Error fetching available coupons:', err.message);
+    res.status(500).json({ message: 'Error fetching coupons' });
+  }
+});
+
+
+router.post('/api/orders/buy-now-summary', protect, validate(schemas.buyNowSummary), async (req, res) => {
+    try {
+        const { productId, qty = 1, shippingAddressId, couponCode } = req.body;
+
+        if (!productId || !shippingAddressId) {
+            return res.status(400).json({ message: 'Product ID and Address ID are required.' });
+        }
+
+        const product = await Product.findById(productId).populate('seller', 'pincodes location');
+        const shippingAddress = await Address.findById(shippingAddressId);
+
+        if (!product) return res.status(404).json({ message: 'Product not found.' });
+        if (!shippingAddress) return res.status(404).json({ message: 'Shipping address not found.' });
+
+        // 🚫 Serviceability (blocked location, area, radius, kisi variant mein qty jitna stock)
+        const check = checkServiceability(product, toLocation(shippingAddress), { config: await getDeliveryConfig(), qty });
+        if (!check.orderable) return res.status(400).json({ message: check.reason, code: check.code });
+
+        const itemsTotal = product.price * qty;
+        let discountAmount = 0;
+        const shippingFee = calculateShippingFee(shippingAddress.pincode);
+        const taxAmount = itemsTotal * GST_RATE;
+
+        // Coupon Logic (same as cart)
+        if (couponCode) {
+            const coupon = await Coupon.findOne({
+                code: couponCode,
+                isActive: true,
+                expiryDate: { $gt: new Date() },
+                minPurchaseAmount: { $lte: itemsTotal }
+            });
+            if (coupon) {
+                if (coupon.discountType === 'percentage') {
+                    discountAmount = itemsTotal * (coupon.discountValue / 100);
+                    if (coupon.maxDiscountAmount && discountAmount > coupon.maxDiscountAmount) {
+                        discountAmount = coupon.maxDiscountAmount;
+                    }
+                } else if (coupon.discountType === 'fixed') {
+                    discountAmount = coupon.discountValue;
+                }
+            }
+        }
+
+        const grandTotal = Math.max(0, itemsTotal + shippingFee + taxAmount - discountAmount);
+
+        res.json({
+            itemsTotal,
+            totalShippingFee: shippingFee,
+            totalTaxAmount: taxAmount,
+            totalDiscount: discountAmount,
+            grandTotal,
+        });
+
+    } catch (err) {
+        res.status(500).json({ message: 'Error calculating Buy Now summary', error: err.message });
+    }
+});
+
+
+// ✅ NEW: Endpoint to place an order for a single "Buy Now" item
+// ✅ FIXED: Endpoint to place an order for a single "Buy Now" item
+router.post('/api/orders/buy-now', protect, validate(schemas.buyNow), idempotent(), async (req, res) => {
+    const { variantId, qty = 1, shippingAddressId, paymentMethod, couponCode } = req.body;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        // 1. Lookup the Product that contains this Variant
+        const product = await Product.findOne({ "variants._id": variantId }).session(session);
+
+        if (!product) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ message: 'Product or variant not found.' });
+        }
+
+        // 2. Extract the specific variant
+        const variant = product.variants.id(variantId);
+        
+        // 3. Fetch the seller and address
+        const seller = await User.findById(product.seller).select('pincodes name phone fcmToken location').session(session);
+        const shippingAddress = await Address.findById(shippingAddressId).session(session);
+
+        // Validations
+        if (!shippingAddress) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(404).json({ message: 'Shipping address not found.' });
+        }
+        
+        // 🚫 Serviceability (blocked location, area, radius, is variant ka stock) - serviceability.service
+        const check = checkServiceability({ ...product.toObject(), seller }, toLocation(shippingAddress), {
+            config: await getDeliveryConfig(), qty, variant: { _id: variantId }
+        });
+        if (!check.orderable) {
+            await session.abortTransaction();
+            session.endSession();
+            return res.status(400).json({ message: check.reason, code: check.code });
+        }
+        
+        // Calculations
+        const itemsTotal = variant.price * qty;
+        let discountAmount = 0;
+        const shippingFee = calculateShippingFee(shippingAddress.pincode);
+        const taxAmount = itemsTotal * GST_RATE;
+
+        // Coupon Logic
+        if (couponCode) {
+            const coupon = await Coupon.findOne({
+                code: couponCode,
+                isActive: true,
+                expiryDate: { $gt: new Date() },
+                minPurchaseAmount: { $lte: itemsTotal }
+            });
+            if (coupon) {
+                if (coupon.discountType === 'percentage') {
+                    discountAmount = itemsTotal * (coupon.discountValue / 100);
+                    if (coupon.maxDiscountAmount && discountAmount > coupon.maxDiscountAmount) {
+                        discountAmount = coupon.maxDiscountAmount;
+                    }
+                } else if (coupon.discountType === 'fixed') {
+                    discountAmount = coupon.discountValue;
+                }
+            }
+        }
+        
+        let finalAmountForPayment = Math.max(0, itemsTotal + shippingFee + taxAmount - discountAmount);
+        
+        let effectivePaymentMethod = paymentMethod;
+        if (paymentMethod === 'razorpay' && finalAmountForPayment <= 0) {
+            effectivePaymentMethod = 'cod';
+        }
+
+        let razorpayOrder = null;
+        if (effectivePaymentMethod === 'razorpay') {
+            razorpayOrder = await getPayments().createOrder({
+                amount: Math.round(finalAmountForPayment * 100),
+                currency: 'INR',
+                receipt: `rcpt_bn_${crypto.randomBytes(4).toString('hex')}`,
+            });
+        }
+        
+        const isCodOrFree = effectivePaymentMethod === 'cod' || finalAmountForPayment === 0;
+
+        const order = new Order({
+            user: req.user._id,
+            seller: seller._id,
+            orderItems: [{
+                product: product._id,
+                name: product.name,
+                qty: qty,
+                price: variant.price, 
+                originalPrice: variant.originalPrice || product.originalPrice,
+                category: product.category,
+                variantId: variant._id, 
+                color: variant.color,
+                size: variant.size,
+                sku: variant.sku || product.sku, 
+            }],
+            shippingAddress: `${shippingAddress.street}, ${shippingAddress.city}, ${shippingAddress.state} - ${shippingAddress.pincode}`,
+            pincode: shippingAddress.pincode,
+            paymentMethod: effectivePaymentMethod,
+            totalAmount: itemsTotal,
+            taxAmount,
+            couponApplied: couponCode,
+            discountAmount,
+            shippingFee,
+            paymentId: razorpayOrder ? razorpayOrder.id : (isCodOrFree ? `cod_${crypto.randomBytes(8).toString('hex')}` : undefined),
+            paymentStatus: isCodOrFree ? 'completed' : 'pending',
+            deliveryStatus: isCodOrFree ? 'Pending' : 'Payment Pending',
+            history: [{ status: isCodOrFree ? 'Pending' : 'Payment Pending' }]
+        });
+        
+        await order.save({ session });
+
+        if (isCodOrFree) {
+            // 🚨 CRITICAL FIX: Atomically decrement stock on the Product's variant array AND main stock
+            const updatedProduct = await Product.findOneAndUpdate(
+                { _id: product._id, "variants._id": variant._id, "variants.stock": { $gte: qty } },
+                { 
+                    $inc: { 
+                        "variants.$.stock": -qty,
+                        "stock": -qty
+                    } 
+                },
+                { new: true, session }
+            );
+            
+            if (!updatedProduct) {
+                await session.abortTransaction();
+                session.endSession();
+                return res.status(409).json({ message: `Concurrency error: Insufficient stock for ${product.name}. Please try again.` });
+            }
+        }
+
+        await session.commitTransaction(); 
+        session.endSession();
+
+        res.status(201).json({
+            message: effectivePaymentMethod === 'razorpay' ? 'Order initiated, awaiting payment.' : 'Order created successfully.',
+            orders: [order._id],
+            razorpayOrder: razorpayOrder ? { id: razorpayOrder.id, amount: razorpayOrder.amount, key_id: getPayments().keyId } : undefined,
+        });
+
+    } catch (err) {
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+        session.endSession();
+        res.status(500).json({ message: 'Error placing Buy Now order', error: err.message });
+    }
+});
+
+// [NEW] API Endpoint for a customer to initiate a return request
+// server.js
+
+// [NEW] API Endpoint for a customer to initiate a return request
+router.post('/api/orders/:id/return-request', protect, validate(schemas.returnRequest), async (req, res) => {
+    try {
+        // ✅ FIX: Destructure both reason and the optional upiId from the body
+        const { reason, upiId } = req.body; 
+        
+        if (!reason || reason.trim().length < 10) {
+            return res.status(400).json({ 
+                message: 'A valid reason for the return/refund is required (min 10 characters).' 
+            });
+        }
+
+        const order = await Order.findOne({ 
+            _id: req.params.id, 
+            user: req.user._id 
+        }).populate('seller', 'name email phone');
+        
+        if (!order) {
+            return res.status(404).json({ 
+                message: 'Order not found or you do not have permission.' 
+            });
+        }
+
+        const isDelivered = order.deliveryStatus === 'Delivered';
+        const isRefunded = order.paymentStatus === 'refunded';
+        
+        if (!isDelivered || isRefunded || order.deliveryStatus === 'Cancelled') {
+            return res.status(400).json({ 
+                message: `Cannot request a return. Current status: ${order.deliveryStatus}.` 
+            });
+        }
+        
+        // 💡 ENFORCE 2-DAY (48-HOUR) RETURN WINDOW
+        const twoDaysInMs = 2 * 24 * 60 * 60 * 1000;
+        const timeSinceDelivery = Date.now() - order.updatedAt.getTime(); 
+
+        if (timeSinceDelivery > twoDaysInMs) {
+            return res.status(400).json({ 
+                message: 'Return window expired. Returns must be requested within 48 hours of delivery.' 
+            });
+        }
+
+        // Calculate time remaining for the response message
+        const hoursLeft = Math.floor((twoDaysInMs - timeSinceDelivery) / (1000 * 60 * 60));
+        const minutesLeft = Math.floor(((twoDaysInMs - timeSinceDelivery) % (1000 * 60 * 60)) / (1000 * 60));
+
+        // 2. Check if a refund/return is already requested
+        const alreadyRequested = order.refunds.some(r => r.status === 'requested' || r.status === 'processing');
+        if (alreadyRequested) {
+            return res.status(400).json({ 
+                message: 'A return or refund is already pending for this order.' 
+            });
+        }
+
+        // 3. Create a new refund/return request entry
+        order.refunds.push({
+            amount: 0, // Admin will set the actual amount to refund later
+            reason: reason,
+            status: 'requested',
+            processedBy: req.user._id,
+            // ✅ FIX: Save UPI ID here if provided by the user
+            upiId: upiId || null, 
+            createdAt: new Date(),
+            updatedAt: new Date()
+        });
+        
+        // Update the order status to reflect the request
+        order.deliveryStatus = 'Return Requested'; 
+        order.history.push({ status: 'Return Requested', note: `Reason: ${reason}` });
+
+        await order.save();
+        
+        // 4. Notify Admin (Include UPI ID in notification)
+        await notifyAdmin(
+            `🔔 New Return Request for Order #${order._id.toString().slice(-6)}\n\n` +
+            `User: ${req.user.name}\n` +
+            `Reason: ${reason}\n` +
+            `UPI ID: ${upiId || 'Not Provided'}`
+        );
+
+        res.json({ 
+            message: `Return request successfully submitted. Returns are allowed within 48 hours of delivery. You have ${hoursLeft} hours and ${minutesLeft} minutes left in your return window. The admin will review your request shortly.`, 
+            order 
+        });
+
+    } catch (err) {
+        console.error('Return request error:', err.message);
+        res.status(500).json({ 
+            message: 'Error submitting return request', 
+            error: err.message 
+        });
+    }
+});
+
+module.exports = router;
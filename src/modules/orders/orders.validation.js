@@ -0,0 +1,215 @@
+const { Joi, objectId, pincode, phone, upiId, ifsc, latitude, longitude, idParam, enumOf } = require('../../middleware/validate');
+const { Coupon, Order } = require('./orders.models');
+const { PrintJob } = require('../print/print.models');
+
+// --------- ORDERS / CART / PAYMENT REQUEST SCHEMAS ----------
+const PAYMENT_METHODS = enumOf(Order, 'paymentMethod');
+const DELIVERY_STATUSES = enumOf(Order, 'deliveryStatus');
+const DISCOUNT_TYPES = enumOf(Coupon, 'discountType');
+
+const qty = () => Joi.number().integer().min(1).max(100);
+const couponCode = () => Joi.string().trim().max(30).allow('', null);
+
+// --- Cart ---
+const addToCart = {
+  body: Joi.object({
+    productId: objectId().when('isPrintJob', { is: true, then: Joi.optional(), otherwise: Joi.required() }),
+    qty: qty(),
+    selectedVariant: Joi.object({
+      color: Joi.string().allow('', null),
+      size: Joi.string().allow('', null),
+    }).allow(null),
+    isPrintJob: Joi.boolean(),
+    // App ki current delivery location (optional) - wahan deliver na ho sake to item add nahi hota
+    pincode: pincode(),
+    lat: latitude(),
+    lng: longitude(),
+    printMeta: Joi.object({
+      fileUrl: Joi.string().uri().required(),
+      originalName: Joi.string().max(255),
+      copies: Joi.number().integer().min(1).max(1000),
+      printType: Joi.string().valid(...enumOf(PrintJob, 'printType')),
+      sideType: Joi.string().valid(...enumOf(PrintJob, 'sideType')),
+      paperSize: Joi.string().max(20),
+      totalCost: Joi.number().min(0),
+    }).when('isPrintJob', { is: true, then: Joi.required() }),
+  }),
+};
+
+const updateCartItem = {
+  params: idParam('itemId'),
+  body: Joi.object({ qty: qty().required() }),
+};
+
+const removeCartItem = { params: idParam('itemId') };
+
+// --- Checkout ---
+const checkoutSummaryQuery = {
+  query: Joi.object({
+    shippingAddressId: objectId().required(),
+    couponCode: couponCode(),
+  }),
+};
+
+const calculateSummary = {
+  body: Joi.object({
+    shippingAddressId: objectId().required(),
+    couponCode: couponCode(),
+  }),
+};
+
+const placeOrder = {
+  body: Joi.object({
+    shippingAddressId: objectId().required(),
+    paymentMethod: Joi.string().valid(...PAYMENT_METHODS).required(),
+    couponCode: couponCode(),
+  }),
+};
+
+const buyNowSummary = {
+  body: Joi.object({
+    productId: objectId().required(),
+    qty: qty(),
+    shippingAddressId: objectId().required(),
+    couponCode: couponCode(),
+  }),
+};
+
+const buyNow = {
+  body: Joi.object({
+    variantId: objectId().required(),
+    qty: qty(),
+    shippingAddressId: objectId().required(),
+    paymentMethod: Joi.string().valid(...PAYMENT_METHODS).required(),
+    couponCode: couponCode(),
+  }),
+};
+
+// --- Order actions ---
+const cancelOrder = {
+  params: idParam(),
+  body: Joi.object({ upiId: upiId().allow('', null) }),
+};
+
+const submitUpi = {
+  params: idParam(),
+  body: Joi.object({
+    upiId: upiId(),
+    accountNumber: Joi.string().trim().pattern(/^\d{9,18}$/).messages({ 'string.pattern.base': '{{#label}} must be a valid bank account number' }),
+    ifsc: ifsc(),
+  }).or('upiId', 'accountNumber').and('accountNumber', 'ifsc'),
+};
+
+const returnRequest = {
+  params: idParam(),
+  body: Joi.object({
+    reason: Joi.string().trim().min(10).max(1000).required(),
+    upiId: upiId().allow('', null),
+  }),
+};
+
+// --- Payments ---
+const verifyPayment = {
+  body: Joi.object({
+    order_id: Joi.string().trim().required(),
+    payment_id: Joi.string().trim().required(),
+    signature: Joi.string().trim().required(),
+    printJobId: objectId(),
+  }),
+};
+
+const simulatePayment = {
+  body: Joi.object({
+    orderId: Joi.string().trim(),
+    paymentLinkId: Joi.string().trim(),
+    outcome: Joi.string().valid('success', 'failure', 'delayed'),
+  }).xor('orderId', 'paymentLinkId'),
+};
+
+// --- Addresses ---
+const addressFields = {
+  name: Joi.string().trim().min(1).max(100),
+  street: Joi.string().trim().min(1).max(300),
+  village: Joi.string().trim().max(100).allow(''),
+  landmark: Joi.string().trim().max(200).allow(''),
+  city: Joi.string().trim().min(1).max(100),
+  state: Joi.string().trim().min(1).max(100),
+  pincode: pincode(),
+  phone: phone().allow(''),
+  isDefault: Joi.boolean(),
+  lat: latitude().allow(null),
+  lng: longitude().allow(null),
+};
+
+const createAddress = {
+  body: Joi.object({
+    ...addressFields,
+    name: addressFields.name.required(),
+    street: addressFields.street.required(),
+    city: addressFields.city.required(),
+    state: addressFields.state.required(),
+    pincode: addressFields.pincode.required(),
+  }),
+};
+
+const updateAddress = { params: idParam(), body: Joi.object(addressFields) };
+
+// --- Admin ---
+const updateOrderStatus = {
+  params: idParam(),
+  body: Joi.object({ status: Joi.string().valid(...DELIVERY_STATUSES).required() }),
+};
+
+const refundOrder = {
+  params: idParam(),
+  body: Joi.object({
+    amount: Joi.number().positive().required(),
+    reason: Joi.string().trim().max(500).allow(''),
+  }),
+};
+
+const couponFields = {
+  discountType: Joi.string().valid(...DISCOUNT_TYPES),
+  discountValue: Joi.number().positive(),
+  minPurchaseAmount: Joi.number().min(0),
+  maxDiscountAmount: Joi.number().min(0).allow(null),
+  expiryDate: Joi.date().iso(),
+  isActive: Joi.boolean(),
+};
+
+const createCoupon = {
+  body: Joi.object({
+    ...couponFields,
+    code: Joi.string().trim().alphanum().min(3).max(30).required(),
+    discountType: couponFields.discountType.required(),
+    discountValue: couponFields.discountValue.when('discountType', { is: 'percentage', then: Joi.number().max(100) }).required(),
+    expiryDate: couponFields.expiryDate.required(),
+  }),
+};
+
+const updateCoupon = { params: idParam(), body: Joi.object(couponFields) };
+
+const byId = { params: idParam() };
+
+module.exports = {
+  addToCart,
+  updateCartItem,
+  removeCartItem,
+  checkoutSummaryQuery,
+  calculateSummary,
+  placeOrder,
+  buyNowSummary,
+  buyNow,
+  cancelOrder,
+  submitUpi,
+  returnRequest,
+  verifyPayment,
+  simulatePayment,
+  createAddress,
+  updateAddress,
+  updateOrderStatus,
+  refundOrder,
+  createCoupon,
+  updateCoupon,
+  byId,
+};
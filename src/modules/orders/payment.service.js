@@ -0,0 +1,202 @@
+const { onPaymentEvent } = require('../../payments');
+const { User } = require('../auth/auth.models');
+const { roleQuery } = require('../auth/roles.service');
+const { Product } = require('../catalog/catalog.models');
+const { DeliveryAssignment } = require('../delivery/delivery.models');
+const { Cart, Order, PaymentHistory } = require('./orders.models');
+const { notifyAdmin, sendPushNotification, sendWhatsApp } = require('../notifications/notifications.service');
+
+// --------- Payment Handlers ----------
+
+/**
+ * Handles all logic for a successful payment.
+ * @param {string} order_id - The Razorpay Order ID.
+ * @param {string} payment_id - The Razorpay Payment ID.
+ */
+async function handleSuccessfulPayment(order_id, payment_id) {
+    console.log(`Handling successful payment for Razorpay Order ID: ${order_id}`);
+    const orders = await Order.find({ paymentId: order_id, paymentStatus: 'pending' });
+
+    if (!orders || orders.length === 0) {
+      console.log(`No pending orders found for Razorpay Order ID: ${order_id}. Might be already processed.`);
+      return;
+    }
+    
+    const paymentHistoryEntries = [];
+    let customerId = orders[0].user;
+    
+    for (const pendingOrder of orders) {
+      // 1. Update Order Status
+      // ⚠️ Verify API aur webhook dono ek saath aa sakte hain - atomic claim, jo jeeta wahi stock/assignment/notifications karega
+      const order = await Order.findOneAndUpdate(
+        { _id: pendingOrder._id, paymentStatus: 'pending' },
+        {
+          $set: { paymentStatus: 'completed', deliveryStatus: 'Pending', paymentId: payment_id },
+          $push: { history: { status: 'Payment Completed', note: 'Razorpay verification successful.' } }
+        },
+        { new: true }
+      );
+      if (!order) {
+        console.log(`Order ${pendingOrder._id} already processed by another handler. Skipping.`);
+        continue;
+      }
+      
+      // 2. Deduct Stock
+     // ✅ FIXED: Decrease Variant Stock AND Main Stock
+for (const item of order.orderItems) {
+    const productDoc = await Product.findById(item.product);
+
+    if (productDoc && productDoc.variants && productDoc.variants.length > 0) {
+        await Product.findOneAndUpdate(
+            {
+                _id: item.product,
+                "variants": {
+                    $elemMatch: {
+                        color: item.selectedColor || null,
+                        size: item.selectedSize || null
+                    }
+                }
+            },
+            { $inc: { "variants.$.stock": -item.qty, "stock": -item.qty } }
+        );
+    } else {
+        await Product.findByIdAndUpdate(item.product, { $inc: { stock: -item.qty } });
+    }
+}
+      // 3. Create Delivery Assignment
+      try {
+        const orderPincode = order.pincode;
+        await DeliveryAssignment.create({
+          order: order._id,
+          deliveryBoy: null,
+          status: 'Pending',
+          pincode: orderPincode,
+          history: [{ status: 'Pending' }]
+        });
+
+        const nearbyDeliveryBoys = await User.find({ ...roleQuery('delivery', { approved: true }), pincodes: orderPincode }).select('fcmToken');
+        const deliveryTokens = nearbyDeliveryBoys.map(db => db.fcmToken).filter(Boolean);
+        
+        if (deliveryTokens.length > 0) {
+          await sendPushNotification(
+            deliveryTokens,
+            'New Delivery Available! 🛵',
+            `A new paid order (#${order._id.toString().slice(-6)}) is available for pickup.`,
+            { orderId: order._id.toString(), type: 'NEW_DELIVERY_AVAILABLE' }
+          );
+        }
+      } catch (deliveryErr) {
+        console.error('Failed to create delivery assignment or notify boys:', deliveryErr.message);
+      }
+
+      // 4. Send Seller Notifications
+      const seller = await User.findById(order.seller).select('phone fcmToken name');
+      const sellerMessage = `🎉 New Paid Order!\nYou've received a new order #${order._id.toString().slice(-6)}. Item Total: ₹${order.totalAmount.toFixed(2)}.`;
+      await sendWhatsApp(seller.phone, sellerMessage);
+
+      // 5. Add to Payment History
+      paymentHistoryEntries.push({
+        user: order.user,
+        order: order._id,
+        razorpayOrderId: order_id,
+        razorpayPaymentId: payment_id,
+        amount: order.totalAmount,
+        status: 'completed',
+      });
+    }
+    
+    // Kisi aur handler ne saare orders pehle hi process kar diye - cart/notifications dobara nahi
+    if (paymentHistoryEntries.length === 0) return;
+
+    await PaymentHistory.insertMany(paymentHistoryEntries);
+    
+    // 6. Clear Cart
+    await Cart.deleteOne({ user: customerId });
+    
+    // 7. Final User Notification
+    const customerInfo = await User.findById(customerId).select('name phone fcmToken');
+    if (customerInfo) {
+      await sendWhatsApp(customerInfo.phone, `✅ Your payment has been confirmed and your order is being processed! Thank you, ${customerInfo.name}!`);
+      await sendPushNotification(customerInfo.fcmToken, 'Payment Confirmed! ✅', `Your order is now being processed!`);
+    }
+}
+
+/**
+ * Handles all logic for a failed payment.
+ * @param {string} order_id - The Razorpay Order ID.
+ */
+async function handleFailedPayment(order_id) {
+    console.log(`Handling failed payment for Razorpay Order ID: ${order_id}`);
+    const ordersToFail = await Order.find({ paymentId: order_id, paymentStatus: 'pending' });
+
+    if (!ordersToFail || ordersToFail.length === 0) {
+        console.log(`No pending orders to fail for Razorpay Order ID: ${order_id}.`);
+        return;
+    }
+
+    for (const pendingOrder of ordersToFail) {
+        // Sirf pending order fail ho - success handler ne beech mein complete kar diya ho to overwrite na ho
+        const order = await Order.findOneAndUpdate(
+            { _id: pendingOrder._id, paymentStatus: 'pending' },
+            {
+                $set: { paymentStatus: 'failed', deliveryStatus: 'Cancelled' },
+                $push: { history: { status: 'Payment Failed', note: 'Razorpay verification failed. Order cancelled.' } }
+            },
+            { new: true }
+        );
+        if (!order) continue;
+        
+        console.log(`Order ${order._id} payment failed. Status set to Failed/Cancelled. Cart preserved.`);
+        await notifyAdmin(`Payment FAILED for Order #${order._id.toString().slice(-6)}. Status set to Failed/Cancelled.`);
+        
+        const customerInfo = await User.findById(order.user).select('phone fcmToken');
+        if (customerInfo && customerInfo.phone) {
+            await sendWhatsApp(customerInfo.phone, `❌ Your payment for order #${order._id.toString().slice(-6)} failed. Your items are still in your cart. Please try again.`);
+        }
+    }
+}
+
+/**
+ * Handles a gateway-neutral payment event coming from the webhook or the fake provider.
+ * @param {object} event - { event, orderId, paymentId, paymentLinkId, notes }
+ */
+async function processPaymentEvent({ event, orderId, paymentId, notes = {} }) {
+    switch (event) {
+        case 'payment.captured':
+            await handleSuccessfulPayment(orderId, paymentId);
+            break;
+        case 'payment.failed':
+            await handleFailedPayment(orderId);
+            break;
+        case 'payment_link.paid': {
+            const codOrderId = notes.order_id;
+            if (codOrderId) {
+              // Same webhook retry/duplicate par customer ko dobara message na jaye
+              const update = { paymentStatus: 'completed', paymentMethod: 'razorpay_cod' };
+              if (paymentId) {
+                update.paymentId = paymentId;
+              }
+              const order = await Order.findOneAndUpdate(
+                  { _id: codOrderId, paymentStatus: { $ne: 'completed' } },
+                  { $set: update },
+                  { new: true }
+              );
+              if (order) {
+                  console.log(`COD Order ${codOrderId} updated to paid via webhook.`);
+
+                  const customerInfo = await User.findById(order.user).select('name phone fcmToken');
+                  if (customerInfo) {
+                    await sendWhatsApp(customerInfo.phone, `✅ We've received your payment for order #${order._id.toString().slice(-6)}. Thank you!`);
+                  }
+              }
+            }
+            break;
+        }
+        default:
+            console.log(`Unhandled webhook event: ${event}`);
+    }
+}
+
+onPaymentEvent(processPaymentEvent);
+
+module.exports = { handleSuccessfulPayment, handleFailedPayment, processPaymentEvent };
@@ -0,0 +1,35 @@
+const { BASE_PINCODE, LOCAL_DELIVERY_FEE, REMOTE_DELIVERY_FEE } = require('../../config/constants');
+
+/**
+ * HELPER: Calculate Fee based on KM
+ */
+/**
+ * ✅ UPDATED HELPER: Calculate Fee based on Admin Settings
+ */
+function getDynamicDeliveryFee(distanceKm, config) {
+    // अगर Admin ने कुछ सेट नहीं किया तो Default values (20, 2, 10) यूज़ होंगी
+    const basePrice = config?.baseCharge || 10; 
+    const baseKm = config?.baseKm || 2;
+    const perKmPrice = config?.extraPerKmCharge || 10;
+
+    if (!distanceKm || distanceKm <= 0) return basePrice;
+
+    if (distanceKm <= baseKm) {
+        return basePrice; // Base KM के अंदर
+    } else {
+        const extraKm = distanceKm - baseKm;
+        return Math.round(basePrice + (extraKm * perKmPrice)); 
+    }
+}
+
+/**
+ * Calculates shipping fee based on customer's pincode vs. base pincode.
+ */
+function calculateShippingFee(customerPincode) {
+    if (customerPincode === BASE_PINCODE) {
+        return LOCAL_DELIVERY_FEE;
+    }
+    return REMOTE_DELIVERY_FEE;
+}
+
+module.exports = { getDynamicDeliveryFee, calculateShippingFee };
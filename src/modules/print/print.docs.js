@@ -0,0 +1,38 @@
+// --------- PRINT API DOCS (see src/docs/openapi.js) ----------
+const message = { message: 'string' };
+
+module.exports = {
+  tag: 'Print',
+  routes: {
+    // Customer
+    'POST /api/print/upload': {
+      summary: 'Upload a document (converted to PDF)',
+      status: 201, files: ['file'], response: { message: 'string', fileUrl: 'string', printJob: 'PrintJob' },
+    },
+    'POST /api/print/jobs': {
+      summary: 'Submit a print job to a shop', status: 201, files: ['document'], response: { success: 'boolean', message: 'string', job: 'PrintJob' },
+    },
+    'GET /api/print/my-jobs': { summary: 'Own print jobs', response: ['PrintJob'] },
+    'POST /api/print/order-form': { summary: 'Order a printable form', response: { printJob: 'PrintJob', razorpayOrder: 'object' } },
+    'POST /api/print/order-request': { summary: 'Create a payment order for a print job', response: { razorpayOrder: 'object', grandTotal: 'number', sellerPart: 'number' } },
+    'GET /api/sellers/print-shops/{pincode}': { summary: 'Print shops serving a pincode', response: ['User'] },
+    'GET /api/print/config/{sellerId}': { summary: 'Print service product of a shop', response: { productId: 'string' } },
+    'GET /api/print/library/{sellerId}': { summary: 'Files in a shop\'s print library', response: ['PrintLibrary'] },
+    'GET /api/print/download-proxy': { summary: 'Stream a stored PDF through the backend', produces: 'application/pdf' },
+
+    // Seller
+    'POST /api/seller/print-request': { summary: 'Ask admin to enable print service', response: { message: 'string', status: 'string' } },
+    'GET /api/print/seller-jobs': { summary: 'Print jobs for this shop', response: ['PrintJob'] },
+    'PATCH /api/print/jobs/{id}/status': { summary: 'Update print job status', response: { message: 'string', job: 'PrintJob' } },
+    'POST /api/seller/printable-forms': { summary: 'Upload a printable form/book', status: 201, files: ['file'], response: { message: 'string', newForm: 'PrintableForm' } },
+    'POST /api/seller/print-library': { summary: 'Add a file to the print library', status: 201, files: ['file'], response: { message: 'string', file: 'PrintLibrary' } },
+    'GET /api/seller/print-library': { summary: 'Own print library', response: ['PrintLibrary'] },
+    'DELETE /api/seller/print-library/{id}': { summary: 'Remove a library file', response: message },
+
+    // Admin
+    'GET /api/admin/print/queue': { summary: 'All print jobs', response: ['PrintJob'] },
+    'PUT /api/admin/print/settle-payout/{jobId}': { summary: 'Mark a print job payout as settled', response: { success: 'boolean', message: 'string', utr: 'string' } },
+    'GET /api/admin/print-requests': { summary: 'Sellers waiting for print approval', response: ['User'] },
+    'PATCH /api/admin/seller-print-status': { summary: 'Approve or reject a seller\'s print service', response: { message: 'string', seller: 'User' } },
+  },
+};
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const printJobSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  originalName: String,
+  fileUrl: String,      // Cloudinary PDF URL
+  publicId: String,
+  
+  // ✅ NEW FIELDS ADDED (Required for App to work)
+  copies: { type: Number, default: 1 },
+  printType: { type: String, enum: ['bw', 'color'], default: 'bw' },
+  sideType: { type: String, enum: ['single', 'double'], default: 'single' },
+  paperSize: { type: String, default: 'A4' },
+  instructions: String,
+  
+  // Payment & Cost Details
+  printCost: Number,
+  sellerEarnings: Number,
+  paymentStatus: { type: String, enum: ['pending', 'completed', 'failed'], default: 'pending' },
+  
+  // Settlement Details
+  payoutStatus: { type: String, enum: ['Pending', 'Settled'], default: 'Pending' },
+  transactionId: String,
+  settledAt: Date,
+
+  status: { type: String, enum: ['Pending', 'Printed', 'Rejected'], default: 'Pending' },
+  createdAt: { type: Date, default: Date.now, expires: 86400 } // 24h Expiry
+}, { timestamps: true });
+
+const PrintJob = mongoose.model('PrintJob', printJobSchema);
+
+const printableFormSchema = new mongoose.Schema({
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  title: { type: String, required: true }, // उदा: "बिहार आय प्रमाण पत्र फॉर्म"
+  description: String,
+  fileUrl: String,      // PDF फाइल का लिंक
+  publicId: String,
+  pricePerCopyBW: Number,    // B/W प्रिंट का फिक्स रेट
+  pricePerCopyColor: Number, // Color प्रिंट का फिक्स रेट
+  category: String,          // उदा: "Government Form", "Booklet", "Exam Paper"
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+const PrintableForm = mongoose.model('PrintableForm', printableFormSchema);
+
+// ==========================================
+// 📚 PRINT LIBRARY SCHEMA (Ready-to-Print Files)
+// ==========================================
+const printLibrarySchema = new mongoose.Schema({
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    title: { type: String, required: true }, // e.g. "Class 10 Math Notes"
+    description: String,
+    category: { type: String, default: 'General' }, // e.g. "Education", "Forms"
+    
+    fileUrl: { type: String, required: true }, // Cloudinary Link
+    publicId: String,
+    
+    totalPages: { type: Number, required: true }, // Page Count (Auto or Manual)
+    pricePerCopy: { type: Number, default: 0 }, // Optional: Extra fee for content
+    
+    isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+const PrintLibrary = mongoose.model('PrintLibrary', printLibrarySchema);
+
+module.exports = { PrintJob, PrintableForm, PrintLibrary };
@@ -0,0 +1,654 @@
+const express = require('express');
+
+const { uploadPrint } = require('../../config/upload');
+const { authorizeRole, protect, requirePermission, requireStepUp } = require('../../middleware/auth');
+const { audit } = require('../../middleware/audit');
+const { idempotent } = require('../../middleware/idempotency');
+const { validate } = require('../../middleware/validate');
+const { getPayments } = require('../../payments');
+const { deleteFile } = require('../../storage');
+const { getDistanceFromLatLonInKm } = require('../../utils/geo');
+const { AppSettings } = require('../admin/admin.models');
+const { userScopeFilter } = require('../admin/rbac.service');
+const { User } = require('../auth/auth.models');
+const { roleQuery } = require('../auth/roles.service');
+const { Category, Product } = require('../catalog/catalog.models');
+const { Address } = require('../orders/orders.models');
+const { PrintJob, PrintLibrary, PrintableForm } = require('./print.models');
+const { WalletTransaction } = require('../ride/ride.models');
+const { sendPushNotification } = require('../notifications/notifications.service');
+const { getDynamicDeliveryFee } = require('../orders/shipping.service');
+const schemas = require('./print.validation');
+
+const router = express.Router();
+
+// ✅ Corrected Route: /api/print/upload
+// ✅ FIXED ROUTE: /api/print/upload
+// Now accepts 'sellerId' to prevent the crash
+router.post('/api/print/upload', protect, uploadPrint.single('file'), validate(schemas.uploadFile), async (req, res) => {
+  try {
+    // 1. Extract Seller ID (Check both keys to be safe)
+    const sellerId = req.body.sellerId || req.body.seller;
+
+    // 2. Validation
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+    
+    // CRITICAL FIX: Ensure sellerId is present
+    if (!sellerId) {
+      console.error("❌ Upload Error: Missing Seller ID in request body.");
+      return res.status(400).json({ message: 'Seller ID is required for upload.' });
+    }
+
+    // 3. Create PrintJob
+    const newPrintJob = await PrintJob.create({
+      user: req.user._id,
+      seller: sellerId, // ✅ THIS LINE FIXES YOUR CRASH
+      originalName: req.file.originalname,
+      fileUrl: req.file.path, // Cloudinary URL
+      publicId: req.file.filename,
+      status: 'Pending',      // Add default status
+      paymentStatus: 'pending'
+    });
+
+    res.status(201).json({
+      message: 'File converted to PDF and uploaded successfully.',
+      fileUrl: newPrintJob.fileUrl, 
+      printJob: newPrintJob
+    });
+
+  } catch (err) {
+    console.error("Upload Error:", err);
+    res.status(500).json({ message: 'Error uploading print job', error: err.message });
+  }
+});
+router.get('/api/admin/print/queue', protect, authorizeRole('admin'), requirePermission('print.manage'), async (req, res) => {
+  try {
+    const jobs = await PrintJob.find().populate('user', 'name phone').sort({ createdAt: -1 });
+    res.json(jobs);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching queue' });
+  }
+});
+
+router.post('/api/seller/printable-forms', protect, authorizeRole('seller', 'admin'), requirePermission('print.manage'), uploadPrint.single('file'), validate(schemas.createPrintableForm), audit('printable-form.create', 'PrintableForm'), async (req, res) => {
+  try {
+    const { title, description, priceBW, priceColor, category } = req.body;
+    
+    const newForm = await PrintableForm.create({
+      seller: req.user._id,
+      title,
+      description,
+      pricePerCopyBW: parseFloat(priceBW),
+      pricePerCopyColor: parseFloat(priceColor),
+      category,
+      fileUrl: req.file.path,
+      publicId: req.file.filename
+    });
+
+    res.status(201).json({ message: 'Form/Book uploaded successfully', newForm });
+  } catch (err) {
+    res.status(500).json({ message: 'Error uploading form', error: err.message });
+  }
+});
+
+router.post('/api/print/order-form', protect, validate(schemas.orderForm), idempotent(), async (req, res) => {
+  try {
+    const { formId, printType, quantity } = req.body;
+
+    const form = await PrintableForm.findById(formId);
+    if (!form) return res.status(404).json({ message: 'Form not found' });
+
+    // रेट कैलकुलेशन
+    const rate = (printType === 'Color') ? form.pricePerCopyColor : form.pricePerCopyBW;
+    const totalAmount = rate * parseInt(quantity);
+
+    // 1. Razorpay Order बनाएँ
+    const razorpayOrder = await getPayments().createOrder({
+      amount: Math.round(totalAmount * 100),
+      currency: "INR",
+      receipt: `form_print_${Date.now()}`
+    });
+
+    // 2. Print Job बनाएँ (सेलर के पहले से अपलोडेड फाइल का उपयोग करके)
+    const printJob = await PrintJob.create({
+      user: req.user._id,
+      fileUrl: form.fileUrl, // सेलर की फाइल का लिंक यहाँ कॉपी होगा
+      pages: quantity,      // यहाँ क्वांटिटी का मतलब पेज या कॉपी से है
+      printType,
+      amount: totalAmount,
+      razorpayOrderId: razorpayOrder.id,
+      paymentStatus: 'pending'
+    });
+
+    res.json({ printJob, razorpayOrder });
+  } catch (err) {
+    res.status(500).json({ message: 'Error ordering form print', error: err.message });
+  }
+});
+
+router.post('/api/print/order-request', protect, validate(schemas.orderRequest), idempotent(), async (req, res) => {
+  try {
+    const { sellerId, pages, printType, addressId } = req.body;
+
+    const settings = await AppSettings.findOne({ singleton: true });
+    const seller = await User.findById(sellerId);
+
+    // 1. चेक करें कि सेलर अप्रूव्ड है या नहीं
+    if (!seller || !seller.isPrintServiceApproved) {
+      return res.status(403).json({ message: "Seller not approved for print services." });
+    }
+
+    // 2. एडमिन रेट के हिसाब से प्रिंटिंग कॉस्ट
+    const rate = (printType === 'Color') ? settings.printConfig.colorRatePerPage : settings.printConfig.bwRatePerPage;
+    const printCost = rate * pages;
+
+    // 3. डिलीवरी चार्ज कैलकुलेशन (Distance Based)
+    const address = await Address.findById(addressId);
+    const dist = getDistanceFromLatLonInKm(address.lat, address.lng, seller.location.coordinates[1], seller.location.coordinates[0]);
+    const deliveryFee = getDynamicDeliveryFee(dist, settings.deliveryConfig);
+
+    const grandTotal = printCost + deliveryFee;
+
+    // 4. कमीशन और सेलर का हिस्सा (Calculation only)
+    const adminPart = printCost * settings.printConfig.adminPrintCommission;
+    const sellerPart = printCost - adminPart;
+
+    // 5. Razorpay Order
+    const razorpayOrder = await getPayments().createOrder({
+      amount: Math.round(grandTotal * 100),
+      currency: "INR",
+      receipt: `prnt_${Date.now()}`
+    });
+
+    res.json({ razorpayOrder, grandTotal, sellerPart });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+router.put('/api/admin/print/settle-payout/:jobId', protect, authorizeRole('admin'), requirePermission('payouts.process'), requireStepUp, validate(schemas.settlePayout), audit('print.payout.settle', 'PrintJob', (req) => req.params.jobId), async (req, res) => {
+  try {
+    const { transactionId } = req.body; 
+    
+    const printJob = await PrintJob.findById(req.params.jobId).populate('seller');
+
+    if (!printJob) return res.status(404).json({ message: "Job not found" });
+
+    // 1. सुरक्षा जांच: कहीं पैसा पहले ही तो नहीं भेजा जा चुका?
+    if (printJob.payoutStatus === 'Settled') {
+      return res.status(400).json({ message: "This payout is already settled." });
+    }
+
+    if (printJob.paymentStatus !== 'completed') {
+      return res.status(400).json({ message: "User hasn't paid yet" });
+    }
+
+    // 2. डेटा अपडेट करें
+    printJob.payoutStatus = 'Settled';
+    printJob.transactionId = transactionId;
+    printJob.settledAt = Date.now();
+    await printJob.save();
+
+    // 3. सेलर की ट्रांजैक्शन हिस्ट्री में रिकॉर्ड जोड़ें (Future reference के लिए)
+    await WalletTransaction.create({
+      seller: printJob.seller._id,
+      type: 'Direct_Credit', // टैग ताकि पता चले कि यह सीधा बैंक में गया है
+      amount: printJob.sellerEarnings,
+      description: `Manual Payout for Print #${printJob._id.toString().slice(-6)}. Ref: ${transactionId}`
+    });
+
+    // 4. सेलर को नोटिफिकेशन भेजें
+    if (printJob.seller.fcmToken) {
+      await sendPushNotification(
+        printJob.seller.fcmToken, 
+        "💰 Payment Received", 
+        `Admin sent ₹${printJob.sellerEarnings} to your Bank/UPI. Ref: ${transactionId}`
+      );
+    }
+
+    res.json({ 
+      success: true, 
+      message: "Payout marked as settled successfully", 
+      utr: transactionId 
+    });
+
+  } catch (err) {
+    res.status(500).json({ message: 'Settlement Error', error: err.message });
+  }
+});
+
+// ✅ NEW ROUTE: Submit Print Job (Matches Flutter App)
+// ✅ NEW ROUTE: Submit Print Job (Fixed & Cleaned)
+router.post('/api/print/jobs', protect, uploadPrint.single('document'), validate(schemas.createPrintJob), async (req, res) => {
+  try {
+    console.log("📥 Print Job Request Body:", req.body); // Debug log
+
+    // 1. Extract Data (Robust check for sellerId)
+    // Sometimes Flutter sends 'seller', sometimes 'sellerId'. We check both.
+    const sellerId = req.body.sellerId || req.body.seller; 
+    const { copies, printType, sideType, paperSize, instructions } = req.body;
+
+    // 2. Validation Checks
+    if (!req.file) {
+      return res.status(400).json({ message: 'No document file uploaded' });
+    }
+    
+    if (!sellerId) {
+      console.error("❌ FAILURE: Seller ID is missing. Frontend sent:", req.body);
+      return res.status(400).json({ message: "Seller ID is required. Check Flutter request keys." });
+    }
+
+    // 3. Fetch App Settings for Pricing
+    const settings = await AppSettings.findOne({ singleton: true });
+    
+    // Default rates if settings missing
+    const bwRate = settings?.printConfig?.bwRatePerPage || 2;
+    const colorRate = settings?.printConfig?.colorRatePerPage || 10;
+    const adminCommissionRate = settings?.printConfig?.adminPrintCommission || 0.10;
+
+    // 4. Calculate Cost
+    const numCopies = parseInt(copies) || 1;
+    // Handle case sensitivity for 'Color' vs 'color'
+    const isColor = printType && printType.toLowerCase() === 'color';
+    const rate = isColor ? colorRate : bwRate;
+    
+    const totalCost = rate * numCopies; 
+    const adminShare = totalCost * adminCommissionRate;
+    const sellerShare = totalCost - adminShare;
+
+    // 5. Create Job in DB
+    const newJob = await PrintJob.create({
+      user: req.user._id,
+      seller: sellerId, // valid sellerId from step 1
+      originalName: req.file.originalname,
+      fileUrl: req.file.path,
+      publicId: req.file.filename,
+      copies: numCopies,
+      printType,
+      sideType,
+      paperSize,
+      instructions,
+      printCost: totalCost,
+      sellerEarnings: sellerShare,
+      status: 'Pending',
+      paymentStatus: 'pending' // Usually pending until paid
+    });
+
+    console.log("✅ Print Job Created Successfully:", newJob._id);
+
+    // 6. Notify Seller
+    const sellerUser = await User.findById(sellerId).select('fcmToken');
+    if (sellerUser && sellerUser.fcmToken) {
+        await sendPushNotification(
+            [sellerUser.fcmToken], 
+            'New Print Job! 🖨️', 
+            `New document received for printing. Earn ₹${sellerShare.toFixed(2)}`, 
+            { type: 'NEW_PRINT_JOB' }
+        );
+    }
+
+    // 7. Send Response
+    res.status(201).json({
+      success: true,
+      message: 'Print job submitted successfully',
+      job: newJob
+    });
+
+  } catch (err) {
+    console.error('❌ Print Job Error:', err);
+    res.status(500).json({ message: 'Error submitting print job', error: err.message });
+  }
+});
+
+// ✅ GET: Get Incoming Print Jobs for Seller (Missing Route)
+router.get('/api/print/seller-jobs', protect, authorizeRole('seller', 'admin'), requirePermission('print.manage'), async (req, res) => {
+  try {
+    const jobs = await PrintJob.find({ seller: req.user._id })
+      .populate('user', 'name phone') // ग्राहक का नाम और फोन नंबर दिखाएं
+      .sort({ createdAt: -1 }); // सबसे नए जॉब्स पहले
+    res.json(jobs);
+  } catch (err) {
+    console.error('Error fetching seller print jobs:', err.message);
+    res.status(500).json({ message: 'Error fetching print jobs', error: err.message });
+  }
+});
+
+// ✅ GET: Get My Print Jobs (For Customer App - Optional but Recommended)
+router.get('/api/print/my-jobs', protect, async (req, res) => {
+  try {
+    const jobs = await PrintJob.find({ user: req.user._id })
+      .populate('seller', 'name phone')
+      .sort({ createdAt: -1 });
+    res.json(jobs);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching my print jobs', error: err.message });
+  }
+});
+
+// ✅ PATCH: Update Print Job Status (For Seller to Mark as Printed/Rejected)
+router.patch('/api/print/jobs/:id/status', protect, authorizeRole('seller', 'admin'), requirePermission('print.manage'), validate(schemas.updateJobStatus), audit('print-job.status.update', 'PrintJob'), async (req, res) => {
+  try {
+    const { status } = req.body; // 'Printed', 'Rejected'
+    const jobId = req.params.id;
+
+    const job = await PrintJob.findOne({ _id: jobId, seller: req.user._id });
+    
+    if (!job) {
+      return res.status(404).json({ message: 'Print job not found or unauthorized.' });
+    }
+
+    job.status = status;
+    
+    // अगर पेमेंट हो चुका है और जॉब कम्पलीट हो गई, तो इसे 'settled' के लिए तैयार मान सकते हैं 
+    // (हालांकि payoutStatus अलग है, यह सिर्फ ट्रैकिंग के लिए है)
+    
+    await job.save();
+
+    // ग्राहक को नोटिफिकेशन भेजें
+    const customer = await User.findById(job.user).select('fcmToken phone');
+    if (customer) {
+        const msg = status === 'Printed' 
+            ? `✅ Your document is printed and ready!` 
+            : `❌ Your print job was rejected by the seller.`;
+            
+        if (customer.fcmToken) {
+            await sendPushNotification([customer.fcmToken], 'Print Update 🖨️', msg, { type: 'PRINT_UPDATE' });
+        }
+    }
+
+    res.json({ message: `Job status updated to ${status}`, job });
+
+  } catch (err) {
+    console.error('Error updating print job status:', err.message);
+    res.status(500).json({ message: 'Error updating status', error: err.message });
+  }
+});
+// ✅ GET: Find Print/Xerox Shops by Pincode (For Auto-Selection)
+// ✅ GET: Find APPROVED Print/Xerox Shops by Pincode (Updated Logic)
+router.get('/api/sellers/print-shops/:pincode', validate(schemas.printShopsByPincode), async (req, res) => {
+  try {
+    const { pincode } = req.params;
+    
+    const shops = await User.find({
+        // सेलर role approved होना चाहिए (multi-role account किसी भी mode में हो)
+        // 🔒 IMPORTANT: सिर्फ वही दिखेंगे जिसे एडमिन ने 'Approved' किया है
+        printServiceStatus: 'Approved', 
+
+        $and: [
+            roleQuery('seller', { approved: true }),
+            {
+                $or: [
+                    { pincodes: pincode },        // या तो पिनकोड मैच हो
+                    { pincodes: { $size: 0 } }    // या वो ग्लोबल सेलर हो (जो हर जगह डिलीवर करता है)
+                ]
+            }
+        ]
+    }).select('name phone pickupAddress pincodes printServiceStatus');
+
+    res.json(shops);
+
+  } catch (err) {
+    console.error('Error finding shops:', err.message);
+    res.status(500).json({ message: 'Error finding shops', error: err.message });
+  }
+});
+// ==========================================
+// 🖨️ PRINT SERVICE HELPER ROUTE (AUTO-SETUP)
+// ==========================================
+
+// ✅ Get or Create "Print Service" Product ID for a Seller
+// ==========================================
+// 🖨️ PRINT SERVICE HELPER ROUTE (AUTO-SETUP - FIXED)
+// ==========================================
+
+router.get('/api/print/config/:sellerId', validate(schemas.bySellerId), async (req, res) => {
+  try {
+    const { sellerId } = req.params;
+    
+    // 1. चेक करें कि क्या प्रोडक्ट पहले से मौजूद है?
+    let product = await Product.findOne({ seller: sellerId, name: 'Print Service' });
+    if (product) return res.json({ productId: product._id });
+
+    // 2. कैटेगरी चेक करें या बनाएं
+    let category = await Category.findOne({ $or: [{ name: 'Services' }, { type: 'service' }] });
+    
+    if (!category) {
+        category = await Category.create({ 
+            name: 'Services', 
+            slug: 'services', // ✅ FIXED: Slug जरूरी है
+            type: 'service', 
+            isActive: true,
+            image: { url: 'https://cdn-icons-png.flaticon.com/512/1067/1067566.png' } 
+        });
+    }
+
+    // 3. अब 'Print Service' प्रोडक्ट बनाएं (सही Schema Format के साथ)
+    product = await Product.create({
+        seller: sellerId,
+        name: 'Print Service',
+        sku: `PRINT-${sellerId.slice(-4)}-${Date.now()}`, // Unique SKU
+        brand: 'QuickSauda',
+        shortDescription: 'Xerox / Document Printing',
+        fullDescription: 'High quality document printing service.',
+        unit: 'pcs', // Valid Unit from Enum
+        category: category._id,
+        isGlobal: true,
+        isApproved: true, // Auto Approve
+        
+        // ✅ FIXED: Variants array जोड़ना जरूरी है क्योंकि price/stock अब इसके अंदर है
+        variants: [{
+            price: 1,      // Dummy price (असली price printMeta से आएगा)
+            stock: 999999, // कभी खत्म न हो
+            color: 'Default',
+            size: 'A4'
+        }]
+    });
+
+    console.log(`✅ Auto-created Print Product for Seller ${sellerId}`);
+    res.json({ productId: product._id });
+
+  } catch (err) {
+    console.error("Print Config Error:", err);
+    res.status(500).json({ message: "Failed to setup print service", error: err.message });
+  }
+});
+// ==========================================
+// 🛡️ PRINT PERMISSION ROUTES
+// ==========================================
+
+// 1. Seller: Request Permission (सेलर रिक्वेस्ट भेजेगा)
+router.post('/api/seller/print-request', protect, authorizeRole('seller'), async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        
+        if (user.printServiceStatus === 'Approved') {
+            return res.status(400).json({ message: 'You are already approved for printing!' });
+        }
+        
+        if (user.printServiceStatus === 'Pending') {
+            return res.status(400).json({ message: 'Request already sent. Please wait for admin.' });
+        }
+
+        user.printServiceStatus = 'Pending'; // रिक्वेस्ट पेंडिंग में डालें
+        await user.save();
+
+        res.json({ message: 'Print service permission requested. Wait for admin approval.', status: 'Pending' });
+
+    } catch (err) {
+        res.status(500).json({ message: 'Error requesting permission', error: err.message });
+    }
+});
+
+// 2. Admin: Approve/Reject Seller (एडमिन अप्रूव करेगा)
+router.patch('/api/admin/seller-print-status', protect, authorizeRole('admin'), requirePermission('print.manage'), validate(schemas.sellerPrintStatus), audit('seller.print-status.update', 'User', (req) => req.body.sellerId), async (req, res) => {
+    try {
+        const { sellerId, status } = req.body; // status = 'Approved' or 'Rejected'
+
+        if (!['Approved', 'Rejected', 'None'].includes(status)) {
+            return res.status(400).json({ message: 'Invalid status' });
+        }
+
+        const seller = await User.findById(sellerId);
+        if (!seller) return res.status(404).json({ message: 'Seller not found' });
+
+        seller.printServiceStatus = status;
+        
+        // अगर अप्रूव हुआ, तो 'Print Service' प्रोडक्ट चेक करें या बना दें (Auto-Setup Logic)
+        if (status === 'Approved') {
+             // (वही लॉजिक जो हमने पिछले स्टेप में auto-create के लिए लिखा था, उसे एक फंक्शन बनाकर यहाँ कॉल कर सकते हैं)
+             // फ़िलहाल बस स्टेटस अपडेट करते हैं
+        }
+
+        await seller.save();
+
+        // सेलर को नोटिफिकेशन भेजें
+        if (seller.fcmToken) {
+            const msg = status === 'Approved' 
+                ? '🎉 Congratulations! Your Print Service is approved by Admin.' 
+                : '❌ Your Print Service request was rejected.';
+            await sendPushNotification([seller.fcmToken], 'Print Service Update', msg);
+        }
+
+        res.json({ message: `Seller print status updated to ${status}`, seller });
+
+    } catch (err) {
+        res.status(500).json({ message: 'Error updating status', error: err.message });
+    }
+});
+
+// 3. Admin: Get List of Pending Requests (एडमिन को लिस्ट दिखाने के लिए)
+router.get('/api/admin/print-requests', protect, authorizeRole('admin'), requirePermission('print.manage'), async (req, res) => {
+    try {
+        const sellers = await User.find({ 
+            $and: [roleQuery('seller'), userScopeFilter(req)], 
+            printServiceStatus: 'Pending' 
+        }).select('name email phone printServiceStatus');
+        
+        res.json(sellers);
+    } catch (err) {
+        res.status(500).json({ message: 'Error fetching requests' });
+    }
+});
+// ============================================================
+// 📥 PROXY DOWNLOAD ROUTE (Fixes CORS Error)
+// ============================================================
+// ============================================================
+// 📥 PROXY DOWNLOAD ROUTE (Fixes PDF Download Issues)
+// ============================================================
+// ============================================================
+// 📥 PROXY DOWNLOAD ROUTE (Enhanced Debugging)
+// ============================================================
+const https = require('https');
+const http = require('http');
+
+router.get('/api/print/download-proxy', validate(schemas.downloadProxy), (req, res) => {
+    const { url, filename } = req.query;
+
+    if (!url) return res.status(400).send("Missing URL");
+
+    console.log(`📥 Fetching PDF Proxy: ${url}`); // ✅ Check Console Log
+
+    const fetchFile = (fileUrl) => {
+        const client = fileUrl.startsWith('https') ? https : http;
+
+        client.get(fileUrl, (response) => {
+            // 🔄 Redirect Handling
+            if ([301, 302].includes(response.statusCode)) {
+                if (response.headers.location) {
+                    console.log("🔀 Redirecting to:", response.headers.location);
+                    return fetchFile(response.headers.location);
+                }
+            }
+
+            // ❌ Error Handling (Main Issue Source)
+            if (response.statusCode !== 200) {
+                console.error(`❌ FAILED: ${response.statusCode} - ${fileUrl}`); // ✅ यह बताएगा कि क्यों फेल हुआ
+                if (!res.headersSent) {
+                    return res.status(400).send(`Error: Source returned ${response.statusCode}. File may not exist.`);
+                }
+                return;
+            }
+
+            // ✅ Success
+            res.setHeader("Content-Type", "application/pdf");
+            res.setHeader("Content-Disposition", `inline; filename="${filename || 'document.pdf'}"`);
+            response.pipe(res);
+
+        }).on('error', (err) => {
+            console.error("❌ Network Error:", err.message);
+            if (!res.headersSent) res.status(500).send("Server Error fetching file");
+        });
+    };
+
+    fetchFile(url);
+});
+
+// ==========================================
+// 📚 PRINT LIBRARY ROUTES
+// ==========================================
+
+// 1. [SELLER] Upload a File to Library
+router.post('/api/seller/print-library', protect, authorizeRole('seller', 'admin'), requirePermission('print.manage'), uploadPrint.single('file'), validate(schemas.createLibraryFile), audit('print-library.create', 'PrintLibrary'), async (req, res) => {
+    try {
+        const { title, description, category, totalPages, pricePerCopy } = req.body;
+        
+        if (!req.file) return res.status(400).json({ message: "PDF file is required" });
+
+        const newFile = await PrintLibrary.create({
+            seller: req.user._id,
+            title,
+            description,
+            category,
+            totalPages: Number(totalPages) || 1,
+            pricePerCopy: Number(pricePerCopy) || 0,
+            fileUrl: req.file.path,
+            publicId: req.file.filename
+        });
+
+        res.status(201).json({ message: "File added to library", file: newFile });
+    } catch (err) {
+        res.status(500).json({ message: "Error uploading file", error: err.message });
+    }
+});
+
+// 2. [SELLER] Get My Library Files
+router.get('/api/seller/print-library', protect, authorizeRole('seller', 'admin'), requirePermission('print.manage'), async (req, res) => {
+    try {
+        const files = await PrintLibrary.find({ seller: req.user._id }).sort({ createdAt: -1 });
+        res.json(files);
+    } catch (err) {
+        res.status(500).json({ message: "Error fetching library" });
+    }
+});
+
+// 3. [SELLER] Delete File
+router.delete('/api/seller/print-library/:id', protect, authorizeRole('seller', 'admin'), requirePermission('print.manage'), validate(schemas.byId), audit('print-library.delete', 'PrintLibrary'), async (req, res) => {
+    try {
+        const file = await PrintLibrary.findOne({ _id: req.params.id, seller: req.user._id });
+        if (!file) return res.status(404).json({ message: "File not found" });
+
+        if (file.publicId) await deleteFile(file.publicId);
+        await file.deleteOne();
+        
+        res.json({ message: "File deleted" });
+    } catch (err) {
+        res.status(500).json({ message: "Error deleting file" });
+    }
+});
+
+// 4. [USER] Get Library Files of a Specific Seller (For App)
+router.get('/api/print/library/:sellerId', validate(schemas.bySellerId), async (req, res) => {
+    try {
+        const files = await PrintLibrary.find({ 
+            seller: req.params.sellerId, 
+            isActive: true 
+        }).select('-publicId'); // Hide internal ID
+        
+        res.json(files);
+    } catch (err) {
+        res.status(500).json({ message: "Error fetching seller library" });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const { User } = require('../auth/auth.models');
+const { WalletTransaction } = require('../ride/ride.models');
+const { PrintJob } = require('./print.models');
+
+// --------- Print Payment ----------
+
+/**
+ * Marks a paid print job completed and credits the seller's wallet with its sellerEarnings (commission pehle hi
+ * kat chuka hai). Dono ek hi transaction mein - credit fail hua to job pending hi rehta hai aur retry / webhook
+ * dobara credit kar sakta hai. Pehle se completed job par kuch nahi hota (verify retry par double credit nahi).
+ * @param {string} printJobId
+ * @param {string} paymentId - Gateway payment id (WalletTransaction par unique)
+ * @returns {Promise<{ credited: boolean, amount?: number }>}
+ */
+async function creditSellerForPrint(printJobId, paymentId) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const printJob = await PrintJob.findOneAndUpdate(
+            { _id: printJobId, paymentStatus: { $ne: 'completed' } },
+            { paymentStatus: 'completed' },
+            { new: true, session }
+        );
+        if (!printJob) {
+            await session.abortTransaction();
+            return { credited: false };
+        }
+
+        const amount = printJob.sellerEarnings || 0;
+        const seller = await User.findByIdAndUpdate(printJob.seller, { $inc: { walletBalance: amount } }, { new: true, session });
+        if (!seller) throw new Error('Seller of this print job no longer exists');
+
+        await WalletTransaction.create([{
+            seller: seller._id,
+            type: 'Credit',
+            amount,
+            balanceBefore: seller.walletBalance - amount,
+            balanceAfter: seller.walletBalance,
+            paymentId,
+            description: `Earnings for Print #${printJob._id.toString().slice(-6)}`
+        }], { session });
+
+        await session.commitTransaction();
+        return { credited: true, amount };
+    } catch (err) {
+        await session.abortTransaction();
+        throw err;
+    } finally {
+        session.endSession();
+    }
+}
+
+module.exports = { creditSellerForPrint };
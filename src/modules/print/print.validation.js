@@ -0,0 +1,113 @@
+const { Joi, objectId, pincode, idParam, enumOf } = require('../../middleware/validate');
+const { PrintJob } = require('./print.models');
+
+// --------- PRINT REQUEST SCHEMAS ----------
+// Apps 'bw' / 'BW' / 'color' / 'Color' sab bhejte hain, handlers case ke hisaab se compare karte hain
+const printType = () => Joi.string().trim().pattern(/^(bw|color)$/i).messages({ 'string.pattern.base': '{{#label}} must be bw or color' });
+const price = () => Joi.number().min(0);
+
+// Flutter kabhi 'seller' bhejta hai, kabhi 'sellerId'
+const sellerKeys = {
+  sellerId: objectId(),
+  seller: objectId(),
+};
+
+const uploadFile = {
+  body: Joi.object(sellerKeys).or('sellerId', 'seller'),
+};
+
+const createPrintableForm = {
+  body: Joi.object({
+    title: Joi.string().trim().min(1).max(200).required(),
+    description: Joi.string().max(2000).allow(''),
+    priceBW: price(),
+    priceColor: price(),
+    category: Joi.string().trim().max(100).allow(''),
+  }),
+};
+
+const orderForm = {
+  body: Joi.object({
+    formId: objectId().required(),
+    printType: printType().required(),
+    quantity: Joi.number().integer().min(1).max(1000).required(),
+  }),
+};
+
+const orderRequest = {
+  body: Joi.object({
+    sellerId: objectId().required(),
+    pages: Joi.number().integer().min(1).max(5000).required(),
+    printType: printType().required(),
+    addressId: objectId(),
+  }),
+};
+
+const settlePayout = {
+  params: idParam('jobId'),
+  body: Joi.object({
+    transactionId: Joi.string().trim().min(4).max(64).required(),
+  }),
+};
+
+const createPrintJob = {
+  body: Joi.object({
+    ...sellerKeys,
+    copies: Joi.number().integer().min(1).max(1000),
+    printType: printType(),
+    sideType: Joi.string().valid(...enumOf(PrintJob, 'sideType')),
+    paperSize: Joi.string().trim().max(20),
+    instructions: Joi.string().max(1000).allow(''),
+  }).or('sellerId', 'seller'),
+};
+
+const updateJobStatus = {
+  params: idParam(),
+  body: Joi.object({
+    status: Joi.string().valid(...enumOf(PrintJob, 'status')).required(),
+  }),
+};
+
+const sellerPrintStatus = {
+  body: Joi.object({
+    sellerId: objectId().required(),
+    status: Joi.string().valid('Approved', 'Rejected', 'None').required(),
+  }),
+};
+
+const downloadProxy = {
+  query: Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+    filename: Joi.string().trim().max(255),
+  }),
+};
+
+const createLibraryFile = {
+  body: Joi.object({
+    title: Joi.string().trim().min(1).max(200).required(),
+    description: Joi.string().max(2000).allow(''),
+    category: Joi.string().trim().max(100).allow(''),
+    totalPages: Joi.number().integer().min(1),
+    pricePerCopy: price(),
+  }),
+};
+
+const printShopsByPincode = { params: Joi.object({ pincode: pincode().required() }) };
+const bySellerId = { params: idParam('sellerId') };
+const byId = { params: idParam() };
+
+module.exports = {
+  uploadFile,
+  createPrintableForm,
+  orderForm,
+  orderRequest,
+  settlePayout,
+  createPrintJob,
+  updateJobStatus,
+  sellerPrintStatus,
+  downloadProxy,
+  createLibraryFile,
+  printShopsByPincode,
+  bySellerId,
+  byId,
+};
@@ -0,0 +1,56 @@
+const { Ride } = require('./ride.models');
+const { advanceRideDispatch } = require('./ride.service');
+
+// ---------------------------------------------------------
+// 🚖 RIDE DISPATCH WORKER
+// Deadlines MongoDB mein save hote hain (Ride.dispatchDeadline), isliye restart/deploy ke baad
+// worker wahi se resume karta hai. Har due ride ko pehle "lease" karke claim kiya jata hai,
+// taaki do instances ek hi ride ko double-dispatch na karein.
+// ---------------------------------------------------------
+const POLL_SECONDS = parseInt(process.env.RIDE_DISPATCH_POLL_SECONDS || '5', 10);
+const LEASE_SECONDS = 60; // Claim ke baad process crash ho jaye to itni der baad doosra instance utha lega
+const BATCH_SIZE = 50;
+
+let timer = null;
+let running = false;
+
+/**
+ * Claims and advances every ride whose current driver's turn has expired.
+ */
+async function processDueRides() {
+    if (running) return;
+    running = true;
+    try {
+        for (let i = 0; i < BATCH_SIZE; i++) {
+            const ride = await Ride.findOneAndUpdate(
+                { status: 'Requested', dispatchDeadline: { $lte: new Date() } },
+                { $set: { dispatchDeadline: new Date(Date.now() + LEASE_SECONDS * 1000) } },
+                { sort: { dispatchDeadline: 1 }, new: true }
+            );
+            if (!ride) break;
+
+            console.log(`⏰ Timeout reached for Ride ${ride._id} (Index: ${ride.currentDriverIndex}). Auto-switching to next driver.`);
+            await advanceRideDispatch(ride);
+        }
+    } catch (err) {
+        console.error('❌ Error in Ride Dispatch Worker:', err.message);
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Starts polling for expired dispatch deadlines. Safe to run on every instance.
+ */
+function startRideDispatchWorker() {
+    if (timer) return;
+    console.log(`🚖 Ride dispatch worker started (poll every ${POLL_SECONDS}s)`);
+    timer = setInterval(processDueRides, POLL_SECONDS * 1000);
+}
+
+function stopRideDispatchWorker() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = { startRideDispatchWorker, stopRideDispatchWorker, processDueRides };
@@ -0,0 +1,55 @@
+// --------- RIDE / WALLET API DOCS (see src/docs/openapi.js) ----------
+const message = { message: 'string' };
+
+module.exports = {
+  tag: 'Ride',
+  routes: {
+    // Customer
+    'POST /api/ride/request': { summary: 'Request a ride (dispatched to nearby drivers one by one)', status: 201, response: { message: 'string', rideId: 'string' } },
+    'GET /api/ride/nearby-count': { summary: 'Online drivers near a point', response: { count: 'integer' } },
+    'POST /api/ride/cancel': { summary: 'Cancel a ride', response: message },
+    'POST /api/ride/sos': { summary: 'Raise an SOS alert for an active ride', response: message },
+    'POST /api/complaints': { summary: 'File a complaint about a ride', status: 201, response: message },
+
+    // Driver
+    'PUT /api/ride/driver/status': {
+      summary: 'Go online/offline and update location',
+      response: { message: 'string', isOnline: 'boolean', isLocked: 'boolean', walletBalance: 'number' },
+    },
+    'GET /api/ride/pending': { summary: 'Ride currently offered to this driver', response: ['object'] },
+    'POST /api/ride/accept': { summary: 'Accept the offered ride', response: { message: 'string', ride: 'Ride' } },
+    'POST /api/ride/decline': { summary: 'Pass the ride to the next driver', response: { message: 'string', status: 'string' } },
+    'POST /api/ride/start': {
+      summary: 'Start the ride after OTP check',
+      description: 'Wrong codes count towards a per-ride attempt limit; after the limit the OTP is locked (429) until it expires or a new one is issued.',
+      response: message,
+    },
+    'POST /api/ride/otp/resend': {
+      summary: 'Issue a fresh start OTP for an accepted ride (customer)',
+      response: { message: 'string', otp: 'string', expiresAt: 'string' },
+    },
+    'POST /api/ride/complete': {
+      summary: 'Complete the ride and deduct commission from the wallet',
+      response: { message: 'string', walletBalance: 'number', isLocked: 'boolean' },
+    },
+
+    // Wallet
+    'POST /api/wallet/add': { summary: 'Add money to the wallet', response: { message: 'string', newBalance: 'number', isLocked: 'boolean' } },
+    'POST /api/wallet/create-order': { summary: 'Create a payment order for a wallet recharge', response: 'object' },
+    'POST /api/wallet/verify-recharge': { summary: 'Verify a recharge payment and credit the wallet', response: { message: 'string', newBalance: 'number' } },
+    'GET /api/wallet/history': {
+      summary: 'Wallet balance and transactions', response: { balance: 'number', isLocked: 'boolean', history: ['WalletTransaction'] },
+    },
+
+    // Admin
+    'GET /api/admin/drivers-status': { summary: 'All drivers with online/lock status', response: ['object'] },
+    'GET /api/admin/drivers/{id}/details': {
+      summary: 'Ride, complaint and wallet history of a driver',
+      response: { totalRides: 'integer', complaints: 'integer', rideHistory: ['Ride'], walletHistory: ['WalletTransaction'] },
+    },
+    'PUT /api/admin/drivers/{id}/block': { summary: 'Block or unblock a driver', response: message },
+    'POST /api/admin/drivers/{id}/punish': { summary: 'Warn, fine or suspend a driver', response: { message: 'string', driverStatus: 'boolean' } },
+    'GET /api/admin/complaints': { summary: 'All complaints', response: ['Complaint'] },
+    'PUT /api/admin/complaints/{id}/resolve': { summary: 'Update complaint status', response: message },
+  },
+};
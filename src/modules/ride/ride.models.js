@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// --- COMPLAINT MODEL (For Village Admin Control) ---
+const complaintSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Customer
+    driver: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Driver (Optional)
+    ride: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride' }, // Ride Ref
+    reason: { type: String, required: true }, // "Rude behavior", "Late", "Overcharge"
+    status: { type: String, enum: ['Pending', 'Resolved', 'Ignored'], default: 'Pending' },
+    adminNote: String
+}, { timestamps: true });
+
+const Complaint = mongoose.model('Complaint', complaintSchema);
+
+
+// 1. Vehicle Rates (Hardcoded in logic, but schema needed for future)
+const vehicleTypeSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    baseFare: Number,
+    perKmRate: Number
+});
+
+
+// 2. Ride Schema
+const rideSchema = new mongoose.Schema({
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    driver: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    vehicleType: { type: String, required: true },
+    
+    pickupLocation: { 
+        address: String, 
+        coordinates: [Number] // [Longitude, Latitude]
+    },
+    dropLocation: { 
+        address: String, 
+        coordinates: [Number] // [Longitude, Latitude]
+    },
+    
+    distanceKm: Number,
+    estimatedFare: Number,
+    finalFare: Number,
+    commissionAmount: Number,
+    
+    status: { 
+        type: String, 
+        enum: ['Requested', 'Accepted', 'InProgress', 'Completed', 'Cancelled', 'NoDriverFound'], 
+        default: 'Requested' 
+    },
+    paymentStatus: { type: String, default: 'Pending' },
+
+    // ✅ NEW: Fields for "Nearest Driver First" Logic
+    // यह लिस्ट उन सभी ड्राइवरों की है जो राइड के लिए उपलब्ध हैं (दूरी के अनुसार सॉर्ट की गई)
+    potentialDrivers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], 
+    
+    // यह ट्रैक करता है कि लिस्ट में से किस नंबर के ड्राइवर को अभी रिक्वेस्ट भेजी जा रही है
+    currentDriverIndex: { type: Number, default: 0 }, 
+    
+    // जिन ड्राइवरों ने राइड डिक्लाइन (Decline) कर दी, उनकी लिस्ट
+    rejectedDrivers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], 
+
+    requestTime: { type: Date, default: Date.now }, // रिक्वेस्ट का समय (Timeout कैलकुलेशन के लिए)
+
+    // ✅ Durable dispatch: current driver ka turn kab khatam hoga (dispatch worker isi ko poll karta hai)
+    dispatchDeadline: { type: Date, default: null },
+    // Poori driver list kitni baar ghoom chuki hai (RIDE_DISPATCH_MAX_CYCLES ke baad 'NoDriverFound')
+    dispatchCycles: { type: Number, default: 0 }
+
+}, { timestamps: true });
+
+rideSchema.index({ status: 1, dispatchDeadline: 1 });
+
+
+// 3. Wallet Transaction Schema
+const walletTransactionSchema = new mongoose.Schema({
+    // ✅ Driver और Seller दोनों के लिए (Optional रखें)
+    driver: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, 
+    seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, 
+
+    // ✅ Ride (Driver के लिए) और Order (Seller के लिए)
+    rideId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ride' },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+
+    type: { type: String, enum: ['Credit', 'Debit'], required: true },
+    amount: Number,
+    balanceBefore: Number,
+    balanceAfter: Number,
+    paymentId: { type: String }, // Gateway payment id (recharge) - ek payment ek hi baar credit ho
+    description: String
+}, { timestamps: true });
+
+walletTransactionSchema.index({ paymentId: 1 }, { unique: true, partialFilterExpression: { paymentId: { $type: 'string' } } });
+
+// ✅ SAHI CODE
+const Ride = mongoose.model('Ride', rideSchema);
+const WalletTransaction = mongoose.model('WalletTransaction', walletTransactionSchema);
+
+module.exports = { Complaint, Ride, WalletTransaction };
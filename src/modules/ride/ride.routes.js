@@ -0,0 +1,877 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const { authorizeRole, checkPartnerDocuments, protect, requirePermission, requireStepUp } = require('../../middleware/auth');
+const { audit } = require('../../middleware/audit');
+const { idempotent } = require('../../middleware/idempotency');
+const { validate } = require('../../middleware/validate');
+const { issueOtp, otpHttpStatus, verifyOtp } = require('../../otp');
+const { getPayments } = require('../../payments');
+const { getDistanceFromLatLonInKm } = require('../../utils/geo');
+const { isInScope, userPincodes, userRefScopeFilter, userScopeFilter } = require('../admin/rbac.service');
+const { User } = require('../auth/auth.models');
+const { findRoleGrant, roleQuery, setRoleApproval } = require('../auth/roles.service');
+const { Complaint, Ride, WalletTransaction } = require('./ride.models');
+const { sendPushNotification, sendWhatsApp } = require('../notifications/notifications.service');
+const { COMMISSION_PERCENTAGE, MIN_DRIVER_BALANCE, advanceRideDispatch, creditWalletRecharge, nextDispatchDeadline } = require('./ride.service');
+const { hasValidPartnerDocuments } = require('../verification/verification.service');
+const schemas = require('./ride.validation');
+
+const router = express.Router();
+
+// 1. Update Driver Location & Status (Online/Offline)
+// 1. Update Driver Location & Status (Online/Offline)
+// 1. Update Driver Location & Status (With Auto-Unblock Logic)
+router.put('/api/ride/driver/status', protect, validate(schemas.driverStatus), async (req, res) => {
+    try {
+        const { isOnline, latitude, longitude } = req.body;
+        const user = req.user;
+
+        // सिर्फ ड्राइवर ही अपना स्टेटस अपडेट कर सकता है
+        if (user.role !== 'driver') {
+            return res.status(403).json({ message: 'Only drivers can update status' });
+        }
+
+        // ✅ 1. AUTO-UNLOCK LOGIC (Smart Check)
+        // अगर ड्राइवर लॉक्ड है और उसका बैन टाइम खत्म हो चुका है, तो उसे अनब्लॉक करें
+        if (user.isLocked && user.lockExpiresAt && new Date() > user.lockExpiresAt) {
+            user.isLocked = false;
+            user.lockExpiresAt = null;
+            user.blockReason = null;
+            console.log(`🔓 Driver ${user.name} auto-unlocked after ban expiry.`);
+        }
+
+        // ✅ 2. BLOCK CHECK (Prevent Online if still locked)
+        // यह 'Low Balance' या 'Permanent Ban' दोनों को हैंडल करेगा
+        if (isOnline && user.isLocked) {
+            // अगर कोई खास वजह (blockReason) है तो वह दिखाओ, वरना "Low Balance" दिखाओ
+            const msg = user.blockReason || 'Wallet balance low (Min ₹30). Please recharge.';
+            return res.status(400).json({ message: `Access Denied: ${msg}` });
+        }
+
+        // ✅ 2b. DOCUMENT CHECK: licence / RC / insurance verified aur expire nahi hue
+        if (isOnline && !hasValidPartnerDocuments(user)) {
+            return res.status(403).json({ message: 'Your documents are not verified or have expired. Please upload valid documents to go online.', documentsRequired: true });
+        }
+
+        // 3. ऑनलाइन/ऑफलाइन स्टेटस अपडेट करें
+        user.isOnline = isOnline;
+
+        // 4. अगर लोकेशन भेजी गई है, तो उसे अपडेट करें
+        if (latitude !== undefined && longitude !== undefined) {
+            user.location = { 
+                type: 'Point', 
+                coordinates: [parseFloat(longitude), parseFloat(latitude)] 
+            };
+        }
+
+        await user.save();
+
+        res.json({ 
+            message: 'Driver status updated', 
+            isOnline: user.isOnline, 
+            isLocked: user.isLocked,
+            walletBalance: user.walletBalance
+        });
+
+    } catch (err) {
+        console.error('Driver status update error:', err.message);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 2. Request a Ride (Sequential Dispatch Logic)
+// 2. Request a Ride (Sequential Dispatch Logic)
+// 2. Request a Ride (Sequential Dispatch Logic)
+router.post('/api/ride/request', protect, validate(schemas.requestRide), async (req, res) => {
+    try {
+        const { pickupAddress, pickupCoordinates, dropAddress, dropCoordinates, vehicleType } = req.body;
+
+        // Calculate Distance & Fare
+        const lat1 = pickupCoordinates[1]; const lon1 = pickupCoordinates[0];
+        const lat2 = dropCoordinates[1]; const lon2 = dropCoordinates[0];
+        
+        // Ensure you have the helper function 'getDistanceFromLatLonInKm' defined in server.js
+        let rawDistance = getDistanceFromLatLonInKm(lat1, lon1, lat2, lon2);
+        const distanceKm = parseFloat((rawDistance * 1.3).toFixed(1));
+        
+        const rates = { 'Bike': 10, 'Auto': 15, 'Car': 25, 'E-Rickshaw': 12 };
+        let estimatedFare = Math.round(20 + (distanceKm * (rates[vehicleType] || 15)));
+
+        // ✅ 1. Find ALL Nearby Drivers
+        // Multi-role: driver grant (approved) wale accounts, phir usi grant ke documents valid hon
+        const nearbyAccounts = await User.find({
+            ...roleQuery('driver', { approved: true }),
+            vehicleType: vehicleType,
+            isOnline: true,
+            isLocked: false,
+            location: {
+                $near: {
+                    $geometry: { type: "Point", coordinates: pickupCoordinates },
+                    $maxDistance: 5000 // 5km Radius
+                }
+            }
+        });
+        const nearbyDrivers = nearbyAccounts.filter(d => hasValidPartnerDocuments(d, 'driver'));
+
+        if (nearbyDrivers.length === 0) return res.status(404).json({ message: 'No drivers nearby' });
+
+        // ✅ 2. Create Ride with Driver List (Queue)
+        const newRide = await Ride.create({
+            customer: req.user._id,
+            vehicleType,
+            pickupLocation: { address: pickupAddress, coordinates: pickupCoordinates },
+            dropLocation: { address: dropAddress, coordinates: dropCoordinates },
+            distanceKm,
+            estimatedFare,
+            status: 'Requested',
+            
+            // Store List & Index
+            potentialDrivers: nearbyDrivers.map(d => d._id), 
+            currentDriverIndex: 0, 
+            rejectedDrivers: [],
+            // ✅ Pehle driver ka 30s turn - dispatch worker is deadline ke baad aage badhayega
+            dispatchDeadline: nextDispatchDeadline()
+        });
+
+        // ✅ 3. Notify ONLY the FIRST Driver
+        const firstDriver = nearbyDrivers[0];
+        if (firstDriver.fcmToken) {
+            // Updated payload to include 'type' so Flutter app knows to open the Ride Popup
+            await sendPushNotification(
+                [firstDriver.fcmToken], 
+                'New Ride Request 🚖', 
+                `A Rider is within your range! 📍 Earn ₹${estimatedFare}`, 
+                { rideId: newRide._id.toString(), type: 'NEW_RIDE' }
+            );
+        }
+
+        res.status(201).json({ message: 'Ride requested', rideId: newRide._id });
+
+    } catch (err) {
+        console.error("Ride Request Error:", err);
+        res.status(500).json({ error: err.message });
+    }
+});
+// 3. Accept Ride (Driver)
+router.post('/api/ride/accept', protect, checkPartnerDocuments, validate(schemas.rideAction), async (req, res) => {
+    try {
+        const { rideId } = req.body;
+        const driver = req.user;
+
+        // Security Check
+        if (driver.isLocked || driver.walletBalance < MIN_DRIVER_BALANCE) {
+            return res.status(403).json({ message: 'Wallet Low. Please recharge (Min ₹50) to accept rides.' });
+        }
+
+        const current = await Ride.findById(rideId).select('status potentialDrivers currentDriverIndex');
+        if (!current || current.status !== 'Requested') {
+            return res.status(400).json({ message: 'Ride already accepted or cancelled.' });
+        }
+
+        // Sirf wahi driver accept kar sakta hai jiski abhi baari hai
+        const turnDriver = current.potentialDrivers[current.currentDriverIndex];
+        if (!turnDriver || turnDriver.toString() !== driver._id.toString()) {
+            return res.status(403).json({ message: 'This ride is not offered to you.' });
+        }
+
+        // ⚠️ Atomic claim: do accept / decline / dispatch worker ek saath aayein to sirf ek jeete
+        const ride = await Ride.findOneAndUpdate(
+            { _id: rideId, status: 'Requested', currentDriverIndex: current.currentDriverIndex },
+            { $set: { driver: driver._id, status: 'Accepted', dispatchDeadline: null } }, // Dispatch worker ab is ride ko nahi chhuega
+            { new: true }
+        );
+        if (!ride) {
+            return res.status(409).json({ message: 'Ride has already moved on' });
+        }
+
+        // ✅ Start OTP sirf customer ko jaata hai (hashed store, src/otp)
+        // Cooldown / lock mein naya code nahi banta - ride accept ho chuki, customer 'Resend OTP' se le lega
+        const startOtp = await issueOtp('ride-start', ride._id.toString());
+        const otpText = startOtp.status === 'sent' ? `OTP: ${startOtp.code}` : 'Tap "Resend OTP" to get your ride OTP.';
+        if (startOtp.status !== 'sent') console.log(`⚠️ Ride ${ride._id} start OTP not issued on accept: ${startOtp.message}`);
+
+        // Notify Customer
+        const customer = await User.findById(ride.customer).select('fcmToken phone');
+        if (customer && customer.fcmToken) {
+            await sendPushNotification(
+                customer.fcmToken,
+                'Ride Accepted ✅',
+                `${driver.name} is on the way! ${otpText}`,
+                { rideId: ride._id.toString(), type: 'RIDE_ACCEPTED' }
+            );
+        }
+
+        res.json({ message: 'Ride Accepted', ride });
+
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 4. Start Ride (Verify OTP)
+router.post('/api/ride/start', protect, validate(schemas.startRide), async (req, res) => {
+    try {
+        const { rideId, otp } = req.body;
+        const ride = await Ride.findById(rideId);
+
+        if (!ride || !ride.driver || ride.driver.toString() !== req.user._id.toString()) return res.status(403).json({message: 'Unauthorized'});
+        if (ride.status !== 'Accepted') return res.status(400).json({ message: 'Invalid Ride Status' });
+
+        // Galat OTP attempts count hote hain - limit ke baad ride ka OTP lock ho jaata hai
+        const check = await verifyOtp('ride-start', ride._id.toString(), otp);
+        if (check.status !== 'valid') {
+            return res.status(otpHttpStatus(check)).json({ message: check.message, attemptsLeft: check.attemptsLeft, retryAfter: check.retryAfter });
+        }
+
+        ride.status = 'InProgress';
+        await ride.save();
+
+        res.json({ message: 'Ride Started' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 4b. Resend Start OTP (Customer) - naya code, purana invalid
+router.post('/api/ride/otp/resend', protect, validate(schemas.rideAction), async (req, res) => {
+    try {
+        const { rideId } = req.body;
+        const ride = await Ride.findById(rideId);
+
+        if (!ride || ride.customer.toString() !== req.user._id.toString()) return res.status(404).json({ message: 'Ride not found' });
+        if (ride.status !== 'Accepted') return res.status(400).json({ message: 'OTP is only needed before the ride starts.' });
+
+        const result = await issueOtp('ride-start', ride._id.toString());
+        if (result.status !== 'sent') return res.status(otpHttpStatus(result)).json({ message: result.message, retryAfter: result.retryAfter });
+
+        if (req.user.fcmToken) {
+            await sendPushNotification(
+                req.user.fcmToken,
+                'Ride OTP 🔑',
+                `Your ride OTP is ${result.code}`,
+                { rideId: ride._id.toString(), type: 'RIDE_OTP' }
+            );
+        }
+
+        res.json({ message: 'OTP sent', otp: result.code, expiresAt: result.expiresAt });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 5. Complete Ride & Deduct Commission (CORE LOGIC)
+router.post('/api/ride/complete', protect, validate(schemas.rideAction), async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const { rideId } = req.body;
+        const ride = await Ride.findById(rideId).session(session);
+
+        if (!ride || ride.status !== 'InProgress') {
+            await session.abortTransaction();
+            return res.status(400).json({ message: 'Invalid Ride Status' });
+        }
+
+        // Calculate Stats
+        const finalFare = ride.estimatedFare; // In real app, re-calculate based on actual time/dist
+        const commission = Math.round((finalFare * COMMISSION_PERCENTAGE) / 100);
+        
+        ride.status = 'Completed';
+        ride.finalFare = finalFare;
+        ride.commissionAmount = commission;
+        ride.paymentStatus = 'Completed'; // Assuming Cash collected
+        await ride.save({ session });
+
+        // --- WALLET DEDUCTION ---
+        const driver = await User.findById(req.user._id).session(session);
+        const balanceBefore = driver.walletBalance;
+        
+        driver.walletBalance -= commission; // Deduct commission
+        
+        // CHECK LOCK CONDITION
+        let lockMessage = '';
+        if (driver.walletBalance < MIN_DRIVER_BALANCE) {
+            driver.isLocked = true;
+            driver.isOnline = false; // Force offline
+            lockMessage = ' ALERT: Wallet low. You are now locked from receiving new rides.';
+        }
+
+        await driver.save({ session });
+
+        // Log Transaction
+        await WalletTransaction.create([{
+            driver: driver._id,
+            rideId: ride._id,
+            type: 'Debit',
+            amount: commission,
+            balanceBefore: balanceBefore,
+            balanceAfter: driver.walletBalance,
+            description: `Commission for Ride #${ride._id.toString().slice(-4)}`
+        }], { session });
+
+        await session.commitTransaction();
+
+        res.json({ 
+            message: `Ride Completed. Commission ₹${commission} deducted.${lockMessage}`, 
+            walletBalance: driver.walletBalance, 
+            isLocked: driver.isLocked 
+        });
+
+    } catch (err) {
+        await session.abortTransaction();
+        console.error(err);
+        res.status(500).json({ error: err.message });
+    } finally {
+        session.endSession();
+    }
+});
+
+// 6. Add Money to Wallet (Simulated for Demo)
+router.post('/api/wallet/add', protect, validate(schemas.walletAmount), idempotent(), async (req, res) => {
+    try {
+        const { amount } = req.body; // In real app, verify Razorpay/Payment ID here
+        const user = req.user;
+
+        if (user.role !== 'driver') return res.status(403).json({ message: 'Only drivers have wallets' });
+
+        const balanceBefore = user.walletBalance;
+        user.walletBalance += parseFloat(amount);
+
+        // UNLOCK if balance is sufficient
+        if (user.walletBalance >= MIN_DRIVER_BALANCE) {
+            user.isLocked = false;
+        }
+
+        await user.save();
+
+        await WalletTransaction.create({
+            driver: user._id,
+            type: 'Credit',
+            amount: amount,
+            balanceBefore,
+            balanceAfter: user.walletBalance,
+            description: 'Wallet Recharge'
+        });
+
+        res.json({ message: 'Wallet recharged successfully', newBalance: user.walletBalance, isLocked: user.isLocked });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 7. Get Wallet History
+// 7. Get Wallet History (Updated for both Sellers & Drivers)
+router.get('/api/wallet/history', protect, async (req, res) => {
+    try {
+        const userId = req.user._id;
+        let query = {};
+
+        // ✅ Check Role to determine which field to query in WalletTransaction
+        if (req.user.role === 'seller') {
+            query = { seller: userId };
+        } else {
+            // Default to driver (or you can check if req.user.role === 'driver')
+            query = { driver: userId };
+        }
+
+        const history = await WalletTransaction.find(query).sort({ createdAt: -1 });
+
+        res.json({ 
+            balance: req.user.walletBalance, 
+            isLocked: req.user.isLocked, // Mostly relevant for drivers
+            history: history 
+        });
+    } catch (err) {
+        console.error("Wallet History Error:", err.message);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [UPDATED] Driver Polling Route (Sequential Dispatch - Nearest First)
+router.get('/api/ride/pending', protect, async (req, res) => {
+    try {
+        const driverId = req.user._id.toString();
+
+        // 1. Find rides where status is Requested & matches vehicle type
+        const rides = await Ride.find({
+            status: 'Requested',
+            vehicleType: req.user.vehicleType
+        }).sort({ createdAt: -1 });
+
+        // ✅ 2. FILTER: Show ride ONLY if it's THIS driver's turn
+        // (Check potentialDrivers array at currentDriverIndex)
+        const myRide = rides.find(ride => {
+            if (!ride.potentialDrivers || ride.potentialDrivers.length === 0) return false;
+            
+            const currentDriverId = ride.potentialDrivers[ride.currentDriverIndex];
+            return currentDriverId && currentDriverId.toString() === driverId;
+        });
+
+        if (!myRide) {
+            return res.json([]); // If no ride is assigned to this driver currently
+        }
+
+        console.log(`🚖 Driver ${req.user.name} is seeing ride: ${myRide._id}`);
+
+        // 3. Format Data for Flutter
+        const formattedRides = [{
+            rideId: myRide._id,
+            pickup: myRide.pickupLocation.address || "Unknown Pickup",
+            drop: myRide.dropLocation.address || "Unknown Drop",
+            fare: myRide.estimatedFare,
+            pickupLatLng: {
+                lat: myRide.pickupLocation.coordinates[1],
+                lng: myRide.pickupLocation.coordinates[0]
+            },
+            dropLatLng: {
+                lat: myRide.dropLocation.coordinates[1],
+                lng: myRide.dropLocation.coordinates[0]
+            }
+        }];
+
+        res.json(formattedRides);
+
+    } catch (err) {
+        console.error('❌ Polling Error:', err.message);
+        res.status(500).json({ message: 'Server Error' });
+    }
+});
+
+// 3. Decline Ride (Pass to Next Driver)
+router.post('/api/ride/decline', protect, validate(schemas.rideAction), async (req, res) => {
+    try {
+        const { rideId } = req.body;
+        const driverId = req.user._id;
+
+        const ride = await Ride.findById(rideId);
+        if (!ride) return res.status(404).json({ message: 'Ride not found' });
+
+        if (ride.status !== 'Requested') return res.status(400).json({ message: `Ride is already ${ride.status}` });
+
+        // Sirf current driver decline kar sakta hai - koi aur dispatch aage nahi badha sakta
+        const turnDriver = ride.potentialDrivers[ride.currentDriverIndex];
+        if (!turnDriver || turnDriver.toString() !== driverId.toString()) {
+            return res.status(403).json({ message: 'This ride is not offered to you.' });
+        }
+
+        // ✅ Next driver ko pass karo (max cycles ke baad ride 'NoDriverFound' ho jati hai)
+        const updatedRide = await advanceRideDispatch(ride, driverId);
+        if (!updatedRide) return res.status(409).json({ message: 'Ride has already moved on' });
+
+        if (updatedRide.status === 'NoDriverFound') {
+            return res.json({ message: 'No more drivers available. Ride closed.', status: updatedRide.status });
+        }
+
+        res.json({ message: 'Ride passed to next driver', status: updatedRide.status });
+
+    } catch (err) {
+        console.error('Decline Error:', err.message);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/api/ride/nearby-count', validate(schemas.nearbyCount), async (req, res) => {
+    try {
+        const { lat, lng } = req.query;
+        if (!lat || !lng) return res.json({ count: 0 });
+
+        const drivers = await User.find({
+            role: 'driver',
+            isOnline: true,
+            isLocked: false,
+            location: {
+                $near: {
+                    $geometry: { type: "Point", coordinates: [parseFloat(lng), parseFloat(lat)] },
+                    $maxDistance: 5000 // 5km Radius
+                }
+            }
+        });
+        res.json({ count: drivers.length });
+    } catch (err) {
+        console.error(err);
+        res.json({ count: 0 });
+    }
+});
+
+// --------------------------------------------------------------------
+// 💰 WALLET RECHARGE WITH RAZORPAY (Real Payment)
+// --------------------------------------------------------------------
+
+// 1. Create Razorpay Order for Wallet Recharge
+// --------------------------------------------------------------------
+// 💰 WALLET RECHARGE WITH RAZORPAY (Real Payment)
+// --------------------------------------------------------------------
+
+// 1. Create Razorpay Order
+router.post('/api/wallet/create-order', protect, validate(schemas.walletAmount), idempotent(), async (req, res) => {
+    try {
+        const { amount } = req.body;
+        if (!amount || amount < 1) return res.status(400).json({ message: 'Invalid amount' });
+
+        const options = {
+            amount: Math.round(amount * 100), // Amount in paise
+            currency: "INR",
+            receipt: `wlt_${crypto.randomBytes(4).toString('hex')}`,
+            notes: { userId: req.user._id.toString(), type: 'wallet_recharge' }
+        };
+
+        const order = await getPayments().createOrder(options);
+        res.json(order);
+    } catch (err) {
+        console.error("Razorpay Order Error:", err);
+        res.status(500).json({ message: 'Error creating payment order' });
+    }
+});
+
+// 2. Verify Payment & Credit Wallet
+router.post('/api/wallet/verify-recharge', protect, validate(schemas.verifyRecharge), idempotent(), async (req, res) => {
+    try {
+        const { razorpay_order_id, razorpay_payment_id, razorpay_signature, amount } = req.body;
+        const user = req.user;
+
+        // ✅ 1. Role Validation: Allow both Drivers and Sellers
+        if (user.role !== 'driver' && user.role !== 'seller') {
+             return res.status(403).json({ message: 'Wallet feature is only for drivers and sellers' });
+        }
+
+        // ✅ 2. Verify Payment Signature
+        const isValid = getPayments().verifyPaymentSignature({ orderId: razorpay_order_id, paymentId: razorpay_payment_id, signature: razorpay_signature });
+
+        if (!isValid) {
+            return res.status(400).json({ message: 'Transaction verification failed' });
+        }
+
+        // ✅ 3. Ledger entry + balance ek transaction mein (dekhein creditWalletRecharge)
+        // paymentId unique hai - same payment dobara verify ho (retry / double tap) to wallet dobara credit nahi hoga
+        const credit = await creditWalletRecharge(user, razorpay_payment_id, parseFloat(amount));
+        if (!credit.credited) return res.status(409).json({ message: 'This payment has already been credited to your wallet.' });
+
+        res.json({ message: 'Wallet recharged successfully!', newBalance: credit.balance });
+
+    } catch (err) {
+        console.error("Verify Recharge Error:", err);
+        res.status(500).json({ message: 'Verification failed' });
+    }
+});
+
+// 4. Cancel Ride by User (Rider)
+// 4. Cancel Ride (Updated for Village Driver Control)
+router.post('/api/ride/cancel', protect, validate(schemas.cancelRide), async (req, res) => {
+    try {
+        const { rideId, reason } = req.body;
+        const userId = req.user._id.toString();
+
+        // Populate driver and customer to get FCM tokens for notification
+        const ride = await Ride.findById(rideId).populate('driver customer', 'name phone fcmToken');
+
+        if (!ride) return res.status(404).json({ message: 'Ride not found' });
+
+        if (['Completed', 'Cancelled'].includes(ride.status)) {
+            return res.status(400).json({ message: 'Ride is already completed or cancelled.' });
+        }
+
+        // Check who is cancelling
+        const isCustomer = ride.customer._id.toString() === userId;
+        const isDriver = ride.driver && ride.driver._id.toString() === userId;
+
+        if (!isCustomer && !isDriver) {
+            return res.status(403).json({ message: 'Not authorized to cancel this ride.' });
+        }
+
+        // Update Status
+        ride.status = 'Cancelled';
+        ride.dispatchDeadline = null;
+        await ride.save();
+
+        // --- SCENARIO A: CUSTOMER CANCELS ---
+        if (isCustomer) {
+            // Notify Driver if assigned
+            if (ride.driver && ride.driver.fcmToken) {
+                await sendPushNotification(
+                    [ride.driver.fcmToken],
+                    'Ride Cancelled ❌',
+                    `Customer has cancelled the ride.`,
+                    { rideId: ride._id.toString(), type: 'RIDE_CANCELLED' }
+                );
+            }
+            console.log(`👤 Customer ${req.user.name} cancelled Ride #${ride._id}`);
+        }
+
+        // --- SCENARIO B: DRIVER CANCELS (Village Control Logic) ---
+        if (isDriver) {
+            // 1. Notify Customer immediately so they can book another
+            if (ride.customer && ride.customer.fcmToken) {
+                await sendPushNotification(
+                    [ride.customer.fcmToken],
+                    'Driver Cancelled ⚠️',
+                    `Sorry, driver cancelled the ride. Please request again.`,
+                    { rideId: ride._id.toString(), type: 'RIDE_CANCELLED' }
+                );
+            }
+
+            // 2. Driver Behavior Tracking (Simple Log)
+            // Future Update: Add logic here to deduct ₹5 fine or block for 1 hour after 3 cancels
+            console.log(`⚠️ Driver ${req.user.name} cancelled Ride #${ride._id}. Reason: ${reason || 'None'}`);
+        }
+
+        res.json({ message: 'Ride cancelled successfully' });
+
+    } catch (err) {
+        console.error('Cancel Ride Error:', err.message);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+
+// 🚨 SOS Alert System (Updated: Sends WhatsApp + Saves to DB for Admin Panel)
+router.post('/api/ride/sos', protect, validate(schemas.sos), async (req, res) => {
+    try {
+        const { rideId, location } = req.body; // location = "Lat, Lng"
+        const user = req.user;
+
+        // 1. Ride details fetch karo (agar available hai)
+        let rideInfo = "No Active Ride";
+        let driverInfo = "N/A";
+        let reportedDriverId = null;
+
+        if (rideId) {
+            const ride = await Ride.findById(rideId).populate('driver', 'name phone vehicleType');
+            if (ride) {
+                rideInfo = `Ride #${ride._id.toString().slice(-4)}`;
+                if (ride.driver) {
+                    driverInfo = `${ride.driver.name} (${ride.driver.phone}) - ${ride.driver.vehicleType}`;
+                    reportedDriverId = ride.driver._id;
+                }
+            }
+        }
+
+        // 2. Admin Alert Message (WhatsApp ke liye)
+        const alertMsg = `🚨 *SOS EMERGENCY ALERT!* 🚨\n\n` +
+                         `👤 *Sender:* ${user.name} (${user.role.toUpperCase()})\n` +
+                         `📞 *Phone:* ${user.phone}\n` +
+                         `📍 *Location:* ${location || 'Unknown'}\n` +
+                         `🚖 *Ride:* ${rideInfo}\n` +
+                         `👮 *Driver:* ${driverInfo}\n\n` +
+                         `⚠️ *Action Required Immediately!*`;
+
+        // 3. Admin ko WhatsApp bhejo
+        if (process.env.WHATSAPP_ADMIN_NUMBER) {
+            await sendWhatsApp(process.env.WHATSAPP_ADMIN_NUMBER, alertMsg);
+        }
+
+        // 4. ✅ SAVE TO DATABASE (Critical Step for Admin Panel)
+        // Hum 'Complaint' model use kar rahe hain taaki Admin Panel ise fetch kar sake
+        await Complaint.create({
+            user: user._id,
+            ride: rideId || null,
+            driver: reportedDriverId, // Agar driver assigned tha
+            reason: `SOS EMERGENCY: Location ${location || 'Unknown'}`, // 'SOS' keyword is important for filtering
+            status: 'Pending',
+            adminNote: 'Emergency alert triggered via App'
+        });
+
+        res.json({ message: 'SOS Alert Sent & Recorded!' });
+
+    } catch (err) {
+        console.error("SOS Error:", err);
+        res.status(500).json({ message: 'Error sending SOS' });
+    }
+});
+
+// [ADMIN] 1. Get All Drivers (Online/Offline, Location, Balance)
+router.get('/api/admin/drivers-status', protect, authorizeRole('admin'), requirePermission('drivers.manage'), async (req, res) => {
+    try {
+        const drivers = await User.find({ $and: [roleQuery('driver'), userScopeFilter(req)] })
+            .select('name phone isOnline isLocked walletBalance location vehicleType approved lastActiveAt')
+            .sort({ isOnline: -1, lastActiveAt: -1 }); // Online pehle dikhenge
+
+        // Format data for simple admin table
+        const formatted = drivers.map(d => ({
+            id: d._id,
+            name: d.name,
+            phone: d.phone,
+            vehicle: d.vehicleType,
+            status: d.isOnline ? '🟢 Online' : '⚪ Offline',
+            balance: `₹${d.walletBalance.toFixed(2)}`,
+            locked: d.isLocked ? '🔒 Locked' : '✅ Active',
+            location: d.location && d.location.coordinates ? 
+                `${d.location.coordinates[1]}, ${d.location.coordinates[0]}` : 'Unknown'
+        }));
+
+        res.json(formatted);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [ADMIN] 2. Get Specific Driver History (Rides + Wallet)
+router.get('/api/admin/drivers/:id/details', protect, authorizeRole('admin'), requirePermission('drivers.manage'), validate(schemas.byId), async (req, res) => {
+    try {
+        const driverId = req.params.id;
+        if (req.adminScope) {
+            const driver = await User.findById(driverId).select('pincodes pickupAddress');
+            if (driver && !isInScope(req, userPincodes(driver))) return res.status(403).json({ message: 'This driver is outside your assigned area' });
+        }
+
+        // 1. Last 50 Rides
+        const rides = await Ride.find({ driver: driverId })
+            .select('pickupLocation dropLocation estimatedFare status createdAt distanceKm')
+            .sort({ createdAt: -1 })
+            .limit(50);
+
+        // 2. Last 20 Wallet Transactions
+        const transactions = await WalletTransaction.find({ driver: driverId })
+            .sort({ createdAt: -1 })
+            .limit(20);
+
+        // 3. Complaint Count
+        const complaintCount = await Complaint.countDocuments({ driver: driverId });
+
+        res.json({
+            totalRides: rides.length,
+            complaints: complaintCount,
+            rideHistory: rides,
+            walletHistory: transactions
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Audit log ke liye driver ki block state
+const driverLockState = (d) => ({ isLocked: d.isLocked, isOnline: d.isOnline, approved: Boolean((findRoleGrant(d, 'driver') || {}).approved), lockExpiresAt: d.lockExpiresAt, blockReason: d.blockReason });
+
+// [ADMIN] 3. Block or Unblock Driver
+router.put('/api/admin/drivers/:id/block', protect, authorizeRole('admin'), requirePermission('drivers.punish'), requireStepUp, validate(schemas.blockDriver), audit('driver.block', 'User'), async (req, res) => {
+    try {
+        const { action } = req.body; // action = "block" or "unblock"
+        const driver = await User.findById(req.params.id);
+
+        if (!driver) return res.status(404).json({ message: 'Driver not found' });
+        if (!isInScope(req, userPincodes(driver))) return res.status(403).json({ message: 'This driver is outside your assigned area' });
+        req.audit.before = driverLockState(driver);
+
+        if (action === 'block') {
+            driver.isLocked = true;
+            driver.isOnline = false; // Force Offline
+            // Optional: Add reason field logic here
+        } else {
+            driver.isLocked = false;
+        }
+
+        await driver.save();
+        req.audit.after = driverLockState(driver);
+        res.json({ message: `Driver ${action === 'block' ? 'Blocked 🔒' : 'Unblocked ✅'} successfully.` });
+
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [USER] Post a Complaint
+router.post('/api/complaints', protect, validate(schemas.createComplaint), async (req, res) => {
+    try {
+        const { rideId, reason, driverId } = req.body;
+        
+        await Complaint.create({
+            user: req.user._id,
+            ride: rideId,
+            driver: driverId,
+            reason: reason
+        });
+
+        res.status(201).json({ message: 'Complaint submitted. Support will check shortly.' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [ADMIN] Get All Complaints
+router.get('/api/admin/complaints', protect, authorizeRole('admin'), requirePermission('complaints.manage'), async (req, res) => {
+    try {
+        // District admin: sirf apne area ke drivers ki complaints
+        const complaints = await Complaint.find(await userRefScopeFilter(req, 'driver'))
+            .populate('user', 'name phone')
+            .populate('driver', 'name phone')
+            .sort({ createdAt: -1 });
+
+        res.json(complaints);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// [ADMIN] Resolve Complaint
+router.put('/api/admin/complaints/:id/resolve', protect, authorizeRole('admin'), requirePermission('complaints.manage'), validate(schemas.resolveComplaint), audit('complaint.resolve', 'Complaint'), async (req, res) => {
+    try {
+        const { status, adminNote } = req.body; // status = 'Resolved' or 'Ignored'
+
+        if (req.adminScope) {
+            const complaint = await Complaint.findById(req.params.id).populate('driver', 'pincodes pickupAddress');
+            if (complaint && (!complaint.driver || !isInScope(req, userPincodes(complaint.driver)))) {
+                return res.status(403).json({ message: 'This complaint is outside your assigned area' });
+            }
+        }
+        
+        await Complaint.findByIdAndUpdate(req.params.id, {
+            status: status,
+            adminNote: adminNote
+        });
+
+        res.json({ message: 'Complaint status updated' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// 👮 Admin Action: Punish Driver (48hr Block or Permanent Ban)
+router.post('/api/admin/drivers/:id/punish', protect, authorizeRole('admin'), requirePermission('drivers.punish'), requireStepUp, validate(schemas.punishDriver), audit('driver.punish', 'User'), async (req, res) => {
+    try {
+        const { action, reason } = req.body; // action: 'temp_ban' (48hr) or 'perm_ban'
+        const driver = await User.findById(req.params.id);
+
+        if (!driver) return res.status(404).json({ message: 'Driver not found' });
+        if (!isInScope(req, userPincodes(driver))) return res.status(403).json({ message: 'This driver is outside your assigned area' });
+        req.audit.before = driverLockState(driver);
+
+        if (action === 'temp_ban') {
+            // 👉 CASE 1: Jhagda/Abuse -> 48 Hours Block
+            const expiryDate = new Date();
+            expiryDate.setHours(expiryDate.getHours() + 48); // Add 48 Hours
+
+            driver.isLocked = true;
+            driver.isOnline = false; // Turant Offline karo
+            driver.lockExpiresAt = expiryDate;
+            driver.blockReason = reason || "Abusive Behavior (48h Ban)";
+            
+            await sendWhatsApp(driver.phone, `⚠️ You are blocked for 48 HOURS due to: ${driver.blockReason}. Contact Admin.`);
+        
+        } else if (action === 'perm_ban') {
+            // 👉 CASE 2: Customer Misbehavior -> Permanent Block
+            driver.isLocked = true;
+            driver.isOnline = false;
+            // Driver grant ka approval band - customer mode mein ho tab bhi driver mode wapas nahi milega
+            setRoleApproval(driver, 'driver', false);
+            driver.lockExpiresAt = null; // Permanent hai
+            driver.blockReason = reason || "Severe Misconduct (Permanent Ban)";
+
+            await sendWhatsApp(driver.phone, `🛑 ACCOUNT TERMINATED. Reason: ${driver.blockReason}. You cannot drive anymore.`);
+        } else {
+            return res.status(400).json({ message: 'Invalid action type' });
+        }
+
+        await driver.save();
+        req.audit.after = driverLockState(driver);
+        req.audit.metadata = { action, reason: driver.blockReason };
+        res.json({ message: `Driver punished: ${action}`, driverStatus: driver.isLocked });
+
+    } catch (err) {
+        console.error("Punish Driver Error:", err.message);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+
+const { User } = require('../auth/auth.models');
+const { Ride, WalletTransaction } = require('./ride.models');
+const { sendAndSavePersonalNotification, sendPushNotification } = require('../notifications/notifications.service');
+
+// --------- 🚖 RIDE DISPATCH HELPERS 🚖 ----------
+
+// Constants
+const MIN_DRIVER_BALANCE = 0;
+const COMMISSION_PERCENTAGE = 10; // 10% Platform fee
+
+// --- RIDE TIMER SETTINGS ---
+const RIDE_TIMEOUT_SECONDS = parseInt(process.env.RIDE_TIMEOUT_SECONDS || '30', 10); // 30 Seconds Timer
+// Poori driver list itni baar ghoomne ke baad ride 'NoDriverFound' ho jati hai
+const RIDE_DISPATCH_MAX_CYCLES = parseInt(process.env.RIDE_DISPATCH_MAX_CYCLES || '3', 10);
+
+/**
+ * HELPER: Deadline for the driver whose turn starts now.
+ */
+function nextDispatchDeadline() {
+    return new Date(Date.now() + RIDE_TIMEOUT_SECONDS * 1000);
+}
+
+/**
+ * Passes a 'Requested' ride to the next driver in its queue and notifies that driver.
+ * Used by the dispatch worker (timeout) and the decline route.
+ * After RIDE_DISPATCH_MAX_CYCLES full passes over the queue the ride is closed as 'NoDriverFound'.
+ *
+ * The update is conditional on the index we read, so a concurrent decline/timeout on
+ * another instance cannot advance the same ride twice. Returns null in that case.
+ *
+ * @param {object} ride - Ride document (status 'Requested')
+ * @param {string} [rejectedDriverId] - Driver who declined; defaults to the driver whose turn it was
+ */
+async function advanceRideDispatch(ride, rejectedDriverId = null) {
+    const fromIndex = ride.currentDriverIndex;
+    const skippedDriverId = rejectedDriverId || ride.potentialDrivers[fromIndex];
+
+    let rejectedDrivers = [...ride.rejectedDrivers];
+    if (skippedDriverId && !rejectedDrivers.some(id => id.toString() === skippedDriverId.toString())) {
+        rejectedDrivers.push(skippedDriverId);
+    }
+
+    let nextIndex = fromIndex + 1;
+    let dispatchCycles = ride.dispatchCycles || 0;
+    const update = {};
+
+    // Loop logic: list khatam -> ek cycle poora hua
+    if (nextIndex >= ride.potentialDrivers.length) {
+        dispatchCycles += 1;
+
+        if (dispatchCycles >= RIDE_DISPATCH_MAX_CYCLES) {
+            Object.assign(update, { status: 'NoDriverFound', dispatchDeadline: null, dispatchCycles, rejectedDrivers });
+        } else {
+            console.log(`♻️ All drivers passed on Ride #${ride._id}. Starting cycle ${dispatchCycles + 1}/${RIDE_DISPATCH_MAX_CYCLES}.`);
+            nextIndex = 0;
+            rejectedDrivers = []; // Clear rejection history for new round
+        }
+    }
+
+    if (!update.status) {
+        Object.assign(update, { currentDriverIndex: nextIndex, rejectedDrivers, dispatchCycles, dispatchDeadline: nextDispatchDeadline() });
+    }
+
+    const updatedRide = await Ride.findOneAndUpdate(
+        { _id: ride._id, status: 'Requested', currentDriverIndex: fromIndex },
+        { $set: update },
+        { new: true }
+    );
+
+    if (!updatedRide) {
+        console.log(`⏩ Ride ${ride._id} already moved on (accepted, cancelled or advanced elsewhere).`);
+        return null;
+    }
+
+    if (updatedRide.status === 'NoDriverFound') {
+        console.log(`🚫 No driver found for Ride #${ride._id} after ${dispatchCycles} cycles.`);
+        await sendAndSavePersonalNotification(
+            updatedRide.customer,
+            'No Driver Found 😔',
+            'Sorry, no driver accepted your ride request. Please try again in a few minutes.',
+            { rideId: updatedRide._id.toString(), type: 'RIDE_NO_DRIVER' }
+        );
+        return updatedRide;
+    }
+
+    // Notify the NEW Driver (WITH REAL-TIME ONLINE CHECK)
+    const nextDriverId = updatedRide.potentialDrivers[updatedRide.currentDriverIndex];
+    const nextDriver = await User.findById(nextDriverId).select('fcmToken name isOnline');
+
+    if (nextDriver && nextDriver.isOnline && nextDriver.fcmToken) {
+        console.log(`🔔 Notifying Next Driver: ${nextDriver.name}`);
+        await sendPushNotification(
+            [nextDriver.fcmToken],
+            'New Ride Request 🚖',
+            `Ride Available! Earn ₹${updatedRide.estimatedFare}`,
+            { rideId: updatedRide._id.toString(), type: 'NEW_RIDE' }
+        );
+    } else {
+        // Log if skipped due to offline status
+        console.log(`⚠️ Driver ${nextDriver ? nextDriver.name : 'Unknown'} is OFFLINE or invalid. Notification skipped.`);
+    }
+
+    return updatedRide;
+}
+
+// --------- 💰 WALLET RECHARGE ----------
+
+/**
+ * Credits a verified wallet recharge to a driver / seller. Ledger entry aur balance $inc ek hi transaction mein -
+ * beech mein fail hua to dono rollback, retry phir se credit kar sakta hai. Driver ka balance minimum cover kare to unlock.
+ * paymentId WalletTransaction par unique hai - same payment dobara aaye to kuch nahi hota.
+ * @param {object} user - req.user (active role se ledger field: driver / seller)
+ * @param {string} paymentId - Gateway payment id
+ * @param {number} amount
+ * @returns {Promise<{ credited: boolean, balance?: number }>}
+ */
+async function creditWalletRecharge(user, paymentId, amount) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const updated = await User.findByIdAndUpdate(user._id, { $inc: { walletBalance: amount } }, { new: true, session });
+        if (!updated) throw new Error('User no longer exists');
+
+        await WalletTransaction.create([{
+            driver: user.role === 'driver' ? user._id : undefined, // Only set if driver
+            seller: user.role === 'seller' ? user._id : undefined, // Only set if seller
+            type: 'Credit',
+            amount,
+            balanceBefore: updated.walletBalance - amount,
+            balanceAfter: updated.walletBalance,
+            paymentId,
+            description: `Wallet Recharge (Txn: ${paymentId})`
+        }], { session });
+
+        // Driver Specific Logic: Unlock if balance covers minimum
+        // (Sellers don't usually get "locked" from the app, they just can't add products)
+        if (user.role === 'driver' && updated.isLocked && updated.walletBalance >= MIN_DRIVER_BALANCE) {
+            await User.updateOne({ _id: user._id }, { $set: { isLocked: false } }, { session });
+        }
+
+        await session.commitTransaction();
+        return { credited: true, balance: updated.walletBalance };
+    } catch (err) {
+        await session.abortTransaction();
+        // Same paymentId pehle credit ho chuka (retry / double tap)
+        if (err.code === 11000) return { credited: false };
+        throw err;
+    } finally {
+        session.endSession();
+    }
+}
+
+module.exports = {
+    advanceRideDispatch,
+    creditWalletRecharge,
+    nextDispatchDeadline,
+    MIN_DRIVER_BALANCE,
+    COMMISSION_PERCENTAGE,
+};
@@ -0,0 +1,110 @@
+const { Joi, objectId, otp, latitude, longitude, coordinates, idParam, enumOf } = require('../../middleware/validate');
+const { User } = require('../auth/auth.models');
+const { Complaint } = require('./ride.models');
+
+// --------- RIDE / WALLET REQUEST SCHEMAS ----------
+const rideIdBody = Joi.object({ rideId: objectId().required() });
+
+const driverStatus = {
+  body: Joi.object({
+    isOnline: Joi.boolean().required(),
+    latitude: latitude(),
+    longitude: longitude(),
+  }).and('latitude', 'longitude'),
+};
+
+const requestRide = {
+  body: Joi.object({
+    pickupAddress: Joi.string().trim().min(1).max(500).required(),
+    pickupCoordinates: coordinates().required(),
+    dropAddress: Joi.string().trim().min(1).max(500).required(),
+    dropCoordinates: coordinates().required(),
+    vehicleType: Joi.string().valid(...enumOf(User, 'vehicleType')).required(),
+  }),
+};
+
+const startRide = {
+  body: rideIdBody.keys({ otp: otp().required() }),
+};
+
+const cancelRide = {
+  body: rideIdBody.keys({ reason: Joi.string().trim().max(500).allow('') }),
+};
+
+const sos = {
+  body: Joi.object({
+    rideId: objectId().allow(null, ''),
+    location: Joi.string().trim().max(200).allow(''), // "Lat, Lng"
+  }),
+};
+
+const nearbyCount = {
+  query: Joi.object({
+    lat: latitude(),
+    lng: longitude(),
+  }),
+};
+
+// --- Wallet ---
+const walletAmount = {
+  body: Joi.object({ amount: Joi.number().positive().max(100000).required() }),
+};
+
+const verifyRecharge = {
+  body: Joi.object({
+    razorpay_order_id: Joi.string().trim().required(),
+    razorpay_payment_id: Joi.string().trim().required(),
+    razorpay_signature: Joi.string().trim().required(),
+    amount: Joi.number().positive().required(),
+  }),
+};
+
+// --- Complaints / Admin ---
+const createComplaint = {
+  body: Joi.object({
+    rideId: objectId().allow(null, ''),
+    driverId: objectId().allow(null, ''), // Driver optional hai
+    reason: Joi.string().trim().min(3).max(1000).required(),
+  }),
+};
+
+const resolveComplaint = {
+  params: idParam(),
+  body: Joi.object({
+    status: Joi.string().valid(...enumOf(Complaint, 'status')).required(),
+    adminNote: Joi.string().trim().max(1000).allow(''),
+  }),
+};
+
+const blockDriver = {
+  params: idParam(),
+  body: Joi.object({ action: Joi.string().valid('block', 'unblock').required() }),
+};
+
+const punishDriver = {
+  params: idParam(),
+  body: Joi.object({
+    action: Joi.string().valid('temp_ban', 'perm_ban').required(),
+    reason: Joi.string().trim().max(500).allow(''),
+  }),
+};
+
+const rideAction = { body: rideIdBody };
+const byId = { params: idParam() };
+
+module.exports = {
+  driverStatus,
+  requestRide,
+  startRide,
+  cancelRide,
+  sos,
+  nearbyCount,
+  walletAmount,
+  verifyRecharge,
+  createComplaint,
+  resolveComplaint,
+  blockDriver,
+  punishDriver,
+  rideAction,
+  byId,
+};
@@ -0,0 +1,52 @@
+// --------- SEARCH API DOCS (see src/docs/openapi.js) ----------
+module.exports = {
+  tag: 'Search',
+  schemas: {
+    SearchResult: {
+      type: 'object',
+      properties: {
+        query: { type: 'string' },
+        corrections: {
+          type: 'array',
+          description: 'Typo corrections that were applied ("did you mean")',
+          items: { type: 'object', properties: { from: { type: 'string' }, to: { type: 'string' } } },
+        },
+        total: { type: 'integer' }, page: { type: 'integer' }, pages: { type: 'integer' },
+        products: { type: 'array', items: { $ref: '#/components/schemas/Product' }, description: 'Each product also has `score`, `price`, `originalPrice` and `stock`' },
+        blocked: { type: 'string', description: 'Set (with no products) when deliveries to the given location are paused' },
+      },
+    },
+    SearchSuggestion: {
+      type: 'object',
+      properties: {
+        text: { type: 'string' },
+        type: { type: 'string', enum: ['synonym', 'category', 'product'] },
+        matched: { type: 'string', description: 'Dictionary word the user is typing (synonym suggestions)' },
+        productId: { type: 'string' }, categoryId: { type: 'string' },
+      },
+    },
+  },
+  routes: {
+    'GET /api/search': {
+      summary: 'Relevance-ranked product search',
+      description: 'Matches whole words in name, brand, tags and descriptions, with plural folding, Hinglish spellings '
+        + '(pyaaz = pyaz), the synonym dictionary ("tamatar" finds "Tomato") and typo correction. Name matches rank highest; '
+        + 'out-of-stock products rank lower. With `pincode` and/or `lat`/`lng` only products orderable there are returned '
+        + '(same serviceability rules as listings, cart and checkout).',
+      response: 'SearchResult',
+    },
+    'GET /api/search/suggest': {
+      summary: 'Autocomplete for a partly typed query',
+      description: 'The last word is matched as a prefix unless the query ends with a space.',
+      response: { query: 'string', suggestions: ['SearchSuggestion'] },
+    },
+    'GET /api/admin/search/synonyms': { summary: 'Search dictionary: custom entries and built-in entries', response: ['SearchSynonym'] },
+    'POST /api/admin/search/synonyms': {
+      summary: 'Add a synonym / transliteration',
+      description: 'A custom entry for a built-in term replaces it; `isActive: false` switches the built-in entry off. 409 if the term exists.',
+      status: 201, response: 'SearchSynonym',
+    },
+    'PUT /api/admin/search/synonyms/{id}': { summary: 'Update a dictionary entry', response: 'SearchSynonym' },
+    'DELETE /api/admin/search/synonyms/{id}': { summary: 'Delete a dictionary entry (a built-in entry for the term applies again)', response: { message: 'string' } },
+  },
+};
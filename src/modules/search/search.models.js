@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// ==========================================
+// 🔎 SEARCH DICTIONARY (synonyms + Hinglish transliterations)
+// ==========================================
+// "tamatar" -> ["tomato"]: dono taraf kaam karta hai (tomato search karne par "tamatar" wale products bhi).
+// Built-in entries search.service.js mein hain; same term ki entry yahan banane se built-in override hoti hai
+// (isActive: false = built-in band).
+const searchSynonymSchema = new mongoose.Schema({
+  term: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  synonyms: [{ type: String, trim: true }],
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true });
+
+const SearchSynonym = mongoose.model('SearchSynonym', searchSynonymSchema);
+
+module.exports = { SearchSynonym };
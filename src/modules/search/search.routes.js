@@ -0,0 +1,89 @@
+const express = require('express');
+
+const { authorizeRole, protect, requirePermission } = require('../../middleware/auth');
+const { audit } = require('../../middleware/audit');
+const { validate } = require('../../middleware/validate');
+const { SearchSynonym } = require('./search.models');
+const { invalidateSearchCache, listDictionaryEntries, searchProducts, suggestSearch } = require('./search.service');
+const schemas = require('./search.validation');
+
+const router = express.Router();
+
+// ==========================================
+// 🔎 PRODUCT SEARCH (ranked) + AUTOCOMPLETE
+// ==========================================
+router.get('/api/search', validate(schemas.search), async (req, res) => {
+  try {
+    res.json(await searchProducts(req.query));
+  } catch (err) {
+    console.error('❌ Search Error:', err.message);
+    res.status(500).json({ message: 'Error searching products', error: err.message });
+  }
+});
+
+router.get('/api/search/suggest', validate(schemas.suggest), async (req, res) => {
+  try {
+    res.json(await suggestSearch(req.query.q, req.query.limit));
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching suggestions', error: err.message });
+  }
+});
+
+// ==========================================
+// 📖 SEARCH DICTIONARY (admin - synonyms / Hinglish)
+// ==========================================
+// Custom entries + built-in entries jo override nahi hui
+router.get('/api/admin/search/synonyms', protect, authorizeRole('admin'), requirePermission('catalog.manage'), async (req, res) => {
+  try {
+    res.json(await listDictionaryEntries());
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching search dictionary', error: err.message });
+  }
+});
+
+router.post('/api/admin/search/synonyms', protect, authorizeRole('admin'), requirePermission('catalog.manage'), validate(schemas.createSynonym), audit('search-synonym.create', 'SearchSynonym'), async (req, res) => {
+  try {
+    const { term, synonyms, isActive = true } = req.body;
+    if (await SearchSynonym.exists({ term })) return res.status(409).json({ message: `'${term}' is already in the dictionary` });
+
+    const entry = await SearchSynonym.create({ term, synonyms, isActive, createdBy: req.user._id });
+    invalidateSearchCache();
+    req.audit.targetId = entry._id;
+    res.status(201).json(entry);
+  } catch (err) {
+    res.status(500).json({ message: 'Error adding search synonym', error: err.message });
+  }
+});
+
+router.put('/api/admin/search/synonyms/:id', protect, authorizeRole('admin'), requirePermission('catalog.manage'), validate(schemas.updateSynonym), audit('search-synonym.update', 'SearchSynonym'), async (req, res) => {
+  try {
+    const entry = await SearchSynonym.findById(req.params.id);
+    if (!entry) return res.status(404).json({ message: 'Search synonym not found' });
+
+    req.audit.before = { synonyms: entry.synonyms, isActive: entry.isActive };
+    if (req.body.synonyms) entry.synonyms = req.body.synonyms;
+    if (typeof req.body.isActive !== 'undefined') entry.isActive = req.body.isActive;
+    await entry.save();
+    req.audit.after = { synonyms: entry.synonyms, isActive: entry.isActive };
+
+    invalidateSearchCache();
+    res.json(entry);
+  } catch (err) {
+    res.status(500).json({ message: 'Error updating search synonym', error: err.message });
+  }
+});
+
+// Built-in term ki custom entry delete = built-in wapas lagu
+router.delete('/api/admin/search/synonyms/:id', protect, authorizeRole('admin'), requirePermission('catalog.manage'), validate(schemas.byId), audit('search-synonym.delete', 'SearchSynonym'), async (req, res) => {
+  try {
+    const entry = await SearchSynonym.findByIdAndDelete(req.params.id);
+    if (!entry) return res.status(404).json({ message: 'Search synonym not found' });
+    req.audit.before = { term: entry.term, synonyms: entry.synonyms, isActive: entry.isActive };
+    invalidateSearchCache();
+    res.json({ message: 'Search synonym deleted' });
+  } catch (err) {
+    res.status(500).json({ message: 'Error deleting search synonym', error: err.message });
+  }
+});
+
+module.exports = router;
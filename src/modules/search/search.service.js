@@ -0,0 +1,429 @@
+const mongoose = require('mongoose');
+
+const { Category, Product, productSearchTerms } = require('../catalog/catalog.models');
+const { filterServiceable, getDeliveryConfig, hasLocation, toLocation } = require('../catalog/serviceability.service');
+const { SearchSynonym } = require('./search.models');
+const { editDistance, normalizeText, toTerm, tokenize } = require('../../utils/searchText');
+
+// --------- PRODUCT SEARCH ----------
+// Product.searchTerms (normalized words ka multikey index) par lookup, phir yahan relevance score:
+//   exact word > synonym / Hinglish ("tamatar" -> tomato) > typo correction ("tomatp") > prefix ("toma").
+// Name mein match description se zyada wazan rakhta hai.
+// SEARCH_CANDIDATE_LIMIT: ek query mein itne products tak score hote hain (default 1000) - DB mein sasta relevance
+// signal (preRankExpression) se sort karke, taaki limit se pehle best matches chune jaayein
+const CANDIDATE_LIMIT = parseInt(process.env.SEARCH_CANDIDATE_LIMIT, 10) || 1000;
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+const MATCH_WEIGHTS = { exact: 1, synonym: 0.9, typo: 0.7, prefix: 0.6 };
+const FIELD_WEIGHTS = { name: 10, brand: 6, tags: 4, shortDescription: 2, other: 1 };
+
+// Built-in dictionary (admin SearchSynonym se override / band kar sakte hain)
+const DEFAULT_SYNONYMS = {
+  tamatar: ['tomato'], aloo: ['potato'], pyaz: ['onion'], kanda: ['onion'], adrak: ['ginger'], lahsun: ['garlic'],
+  mirch: ['chilli'], dhaniya: ['coriander'], pudina: ['mint'], palak: ['spinach'], gobhi: ['cauliflower'],
+  patta: ['cabbage'], bhindi: ['okra', 'lady finger'], baingan: ['brinjal', 'eggplant'], gajar: ['carrot'], matar: ['peas'],
+  kheera: ['cucumber'], nimbu: ['lemon'], kela: ['banana'], seb: ['apple'], santra: ['orange'], aam: ['mango'],
+  angoor: ['grapes'], doodh: ['milk'], dahi: ['curd', 'yogurt'], makhan: ['butter'], anda: ['egg'], chawal: ['rice'],
+  atta: ['flour', 'wheat flour'], maida: ['refined flour'], cheeni: ['sugar'], shakkar: ['sugar'], namak: ['salt'],
+  tel: ['oil'], haldi: ['turmeric'], jeera: ['cumin'], dal: ['lentils', 'pulses'], chai: ['tea'], sabun: ['soap'],
+  sabzi: ['vegetables'], phal: ['fruits'], murgi: ['chicken'], machli: ['fish'],
+  'टमाटर': ['tomato'], 'आलू': ['potato'], 'प्याज': ['onion'], 'दूध': ['milk'], 'चावल': ['rice'], 'आटा': ['flour'],
+};
+
+let dictionaryCache = null;
+let vocabularyCache = null;
+
+/**
+ * Drops cached dictionary and vocabulary (after dictionary edits or a reindex).
+ */
+function invalidateSearchCache() {
+  dictionaryCache = null;
+  vocabularyCache = null;
+}
+
+/**
+ * HELPER: Text ko phrase (index terms ki list) mein - "lady finger" -> ['lady', 'finger']
+ */
+const toPhrase = (text) => tokenize(text);
+
+/**
+ * All dictionary entries for the admin: custom SearchSynonym entries (active or not) plus built-in entries
+ * that no custom entry overrides.
+ * @returns {Promise<object[]>}
+ */
+async function listDictionaryEntries() {
+  const custom = await SearchSynonym.find().sort({ term: 1 }).lean();
+  // "doodh" aur "dudh" same word hain - override folded form par
+  const overridden = new Set(custom.map(entry => toPhrase(entry.term).join(' ')));
+  const builtIn = Object.entries(DEFAULT_SYNONYMS)
+    .filter(([term]) => !overridden.has(toPhrase(term).join(' ')))
+    .map(([term, synonyms]) => ({ term, synonyms, isActive: true, builtIn: true }));
+  return [...custom.map(entry => ({ ...entry, builtIn: false })), ...builtIn];
+}
+
+/**
+ * Effective dictionary (active entries) with a word -> alternative phrases lookup.
+ * @returns {Promise<{ entries: { term: string, synonyms: string[], builtIn: boolean }[], map: Map<string, string[][]> }>}
+ */
+async function getDictionary() {
+  if (dictionaryCache && Date.now() - dictionaryCache.loadedAt < CACHE_TTL_MS) return dictionaryCache;
+
+  const entries = (await listDictionaryEntries()).filter(entry => entry.isActive);
+
+  // Har word -> alternative phrases. Single-word synonyms ulta bhi (tomato -> tamatar)
+  const map = new Map();
+  const add = (word, phrase) => {
+    if (!word || !phrase.length || (phrase.length === 1 && phrase[0] === word)) return;
+    if (!map.has(word)) map.set(word, []);
+    const list = map.get(word);
+    if (!list.some(p => p.join(' ') === phrase.join(' '))) list.push(phrase);
+  };
+  for (const entry of entries) {
+    const [key] = toPhrase(entry.term);
+    for (const synonym of entry.synonyms) {
+      const phrase = toPhrase(synonym);
+      add(key, phrase);
+      if (phrase.length === 1) add(phrase[0], [key]);
+    }
+  }
+
+  dictionaryCache = { entries, map, loadedAt: Date.now() };
+  return dictionaryCache;
+}
+
+/**
+ * Words present in the approved catalog + dictionary words (typo correction inhi mein se hota hai).
+ * @returns {Promise<{ set: Set<string>, list: string[] }>}
+ */
+async function getVocabulary() {
+  if (vocabularyCache && Date.now() - vocabularyCache.loadedAt < CACHE_TTL_MS) return vocabularyCache;
+  const { map } = await getDictionary();
+  const terms = await Product.distinct('searchTerms', { isApproved: true });
+  const set = new Set([...terms, ...map.keys()]);
+  vocabularyCache = { set, list: [...set], loadedAt: Date.now() };
+  return vocabularyCache;
+}
+
+// Chhote words mein 1 galti, lambe mein 2. 3 letter se chhote words correct nahi hote.
+const maxTypos = (word) => (word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0);
+
+/**
+ * HELPER: Vocabulary ke sabse nazdeek words (typo correction). Number wale words skip.
+ */
+function closestTerms(word, vocabulary) {
+  const max = maxTypos(word);
+  if (!max || /\d/.test(word)) return [];
+  let best = max + 1;
+  let matches = [];
+  for (const candidate of vocabulary.list) {
+    if (Math.abs(candidate.length - word.length) > max) continue;
+    const distance = editDistance(word, candidate, Math.min(max, best));
+    if (distance < best) {
+      best = distance;
+      matches = [candidate];
+    } else if (distance === best && distance <= max) {
+      matches.push(candidate);
+    }
+  }
+  return matches.slice(0, 3);
+}
+
+/**
+ * Parses a search query into words with their alternatives (synonyms, typo corrections, prefix).
+ * options.prefix: aakhri word adhoora ho sakta hai (autocomplete) - wo prefix bhi maana jaata hai.
+ * @returns {Promise<{ words: { term: string, alternatives: { terms: string[], kind: string }[] }[],
+ *   prefix: string|null, corrections: { from: string, to: string }[] }>}
+ */
+async function analyzeQuery(query, options = {}) {
+  const raw = normalizeText(query).split(' ').filter(Boolean);
+  const terms = tokenize(query);
+  if (!terms.length) return { words: [], prefix: null, corrections: [] };
+
+  const [{ map }, vocabulary] = await Promise.all([getDictionary(), getVocabulary()]);
+  const lastTerm = raw.length ? toTerm(raw[raw.length - 1]) : null;
+  const prefix = options.prefix && terms.includes(lastTerm) ? lastTerm : null;
+  // Adhoora word jo kisi catalog word ki shuruaat hai wo typo nahi hai
+  const isKnownPrefix = prefix !== null && vocabulary.list.some(t => t.startsWith(prefix));
+
+  const corrections = [];
+  const words = terms.map(term => {
+    const alternatives = [{ terms: [term], kind: 'exact' }];
+    for (const phrase of map.get(term) || []) alternatives.push({ terms: phrase, kind: 'synonym' });
+
+    if (!vocabulary.set.has(term) && !(term === prefix && isKnownPrefix)) {
+      for (const fixed of closestTerms(term, vocabulary)) {
+        corrections.push({ from: term, to: fixed });
+        alternatives.push({ terms: [fixed], kind: 'typo' });
+        for (const phrase of map.get(fixed) || []) alternatives.push({ terms: phrase, kind: 'typo' });
+      }
+    }
+    if (term === prefix) alternatives.push({ terms: [term], kind: 'prefix' });
+    return { term, alternatives };
+  });
+
+  return { words, prefix, corrections };
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Mongo filter for products containing any analyzed word (or the prefix). {} for an empty query.
+ * Candidate lookup hai - ranking / "saare words chahiye" scoreProduct karta hai.
+ */
+function buildSearchMatch(analysis) {
+  if (!analysis.words.length) return {};
+  const terms = new Set();
+  for (const word of analysis.words) {
+    for (const alternative of word.alternatives) alternative.terms.forEach(t => terms.add(t));
+  }
+  const clauses = [{ searchTerms: { $in: [...terms] } }];
+  if (analysis.prefix) clauses.push({ searchTerms: { $regex: `^${escapeRegex(analysis.prefix)}` } });
+  return clauses.length === 1 ? clauses[0] : { $or: clauses };
+}
+
+/**
+ * HELPER: DB side relevance signal, CANDIDATE_LIMIT se pehle sort ke liye - scoreProduct ka sasta version:
+ * har word ka best match kind (searchTerms par), naam mein word ho to bonus, out of stock aadha.
+ */
+function preRankExpression(analysis) {
+  const searchTerms = { $ifNull: ['$searchTerms', []] };
+  const hit = ({ terms, kind }) => (kind === 'prefix'
+    ? { $anyElementTrue: [{ $map: { input: searchTerms, as: 't', in: { $regexMatch: { input: '$$t', regex: `^${escapeRegex(terms[0])}` } } } }] }
+    : { $setIsSubset: [{ $literal: terms }, searchTerms] });
+
+  const wordScores = analysis.words.map(word => ({
+    $max: [0, ...word.alternatives.map(alternative => ({ $cond: [hit(alternative), MATCH_WEIGHTS[alternative.kind], 0] }))],
+  }));
+  const nameHits = analysis.words.map(word => ({
+    $cond: [{ $regexMatch: { input: { $ifNull: ['$name', ''] }, regex: escapeRegex(word.term), options: 'i' } }, 1, 0],
+  }));
+  const inStock = { $cond: [{ $gt: [{ $sum: '$variants.stock' }, 0] }, 1, 0.5] };
+  return { $multiply: [{ $add: [...wordScores, ...nameHits] }, inStock] };
+}
+
+/**
+ * HELPER: Product ke field-wise term sets (score ke liye)
+ */
+function productFields(product) {
+  const tags = (product.otherInformation && product.otherInformation.tags) || [];
+  return [
+    [FIELD_WEIGHTS.name, new Set(tokenize(product.name))],
+    [FIELD_WEIGHTS.brand, new Set(tokenize(product.brand))],
+    [FIELD_WEIGHTS.tags, new Set(tokenize(tags.join(' ')))],
+    [FIELD_WEIGHTS.shortDescription, new Set(tokenize(product.shortDescription))],
+    [FIELD_WEIGHTS.other, new Set(productSearchTerms(product))],
+  ];
+}
+
+/**
+ * Relevance score of a product for an analyzed query, or null if it does not match enough words.
+ * 1-2 word query = saare words, usse lambi = ek word chhod sakte hain.
+ */
+function scoreProduct(product, analysis) {
+  const fields = productFields(product);
+  let score = 0;
+  let matched = 0;
+
+  for (const word of analysis.words) {
+    let best = 0;
+    for (const { terms, kind } of word.alternatives) {
+      for (const [weight, set] of fields) {
+        const hit = kind === 'prefix'
+          ? [...set].some(t => t.startsWith(terms[0]))
+          : terms.every(t => set.has(t));
+        if (hit) best = Math.max(best, weight * MATCH_WEIGHTS[kind]);
+      }
+    }
+    if (best > 0) matched++;
+    score += best;
+  }
+
+  const required = analysis.words.length <= 2 ? analysis.words.length : analysis.words.length - 1;
+  if (matched < required) return null;
+
+  // Poora query naam mein (usi order mein) = extra boost
+  const name = tokenize(product.name).join(' ');
+  const phrase = analysis.words.map(w => w.term).join(' ');
+  if (name.startsWith(phrase)) score += 5;
+  else if (name.includes(phrase)) score += 3;
+  if (product.isTrending) score += 1;
+
+  // Out of stock products neeche
+  const stock = (product.variants || []).reduce((sum, v) => sum + (v.stock || 0), 0);
+  if (stock <= 0) score *= 0.5;
+  return Math.round(score * 100) / 100;
+}
+
+const RESULT_FIELDS = 'name brand shortDescription fullDescription otherInformation.tags variants images unit isTrending seller category createdAt pincodes isGlobal';
+
+/**
+ * Relevance-ranked product search with filters and page-based pagination.
+ * Pincode / lat-lng ho to sirf wahan order ho sakne wale products (serviceability.service); blocked location = khali + blocked.
+ * @returns {Promise<{ query: string, corrections: object[], total: number, page: number, pages: number, products: object[], blocked?: string }>}
+ */
+async function searchProducts({ q, page = 1, limit = 20, categoryId, subcategoryId, brand, sellerId, minPrice, maxPrice, pincode, lat, lng }) {
+  const analysis = await analyzeQuery(q);
+  if (!analysis.words.length) return { query: q, corrections: [], total: 0, page, pages: 0, products: [] };
+
+  // Aggregate cast nahi karta - ids khud ObjectId
+  const { ObjectId } = mongoose.Types;
+  const filter = { isApproved: true, 'variants.0': { $exists: true }, $and: [buildSearchMatch(analysis)] };
+  if (categoryId) filter.category = new ObjectId(categoryId);
+  if (subcategoryId) filter.$and.push({ $or: [{ subcategory: new ObjectId(subcategoryId) }, { childCategory: new ObjectId(subcategoryId) }] });
+  if (brand) filter.brand = { $regex: `^${escapeRegex(brand)}$`, $options: 'i' };
+  if (sellerId) filter.seller = new ObjectId(sellerId);
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    const price = {};
+    if (minPrice !== undefined) price.$gte = minPrice;
+    if (maxPrice !== undefined) price.$lte = maxPrice;
+    filter.variants = { $elemMatch: { price } };
+  }
+
+  // Limit se pehle DB mein relevance sort - warna bahut matches par pehle mile products hi score hote, best wale nahi
+  let candidates = await Product.aggregate([
+    { $match: filter },
+    { $addFields: { preRank: preRankExpression(analysis) } },
+    { $sort: { preRank: -1, createdAt: -1 } },
+    { $limit: CANDIDATE_LIMIT },
+    { $project: Object.fromEntries(RESULT_FIELDS.split(' ').map(field => [field, 1])) },
+  ]);
+  const location = toLocation({ pincode, lat, lng });
+  if (hasLocation(location)) {
+    const { products, blocked } = await filterServiceable(candidates, location, await getDeliveryConfig());
+    if (blocked) return { query: q, corrections: [], total: 0, page, pages: 0, products: [], blocked };
+    candidates = products;
+  }
+
+  const ranked = candidates
+    .map(product => ({ product, score: scoreProduct(product, analysis) }))
+    .filter(r => r.score !== null)
+    .sort((a, b) => b.score - a.score || b.product.createdAt - a.product.createdAt);
+
+  // Listing jaisa shape (/api/products) - lambi description list mein nahi bhejte
+  const pageItems = ranked.slice((page - 1) * limit, page * limit).map(({ product, score }) => {
+    const prices = product.variants.map(v => v.price);
+    return {
+      _id: product._id,
+      name: product.name,
+      brand: product.brand,
+      shortDescription: product.shortDescription,
+      images: product.images,
+      unit: product.unit,
+      variants: product.variants,
+      isTrending: product.isTrending,
+      seller: product.seller,
+      category: product.category,
+      createdAt: product.createdAt,
+      price: Math.min(...prices),
+      originalPrice: Math.max(...product.variants.map(v => v.originalPrice || 0)) || null,
+      stock: product.variants.reduce((sum, v) => sum + (v.stock || 0), 0),
+      score,
+    };
+  });
+  await Product.populate(pageItems, [
+    { path: 'seller', select: 'name location' },
+    { path: 'category', select: 'name' },
+  ]);
+
+  // "Did you mean": har galat word ki sabse nazdeek correction
+  const corrections = analysis.corrections.filter((c, i, all) => all.findIndex(x => x.from === c.from) === i);
+  return { query: q, corrections, total: ranked.length, page, pages: Math.ceil(ranked.length / limit), products: pageItems };
+}
+
+/**
+ * Autocomplete: product names, categories and dictionary words for a partly typed query.
+ * @returns {Promise<{ query: string, suggestions: { text: string, type: string, productId?: any, categoryId?: any }[] }>}
+ */
+async function suggestSearch(q, limit = 8) {
+  const analysis = await analyzeQuery(q, { prefix: true });
+  if (!analysis.words.length) return { query: q, suggestions: [] };
+
+  const last = analysis.words[analysis.words.length - 1];
+  const complete = analysis.words.slice(0, -1);
+  const filter = {
+    isApproved: true,
+    $and: [
+      // Aakhri word prefix (ya uska synonym / correction), baaki words poore
+      { $or: [
+        { searchTerms: { $regex: `^${escapeRegex(last.term)}` } },
+        { searchTerms: { $in: last.alternatives.flatMap(a => a.terms) } },
+      ] },
+      ...complete.map(word => ({ searchTerms: { $in: word.alternatives.flatMap(a => a.terms) } })),
+    ],
+  };
+
+  const { entries } = await getDictionary();
+  const rawLast = normalizeText(q).split(' ').pop();
+  const [products, categories] = await Promise.all([
+    Product.find(filter).select('name brand isTrending').limit(limit * 5).lean(),
+    Category.find({ isActive: true, name: { $regex: `^${escapeRegex(rawLast)}`, $options: 'i' } }).select('name').limit(3).lean(),
+  ]);
+
+  const suggestions = [];
+  const seen = new Set();
+  const push = (item) => {
+    const key = item.text.toLowerCase();
+    if (seen.has(key) || suggestions.length >= limit) return;
+    seen.add(key);
+    suggestions.push(item);
+  };
+
+  // "tama" -> "tomato" (Hinglish word type ho raha ho to English naam bhi sujhao)
+  if (!complete.length) {
+    for (const entry of entries) {
+      if (toTerm(normalizeText(entry.term)).startsWith(last.term) && entry.synonyms.length) {
+        push({ text: entry.synonyms[0], type: 'synonym', matched: entry.term });
+      }
+    }
+  }
+  categories.forEach(c => push({ text: c.name, type: 'category', categoryId: c._id }));
+
+  const phrase = analysis.words.map(w => w.term).join(' ');
+  products
+    .map(p => ({ p, starts: tokenize(p.name).join(' ').startsWith(phrase) }))
+    .sort((a, b) => b.starts - a.starts || b.p.isTrending - a.p.isTrending || a.p.name.length - b.p.name.length)
+    .forEach(({ p }) => push({ text: p.name, type: 'product', productId: p._id }));
+
+  return { query: q, suggestions };
+}
+
+/**
+ * Rebuilds Product.searchTerms for every product whose terms are missing or stale (purane products / field rules badle).
+ * @returns {Promise<{ scanned: number, updated: number }>}
+ */
+async function reindexProducts() {
+  const cursor = Product.find()
+    .select('+searchTerms name brand shortDescription fullDescription otherInformation.tags variants.color variants.size')
+    .lean()
+    .cursor();
+
+  let scanned = 0;
+  let updated = 0;
+  let ops = [];
+  for await (const product of cursor) {
+    scanned++;
+    const terms = productSearchTerms(product);
+    if ((product.searchTerms || []).join(' ') === terms.join(' ')) continue;
+    ops.push({ updateOne: { filter: { _id: product._id }, update: { $set: { searchTerms: terms } } } });
+    if (ops.length >= 500) {
+      updated += (await Product.bulkWrite(ops, { ordered: false })).modifiedCount;
+      ops = [];
+    }
+  }
+  if (ops.length) updated += (await Product.bulkWrite(ops, { ordered: false })).modifiedCount;
+
+  invalidateSearchCache();
+  return { scanned, updated };
+}
+
+module.exports = {
+  invalidateSearchCache,
+  listDictionaryEntries,
+  getDictionary,
+  analyzeQuery,
+  buildSearchMatch,
+  scoreProduct,
+  searchProducts,
+  suggestSearch,
+  reindexProducts,
+};
@@ -0,0 +1,53 @@
+const { Joi, objectId, idParam, pincode, latitude, longitude } = require('../../middleware/validate');
+
+// --------- SEARCH REQUEST SCHEMAS ----------
+const search = {
+  query: Joi.object({
+    q: Joi.string().trim().min(1).max(100).required(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(20),
+    categoryId: objectId(),
+    subcategoryId: objectId(),
+    sellerId: objectId(),
+    brand: Joi.string().trim().max(100),
+    minPrice: Joi.number().min(0),
+    maxPrice: Joi.number().min(0),
+    // Delivery location - sirf yahan order ho sakne wale products
+    pincode: pincode(),
+    lat: latitude(),
+    lng: longitude(),
+  }),
+};
+
+const suggest = {
+  query: Joi.object({
+    // Trim nahi - aakhri space batata hai ki word poora ho gaya
+    q: Joi.string().min(1).max(100).required(),
+    limit: Joi.number().integer().min(1).max(20).default(8),
+  }),
+};
+
+// Dictionary term ek word hota hai (Hinglish / Devanagari bhi), synonyms phrase ho sakte hain
+const term = () => Joi.string().trim().lowercase().max(50).pattern(/^[\p{L}\p{M}\p{N}]+$/u)
+  .messages({ 'string.pattern.base': '{{#label}} must be a single word' });
+const synonymList = () => Joi.array().items(Joi.string().trim().min(1).max(60)).min(1).max(20).unique();
+
+const createSynonym = {
+  body: Joi.object({
+    term: term().required(),
+    synonyms: synonymList().required(),
+    isActive: Joi.boolean(),
+  }),
+};
+
+const updateSynonym = {
+  params: idParam(),
+  body: Joi.object({
+    synonyms: synonymList(),
+    isActive: Joi.boolean(),
+  }).min(1),
+};
+
+const byId = { params: idParam() };
+
+module.exports = { search, suggest, createSynonym, updateSynonym, byId };
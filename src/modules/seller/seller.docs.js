@@ -0,0 +1,61 @@
+// --------- SELLER API DOCS (see src/docs/openapi.js) ----------
+module.exports = {
+  tag: 'Seller',
+  routes: {
+    'GET /api/seller/financials': { summary: 'Revenue, commission, payouts and wallet balance', response: 'object' },
+    'GET /api/seller/alerts': {
+      summary: 'Low stock and pending daily update alerts',
+      response: { lowStock: ['Product'], pendingUpdates: ['Product'], totalAlerts: 'integer' },
+    },
+    'GET /api/seller/alerts/high-demand': { summary: 'Products with high demand in the last days', response: ['object'] },
+    'GET /api/seller/analytics/peak-time': { summary: 'Order count by hour of day', response: { peakTimes: ['object'] } },
+    'GET /api/seller/trust-score': {
+      summary: 'Rating, completion rate and trust badge',
+      response: { avgRating: 'string', totalReviews: 'integer', completionRate: 'string', isTrusted: 'boolean', score: 'number' },
+    },
+    'GET /api/seller/orders/{id}/shipping-label': { summary: 'Shipping label PDF for an order', produces: 'application/pdf' },
+    'POST /api/seller/products/{id}/boost': { summary: 'Boost a product (paid from wallet)', response: { message: 'string', newBalance: 'number' } },
+    'POST /api/seller/coupons': { summary: 'Create a coupon for own products', status: 201, response: 'Coupon' },
+
+    // Payouts
+    'POST /api/seller/bank-details': { summary: 'Save bank/UPI details for payouts', response: { message: 'string', payoutDetails: 'object' } },
+    'POST /api/seller/payouts/request': { summary: 'Request a payout', status: 201, response: { message: 'string', payout: 'Payout' } },
+    'GET /api/seller/payouts': { summary: 'Own payout history', response: ['Payout'] },
+    'GET /api/admin/payouts/pending': { summary: 'Pending payout requests (admin)', response: ['Payout'] },
+    'PUT /api/admin/payouts/{id}/process': { summary: 'Mark a payout as transferred', response: { message: 'string', payout: 'Payout' } },
+
+    // KYC
+    'GET /api/seller/kyc': {
+      summary: 'Own KYC application and documents still missing',
+      description: 'Sellers approved before KYC was required get a kycDeadline; they can keep selling until then.',
+      response: { kycStatus: 'string', kycDeadline: 'string', application: 'KycApplication', missingDocuments: ['string'] },
+    },
+    'PUT /api/seller/kyc': { summary: 'Save business name, GSTIN and PAN (draft or rejected KYC only)', response: { message: 'string', application: 'KycApplication' } },
+    'POST /api/seller/kyc/documents': {
+      summary: 'Upload a KYC document (replaces an earlier upload of the same type)',
+      status: 201,
+      files: ['document'],
+      response: { message: 'string', application: 'KycApplication' },
+    },
+    'GET /api/seller/kyc/documents/{docId}/file': {
+      summary: 'Download an own KYC document',
+      description: 'KYC files are stored privately and have no public URL.',
+      produces: 'application/octet-stream',
+    },
+    'POST /api/seller/kyc/submit': {
+      summary: 'Submit KYC for admin review',
+      description: 'Needs business name, PAN and the PAN card, shop photo and address proof (plus GST certificate when a GSTIN is given). Rejected documents must be re-uploaded first.',
+      response: { message: 'string', application: 'KycApplication' },
+    },
+    'GET /api/admin/kyc': { summary: 'KYC applications by status (default: Pending)', response: ['KycApplication'] },
+    'GET /api/admin/kyc/{id}': { summary: 'KYC application with its review history', response: 'KycApplication' },
+    'GET /api/admin/kyc/{id}/documents/{docId}/file': { summary: 'Download a KYC document for review', produces: 'application/octet-stream' },
+    'PUT /api/admin/kyc/{id}/documents/{docId}': {
+      summary: 'Approve or reject a single KYC document', response: { message: 'string', application: 'KycApplication' },
+    },
+    'POST /api/admin/kyc/{id}/decision': {
+      summary: 'Approve (activates the seller) or reject a KYC application',
+      response: { message: 'string', application: 'KycApplication' },
+    },
+  },
+};
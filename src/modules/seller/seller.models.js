@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const payoutSchema = new mongoose.Schema({
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  amount: { type: Number, required: true },
+  status: { type: String, enum: ['pending', 'processed', 'failed'], default: 'pending' },
+  transactionId: String,
+  processedAt: Date,
+  notes: String
+}, { timestamps: true });
+const Payout = mongoose.model('Payout', payoutSchema);
+
+// --------- SELLER KYC ----------
+// Seller ki KYC application: business details + documents. Har document alag se review hota hai,
+// reject hone par seller wahi document dobara upload karke resubmit karta hai.
+const KYC_DOCUMENT_TYPES = ['pan_card', 'gst_certificate', 'shop_photo', 'address_proof', 'cancelled_cheque'];
+// GST certificate sirf tab zaroori hai jab seller ne GSTIN diya ho (dekhein kycMissingDocuments)
+const REQUIRED_KYC_DOCUMENTS = ['pan_card', 'shop_photo', 'address_proof'];
+
+const kycDocumentSchema = new mongoose.Schema({
+  type: { type: String, enum: KYC_DOCUMENT_TYPES, required: true },
+  url: String, // Sirf purane (public) uploads - private files KYC file routes se milti hain
+  publicId: String,
+  isPrivate: { type: Boolean, default: false },
+  status: { type: String, enum: ['Pending', 'Approved', 'Rejected'], default: 'Pending' },
+  rejectionReason: String,
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: Date,
+  uploadedAt: { type: Date, default: Date.now }
+});
+
+const kycApplicationSchema = new mongoose.Schema({
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  businessName: String,
+  gstin: String,
+  pan: String,
+  documents: [kycDocumentSchema],
+
+  // Draft = seller bhar raha hai, Pending = admin review mein, Approved/Rejected = admin decision
+  status: { type: String, enum: ['Draft', 'Pending', 'Approved', 'Rejected'], default: 'Draft', index: true },
+  rejectionReason: String,
+  submittedAt: Date,
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: Date,
+
+  // Har upload / submit / review decision ka record
+  history: [{
+    action: { type: String, enum: ['details_updated', 'document_uploaded', 'submitted', 'document_approved', 'document_rejected', 'approved', 'rejected'] },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    documentType: String,
+    note: String,
+    timestamp: { type: Date, default: Date.now }
+  }]
+}, { timestamps: true });
+const KycApplication = mongoose.model('KycApplication', kycApplicationSchema);
+
+module.exports = { Payout, KycApplication, KYC_DOCUMENT_TYPES, REQUIRED_KYC_DOCUMENTS };
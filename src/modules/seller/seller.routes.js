@@ -0,0 +1,936 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+
+const { kycUpload } = require('../../config/upload');
+const { authorizeRole, checkSellerApproved, protect, requirePermission, requireStepUp } = require('../../middleware/auth');
+const { audit } = require('../../middleware/audit');
+const { idempotent } = require('../../middleware/idempotency');
+const { validate } = require('../../middleware/validate');
+const { deleteFile, sendStoredFile } = require('../../storage');
+const { AppSettings } = require('../admin/admin.models');
+const { isInScope, userPincodes, userRefScopeFilter } = require('../admin/rbac.service');
+const { User } = require('../auth/auth.models');
+const { setRoleApproval } = require('../auth/roles.service');
+const { Product, Review } = require('../catalog/catalog.models');
+const { Coupon, Order } = require('../orders/orders.models');
+const { WalletTransaction } = require('../ride/ride.models');
+const { KycApplication, Payout } = require('./seller.models');
+const { notifyAdmin, sendPushNotification, sendWhatsApp } = require('../notifications/notifications.service');
+const { calculateSellerFinancials, kycMissingDocuments } = require('./seller.service');
+const schemas = require('./seller.validation');
+
+const router = express.Router();
+
+router.get('/api/seller/financials', protect, authorizeRole('seller'), async (req, res) => {
+  try {
+    const sellerId = req.user._id;
+
+    const appSettings = await AppSettings.findOne({ singleton: true });
+    const PLATFORM_COMMISSION_RATE = appSettings ? appSettings.platformCommissionRate : 0.05;
+
+    // ✅ TOTAL REVENUE (Delivered orders only)
+    const totalRevenueResult = await Order.aggregate([
+      { 
+        $match: { 
+          seller: new mongoose.Types.ObjectId(sellerId), 
+          deliveryStatus: 'Delivered', 
+          paymentStatus: 'completed' 
+        } 
+      },
+      { 
+        $group: { 
+          _id: null, 
+          totalSales: { $sum: "$totalAmount" } 
+        } 
+      }
+    ]);
+    const totalRevenue = totalRevenueResult[0]?.totalSales || 0;
+
+    const platformCommission = totalRevenue * PLATFORM_COMMISSION_RATE;
+    const netEarnings = totalRevenue - platformCommission;
+
+    // ✅ PROCESSED PAYOUTS
+    const totalPayoutsResult = await Payout.aggregate([
+      { 
+        $match: { 
+          seller: new mongoose.Types.ObjectId(sellerId), 
+          status: 'processed' 
+        } 
+      },
+      { 
+        $group: { 
+          _id: null, 
+          totalProcessed: { $sum: "$amount" } 
+        } 
+      }
+    ]);
+    const totalPayouts = totalPayoutsResult[0]?.totalProcessed || 0;
+
+    // ✅ PENDING PAYOUTS (NEW)
+    const pendingPayoutsResult = await Payout.aggregate([
+      { 
+        $match: { 
+          seller: new mongoose.Types.ObjectId(sellerId), 
+          status: 'pending' 
+        } 
+      },
+      { 
+        $group: { 
+          _id: null, 
+          totalPending: { $sum: "$amount" } 
+        } 
+      }
+    ]);
+    const pendingPayouts = pendingPayoutsResult[0]?.totalPending || 0;
+
+    // ✅ CALCULATE BALANCES
+    const currentBalance = netEarnings - totalPayouts;
+    const availableBalance = Math.max(0, currentBalance - pendingPayouts);
+
+    // ✅ PAYOUT HISTORY
+    const payouts = await Payout.find({ seller: sellerId }).sort({ createdAt: -1 });
+
+    // ✅ ADDITIONAL STATS (NEW)
+    const totalOrdersResult = await Order.aggregate([
+      { 
+        $match: { 
+          seller: new mongoose.Types.ObjectId(sellerId),
+          deliveryStatus: 'Delivered'
+        } 
+      },
+      { 
+        $group: { 
+          _id: null, 
+          totalOrders: { $sum: 1 } 
+        } 
+      }
+    ]);
+    const totalOrders = totalOrdersResult[0]?.totalOrders || 0;
+
+    res.json({
+      // Basic Financials
+      totalRevenue: totalRevenue,
+      netEarnings: netEarnings,
+      platformCommission: platformCommission,
+      totalPayouts: totalPayouts,
+      
+      // Balances (NEW FIELDS)
+      currentBalance: currentBalance,
+      pendingPayouts: pendingPayouts,
+      availableBalance: availableBalance,
+      
+      // Additional Stats (NEW)
+      totalOrders: totalOrders,
+      commissionRate: PLATFORM_COMMISSION_RATE,
+      
+      // Payout History
+      payouts: payouts,
+      
+      // Payout Limits (NEW)
+      payoutLimits: {
+        minimumPayout: 100,
+        maximumPayout: availableBalance
+      }
+    });
+
+  } catch (err) {
+    console.error('Error fetching seller financials:', err.message);
+    res.status(500).json({ message: 'Error fetching financial data', error: err.message });
+  }
+});
+
+// ✅ GET ALERTS API (For Seller Dashboard Pop-up)
+router.get('/api/seller/alerts', protect, authorizeRole('seller'), async (req, res) => {
+    try {
+        // Find products with low stock
+        // Logic: stock <= lowStockThreshold
+        const lowStockProducts = await Product.find({
+            seller: req.user._id,
+            $expr: { $lte: ["$stock", "$lowStockThreshold"] } // Compare fields
+        }).select('name stock lowStockThreshold images');
+
+        // Find products needing daily update (Optional logic: You can verify last updated date)
+        const dailyUpdateProducts = await Product.find({
+            seller: req.user._id,
+            dailyPriceUpdate: true
+        }).select('name price updatedAt');
+
+        // Filter daily products that haven't been updated TODAY
+        const startOfToday = new Date();
+        startOfToday.setHours(0,0,0,0);
+        
+        const pendingDailyUpdates = dailyUpdateProducts.filter(p => {
+            return new Date(p.updatedAt) < startOfToday;
+        });
+
+        res.json({
+            lowStock: lowStockProducts,
+            pendingUpdates: pendingDailyUpdates,
+            totalAlerts: lowStockProducts.length + pendingDailyUpdates.length
+        });
+
+    } catch (err) {
+        res.status(500).json({ message: 'Error fetching alerts' });
+    }
+});
+
+router.get('/api/seller/orders/:id/shipping-label', protect, authorizeRole('seller'), validate(schemas.byId), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).populate('user', 'name phone');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.seller.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied to this order' });
+    }
+
+    const sellerAddress = req.user.pickupAddress;
+    if (!sellerAddress || !sellerAddress.isSet || !sellerAddress.pincode) {
+      return res.status(400).json({ message: 'Seller pickup address is not set in your profile. Please update it first.' });
+    }
+
+    const customerAddressString = order.shippingAddress;
+    const customerName = order.user.name;
+    const customerPhone = order.user.phone;
+    const orderId = order._id.toString();
+
+    const barcodePng = await bwipjs.toBuffer({
+      bcid: 'code128',
+      text: orderId,
+      scale: 3,
+      height: 12,
+      includetext: true,
+      textxalign: 'center',
+    });
+
+    const finalAmount = (order.totalAmount + order.shippingFee + order.taxAmount) - order.discountAmount;
+
+    const doc = new PDFDocument({
+      size: [288, 432],
+      margins: { top: 20, bottom: 20, left: 20, right: 20 }
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="label-${orderId}.pdf"`);
+
+    doc.pipe(res);
+
+    doc.fontSize(14).font('Helvetica-Bold').text(`Order: #${orderId.slice(-8)}`, { align: 'center' });
+    doc.fontSize(10).font('Helvetica').text(`Payment: ${order.paymentMethod.toUpperCase()}`, { align: 'center' });
+
+    if (order.paymentMethod === 'cod' || order.paymentMethod === 'razorpay_cod') {
+      doc.fontSize(12).font('Helvetica-Bold').text(`Amount Due: ₹${finalAmount.toFixed(2)}`, { align: 'center' });
+    }
+    doc.moveDown(1);
+
+    doc.fontSize(10).font('Helvetica-Bold').text('SHIP FROM:');
+    doc.fontSize(10).font('Helvetica').text(req.user.name);
+    doc.text(sellerAddress.street);
+    if (sellerAddress.landmark) doc.text(`Landmark: ${sellerAddress.landmark}`);
+    if (sellerAddress.village) doc.text(`Village: ${sellerAddress.village}`);
+    doc.text(`${sellerAddress.city}, ${sellerAddress.state} - ${sellerAddress.pincode}`);
+    doc.text(`Phone: ${req.user.phone}`);
+
+    doc.moveDown(2);
+
+    doc.rect(15, 170, 258, 120).stroke();
+    doc.fontSize(12).font('Helvetica-Bold').text('SHIP TO:', 20, 175);
+    doc.fontSize(14).font('Helvetica-Bold').text(customerName, 20, 195);
+    doc.fontSize(12).font('Helvetica').text(`Phone: ${customerPhone}`, 20, 215);
+    doc.text(customerAddressString, 20, 235, { width: 248 });
+
+    doc.moveDown(6);
+
+    doc.image(barcodePng, {
+      fit: [250, 70],
+      align: 'center',
+      valign: 'bottom'
+    });
+
+    doc.end();
+
+  } catch (err) {
+    console.error('Failed to generate shipping label:', err.message);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Error generating PDF label', error: err.message });
+    }
+  }
+});
+
+// Seller payout request
+// POST /api/seller/payouts/request (Modified)
+
+// POST /api/seller/payouts/request (Modified for Manual Payouts)
+
+router.post('/api/seller/payouts/request', protect, authorizeRole('seller'), checkSellerApproved, validate(schemas.requestPayout), idempotent(), async (req, res) => {
+    try {
+        const sellerId = req.user._id;
+        const { amount } = req.body; // अब upiId को body से लेने की ज़रूरत नहीं है
+
+        const amountFloat = parseFloat(amount);
+        if (isNaN(amountFloat) || amountFloat <= 0 || amountFloat < 100) {
+             return res.status(400).json({ message: 'Invalid or insufficient payout amount (Min ₹100).' });
+        }
+
+        // 1. Get current balance using the helper
+        const financials = await calculateSellerFinancials(sellerId);
+
+        if (amountFloat > financials.availableBalance) { 
+            return res.status(400).json({ message: 'Insufficient available balance.' });
+        }
+
+        // 2. CRITICAL CHECK: Ensure bank details are present for manual transfer
+        const payoutDetails = req.user.payoutDetails;
+        if (!payoutDetails || (!payoutDetails.bankAccountNumber && !payoutDetails.vpa)) {
+            return res.status(400).json({ message: 'Bank details not set. Please add your payout account details first.' });
+        }
+
+        // 3. Create Payout record in your DB (status: pending)
+        const payout = await Payout.create({
+            seller: sellerId,
+            amount: amountFloat,
+            status: 'pending',
+            notes: `MANUAL TRANSFER: ${payoutDetails.bankAccountNumber ? `A/C: ${payoutDetails.bankAccountNumber}` : `VPA: ${payoutDetails.vpa}`}`
+        });
+
+        // 4. Notify admin for manual processing
+        await notifyAdmin(
+            `🚨 MANUAL PAYOUT REQUIRED 🚨\n` +
+            `Seller: ${req.user.name}\n` +
+            `Amount: ₹${amountFloat.toFixed(2)}\n` +
+            `Details: A/C: ${payoutDetails.bankAccountNumber || 'N/A'}, IFSC: ${payoutDetails.ifsc || 'N/A'}, VPA: ${payoutDetails.vpa || 'N/A'}\n` +
+            `Payout ID: ${payout._id}`
+        );
+
+        res.status(201).json({
+            message: 'Payout request submitted successfully. Awaiting manual transfer by admin.',
+            payout
+        });
+
+    } catch (err) {
+        console.error('Manual Payout request error:', err.message);
+        res.status(500).json({ message: 'Error requesting payout', error: err.message });
+    }
+});
+// Get seller payout history
+router.get('/api/seller/payouts', protect, authorizeRole('seller'), async (req, res) => {
+  try {
+    const payouts = await Payout.find({ seller: req.user._id })
+      .sort({ createdAt: -1 });
+    
+    res.json(payouts);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching payout history', error: err.message });
+  }
+});
+
+// Get all pending payouts (Admin)
+router.get('/api/admin/payouts/pending', protect, authorizeRole('admin'), requirePermission('payouts.process'), async (req, res) => {
+  try {
+    const payouts = await Payout.find({ status: 'pending' })
+      .populate('seller', 'name email phone')
+      .sort({ createdAt: 1 });
+    
+    res.json(payouts);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching pending payouts', error: err.message });
+  }
+});
+
+// Process payout (Admin)
+// Process payout (Admin) - Confirms Admin has manually transferred funds
+router.put('/api/admin/payouts/:id/process', protect, authorizeRole('admin'), requirePermission('payouts.process'), requireStepUp, validate(schemas.processPayout), audit('payout.process', 'Payout'), async (req, res) => {
+    try {
+        const { transactionId, notes } = req.body;
+        // transactionId यहाँ वह UTR (Unique Transaction Reference) होना चाहिए जो Admin ने बैंक से ट्रांसफर करते समय प्राप्त किया था।
+        
+        const payout = await Payout.findById(req.params.id).populate('seller');
+        if (!payout) {
+            return res.status(404).json({ message: 'Payout not found' });
+        }
+
+        if (payout.status !== 'pending') {
+            return res.status(400).json({ message: 'Payout already processed' });
+        }
+        
+        if (!transactionId) {
+             return res.status(400).json({ message: 'Transaction ID (UTR) is required to mark as processed.' });
+        }
+
+        req.audit.before = { status: payout.status, transactionId: payout.transactionId };
+        // Update payout status
+        payout.status = 'processed';
+        payout.transactionId = transactionId;
+        payout.processedAt = new Date();
+        payout.notes = `${payout.notes || ''} | Processed by admin. New Note: ${notes || 'N/A'}`;
+        
+        await payout.save();
+        req.audit.after = { status: payout.status, transactionId: payout.transactionId };
+        req.audit.metadata = { amount: payout.amount, seller: payout.seller._id, notes };
+
+        // Notify seller that transfer is complete
+        const sellerMessage = `✅ Your manual payout of ₹${payout.amount} has been processed! Please check your bank account/UPI. UTR: ${transactionId}`;
+        await sendWhatsApp(payout.seller.phone, sellerMessage);
+
+        if (payout.seller.fcmToken) {
+            await sendPushNotification(
+                payout.seller.fcmToken,
+                '💰 Payout Processed!',
+                `Your manual payout of ₹${payout.amount} is complete.`,
+                { type: 'PAYOUT_PROCESSED', payoutId: payout._id.toString() }
+            );
+        }
+
+        res.json({
+            message: 'Payout processed successfully (Manually Confirmed)',
+            payout
+        });
+
+    } catch (err) {
+        console.error('Process payout error:', err.message);
+        res.status(500).json({ message: 'Error processing payout', error: err.message });
+    }
+});
+
+// POST /api/seller/bank-details
+// Seller अपने बैंक खाते या UPI VPA को जोड़ने के लिए इस रूट का उपयोग करेगा।
+
+// POST /api/seller/bank-details (Modified for Manual Payouts)
+// [CORRECTED ADMIN ROUTE] - Admin approves customer return request and creates/updates delivery assignment
+// [CORRECTED ADMIN ROUTE] - Admin approves customer return request and updates existing assignment
+// [CORRECTED ADMIN ROUTE] - Admin approves customer return request and updates existing assignment
+
+
+router.post('/api/seller/bank-details', protect, authorizeRole('seller'), validate(schemas.bankDetails), async (req, res) => {
+    try {
+        const { bankAccountNumber, ifsc, vpa, accountHolderName } = req.body;
+        const seller = req.user;
+
+        if ((!bankAccountNumber || !ifsc) && !vpa) {
+            return res.status(400).json({ message: 'Bank Account/IFSC OR UPI VPA is required.' });
+        }
+
+        // 1. Store the details directly in the user profile
+        seller.payoutDetails = {
+            accountType: bankAccountNumber ? 'bank' : 'vpa',
+            bankAccountNumber: bankAccountNumber || null,
+            ifsc: ifsc || null,
+            vpa: vpa || null,
+            // (Optional) Store accountHolderName in User.name or a separate field if needed
+        };
+        await seller.save();
+
+        // 2. Notify admin that new manual bank details are available
+        await notifyAdmin(
+            `💰 NEW Manual Payout Details Added/Updated!\n` +
+            `Seller: ${seller.name} (${seller.phone})\n` +
+            `A/C: ${bankAccountNumber} IFSC: ${ifsc} VPA: ${vpa}`
+        );
+
+        res.status(200).json({ 
+            message: `Payout details saved successfully for manual transfer.`, 
+            payoutDetails: seller.payoutDetails
+        });
+
+    } catch (err) {
+        console.error('Manual Bank Details Setup Error:', err.message);
+        res.status(500).json({ 
+            message: 'Error saving bank details.', 
+            error: err.message 
+        });
+    }
+});
+
+// ✅ GET: Peak Order Time Analysis (For Sellers)
+router.get('/api/seller/analytics/peak-time', protect, authorizeRole('seller'), async (req, res) => {
+    try {
+        const peakTimes = await Order.aggregate([
+            { $match: { seller: req.user._id, paymentStatus: 'completed' } },
+            {
+                $project: {
+                    hour: { $hour: "$createdAt" }, // Extract hour (0-23)
+                    dayOfWeek: { $dayOfWeek: "$createdAt" } // 1 (Sun) - 7 (Sat)
+                }
+            },
+            {
+                $group: {
+                    _id: "$hour",
+                    count: { $sum: 1 }
+                }
+            },
+            { $sort: { count: -1 } }, // Highest orders first
+            { $limit: 5 }
+        ]);
+
+        // Map hours to readable format (e.g., 14 -> "2 PM")
+        const formatted = peakTimes.map(pt => ({
+            hour: pt._id,
+            label: new Date(0, 0, 0, pt._id).toLocaleTimeString('en-US', { hour: 'numeric', hour12: true }),
+            orders: pt.count
+        }));
+
+        res.json({ peakTimes: formatted });
+    } catch (err) {
+        res.status(500).json({ message: 'Error analyzing peak times', error: err.message });
+    }
+});
+
+// ✅ GET: High Demand Products Alert (Velocity Check)
+router.get('/api/seller/alerts/high-demand', protect, authorizeRole('seller'), async (req, res) => {
+    try {
+        const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+        const highDemandProducts = await Order.aggregate([
+            { 
+                $match: { 
+                    seller: req.user._id, 
+                    createdAt: { $gte: twentyFourHoursAgo },
+                    paymentStatus: 'completed'
+                } 
+            },
+            { $unwind: "$orderItems" },
+            {
+                $group: {
+                    _id: "$orderItems.product",
+                    salesLast24h: { $sum: "$orderItems.qty" }
+                }
+            },
+            { $match: { salesLast24h: { $gte: 5 } } }, // Threshold: 5+ sales in 24h = High Demand
+            {
+                $lookup: {
+                    from: 'products',
+                    localField: '_id',
+                    foreignField: '_id',
+                    as: 'product'
+                }
+            },
+            { $unwind: "$product" },
+            {
+                $project: {
+                    name: "$product.name",
+                    salesLast24h: 1,
+                    image: { $arrayElemAt: ["$product.images.url", 0] }
+                }
+            }
+        ]);
+
+        res.json(highDemandProducts);
+    } catch (err) {
+        res.status(500).json({ message: 'Error checking demand', error: err.message });
+    }
+});
+
+// ✅ POST: Boost Product (Paid Feature)
+// Seller pays ₹50 to mark product as "Trending" for 7 days
+router.post('/api/seller/products/:id/boost', protect, authorizeRole('seller'), checkSellerApproved, validate(schemas.byId), async (req, res) => {
+    const BOOST_COST = 50; 
+    const DURATION_DAYS = 7;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const seller = await User.findById(req.user._id).session(session);
+        if (seller.walletBalance < BOOST_COST) {
+            await session.abortTransaction();
+            return res.status(400).json({ message: `Insufficient wallet balance. Recharge ₹${BOOST_COST} to boost.` });
+        }
+
+        // 1. Deduct Money
+        seller.walletBalance -= BOOST_COST;
+        await seller.save({ session });
+
+        // 2. Update Product
+        const product = await Product.findOneAndUpdate(
+            { _id: req.params.id, seller: seller._id },
+            { isTrending: true }, // Mark as Trending/Featured
+            { new: true, session }
+        );
+
+        if (!product) {
+            await session.abortTransaction();
+            return res.status(404).json({ message: 'Product not found.' });
+        }
+
+        // 3. Log Transaction
+        await WalletTransaction.create([{
+            seller: seller._id,
+            type: 'Debit',
+            amount: BOOST_COST,
+            balanceBefore: seller.walletBalance + BOOST_COST,
+            balanceAfter: seller.walletBalance,
+            description: `Product Boost: ${product.name} (7 Days)`
+        }], { session });
+
+        await session.commitTransaction();
+
+        // 4. Schedule auto-removal of boost (Optional: Use cron for persistence)
+        // For simplicity, we assume a nightly cron job will uncheck 'isTrending' after 7 days
+        // based on a 'boostExpiresAt' field (add this to schema if strict tracking needed).
+
+        res.json({ message: `Product boosted successfully! ₹${BOOST_COST} deducted.`, newBalance: seller.walletBalance });
+
+    } catch (err) {
+        await session.abortTransaction();
+        res.status(500).json({ message: 'Error boosting product', error: err.message });
+    } finally {
+        session.endSession();
+    }
+});
+
+// ✅ POST: Create Seller Coupon
+router.post('/api/seller/coupons', protect, authorizeRole('seller'), checkSellerApproved, validate(schemas.createSellerCoupon), async (req, res) => {
+    try {
+        const { code, discountType, discountValue, minPurchaseAmount, expiryDate } = req.body;
+        
+        const newCoupon = await Coupon.create({
+            code: code.toUpperCase(),
+            discountType,
+            discountValue,
+            minPurchaseAmount: minPurchaseAmount || 0,
+            expiryDate,
+            seller: req.user._id, // Locked to this seller
+            isActive: true
+        });
+
+        res.status(201).json(newCoupon);
+    } catch (err) {
+        res.status(500).json({ message: 'Error creating coupon', error: err.message });
+    }
+});
+
+// ✅ GET: Check & Update Trust Score
+router.get('/api/seller/trust-score', protect, authorizeRole('seller'), async (req, res) => {
+    try {
+        const sellerId = req.user._id;
+
+        // 1. Calculate Average Rating from Reviews
+        // (Assuming Review model has product reference, we look up products by seller)
+        const sellerProducts = await Product.find({ seller: sellerId }).select('_id');
+        const productIds = sellerProducts.map(p => p._id);
+
+        const ratingStats = await Review.aggregate([
+            { $match: { product: { $in: productIds } } },
+            { $group: { _id: null, avgRating: { $avg: "$rating" }, totalReviews: { $sum: 1 } } }
+        ]);
+
+        const avgRating = ratingStats[0]?.avgRating || 0;
+        const totalReviews = ratingStats[0]?.totalReviews || 0;
+
+        // 2. Calculate Order Completion Rate
+        const totalOrders = await Order.countDocuments({ seller: sellerId });
+        const cancelledOrders = await Order.countDocuments({ seller: sellerId, deliveryStatus: 'Cancelled' });
+        
+        let completionRate = 100;
+        if (totalOrders > 0) {
+            completionRate = ((totalOrders - cancelledOrders) / totalOrders) * 100;
+        }
+
+        // 3. Determine Trust Badge
+        // Criteria: 4.0+ Rating, 10+ Reviews, 90%+ Completion Rate
+        let isTrusted = false;
+        if (avgRating >= 4.0 && totalReviews >= 10 && completionRate >= 90) {
+            isTrusted = true;
+        }
+
+        // Update User Profile
+        const seller = await User.findById(sellerId);
+        seller.sellerScore = Math.round((avgRating * 20) + (completionRate * 0.5)); // Simple score logic
+        seller.isTrustedSeller = isTrusted;
+        await seller.save();
+
+        res.json({
+            avgRating: avgRating.toFixed(1),
+            totalReviews,
+            completionRate: completionRate.toFixed(1) + '%',
+            isTrusted,
+            score: seller.sellerScore
+        });
+
+    } catch (err) {
+        res.status(500).json({ message: 'Error calculating trust score', error: err.message });
+    }
+});
+
+// ==========================================
+// 🪪 SELLER KYC (Onboarding)
+// ==========================================
+// Flow: seller details + documents bharta hai -> submit (Pending) -> admin har document review karta hai
+// -> approve (seller active) ya reject (reason ke saath, seller sudhaar kar dobara submit karta hai)
+
+const KYC_EDITABLE = ['Draft', 'Rejected'];
+
+// Seller: apni KYC application
+router.get('/api/seller/kyc', protect, authorizeRole('seller'), async (req, res) => {
+  try {
+    const application = await KycApplication.findOne({ seller: req.user._id });
+    res.json({
+      kycStatus: req.user.kycStatus,
+      kycDeadline: req.user.kycDeadline, // Grace wale sellers - is date tak KYC approved honi chahiye
+      application,
+      missingDocuments: application ? kycMissingDocuments(application) : kycMissingDocuments({}),
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching KYC details', error: err.message });
+  }
+});
+
+// Seller: business details (GSTIN / PAN)
+router.put('/api/seller/kyc', protect, authorizeRole('seller'), validate(schemas.kycDetails), async (req, res) => {
+  try {
+    const { businessName, gstin, pan } = req.body;
+
+    let application = await KycApplication.findOne({ seller: req.user._id });
+    if (application && !KYC_EDITABLE.includes(application.status)) {
+      return res.status(400).json({ message: `KYC is ${application.status.toLowerCase()} and cannot be edited.` });
+    }
+    if (!application) application = new KycApplication({ seller: req.user._id });
+
+    if (businessName !== undefined) application.businessName = businessName;
+    if (gstin !== undefined) application.gstin = gstin || undefined;
+    if (pan !== undefined) application.pan = pan;
+    application.history.push({ action: 'details_updated', by: req.user._id });
+    await application.save();
+
+    if (req.user.kycStatus === 'None') await User.findByIdAndUpdate(req.user._id, { kycStatus: 'Draft' });
+
+    res.json({ message: 'KYC details saved', application });
+  } catch (err) {
+    res.status(500).json({ message: 'Error saving KYC details', error: err.message });
+  }
+});
+
+// Seller: document upload (same type dobara upload = purana replace, status fir se Pending)
+router.post('/api/seller/kyc/documents', protect, authorizeRole('seller'), kycUpload, validate(schemas.kycDocument), async (req, res) => {
+  try {
+    const { type } = req.body;
+    if (!req.file) return res.status(400).json({ message: 'Document file is required.' });
+
+    let application = await KycApplication.findOne({ seller: req.user._id });
+    if (application && !KYC_EDITABLE.includes(application.status)) {
+      return res.status(400).json({ message: `KYC is ${application.status.toLowerCase()} and cannot be edited.` });
+    }
+    if (!application) application = new KycApplication({ seller: req.user._id });
+
+    const replaced = application.documents.find(d => d.type === type);
+    application.documents = application.documents.filter(d => d.type !== type);
+    application.documents.push({ type, url: req.file.path || undefined, publicId: req.file.filename, isPrivate: !req.file.path });
+    application.history.push({
+      action: 'document_uploaded',
+      by: req.user._id,
+      documentType: type,
+      note: replaced ? `Replaced ${replaced.status.toLowerCase()} document` : undefined
+    });
+    await application.save();
+
+    // Purani file storage se hatao (save ke baad - fail hua to bhi naya document safe hai)
+    if (replaced && replaced.publicId) {
+      deleteFile(replaced.publicId, { private: replaced.isPrivate }).catch(e => console.error('KYC document cleanup failed:', e.message));
+    }
+
+    if (req.user.kycStatus === 'None') await User.findByIdAndUpdate(req.user._id, { kycStatus: 'Draft' });
+
+    res.status(201).json({ message: 'Document uploaded', application });
+  } catch (err) {
+    res.status(500).json({ message: 'Error uploading KYC document', error: err.message });
+  }
+});
+
+// Seller: apne KYC document ki file
+router.get('/api/seller/kyc/documents/:docId/file', protect, authorizeRole('seller'), validate(schemas.kycDocumentFile), async (req, res) => {
+  try {
+    const application = await KycApplication.findOne({ seller: req.user._id });
+    const document = application && application.documents.id(req.params.docId);
+    if (!document) return res.status(404).json({ message: 'Document not found' });
+
+    await sendStoredFile(res, document, document.type);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching KYC document', error: err.message });
+  }
+});
+
+// Seller: review ke liye submit (pehli baar ya rejection ke baad dobara)
+router.post('/api/seller/kyc/submit', protect, authorizeRole('seller'), async (req, res) => {
+  try {
+    const application = await KycApplication.findOne({ seller: req.user._id });
+    if (!application) return res.status(400).json({ message: 'Please add your KYC details and documents first.' });
+    if (!KYC_EDITABLE.includes(application.status)) {
+      return res.status(400).json({ message: `KYC is already ${application.status.toLowerCase()}.` });
+    }
+
+    if (!application.businessName || !application.pan) {
+      return res.status(400).json({ message: 'Business name and PAN are required.' });
+    }
+    const missingDocuments = kycMissingDocuments(application);
+    if (missingDocuments.length > 0) {
+      return res.status(400).json({ message: 'Some required documents are missing.', missingDocuments });
+    }
+    const rejectedDocuments = application.documents.filter(d => d.status === 'Rejected').map(d => d.type);
+    if (rejectedDocuments.length > 0) {
+      return res.status(400).json({ message: 'Please re-upload the rejected documents.', rejectedDocuments });
+    }
+
+    application.status = 'Pending';
+    application.submittedAt = new Date();
+    application.rejectionReason = undefined;
+    application.history.push({ action: 'submitted', by: req.user._id });
+    await application.save();
+    await User.findByIdAndUpdate(req.user._id, { kycStatus: 'Pending' });
+
+    await notifyAdmin(`🪪 Seller KYC submitted for review\n\nSeller: ${req.user.name} (${req.user.phone})\nBusiness: ${application.businessName}\nApplication: ${application._id}`);
+
+    res.json({ message: 'KYC submitted for review', application });
+  } catch (err) {
+    res.status(500).json({ message: 'Error submitting KYC', error: err.message });
+  }
+});
+
+// Admin: review queue (default: Pending)
+router.get('/api/admin/kyc', protect, authorizeRole('admin'), requirePermission('sellers.verify'), validate(schemas.kycList), async (req, res) => {
+  try {
+    const applications = await KycApplication.find({ status: req.query.status || 'Pending', ...(await userRefScopeFilter(req, 'seller')) })
+      .populate('seller', 'name email phone approved kycStatus')
+      .select('-history')
+      .sort({ submittedAt: 1 });
+    res.json(applications);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching KYC applications', error: err.message });
+  }
+});
+
+// Admin: ek application poori history ke saath
+router.get('/api/admin/kyc/:id', protect, authorizeRole('admin'), requirePermission('sellers.verify'), validate(schemas.byId), async (req, res) => {
+  try {
+    const application = await KycApplication.findById(req.params.id)
+      .populate('seller', 'name email phone approved kycStatus pincodes pickupAddress')
+      .populate('history.by', 'name role');
+    if (!application) return res.status(404).json({ message: 'KYC application not found' });
+    if (application.seller && !isInScope(req, userPincodes(application.seller))) return res.status(403).json({ message: 'This seller is outside your assigned area' });
+    res.json(application);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching KYC application', error: err.message });
+  }
+});
+
+// Admin: KYC document ki file (review ke liye)
+router.get('/api/admin/kyc/:id/documents/:docId/file', protect, authorizeRole('admin'), requirePermission('sellers.verify'), validate(schemas.adminKycDocumentFile), async (req, res) => {
+  try {
+    const application = await KycApplication.findById(req.params.id);
+    if (!application) return res.status(404).json({ message: 'KYC application not found' });
+    if (req.adminScope) {
+      const seller = await User.findById(application.seller).select('pincodes pickupAddress');
+      if (seller && !isInScope(req, userPincodes(seller))) return res.status(403).json({ message: 'This seller is outside your assigned area' });
+    }
+
+    const document = application.documents.id(req.params.docId);
+    if (!document) return res.status(404).json({ message: 'Document not found' });
+
+    await sendStoredFile(res, document, document.type);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching KYC document', error: err.message });
+  }
+});
+
+// Admin: single document approve / reject
+router.put('/api/admin/kyc/:id/documents/:docId', protect, authorizeRole('admin'), requirePermission('sellers.verify'), validate(schemas.reviewKycDocument), audit('kyc.document.review', 'KycApplication'), async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    const application = await KycApplication.findById(req.params.id);
+    if (!application) return res.status(404).json({ message: 'KYC application not found' });
+    if (req.adminScope) {
+      const seller = await User.findById(application.seller).select('pincodes pickupAddress');
+      if (seller && !isInScope(req, userPincodes(seller))) return res.status(403).json({ message: 'This seller is outside your assigned area' });
+    }
+    if (application.status !== 'Pending') return res.status(400).json({ message: 'Only submitted applications can be reviewed.' });
+
+    const document = application.documents.id(req.params.docId);
+    if (!document) return res.status(404).json({ message: 'Document not found' });
+
+    document.status = status;
+    document.rejectionReason = status === 'Rejected' ? reason : undefined;
+    document.reviewedBy = req.user._id;
+    document.reviewedAt = new Date();
+    application.history.push({
+      action: status === 'Approved' ? 'document_approved' : 'document_rejected',
+      by: req.user._id,
+      documentType: document.type,
+      note: reason
+    });
+    await application.save();
+
+    console.log(`🪪 Admin ${req.user._id} ${status.toLowerCase()} KYC document ${document.type} of application ${application._id}.`);
+    res.json({ message: `Document ${status.toLowerCase()}`, application });
+  } catch (err) {
+    res.status(500).json({ message: 'Error reviewing KYC document', error: err.message });
+  }
+});
+
+// Admin: final decision. Approve = baaki pending documents bhi approve + seller active
+router.post('/api/admin/kyc/:id/decision', protect, authorizeRole('admin'), requirePermission('sellers.verify'), validate(schemas.kycDecision), audit('kyc.decision', 'KycApplication'), async (req, res) => {
+  try {
+    const { decision, reason } = req.body;
+    const application = await KycApplication.findById(req.params.id).populate('seller', 'name phone fcmToken approved pincodes pickupAddress');
+    if (!application) return res.status(404).json({ message: 'KYC application not found' });
+    if (application.status !== 'Pending') return res.status(400).json({ message: 'Only submitted applications can be reviewed.' });
+    if (!application.seller) return res.status(404).json({ message: 'Seller account not found' });
+    if (!isInScope(req, userPincodes(application.seller))) return res.status(403).json({ message: 'This seller is outside your assigned area' });
+
+    const now = new Date();
+    let sellerMessage;
+    req.audit.before = { status: application.status };
+
+    if (decision === 'approve') {
+      const rejectedDocuments = application.documents.filter(d => d.status === 'Rejected').map(d => d.type);
+      if (rejectedDocuments.length > 0) {
+        return res.status(400).json({ message: 'Some documents are rejected. Reject the application so the seller can resubmit.', rejectedDocuments });
+      }
+      application.documents.forEach(d => {
+        if (d.status === 'Pending') Object.assign(d, { status: 'Approved', reviewedBy: req.user._id, reviewedAt: now });
+      });
+      application.status = 'Approved';
+      application.rejectionReason = undefined;
+      // Multi-role account: approval sirf seller role par (active mode kuch bhi ho)
+      const seller = await User.findById(application.seller._id);
+      seller.kycStatus = 'Approved';
+      setRoleApproval(seller, 'seller', true);
+      await seller.save();
+      sellerMessage = 'Congratulations! Your KYC is verified and your seller account is active. You can now start selling.';
+    } else {
+      application.status = 'Rejected';
+      application.rejectionReason = reason;
+      await User.findByIdAndUpdate(application.seller._id, { kycStatus: 'Rejected' });
+      const rejectedDocuments = application.documents.filter(d => d.status === 'Rejected').map(d => d.type.replace(/_/g, ' '));
+      sellerMessage = `Your KYC could not be verified. Reason: ${reason}` +
+        (rejectedDocuments.length ? `\nPlease re-upload: ${rejectedDocuments.join(', ')}` : '') +
+        '\nUpdate your details in the app and submit again.';
+    }
+
+    application.reviewedBy = req.user._id;
+    application.reviewedAt = now;
+    application.history.push({ action: decision === 'approve' ? 'approved' : 'rejected', by: req.user._id, note: reason });
+    await application.save();
+    req.audit.after = { status: application.status, rejectionReason: application.rejectionReason || null };
+    req.audit.metadata = { seller: application.seller._id };
+
+    console.log(`🪪 Admin ${req.user._id} ${application.status.toLowerCase()} KYC application ${application._id} (seller ${application.seller._id}).`);
+
+    await sendWhatsApp(application.seller.phone, sellerMessage);
+    if (application.seller.fcmToken) {
+      await sendPushNotification(
+        application.seller.fcmToken,
+        decision === 'approve' ? 'KYC Approved ✅' : 'KYC Rejected',
+        sellerMessage,
+        { type: decision === 'approve' ? 'KYC_APPROVED' : 'KYC_REJECTED' }
+      );
+    }
+
+    res.json({ message: `KYC ${application.status.toLowerCase()}`, application });
+  } catch (err) {
+    res.status(500).json({ message: 'Error saving KYC decision', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+const { AppSettings } = require('../admin/admin.models');
+const { User } = require('../auth/auth.models');
+const { roleQuery } = require('../auth/roles.service');
+const { notifyAdmin, sendPushNotification, sendWhatsApp } = require('../notifications/notifications.service');
+const { Order } = require('../orders/orders.models');
+const { Payout, REQUIRED_KYC_DOCUMENTS } = require('./seller.models');
+
+// HELPER FUNCTION: Calculates Seller's Net Earnings and Balances (REQUIRED for /api/seller/payouts/request to work)
+async function calculateSellerFinancials(sellerId) {
+    const { ObjectId } = mongoose.Types;
+
+    // Fetch commission rate
+    const appSettings = await AppSettings.findOne({ singleton: true });
+    const PLATFORM_COMMISSION_RATE = appSettings ? appSettings.platformCommissionRate : 0.05;
+
+    // 1. TOTAL REVENUE (Delivered orders only)
+    const totalRevenueResult = await Order.aggregate([
+        {
+            $match: {
+                seller: new ObjectId(sellerId),
+                deliveryStatus: 'Delivered',
+                paymentStatus: 'completed'
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                totalSales: { $sum: "$totalAmount" } // Item Subtotal
+            }
+        }
+    ]);
+    const totalRevenue = totalRevenueResult[0]?.totalSales || 0;
+
+    const platformCommission = totalRevenue * PLATFORM_COMMISSION_RATE;
+    const netEarnings = totalRevenue - platformCommission; // Earnings before paying out
+
+    // 2. PROCESSED PAYOUTS (Already paid to seller)
+    const totalPayoutsResult = await Payout.aggregate([
+        {
+            $match: {
+                seller: new ObjectId(sellerId),
+                status: 'processed'
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                totalProcessed: { $sum: "$amount" }
+            }
+        }
+    ]);
+    const totalPayouts = totalPayoutsResult[0]?.totalProcessed || 0;
+
+    // 3. PENDING PAYOUTS (Requested by seller but not yet processed)
+    const pendingPayoutsResult = await Payout.aggregate([
+        {
+            $match: {
+                seller: new ObjectId(sellerId),
+                status: 'pending'
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                totalPending: { $sum: "$amount" }
+            }
+        }
+    ]);
+    const pendingPayouts = pendingPayoutsResult[0]?.totalPending || 0;
+
+    // 4. CALCULATE BALANCES
+    const currentBalance = netEarnings - totalPayouts; // Total net earnings minus total paid out
+    const availableBalance = Math.max(0, currentBalance - pendingPayouts); // Amount available for a new request
+
+    return {
+        totalRevenue: totalRevenue,
+        netEarnings: netEarnings,
+        platformCommission: platformCommission,
+        totalPayouts: totalPayouts,
+        pendingPayouts: pendingPayouts,
+        currentBalance: currentBalance,
+        availableBalance: availableBalance,
+        commissionRate: PLATFORM_COMMISSION_RATE
+    };
+}
+
+/**
+ * HELPER: KYC submit se pehle jo documents abhi upload nahi hue
+ * (GSTIN diya hai to GST certificate bhi zaroori)
+ */
+function kycMissingDocuments(application) {
+    const required = application.gstin ? [...REQUIRED_KYC_DOCUMENTS, 'gst_certificate'] : REQUIRED_KYC_DOCUMENTS;
+    const uploaded = new Set((application.documents || []).map(d => d.type));
+    return required.filter(type => !uploaded.has(type));
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// KYC ke bina approved sellers (KYC launch se pehle wale, ya KYC review ke bahar approve hue) ko itne din
+const KYC_GRACE_DAYS = parseInt(process.env.SELLER_KYC_GRACE_DAYS, 10) || 30;
+// Deadline se itne din pehle reminder
+const KYC_GRACE_REMINDER_DAYS = [1, 7];
+
+/**
+ * HELPER: WhatsApp + push to a seller
+ */
+async function notifySeller(seller, title, message) {
+    if (seller.phone) await sendWhatsApp(seller.phone, message);
+    if (seller.fcmToken) await sendPushNotification(seller.fcmToken, title, message, { type: 'SELLER_KYC_DEADLINE' });
+}
+
+/**
+ * Approved sellers without approved KYC: deadline set karo (ek hi baar, notice ke saath), deadline se pehle
+ * reminders, aur deadline nikalne par notice (checkSellerApproved kycDeadline dekhta hai).
+ */
+async function processSellerKycGrace(now = new Date()) {
+    // --- 1. Backfill: deadline abhi tak set nahi ---
+    const deadline = new Date(now.getTime() + KYC_GRACE_DAYS * DAY_MS);
+    const newcomers = await User.find({ ...roleQuery('seller', { approved: true }), kycStatus: { $ne: 'Approved' }, kycDeadline: null })
+        .select('name phone fcmToken');
+    for (const seller of newcomers) {
+        const updated = await User.updateOne({ _id: seller._id, kycDeadline: null }, { $set: { kycDeadline: deadline, kycGraceNoticesSent: [KYC_GRACE_DAYS] } });
+        if (!updated.modifiedCount) continue;
+        await notifySeller(
+            seller,
+            'Complete your KYC 🪪',
+            `Hi ${seller.name}, KYC verification is now required for all sellers. Please upload your documents in the app by ${deadline.toDateString()} to keep managing products and requesting payouts.`
+        );
+    }
+
+    // --- 2. Reminders ---
+    const pending = await User.find({
+        kycStatus: { $ne: 'Approved' },
+        kycDeadline: { $gt: now, $lte: new Date(now.getTime() + KYC_GRACE_REMINDER_DAYS[KYC_GRACE_REMINDER_DAYS.length - 1] * DAY_MS) }
+    }).select('name phone fcmToken kycDeadline kycGraceNoticesSent');
+
+    let reminders = 0;
+    for (const seller of pending) {
+        const daysLeft = Math.ceil((seller.kycDeadline.getTime() - now.getTime()) / DAY_MS);
+        const threshold = KYC_GRACE_REMINDER_DAYS.find(days => daysLeft <= days);
+        if (seller.kycGraceNoticesSent.includes(threshold)) continue;
+
+        await notifySeller(
+            seller,
+            'KYC deadline approaching ⚠️',
+            `Hi ${seller.name}, ${daysLeft} day(s) left to complete your KYC. From ${seller.kycDeadline.toDateString()} you cannot add or edit products, request payouts or create offers until your KYC is approved.`
+        );
+        await User.updateOne({ _id: seller._id }, { $addToSet: { kycGraceNoticesSent: threshold } });
+        reminders += 1;
+    }
+
+    // --- 3. Deadline nikal gayi ---
+    const lapsed = await User.find({ kycStatus: { $ne: 'Approved' }, kycDeadline: { $lte: now }, kycGraceNoticesSent: { $ne: 0 } })
+        .select('name phone fcmToken');
+    for (const seller of lapsed) {
+        await notifySeller(
+            seller,
+            'KYC deadline passed ❌',
+            `Hi ${seller.name}, your KYC deadline has passed. You cannot add or edit products, request payouts or create offers until your KYC is approved.`
+        );
+        await User.updateOne({ _id: seller._id }, { $addToSet: { kycGraceNoticesSent: 0 } });
+    }
+
+    if (newcomers.length || lapsed.length) {
+        await notifyAdmin(`🪪 Seller KYC grace: ${newcomers.length} seller(s) given a deadline, ${lapsed.length} blocked after missing it.`);
+    }
+    return { deadlinesSet: newcomers.length, reminders, lapsed: lapsed.length };
+}
+
+module.exports = { calculateSellerFinancials, kycMissingDocuments, processSellerKycGrace, KYC_GRACE_DAYS };
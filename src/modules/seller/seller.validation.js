@@ -0,0 +1,85 @@
+const { Joi, upiId, ifsc, gstin, pan, idParam } = require('../../middleware/validate');
+const { createCoupon } = require('../orders/orders.validation');
+const { KYC_DOCUMENT_TYPES } = require('./seller.models');
+
+// --------- SELLER REQUEST SCHEMAS ----------
+const requestPayout = {
+  body: Joi.object({
+    amount: Joi.number().min(100).required().messages({ 'number.min': 'Minimum payout amount is ₹100' }),
+  }),
+};
+
+const processPayout = {
+  params: idParam(),
+  body: Joi.object({
+    transactionId: Joi.string().trim().min(4).max(64).required(), // Bank UTR
+    notes: Joi.string().trim().max(500).allow(''),
+  }),
+};
+
+const bankDetails = {
+  body: Joi.object({
+    bankAccountNumber: Joi.string().trim().pattern(/^\d{9,18}$/).messages({ 'string.pattern.base': '{{#label}} must be a valid bank account number' }),
+    ifsc: ifsc(),
+    vpa: upiId(),
+    accountHolderName: Joi.string().trim().max(100),
+  }).or('bankAccountNumber', 'vpa').and('bankAccountNumber', 'ifsc'),
+};
+
+// Seller coupon ka shape admin coupon jaisa hi hai
+const createSellerCoupon = createCoupon;
+
+// --- KYC ---
+const kycDetails = {
+  body: Joi.object({
+    businessName: Joi.string().trim().min(2).max(200),
+    gstin: gstin().allow(''),
+    pan: pan(),
+  }).or('businessName', 'gstin', 'pan'),
+};
+
+// Multipart: file field 'document' + type
+const kycDocument = {
+  body: Joi.object({ type: Joi.string().valid(...KYC_DOCUMENT_TYPES).required() }),
+};
+
+const kycList = {
+  query: Joi.object({ status: Joi.string().valid('Draft', 'Pending', 'Approved', 'Rejected') }),
+};
+
+const reviewKycDocument = {
+  params: idParam('id', 'docId'),
+  body: Joi.object({
+    status: Joi.string().valid('Approved', 'Rejected').required(),
+    reason: Joi.string().trim().max(500).when('status', { is: 'Rejected', then: Joi.required() }),
+  }),
+};
+
+const kycDecision = {
+  params: idParam(),
+  body: Joi.object({
+    decision: Joi.string().valid('approve', 'reject').required(),
+    reason: Joi.string().trim().max(500).when('decision', { is: 'reject', then: Joi.required() }),
+  }),
+};
+
+const kycDocumentFile = { params: idParam('docId') };
+
+const adminKycDocumentFile = { params: idParam('id', 'docId') };
+
+const byId = { params: idParam() };
+
+module.exports = {
+  requestPayout,
+  processPayout,
+  bankDetails,
+  createSellerCoupon,
+  kycDetails,
+  kycDocument,
+  kycList,
+  reviewKycDocument,
+  kycDocumentFile,
+  adminKycDocumentFile,
+  kycDecision,
+  byId,
+};
@@ -0,0 +1,23 @@
+// --------- SERVICES API DOCS (see src/docs/openapi.js) ----------
+module.exports = {
+  tag: 'Services',
+  routes: {
+    'GET /api/services': { summary: 'Active services (filter by category/pincode)', response: ['Service'] },
+    'GET /api/services/{id}': { summary: 'Service details', response: 'Service' },
+    'POST /api/services': { summary: 'List a service', status: 201, files: ['images[]'], response: { message: 'string', service: 'Service' } },
+    'DELETE /api/services/{id}': { summary: 'Delete own service', response: { message: 'string' } },
+    'POST /api/services/book': {
+      summary: 'Book a service slot',
+      description: 'The start OTP is returned once (and sent on WhatsApp); only its hash is stored.',
+      status: 201,
+      response: { message: 'string', bookingId: 'string', startOtp: 'string' },
+    },
+    'GET /api/services/bookings': { summary: 'Current user\'s bookings', response: ['ServiceBooking'] },
+    'POST /api/services/bookings/{id}/otp/resend': {
+      summary: 'Issue a fresh start OTP for a booking that has not started (customer)',
+      response: { message: 'string', otp: 'string', expiresAt: 'string' },
+    },
+    'GET /api/provider/jobs': { summary: 'Bookings for the provider\'s services', response: ['ServiceBooking'] },
+    'PUT /api/services/bookings/{id}/status': { summary: 'Update booking status', response: { message: 'string', booking: 'ServiceBooking' } },
+  },
+};
@@ -0,0 +1,46 @@
+const { Joi, objectId, otp, jsonString, idParam, enumOf } = require('../../middleware/validate');
+const { ServiceBooking } = require('./services.models');
+
+// --------- SERVICES REQUEST SCHEMAS ----------
+const bookService = {
+  body: Joi.object({
+    serviceId: objectId().required(),
+    date: Joi.date().iso().required(),
+    time: Joi.string().trim().min(1).max(50).required(), // Time slot label, e.g. "10:00 AM - 12:00 PM"
+    addressId: objectId().required(),
+    notes: Joi.string().trim().max(1000).allow(''),
+  }),
+};
+
+const updateBookingStatus = {
+  params: idParam(),
+  body: Joi.object({
+    status: Joi.string().valid(...enumOf(ServiceBooking, 'status')).required(),
+    otp: otp().when('status', { is: 'InProgress', then: Joi.required() }), // Start OTP - 'InProgress' par zaroori
+  }),
+};
+
+const listServices = {
+  query: Joi.object({
+    village: Joi.string().trim().max(100),
+    categoryId: objectId(),
+    search: Joi.string().trim().max(100),
+  }),
+};
+
+const createService = {
+  body: Joi.object({
+    name: Joi.string().trim().min(1).max(200).required(),
+    category: objectId().required(),
+    price: Joi.number().positive().required(),
+    visitCharge: Joi.number().min(0).allow(''),
+    description: Joi.string().max(5000).allow(''),
+    experience: Joi.string().max(100).allow(''),
+    // JSON array string, ya ek single village naam
+    villages: Joi.alternatives().try(jsonString(Joi.array().items(Joi.string())), Joi.string().max(100)),
+  }),
+};
+
+const byId = { params: idParam() };
+
+module.exports = { bookService, updateBookingStatus, listServices, createService, byId };
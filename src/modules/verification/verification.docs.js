@@ -0,0 +1,37 @@
+// --------- PARTNER DOCUMENT VERIFICATION API DOCS (see src/docs/openapi.js) ----------
+const review = { message: 'string', document: 'PartnerDocument', verification: { verified: 'boolean', expiresAt: 'string', missing: ['string'] } };
+
+module.exports = {
+  tag: 'Verification',
+  routes: {
+    // Driver / delivery partner
+    'GET /api/verification/documents': {
+      summary: 'Own documents, requirements and what is still missing',
+      description: 'Drivers cannot go online, and delivery partners cannot accept jobs, until every mandatory document is approved and unexpired.',
+      response: { verified: 'boolean', expiresAt: 'string', missing: ['string'], requirements: 'object', documents: ['PartnerDocument'] },
+    },
+    'POST /api/verification/documents': {
+      summary: 'Upload a document or its renewal (expiry date required for licence, RC, insurance and PUC)',
+      description: 'A pending upload of the same type is replaced and its file deleted.',
+      status: 201,
+      files: ['document'],
+      response: { message: 'string', document: 'PartnerDocument' },
+    },
+    'GET /api/verification/documents/{id}/file': {
+      summary: 'Download an own document',
+      description: 'Partner documents are stored privately and have no public URL.',
+      produces: 'application/octet-stream',
+    },
+
+    // Admin
+    'GET /api/admin/verification/documents': {
+      summary: 'Documents by status (default: Pending), role or upcoming expiry', response: ['PartnerDocument'],
+    },
+    'GET /api/admin/verification/users/{id}': {
+      summary: 'All documents of a driver / delivery partner',
+      response: { user: 'User', roles: [{ role: 'string', verified: 'boolean', expiresAt: 'string', missing: ['string'], requirements: 'object' }], documents: ['PartnerDocument'] },
+    },
+    'GET /api/admin/verification/documents/{id}/file': { summary: 'Download a partner document for review', produces: 'application/octet-stream' },
+    'PUT /api/admin/verification/documents/{id}': { summary: 'Approve or reject a pending document', response: review },
+  },
+};
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// --------- DRIVER / DELIVERY PARTNER DOCUMENTS ----------
+// Har upload ek naya record hai. Renewal upload approve hone tak purana approved document valid rehta hai,
+// approve hote hi purana 'Superseded' ho jaata hai (aur uski file storage se delete).
+const DOCUMENT_TYPES = ['driving_licence', 'vehicle_rc', 'vehicle_insurance', 'pollution_certificate', 'id_proof'];
+
+// Role-wise requirements: mandatory = iske bina online / job accept nahi, expires = expiry date zaroori
+const DOCUMENT_REQUIREMENTS = {
+  driver: {
+    driving_licence: { mandatory: true, expires: true },
+    vehicle_rc: { mandatory: true, expires: true },
+    vehicle_insurance: { mandatory: true, expires: true },
+    id_proof: { mandatory: true, expires: false },
+    pollution_certificate: { mandatory: false, expires: true },
+  },
+  delivery: {
+    id_proof: { mandatory: true, expires: false },
+    driving_licence: { mandatory: true, expires: true },
+    vehicle_rc: { mandatory: false, expires: true },
+    vehicle_insurance: { mandatory: false, expires: true },
+  },
+};
+
+const partnerDocumentSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  role: { type: String, enum: Object.keys(DOCUMENT_REQUIREMENTS), required: true },
+  type: { type: String, enum: DOCUMENT_TYPES, required: true },
+  number: String, // Licence / RC / policy number
+  url: String, // Sirf purane (public) uploads - private files verification file routes se milti hain
+  publicId: String,
+  isPrivate: { type: Boolean, default: false },
+  expiresAt: { type: Date, default: null },
+
+  status: { type: String, enum: ['Pending', 'Approved', 'Rejected', 'Expired', 'Superseded'], default: 'Pending', index: true },
+  rejectionReason: String,
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: Date,
+
+  // Expiry reminders jo bhej chuke (days before expiry: 30 / 7 / 1)
+  remindersSent: { type: [Number], default: [] }
+}, { timestamps: true });
+
+partnerDocumentSchema.index({ status: 1, expiresAt: 1 });
+
+const PartnerDocument = mongoose.model('PartnerDocument', partnerDocumentSchema);
+
+module.exports = { PartnerDocument, DOCUMENT_TYPES, DOCUMENT_REQUIREMENTS };
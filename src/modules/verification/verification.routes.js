@@ -0,0 +1,193 @@
+const express = require('express');
+
+const { partnerDocumentUpload } = require('../../config/upload');
+const { authorizeRole, protect, requirePermission } = require('../../middleware/auth');
+const { audit } = require('../../middleware/audit');
+const { validate } = require('../../middleware/validate');
+const { sendStoredFile } = require('../../storage');
+const { isInScope, userPincodes, userRefScopeFilter } = require('../admin/rbac.service');
+const { User } = require('../auth/auth.models');
+const { rolesOf } = require('../auth/roles.service');
+const { notifyAdmin } = require('../notifications/notifications.service');
+const { DOCUMENT_REQUIREMENTS, PartnerDocument } = require('./verification.models');
+const { DOCUMENT_LABELS, notifyPartner, refreshPartnerVerification, supersedeDocuments, verificationSummary } = require('./verification.service');
+const schemas = require('./verification.validation');
+
+const router = express.Router();
+
+// --------------------------------------------------------------------------------
+// --------- DRIVER / DELIVERY PARTNER DOCUMENT VERIFICATION ----------
+// --------------------------------------------------------------------------------
+// Partner documents upload karta hai -> admin approve/reject -> sab mandatory documents approved
+// aur valid hon tabhi driver online ja sakta hai / delivery boy job accept kar sakta hai.
+// Expiry reminders aur auto-block 'partner-document-expiry' job karta hai (src/jobs).
+
+// Partner: apne documents + kya missing hai
+router.get('/api/verification/documents', protect, authorizeRole('driver', 'delivery'), async (req, res) => {
+  try {
+    const documents = await PartnerDocument.find({ user: req.user._id, role: req.user.role, status: { $ne: 'Superseded' } }).sort({ createdAt: -1 });
+    const { verified, expiresAt, missing } = verificationSummary(req.user.role, documents.filter(d => d.status === 'Approved'));
+
+    res.json({
+      verified,
+      expiresAt,
+      missing,
+      requirements: DOCUMENT_REQUIREMENTS[req.user.role],
+      documents
+    });
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching documents', error: err.message });
+  }
+});
+
+// Partner: document upload (naya ya renewal) - admin review tak status Pending
+router.post('/api/verification/documents', protect, authorizeRole('driver', 'delivery'), partnerDocumentUpload, validate(schemas.uploadDocument), async (req, res) => {
+  try {
+    const { type, number, expiresAt } = req.body;
+    if (!req.file) return res.status(400).json({ message: 'Document file is required.' });
+
+    const rule = DOCUMENT_REQUIREMENTS[req.user.role][type];
+    if (!rule) return res.status(400).json({ message: `${DOCUMENT_LABELS[type]} is not needed for your account.` });
+    if (rule.expires && !expiresAt) return res.status(400).json({ message: `Expiry date is required for ${DOCUMENT_LABELS[type]}.` });
+
+    const document = await PartnerDocument.create({
+      user: req.user._id,
+      role: req.user.role,
+      type,
+      number: number || undefined,
+      url: req.file.path || undefined,
+      publicId: req.file.filename,
+      isPrivate: !req.file.path,
+      expiresAt: rule.expires ? expiresAt : null
+    });
+
+    // Review se pehle dobara upload = purana pending upload replace (naya save hone ke baad - file bhi hatao)
+    await supersedeDocuments({ _id: { $ne: document._id }, user: req.user._id, role: req.user.role, type, status: 'Pending' });
+
+    await notifyAdmin(`🪪 New ${DOCUMENT_LABELS[type]} uploaded for review\n\n${req.user.role === 'driver' ? 'Driver' : 'Delivery partner'}: ${req.user.name} (${req.user.phone})\nDocument: ${document._id}`);
+
+    res.status(201).json({ message: 'Document uploaded. It will be verified shortly.', document });
+  } catch (err) {
+    res.status(500).json({ message: 'Error uploading document', error: err.message });
+  }
+});
+
+// Partner: apne document ki file (private storage - koi public URL nahi)
+router.get('/api/verification/documents/:id/file', protect, authorizeRole('driver', 'delivery'), validate(schemas.byId), async (req, res) => {
+  try {
+    const document = await PartnerDocument.findOne({ _id: req.params.id, user: req.user._id });
+    if (!document) return res.status(404).json({ message: 'Document not found' });
+
+    await sendStoredFile(res, document, document.type);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching document', error: err.message });
+  }
+});
+
+// Admin: review queue (default Pending) / expiring documents
+router.get('/api/admin/verification/documents', protect, authorizeRole('admin'), requirePermission('partners.verify'), validate(schemas.listDocuments), async (req, res) => {
+  try {
+    const { status, role, expiringInDays } = req.query;
+    const filter = { status: status || 'Pending', ...(await userRefScopeFilter(req, 'user')) };
+    if (role) filter.role = role;
+    if (expiringInDays) filter.expiresAt = { $ne: null, $lte: new Date(Date.now() + expiringInDays * 24 * 60 * 60 * 1000) };
+
+    const documents = await PartnerDocument.find(filter)
+      .populate('user', 'name phone role roles isOnline')
+      .sort(expiringInDays ? { expiresAt: 1 } : { createdAt: 1 });
+    res.json(documents);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching documents', error: err.message });
+  }
+});
+
+// Admin: ek partner ke saare documents + har partner role (driver / delivery) ka verification status
+// Active mode kuch bhi ho (customer mode wala driver bhi) - grants dekhe jaate hain
+router.get('/api/admin/verification/users/:id', protect, authorizeRole('admin'), requirePermission('partners.verify'), validate(schemas.byId), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('name phone role roles approved isOnline documentsVerified documentsExpireAt pincodes pickupAddress');
+    const partnerRoles = user ? rolesOf(user).filter(role => DOCUMENT_REQUIREMENTS[role]) : [];
+    if (partnerRoles.length === 0) return res.status(404).json({ message: 'Driver or delivery partner not found' });
+    if (!isInScope(req, userPincodes(user))) return res.status(403).json({ message: 'This partner is outside your assigned area' });
+
+    const documents = await PartnerDocument.find({ user: user._id })
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: -1 });
+    const roles = partnerRoles.map(role => {
+      const { verified, expiresAt, missing } = verificationSummary(role, documents.filter(d => d.role === role && d.status === 'Approved'));
+      return { role, verified, expiresAt, missing, requirements: DOCUMENT_REQUIREMENTS[role] };
+    });
+
+    res.json({ user, roles, documents });
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching partner documents', error: err.message });
+  }
+});
+
+// Admin: document ki file (review ke liye)
+router.get('/api/admin/verification/documents/:id/file', protect, authorizeRole('admin'), requirePermission('partners.verify'), validate(schemas.byId), async (req, res) => {
+  try {
+    const document = await PartnerDocument.findById(req.params.id).populate('user', 'pincodes pickupAddress');
+    if (!document) return res.status(404).json({ message: 'Document not found' });
+    if (document.user && !isInScope(req, userPincodes(document.user))) return res.status(403).json({ message: 'This partner is outside your assigned area' });
+
+    await sendStoredFile(res, document, document.type);
+  } catch (err) {
+    res.status(500).json({ message: 'Error fetching document', error: err.message });
+  }
+});
+
+// Admin: approve / reject. Approve par same type ke purane documents 'Superseded' (files delete)
+router.put('/api/admin/verification/documents/:id', protect, authorizeRole('admin'), requirePermission('partners.verify'), validate(schemas.reviewDocument), audit('partner-document.review', 'PartnerDocument'), async (req, res) => {
+  try {
+    const { status, reason, expiresAt } = req.body;
+    const document = await PartnerDocument.findById(req.params.id).populate('user', 'name phone fcmToken role pincodes pickupAddress');
+    if (!document) return res.status(404).json({ message: 'Document not found' });
+    if (document.status !== 'Pending') return res.status(400).json({ message: `Document is already ${document.status.toLowerCase()}.` });
+    if (!document.user) return res.status(404).json({ message: 'Driver or delivery partner not found' });
+    if (!isInScope(req, userPincodes(document.user))) return res.status(403).json({ message: 'This partner is outside your assigned area' });
+
+    const label = DOCUMENT_LABELS[document.type];
+    if (status === 'Approved' && expiresAt) document.expiresAt = expiresAt;
+    if (status === 'Approved' && document.expiresAt && document.expiresAt <= new Date()) {
+      return res.status(400).json({ message: 'Document has already expired. Reject it so the partner uploads a valid one.' });
+    }
+
+    document.status = status;
+    document.rejectionReason = status === 'Rejected' ? reason : undefined;
+    document.reviewedBy = req.user._id;
+    document.reviewedAt = new Date();
+    await document.save();
+
+    if (status === 'Approved') {
+      await supersedeDocuments({ _id: { $ne: document._id }, user: document.user._id, role: document.role, type: document.type, status: { $in: ['Approved', 'Expired'] } });
+    }
+
+    const verification = await refreshPartnerVerification(document.user._id, document.role);
+    console.log(`🪪 Admin ${req.user._id} ${status.toLowerCase()} ${document.type} ${document._id} of ${document.role} ${document.user._id}.`);
+
+    if (status === 'Approved') {
+      await notifyPartner(
+        document.user,
+        `${label} verified ✅`,
+        verification.verified
+          ? `Hi ${document.user.name}, your ${label} is verified. All your documents are complete - you can start working.`
+          : `Hi ${document.user.name}, your ${label} is verified. Still needed: ${verification.missing.map(t => DOCUMENT_LABELS[t]).join(', ')}.`,
+        'DOCUMENT_APPROVED'
+      );
+    } else {
+      await notifyPartner(
+        document.user,
+        `${label} rejected`,
+        `Hi ${document.user.name}, your ${label} could not be verified. Reason: ${reason}. Please upload it again.`,
+        'DOCUMENT_REJECTED'
+      );
+    }
+
+    res.json({ message: `Document ${status.toLowerCase()}`, document, verification });
+  } catch (err) {
+    res.status(500).json({ message: 'Error reviewing document', error: err.message });
+  }
+});
+
+module.exports = router;
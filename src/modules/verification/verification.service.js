@@ -0,0 +1,191 @@
+const { deleteFile } = require('../../storage');
+const { User } = require('../auth/auth.models');
+const { findRoleGrant, setRoleVerification } = require('../auth/roles.service');
+const { notifyAdmin, sendPushNotification, sendWhatsApp } = require('../notifications/notifications.service');
+const { DOCUMENT_REQUIREMENTS, PartnerDocument } = require('./verification.models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Expiry se itne din pehle reminder (har threshold ek hi baar)
+const REMINDER_DAYS = [1, 7, 30];
+
+const DOCUMENT_LABELS = {
+  driving_licence: 'Driving licence',
+  vehicle_rc: 'Vehicle RC',
+  vehicle_insurance: 'Vehicle insurance',
+  pollution_certificate: 'Pollution certificate',
+  id_proof: 'ID proof',
+};
+
+/**
+ * Driver / delivery partner online ja sakta hai ya job le sakta hai? Default = active mode wala role.
+ * Sirf User fields dekhta hai (no query) - documentsExpireAt nikal gaya to job chalne se pehle bhi block.
+ * Jis role ke documents hi nahi hote (user / seller ...) woh partner kaam ke liye verified nahi.
+ */
+function hasValidPartnerDocuments(user, role = user.role) {
+  if (!DOCUMENT_REQUIREMENTS[role]) return false;
+  const grant = findRoleGrant(user, role);
+  if (!grant) return false;
+
+  // Per-role state se pehle ke grants: top-level copy (usi role ki jab woh active mode ho)
+  const legacy = typeof grant.documentsVerified === 'undefined';
+  if (legacy && user.role !== role) return false;
+  const verified = legacy ? user.documentsVerified : grant.documentsVerified;
+  const expiresAt = legacy ? user.documentsExpireAt : grant.documentsExpireAt;
+  return Boolean(verified) && (!expiresAt || expiresAt > new Date());
+}
+
+/**
+ * HELPER: Approved documents -> { verified, expiresAt, missing }
+ * expiresAt = mandatory documents mein sabse pehli expiry (null agar koi expire nahi hota)
+ */
+function verificationSummary(role, approvedDocuments, now = new Date()) {
+  const missing = [];
+  let expiresAt = null;
+
+  for (const [type, rule] of Object.entries(DOCUMENT_REQUIREMENTS[role] || {})) {
+    if (!rule.mandatory) continue;
+    const valid = approvedDocuments.filter(d => d.type === type && (!d.expiresAt || d.expiresAt > now));
+    if (valid.length === 0) {
+      missing.push(type);
+      continue;
+    }
+    if (valid.some(d => !d.expiresAt)) continue;
+    const latest = new Date(Math.max(...valid.map(d => d.expiresAt.getTime())));
+    if (!expiresAt || latest < expiresAt) expiresAt = latest;
+  }
+
+  return { verified: missing.length === 0, expiresAt, missing };
+}
+
+/**
+ * Recomputes a partner's verification for one role (document.role, active mode nahi) from the approved
+ * documents of that role and saves it on that role's grant. Call after every review decision or expiry.
+ */
+async function refreshPartnerVerification(userId, role) {
+  const approved = await PartnerDocument.find({ user: userId, role, status: 'Approved' });
+  const summary = verificationSummary(role, approved);
+
+  const user = await User.findById(userId);
+  if (user) {
+    setRoleVerification(user, role, { verified: summary.verified, expiresAt: summary.verified ? summary.expiresAt : null });
+    await user.save();
+  }
+  return summary;
+}
+
+/**
+ * Marks matching documents 'Superseded' and deletes their files - replaced documents ki copy rakhne ki zaroorat nahi.
+ * Record history ke liye rehta hai (bina file ke). File delete fail ho to sirf log.
+ * @returns {Promise<number>} superseded documents
+ */
+async function supersedeDocuments(filter) {
+  const documents = await PartnerDocument.find({ status: { $ne: 'Superseded' }, ...filter }).select('publicId isPrivate');
+  if (documents.length === 0) return 0;
+
+  await PartnerDocument.updateMany(
+    { _id: { $in: documents.map(d => d._id) } },
+    { $set: { status: 'Superseded' }, $unset: { url: 1, publicId: 1 } }
+  );
+  for (const doc of documents) {
+    if (!doc.publicId) continue;
+    deleteFile(doc.publicId, { private: doc.isPrivate }).catch(e => console.error(`Partner document ${doc._id} cleanup failed:`, e.message));
+  }
+  return documents.length;
+}
+
+/**
+ * HELPER: WhatsApp + push to a driver / delivery partner
+ */
+async function notifyPartner(user, title, message, type) {
+  if (user.phone) await sendWhatsApp(user.phone, message);
+  if (user.fcmToken) await sendPushNotification(user.fcmToken, title, message, { type });
+}
+
+/**
+ * Daily expiry run: reminders 30/7/1 din pehle, aur lapsed documents 'Expired' + partner blocked (offline)
+ * jab tak renewed document approve na ho.
+ */
+async function processDocumentExpiry(now = new Date()) {
+  // --- 1. Reminders ---
+  const expiring = await PartnerDocument.find({
+    status: 'Approved',
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + REMINDER_DAYS[REMINDER_DAYS.length - 1] * DAY_MS) }
+  }).populate('user', 'name phone fcmToken');
+
+  // Renewal pehle se upload (review pending) hai to reminder nahi
+  const renewals = await PartnerDocument.find({
+    status: 'Pending',
+    user: { $in: expiring.map(d => d.user && d.user._id).filter(Boolean) }
+  }).select('user role type');
+  const renewed = new Set(renewals.map(d => `${d.user}:${d.role}:${d.type}`));
+
+  let reminders = 0;
+  for (const doc of expiring) {
+    if (!doc.user || renewed.has(`${doc.user._id}:${doc.role}:${doc.type}`)) continue;
+
+    const daysLeft = Math.ceil((doc.expiresAt.getTime() - now.getTime()) / DAY_MS);
+    const threshold = REMINDER_DAYS.find(days => daysLeft <= days);
+    if (doc.remindersSent.includes(threshold)) continue;
+
+    const label = DOCUMENT_LABELS[doc.type];
+    await notifyPartner(
+      doc.user,
+      `${label} expiring soon ⚠️`,
+      `Hi ${doc.user.name}, your ${label} expires on ${doc.expiresAt.toDateString()} (${daysLeft} day(s) left). Upload the renewed document in the app to keep working without interruption.`,
+      'DOCUMENT_EXPIRY_REMINDER'
+    );
+    await PartnerDocument.updateOne({ _id: doc._id }, { $addToSet: { remindersSent: threshold } });
+    reminders += 1;
+  }
+
+  // --- 2. Lapsed documents ---
+  const lapsed = await PartnerDocument.find({ status: 'Approved', expiresAt: { $lte: now } })
+    .populate('user', 'name phone fcmToken role isOnline');
+  if (lapsed.length === 0) return { reminders, expired: 0, blocked: 0 };
+
+  await PartnerDocument.updateMany({ _id: { $in: lapsed.map(d => d._id) } }, { $set: { status: 'Expired' } });
+
+  // Ek account driver + delivery dono ho sakta hai - har role alag se
+  const byUserRole = new Map();
+  for (const doc of lapsed) {
+    if (!doc.user) continue;
+    const key = `${doc.user._id}:${doc.role}`;
+    if (!byUserRole.has(key)) byUserRole.set(key, { user: doc.user, role: doc.role, types: [] });
+    byUserRole.get(key).types.push(doc.type);
+  }
+
+  let blocked = 0;
+  for (const { user, role, types } of byUserRole.values()) {
+    const { verified } = await refreshPartnerVerification(user._id, role);
+    const labels = types.map(t => DOCUMENT_LABELS[t]).join(', ');
+
+    if (!verified) {
+      // Usi role ke mode mein online ho to dispatch se turant hatao
+      if (user.isOnline && user.role === role) await User.findByIdAndUpdate(user._id, { isOnline: false });
+      blocked += 1;
+      console.log(`🪪 ${role} ${user._id} blocked: ${labels} expired.`);
+    }
+
+    await notifyPartner(
+      user,
+      'Document expired ❌',
+      verified
+        ? `Hi ${user.name}, your ${labels} has expired. Please upload the renewed document in the app.`
+        : `Hi ${user.name}, your ${labels} has expired. You cannot go online or accept jobs until the renewed document is uploaded and verified.`,
+      'DOCUMENT_EXPIRED'
+    );
+  }
+
+  if (blocked > 0) await notifyAdmin(`🪪 Document expiry: ${blocked} driver/delivery partner(s) blocked until renewed documents are verified.`);
+  return { reminders, expired: lapsed.length, blocked };
+}
+
+module.exports = {
+  DOCUMENT_LABELS,
+  hasValidPartnerDocuments,
+  verificationSummary,
+  refreshPartnerVerification,
+  supersedeDocuments,
+  notifyPartner,
+  processDocumentExpiry,
+};
@@ -0,0 +1,34 @@
+const { Joi, idParam } = require('../../middleware/validate');
+const { DOCUMENT_REQUIREMENTS, DOCUMENT_TYPES } = require('./verification.models');
+
+// --------- PARTNER DOCUMENT REQUEST SCHEMAS ----------
+// Multipart: file field 'document' + ye fields
+const uploadDocument = {
+  body: Joi.object({
+    type: Joi.string().valid(...DOCUMENT_TYPES).required(),
+    number: Joi.string().trim().max(50).allow(''),
+    expiresAt: Joi.date().iso().greater('now').messages({ 'date.greater': 'Document has already expired' }),
+  }),
+};
+
+const listDocuments = {
+  query: Joi.object({
+    status: Joi.string().valid('Pending', 'Approved', 'Rejected', 'Expired', 'Superseded'),
+    role: Joi.string().valid(...Object.keys(DOCUMENT_REQUIREMENTS)),
+    expiringInDays: Joi.number().integer().min(1).max(365),
+  }),
+};
+
+const reviewDocument = {
+  params: idParam(),
+  body: Joi.object({
+    status: Joi.string().valid('Approved', 'Rejected').required(),
+    reason: Joi.string().trim().max(500).when('status', { is: 'Rejected', then: Joi.required() }),
+    // Admin document dekh kar galat expiry theek kar sakta hai
+    expiresAt: Joi.date().iso(),
+  }),
+};
+
+const byId = { params: idParam() };
+
+module.exports = { uploadDocument, listDocuments, reviewDocument, byId };
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { Otp } = require('./otp.models');
+
+// --------- OTP SERVICE ----------
+// Registration, password reset, contact change, ride start, service start - sab yahin se code banate aur check karte hain.
+// Har purpose ki apni policy: code length, expiry, max galat attempts, lockout aur resend cooldown.
+const POLICIES = {
+  register: { length: 6, ttlMinutes: 10, maxAttempts: 5, lockMinutes: 30, resendSeconds: 60 },
+  'password-reset': { length: 6, ttlMinutes: 10, maxAttempts: 5, lockMinutes: 30, resendSeconds: 60 },
+  // Phone/email change - purane aur naye contact ke liye alag codes (target = `${userId}:${contact}`)
+  'contact-change-current': { length: 6, ttlMinutes: 15, maxAttempts: 5, lockMinutes: 30, resendSeconds: 60 },
+  'contact-change-new': { length: 6, ttlMinutes: 15, maxAttempts: 5, lockMinutes: 30, resendSeconds: 60 },
+  'ride-start': { length: 4, ttlMinutes: 6 * 60, maxAttempts: 5, lockMinutes: 15, resendSeconds: 30 },
+  'service-start': { length: 4, ttlMinutes: 30 * 24 * 60, maxAttempts: 5, lockMinutes: 15, resendSeconds: 30 },
+};
+
+function getPolicy(purpose) {
+  const policy = POLICIES[purpose];
+  if (!policy) throw new Error(`Unknown OTP purpose "${purpose}"`);
+  return policy;
+}
+
+/**
+ * HELPER: crypto-random numeric code (Math.random guessable hai)
+ */
+function randomCode(length) {
+  return String(crypto.randomInt(0, 10 ** length)).padStart(length, '0');
+}
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Expiry / lock ke baad bhi record 1 din rehta hai - attempts aur resend cooldown turant reset na hon
+const PURGE_GRACE_MS = 24 * 3600 * 1000;
+const purgeAfter = (date) => new Date(date.getTime() + PURGE_GRACE_MS);
+
+/**
+ * Issues a fresh code for (purpose, target). The caller delivers it (WhatsApp / push / response).
+ * @returns {Promise<{ status: 'sent', code: string, expiresAt: Date }
+ *   | { status: 'cooldown' | 'locked', retryAfter: number, message: string }>}
+ */
+async function issueOtp(purpose, target) {
+  const policy = getPolicy(purpose);
+  const now = new Date();
+  const key = { purpose, target: String(target) };
+
+  const existing = await Otp.findOne(key);
+  if (existing && existing.lockedUntil && existing.lockedUntil > now) {
+    const retryAfter = secondsUntil(existing.lockedUntil);
+    return { status: 'locked', retryAfter, message: `Too many wrong attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).` };
+  }
+  if (existing && existing.lastSentAt && now - existing.lastSentAt < policy.resendSeconds * 1000) {
+    const retryAfter = secondsUntil(new Date(existing.lastSentAt.getTime() + policy.resendSeconds * 1000));
+    return { status: 'cooldown', retryAfter, message: `Please wait ${retryAfter} seconds before requesting a new OTP.` };
+  }
+
+  const code = randomCode(policy.length);
+  const expiresAt = new Date(now.getTime() + policy.ttlMinutes * 60 * 1000);
+  const update = { codeHash: await bcrypt.hash(code, 10), expiresAt, lastSentAt: now, consumedAt: null, purgeAt: purgeAfter(expiresAt) };
+  // Lock khatam ho chuka ho to attempts bhi fresh
+  if (existing && existing.lockedUntil) Object.assign(update, { attempts: 0, lockedUntil: null });
+
+  await Otp.updateOne(key, { $set: update }, { upsert: true });
+  return { status: 'sent', code, expiresAt };
+}
+
+/**
+ * Checks a code and consumes it on success (ek code ek hi baar chalega).
+ * Wrong codes count against the target; after maxAttempts the target is locked out.
+ * @returns {Promise<{ status: 'valid' } | { status: 'invalid' | 'expired' | 'locked', message: string, attemptsLeft?: number, retryAfter?: number }>}
+ */
+async function verifyOtp(purpose, target, code) {
+  const policy = getPolicy(purpose);
+  const now = new Date();
+  const key = { purpose, target: String(target) };
+
+  const record = await Otp.findOne(key);
+  if (record && record.lockedUntil && record.lockedUntil > now) {
+    const retryAfter = secondsUntil(record.lockedUntil);
+    return { status: 'locked', retryAfter, message: `Too many wrong attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).` };
+  }
+  if (!record || !record.codeHash || record.consumedAt || record.expiresAt < now) {
+    return { status: 'expired', message: 'OTP expired or not requested. Please request a new one.' };
+  }
+
+  if (await bcrypt.compare(String(code), record.codeHash)) {
+    // Atomic consume - do parallel requests mein se ek hi jeetegi
+    const consumed = await Otp.findOneAndUpdate(
+      { _id: record._id, codeHash: record.codeHash, consumedAt: null },
+      { $set: { consumedAt: now, attempts: 0 } }
+    );
+    if (!consumed) return { status: 'expired', message: 'OTP already used. Please request a new one.' };
+    return { status: 'valid' };
+  }
+
+  const updated = await Otp.findOneAndUpdate({ _id: record._id }, { $inc: { attempts: 1 } }, { new: true });
+  if (updated.attempts >= policy.maxAttempts) {
+    // Lockout: code bhi band, naya code lock ke baad hi milega
+    const lockedUntil = new Date(now.getTime() + policy.lockMinutes * 60 * 1000);
+    await Otp.updateOne({ _id: record._id }, { $set: { lockedUntil, codeHash: null, purgeAt: purgeAfter(lockedUntil) } });
+    return { status: 'locked', retryAfter: secondsUntil(lockedUntil), message: `Too many wrong attempts. Try again in ${policy.lockMinutes} minutes.` };
+  }
+
+  const attemptsLeft = policy.maxAttempts - updated.attempts;
+  return { status: 'invalid', attemptsLeft, message: `Invalid OTP. ${attemptsLeft} attempt(s) left.` };
+}
+
+/**
+ * HELPER: Failed issue/verify result -> HTTP status (routes ke liye)
+ */
+function otpHttpStatus(result) {
+  return result.status === 'cooldown' || result.status === 'locked' ? 429 : 400;
+}
+
+module.exports = { issueOtp, verifyOtp, otpHttpStatus, POLICIES };
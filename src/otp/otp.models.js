@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// --- One-Time Passwords ---
+// Ek (purpose, target) par ek hi active code, e.g. ('register', '+919876543210') ya ('ride-start', rideId).
+// Code sirf bcrypt hash mein store hota hai. attempts/lockedUntil guessing rokte hain.
+const otpSchema = new mongoose.Schema({
+  purpose: { type: String, required: true },
+  target: { type: String, required: true },
+  codeHash: { type: String, default: null },
+  expiresAt: { type: Date, default: null },
+  attempts: { type: Number, default: 0 }, // Galat tries (resend par reset nahi hota)
+  lastSentAt: { type: Date, default: null },
+  lockedUntil: { type: Date, default: null },
+  consumedAt: { type: Date, default: null },
+  // Record kab saaf ho: code expiry / lockout (jo baad mein ho) + 1 din - issue / lockout par set hota hai
+  purgeAt: { type: Date, default: null },
+}, { timestamps: true });
+
+otpSchema.index({ purpose: 1, target: 1 }, { unique: true });
+// Purane records purgeAt par saaf. Fixed updatedAt TTL nahi - 'service-start' code 30 din valid rehta hai.
+// Purane DBs mein pehle wala 7 din ka index hata dein: db.otps.dropIndex('updatedAt_1')
+otpSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+const Otp = mongoose.model('Otp', otpSchema);
+
+module.exports = { Otp };
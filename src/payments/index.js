@@ -0,0 +1,47 @@
+// Payment provider layer: orders, signature verification, payment links, refunds aur webhooks.
+// PAYMENT_PROVIDER=razorpay (default) | fake
+const drivers = {
+  razorpay: () => require('./providers/razorpay').razorpayProvider,
+  fake: () => require('./providers/fake').fakeProvider,
+};
+
+let provider = null;
+const listeners = [];
+
+/**
+ * Returns the configured payment provider.
+ */
+function getPayments() {
+  if (!provider) {
+    const driver = process.env.PAYMENT_PROVIDER || 'razorpay';
+    if (!drivers[driver]) throw new Error(`Unknown PAYMENT_PROVIDER "${driver}"`);
+    provider = drivers[driver]();
+  }
+  return provider;
+}
+
+/**
+ * Replaces the payment provider (e.g. a stub in tests).
+ */
+function setPayments(customProvider) {
+  provider = customProvider;
+}
+
+/**
+ * Registers a handler for gateway-neutral payment events
+ * ({ event, orderId, paymentId, paymentLinkId, notes }).
+ */
+function onPaymentEvent(listener) {
+  listeners.push(listener);
+}
+
+/**
+ * Delivers a payment event to every registered handler.
+ */
+async function emitPaymentEvent(event) {
+  for (const listener of listeners) {
+    await listener(event);
+  }
+}
+
+module.exports = { getPayments, setPayments, onPaymentEvent, emitPaymentEvent };
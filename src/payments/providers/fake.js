@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+// Simulated gateway for dev / CI / tests. Kuch bhi real charge nahi hota.
+// FAKE_PAYMENT_OUTCOME=success (default) | failure | delayed  -> simulatePayment() ka default result
+// FAKE_PAYMENT_CAPTURE_DELAY_MS (default 5000)                 -> 'delayed' mein capture kitni der baad aaye
+// FAKE_REFUND_OUTCOME=processed (default) | pending | failure
+const FAKE_SECRET = process.env.FAKE_PAYMENT_SECRET || 'fake_payment_secret';
+const CAPTURE_DELAY_MS = parseInt(process.env.FAKE_PAYMENT_CAPTURE_DELAY_MS || '5000', 10);
+const PUBLIC_URL = (process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5001}`).replace(/\/$/, '');
+
+const orders = new Map();
+const paymentLinks = new Map();
+const fakeId = (prefix) => `${prefix}_fake_${crypto.randomBytes(7).toString('hex')}`;
+const sign = (data) => crypto.createHmac('sha256', FAKE_SECRET).update(data).digest('hex');
+
+// Events payment service tak pahunchte hain (wahi path jo real webhook leta hai)
+const emit = (event) => require('../index').emitPaymentEvent(event);
+
+const fakeProvider = {
+  name: 'fake',
+  keyId: 'fake_key_id',
+
+  async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+    const order = { id: fakeId('order'), entity: 'order', amount, amount_paid: 0, currency, receipt, notes, status: 'created', created_at: Math.floor(Date.now() / 1000) };
+    orders.set(order.id, order);
+    return order;
+  },
+
+  verifyPaymentSignature({ orderId, paymentId, signature }) {
+    return sign(`${orderId}|${paymentId}`) === signature;
+  },
+
+  async createPaymentLink({ amount, currency = 'INR', description, customer, notes = {} }) {
+    const id = fakeId('plink');
+    const link = { id, amount, currency, description, customer, notes, status: 'created', payments: [], short_url: `${PUBLIC_URL}/fake-pay/${id}` };
+    paymentLinks.set(id, link);
+    return link;
+  },
+
+  async fetchPaymentLink(paymentLinkId) {
+    const link = paymentLinks.get(paymentLinkId);
+    if (!link) throw new Error(`Payment link ${paymentLinkId} not found`);
+    return link;
+  },
+
+  async refundPayment(paymentId, { amount, notes }) {
+    const outcome = process.env.FAKE_REFUND_OUTCOME || 'processed';
+    if (outcome === 'failure') throw new Error('Simulated refund failure');
+    return { id: fakeId('rfnd'), entity: 'refund', payment_id: paymentId, amount, notes, status: outcome };
+  },
+
+  parseWebhook(rawBody, headers) {
+    if (sign(rawBody) !== headers['x-fake-signature']) return null;
+    return JSON.parse(rawBody);
+  },
+
+  // ---------- Simulation helpers (fake provider only) ----------
+
+  /**
+   * Simulates the customer paying a gateway order.
+   * success -> captured now, failure -> failed now, delayed -> authorized now and captured after CAPTURE_DELAY_MS.
+   * Returns what the checkout SDK would hand to the app (including a valid signature).
+   */
+  async simulatePayment(orderId, outcome = process.env.FAKE_PAYMENT_OUTCOME || 'success') {
+    const order = orders.get(orderId);
+    if (!order) throw new Error(`Order ${orderId} not found`);
+    const paymentId = fakeId('pay');
+
+    if (outcome === 'failure') {
+      order.status = 'attempted';
+      await emit({ event: 'payment.failed', orderId, paymentId, notes: order.notes });
+      return { orderId, paymentId, signature: null, status: 'failed' };
+    }
+
+    const capture = async () => {
+      order.status = 'paid';
+      order.amount_paid = order.amount;
+      await emit({ event: 'payment.captured', orderId, paymentId, notes: order.notes });
+    };
+    if (outcome === 'delayed') {
+      setTimeout(() => capture().catch(err => console.error('Fake delayed capture failed:', err.message)), CAPTURE_DELAY_MS).unref();
+    } else {
+      await capture();
+    }
+    return { orderId, paymentId, signature: sign(`${orderId}|${paymentId}`), status: outcome === 'delayed' ? 'authorized' : 'captured' };
+  },
+
+  /**
+   * Simulates the customer paying a payment link (COD collection QR).
+   */
+  async simulatePaymentLinkPayment(paymentLinkId) {
+    const link = await this.fetchPaymentLink(paymentLinkId);
+    const paymentId = fakeId('pay');
+    link.status = 'paid';
+    link.payments.push({ payment_id: paymentId, amount: link.amount, status: 'captured' });
+    await emit({ event: 'payment_link.paid', paymentLinkId, paymentId, notes: link.notes });
+    return { paymentLinkId, paymentId, status: 'paid' };
+  },
+
+  /**
+   * Signs a payload the way parseWebhook() expects (for posting fake webhooks in tests).
+   */
+  signWebhook(rawBody) {
+    return sign(rawBody);
+  },
+};
+
+module.exports = { fakeProvider };
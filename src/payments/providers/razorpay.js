@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+
+let client = null;
+const getClient = () => {
+  if (!client) client = new Razorpay({ key_id: process.env.RAZORPAY_KEY_ID, key_secret: process.env.RAZORPAY_KEY_SECRET });
+  return client;
+};
+
+const hmacHex = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+/**
+ * Razorpay payment provider (default).
+ * Amounts are in paise, same as the Razorpay API.
+ */
+const razorpayProvider = {
+  name: 'razorpay',
+
+  get keyId() {
+    return process.env.RAZORPAY_KEY_ID;
+  },
+
+  createOrder({ amount, currency = 'INR', receipt, notes }) {
+    return getClient().orders.create({ amount, currency, receipt, ...(notes && { notes }) });
+  },
+
+  verifyPaymentSignature({ orderId, paymentId, signature }) {
+    return hmacHex(process.env.RAZORPAY_KEY_SECRET, `${orderId}|${paymentId}`) === signature;
+  },
+
+  createPaymentLink(options) {
+    return getClient().paymentLink.create(options);
+  },
+
+  fetchPaymentLink(paymentLinkId) {
+    return getClient().paymentLink.fetch(paymentLinkId);
+  },
+
+  refundPayment(paymentId, { amount, speed = 'normal', notes }) {
+    return getClient().payments.refund(paymentId, { amount, speed, notes });
+  },
+
+  /**
+   * Verifies the webhook signature and converts the payload into a gateway-neutral event.
+   * Returns null when the signature does not match.
+   */
+  parseWebhook(rawBody, headers) {
+    if (hmacHex(process.env.RAZORPAY_WEBHOOK_SECRET, rawBody) !== headers['x-razorpay-signature']) return null;
+
+    const { event, payload } = JSON.parse(rawBody);
+    if (event === 'payment_link.paid') {
+      const linkEntity = payload.payment_link.entity;
+      return {
+        event,
+        paymentLinkId: linkEntity.id,
+        paymentId: linkEntity.payments && linkEntity.payments.length > 0 ? linkEntity.payments[0].payment_id : null,
+        notes: linkEntity.notes || {},
+      };
+    }
+    const paymentEntity = payload && payload.payment ? payload.payment.entity : {};
+    return { event, orderId: paymentEntity.order_id, paymentId: paymentEntity.id, notes: paymentEntity.notes || {} };
+  },
+};
+
+module.exports = { razorpayProvider };
@@ -0,0 +1,62 @@
+// Storage provider layer: saari uploads/deletes isi ke through jaati hain.
+// STORAGE_DRIVER=cloudinary (default) | local | s3
+// Har provider ka same API hai: put(stream, options) -> { url, publicId }, delete(publicId, options), url(publicId, options),
+// read(publicId, options) -> { stream, contentType }
+// options.private = true: file public URL se nahi milti (url null) - sirf read() se, authenticated route ke through (e.g. KYC)
+const drivers = {
+  cloudinary: () => require('./providers/cloudinary').cloudinaryProvider,
+  local: () => require('./providers/local').localProvider,
+  s3: () => require('./providers/s3').s3Provider,
+};
+
+let provider = null;
+
+/**
+ * Returns the configured storage provider.
+ */
+function getStorage() {
+  if (!provider) {
+    const driver = process.env.STORAGE_DRIVER || 'cloudinary';
+    if (!drivers[driver]) throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+    provider = drivers[driver]();
+  }
+  return provider;
+}
+
+/**
+ * Replaces the storage provider (e.g. an in-memory stub in tests).
+ */
+function setStorage(customProvider) {
+  provider = customProvider;
+}
+
+/**
+ * HELPER: Shorthand for getStorage().delete() used by routes when replacing or removing media.
+ */
+function deleteFile(publicId, options = {}) {
+  return getStorage().delete(publicId, options);
+}
+
+/**
+ * HELPER: Stored file (e.g. KYC / partner document) ko response mein stream karo - private files ka koi public URL nahi.
+ * Purane public uploads ke paas sirf url hai - unke liye redirect.
+ * @param {{ publicId?: string, url?: string, isPrivate?: boolean }} file
+ */
+async function sendStoredFile(res, file, filename) {
+  if (!file.publicId) {
+    if (file.url) return res.redirect(file.url);
+    return res.status(404).json({ message: 'Document file not found' });
+  }
+
+  const { stream, contentType } = await getStorage().read(file.publicId, { private: file.isPrivate });
+  res.setHeader('Content-Type', contentType || 'application/octet-stream');
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  stream.on('error', err => {
+    console.error(`Stored file stream failed (${file.publicId}):`, err.message);
+    res.destroy(err);
+  });
+  stream.pipe(res);
+}
+
+module.exports = { getStorage, setStorage, deleteFile, sendStoredFile };
@@ -0,0 +1,46 @@
+const path = require('path');
+
+const { getStorage } = require('./index');
+
+/**
+ * Multer storage engine that hands every upload to the configured storage provider.
+ * Like CloudinaryStorage, it sets file.path = public URL and file.filename = publicId,
+ * so routes stay the same whichever provider is active.
+ *
+ * params: { folder, resource_type, format, allowed_formats, private } - folder/resource_type may be functions (req, file).
+ * private = true: file.path null (public URL nahi), file sirf storage.read() se milti hai.
+ */
+function createUploadEngine(params = {}) {
+  const resolve = (value, req, file) => (typeof value === 'function' ? value(req, file) : value);
+
+  return {
+    _handleFile(req, file, cb) {
+      const extension = path.extname(file.originalname || '').toLowerCase();
+      const allowed = params.allowed_formats;
+      if (allowed && !allowed.includes(extension.replace('.', ''))) {
+        return cb(new Error(`File format ${extension || 'unknown'} is not allowed`));
+      }
+
+      const options = {
+        folder: resolve(params.folder, req, file),
+        resourceType: resolve(params.resource_type, req, file),
+        format: params.format,
+        extension,
+        contentType: file.mimetype,
+        private: Boolean(params.private),
+      };
+
+      getStorage().put(file.stream, options)
+        .then(result => cb(null, { path: result.url, filename: result.publicId, size: result.size }))
+        .catch(cb);
+    },
+
+    _removeFile(req, file, cb) {
+      getStorage().delete(file.filename, { resourceType: resolve(params.resource_type, req, file), private: Boolean(params.private) })
+        .then(() => cb(null))
+        .catch(cb);
+    },
+  };
+}
+
+module.exports = { createUploadEngine };
@@ -0,0 +1,48 @@
+const { Readable } = require('stream');
+const cloudinary = require('cloudinary').v2;
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+  secure: true
+});
+
+/**
+ * Cloudinary storage provider (default).
+ */
+const cloudinaryProvider = {
+  name: 'cloudinary',
+
+  // Private files = 'authenticated' delivery type: signed URL ke bina nahi khulti
+  put(stream, { folder, resourceType = 'image', format, private: isPrivate = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const options = { folder, resource_type: resourceType };
+      if (format) options.format = format;
+      if (isPrivate) options.type = 'authenticated';
+      const uploadStream = cloudinary.uploader.upload_stream(options, (err, result) => {
+        if (err) return reject(err);
+        resolve({ url: isPrivate ? null : result.secure_url, publicId: result.public_id, size: result.bytes });
+      });
+      stream.pipe(uploadStream);
+    });
+  },
+
+  async delete(publicId, { resourceType = 'image', private: isPrivate = false } = {}) {
+    if (!publicId) return;
+    await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, type: isPrivate ? 'authenticated' : 'upload' });
+  },
+
+  async read(publicId, { resourceType = 'image', private: isPrivate = false } = {}) {
+    const url = cloudinary.url(publicId, { resource_type: resourceType, type: isPrivate ? 'authenticated' : 'upload', sign_url: true, secure: true });
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Cloudinary download failed with status ${response.status}`);
+    return { stream: Readable.fromWeb(response.body), contentType: response.headers.get('content-type') };
+  },
+
+  url(publicId, { resourceType = 'image' } = {}) {
+    return cloudinary.url(publicId, { resource_type: resourceType, secure: true });
+  },
+};
+
+module.exports = { cloudinaryProvider };
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// Self-hosted / offline runs ke liye: files disk par save hoti hain aur app '/uploads' se serve karta hai
+const LOCAL_DIR = path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+// Private files (KYC...) alag folder mein - static serve nahi hota, sirf read() se
+const PRIVATE_DIR = path.resolve(process.env.STORAGE_PRIVATE_DIR || 'uploads_private');
+const PUBLIC_BASE_URL = (process.env.STORAGE_PUBLIC_URL || '').replace(/\/$/, '');
+const PUBLIC_PATH = '/uploads';
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.pdf': 'application/pdf',
+};
+
+function resolveKey(publicId, isPrivate = false) {
+  const root = isPrivate ? PRIVATE_DIR : LOCAL_DIR;
+  const filePath = path.resolve(root, publicId);
+  if (!filePath.startsWith(root + path.sep)) throw new Error('Invalid storage key');
+  return filePath;
+}
+
+/**
+ * Local filesystem storage provider.
+ */
+const localProvider = {
+  name: 'local',
+  rootDir: LOCAL_DIR,
+  publicPath: PUBLIC_PATH,
+
+  async put(stream, { folder = 'general', extension = '', private: isPrivate = false } = {}) {
+    const publicId = `${folder}/${crypto.randomBytes(12).toString('hex')}${extension}`;
+    const filePath = resolveKey(publicId, isPrivate);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    let size = 0;
+    stream.on('data', chunk => { size += chunk.length; });
+    await pipeline(stream, fs.createWriteStream(filePath));
+    return { url: isPrivate ? null : this.url(publicId), publicId, size };
+  },
+
+  async delete(publicId, { private: isPrivate = false } = {}) {
+    if (!publicId) return;
+    try {
+      await fs.promises.unlink(resolveKey(publicId, isPrivate));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  },
+
+  async read(publicId, { private: isPrivate = false } = {}) {
+    const filePath = resolveKey(publicId, isPrivate);
+    await fs.promises.access(filePath);
+    const contentType = CONTENT_TYPES[path.extname(publicId).toLowerCase()] || 'application/octet-stream';
+    return { stream: fs.createReadStream(filePath), contentType };
+  },
+
+  url(publicId) {
+    return `${PUBLIC_BASE_URL}${PUBLIC_PATH}/${publicId}`;
+  },
+};
+
+module.exports = { localProvider };
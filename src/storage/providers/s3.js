@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+// S3-compatible storage (AWS S3, MinIO, Cloudflare R2, DigitalOcean Spaces).
+// Requests AWS Signature V4 se sign hoti hain aur path-style URLs use karti hain.
+// Private files 'private/' prefix ke neeche jaati hain - bucket policy / S3_PUBLIC_URL is prefix ko public na kare.
+const PRIVATE_PREFIX = 'private/';
+const config = {
+  endpoint: (process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`).replace(/\/$/, ''),
+  region: process.env.S3_REGION || 'us-east-1',
+  bucket: process.env.S3_BUCKET,
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  publicUrl: (process.env.S3_PUBLIC_URL || '').replace(/\/$/, ''),
+};
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+/**
+ * HELPER: Sends a signed request to the bucket for the given object key.
+ */
+async function signedRequest(method, key, body = null, contentType = null) {
+  if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+    throw new Error('S3 storage is not configured (S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY)');
+  }
+  const url = new URL(`${config.endpoint}/${config.bucket}/${encodeKey(key)}`);
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256(body || '');
+
+  const headers = { host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+  if (contentType) headers['content-type'] = contentType;
+
+  const signedHeaders = Object.keys(headers).sort().join(';');
+  const canonicalHeaders = Object.keys(headers).sort().map(h => `${h}:${headers[h]}\n`).join('');
+  const canonicalRequest = [method, url.pathname, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${config.secretAccessKey}`, dateStamp), config.region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  headers.authorization = `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  delete headers.host;
+
+  const response = await fetch(url, { method, headers, body });
+  if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+    throw new Error(`S3 ${method} failed with status ${response.status}`);
+  }
+  return response;
+}
+
+/**
+ * S3-compatible storage provider.
+ */
+const s3Provider = {
+  name: 's3',
+
+  async put(stream, { folder = 'general', extension = '', contentType = 'application/octet-stream', private: isPrivate = false } = {}) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    const body = Buffer.concat(chunks);
+
+    const publicId = `${isPrivate ? PRIVATE_PREFIX : ''}${folder}/${crypto.randomBytes(12).toString('hex')}${extension}`;
+    await signedRequest('PUT', publicId, body, contentType);
+    return { url: isPrivate ? null : this.url(publicId), publicId, size: body.length };
+  },
+
+  async delete(publicId) {
+    if (!publicId) return;
+    await signedRequest('DELETE', publicId);
+  },
+
+  async read(publicId) {
+    const response = await signedRequest('GET', publicId);
+    return { stream: Readable.fromWeb(response.body), contentType: response.headers.get('content-type') };
+  },
+
+  url(publicId) {
+    const base = config.publicUrl || `${config.endpoint}/${config.bucket}`;
+    return `${base}/${encodeKey(publicId)}`;
+  },
+};
+
+module.exports = { s3Provider };
@@ -0,0 +1,88 @@
+// --------- Search text normalization ----------
+// Product index (searchTerms) aur search query dono isi se guzarte hain, taaki dono taraf same form ho:
+//   "Fresh Tomatoes (1kg)" -> ['fresh', 'tomato', '1kg']
+//   "Pyaaz" / "pyaz" -> 'pyaz', "Doodh" -> 'dudh', "Aloo" / "alu" -> 'alu'
+
+// Itne common words se ranking nahi badalti - index mein nahi rakhte
+const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'with', 'in', 'on', 'to', 'by', 'or', 'ka', 'ki', 'ke', 'aur']);
+
+/**
+ * HELPER: Lowercase, accents hatao, letters/digits ke alawa sab space
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * HELPER: Halka English stemmer - sirf plural (tomatoes -> tomato, berries -> berry, boxes -> box)
+ */
+function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(oes|xes|ches|shes|sses)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * HELPER: Hinglish spellings ek jaise karo - ee -> i, oo -> u, double letters single (pyaaz = pyaz, doodh = dudh)
+ */
+function foldSpelling(word) {
+  if (/\d/.test(word)) return word;
+  return word.replace(/ee/g, 'i').replace(/oo/g, 'u').replace(/(\p{L})\1+/gu, '$1');
+}
+
+/**
+ * One search term in index form.
+ */
+function toTerm(word) {
+  return foldSpelling(stem(word));
+}
+
+/**
+ * Text -> unique index terms (stopwords and single letters dropped).
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  const terms = new Set();
+  for (const word of normalizeText(text).split(' ')) {
+    if (!word || STOPWORDS.has(word)) continue;
+    const term = toTerm(word);
+    if (term.length >= 2 || /\d/.test(term)) terms.add(term);
+  }
+  return [...terms];
+}
+
+/**
+ * Edit distance with adjacent swaps (Damerau), stopping early once it exceeds max.
+ * @returns {number} distance, or max + 1 if it is larger than max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+module.exports = { normalizeText, toTerm, tokenize, editDistance };
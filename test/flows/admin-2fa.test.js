@@ -0,0 +1,63 @@
+const assert = require('node:assert/strict');
+const { after, before, test } = require('node:test');
+
+const harness = require('../helpers/harness');
+const { User } = require('../../src/modules/auth/auth.models');
+const { TOTP_STEP_SECONDS, totpAt } = require('../../src/modules/auth/twoFactor.service');
+
+const { PASSWORD, api, createUser } = harness;
+
+before(() => harness.start());
+after(() => harness.stop());
+
+// 2FA ke bina admin -> setup token (sirf setup/enable) -> 2FA on + session -> galat codes par account lockout
+test('admin login requires 2FA setup and locks after repeated wrong codes', async () => {
+  const admin = await createUser({ role: 'admin', email: 'admin-2fa@test.local', phone: undefined });
+
+  // 1. Login: tokens nahi, sirf setup token
+  const loginRes = await api('POST', '/api/auth/login', { body: { email: admin.email, password: PASSWORD } });
+  assert.equal(loginRes.status, 200, JSON.stringify(loginRes.body));
+  assert.equal(loginRes.body.twoFactorSetupRequired, true);
+  assert.equal(loginRes.body.token, undefined);
+  const { setupToken } = loginRes.body;
+
+  const profileWithSetupToken = await api('GET', '/api/auth/profile', { token: setupToken });
+  assert.equal(profileWithSetupToken.status, 401);
+
+  // 2. Setup + enable -> session
+  const setup = await api('POST', '/api/auth/2fa/setup', { token: setupToken });
+  assert.equal(setup.status, 200, JSON.stringify(setup.body));
+  const step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  const enabled = await api('POST', '/api/auth/2fa/enable', { token: setupToken, body: { code: totpAt(setup.body.secret, step) } });
+  assert.equal(enabled.status, 200, JSON.stringify(enabled.body));
+  assert.equal(enabled.body.recoveryCodes.length, 10);
+  const { token, recoveryCodes } = enabled.body;
+
+  assert.equal((await api('GET', '/api/auth/profile', { token })).status, 200);
+  // 2FA on ho gaya - setup token ab kisi kaam ka nahi
+  assert.equal((await api('POST', '/api/auth/2fa/setup', { token: setupToken })).status, 401);
+
+  // 3. Step-up par galat codes: 5th par lock, phir sahi code bhi 429
+  for (let i = 1; i <= 4; i += 1) {
+    const wrong = await api('POST', '/api/auth/step-up', { token, body: { recoveryCode: `WRONG-00${i}` } });
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.attemptsLeft, 5 - i);
+  }
+  const locked = await api('POST', '/api/auth/step-up', { token, body: { recoveryCode: 'WRONG-005' } });
+  assert.equal(locked.status, 429);
+  assert.ok(locked.body.retryAfter > 0);
+  assert.equal((await api('POST', '/api/auth/step-up', { token, body: { recoveryCode: recoveryCodes[0] } })).status, 429);
+
+  // Lock account par hai - login ka 2FA verify bhi band
+  const relogin = await api('POST', '/api/auth/login', { body: { email: admin.email, password: PASSWORD } });
+  assert.equal(relogin.body.twoFactorRequired, true);
+  const verifyWhileLocked = await api('POST', '/api/auth/2fa/verify', { body: { challengeToken: relogin.body.challengeToken, recoveryCode: recoveryCodes[0] } });
+  assert.equal(verifyWhileLocked.status, 429);
+
+  // 4. Lock khatam -> sahi code chalta hai, counter reset
+  await User.updateOne({ _id: admin._id }, { $set: { twoFactorLockedUntil: new Date(Date.now() - 1000) } });
+  const verified = await api('POST', '/api/auth/2fa/verify', { body: { challengeToken: relogin.body.challengeToken, recoveryCode: recoveryCodes[0] } });
+  assert.equal(verified.status, 200, JSON.stringify(verified.body));
+  assert.ok(verified.body.token);
+  assert.equal((await User.findById(admin._id)).twoFactorFailedAttempts, 0);
+});
@@ -0,0 +1,105 @@
+const assert = require('node:assert/strict');
+const { after, before, test } = require('node:test');
+
+const harness = require('../helpers/harness');
+const { Category, Product } = require('../../src/modules/catalog/catalog.models');
+const { DeliveryAssignment } = require('../../src/modules/delivery/delivery.models');
+const { Order } = require('../../src/modules/orders/orders.models');
+const { WalletTransaction } = require('../../src/modules/ride/ride.models');
+const { Payout } = require('../../src/modules/seller/seller.models');
+
+const { api, createSteppedUpAdmin, createUser, login } = harness;
+const PINCODE = '804425';
+
+before(() => harness.start());
+after(() => harness.stop());
+
+// Customer cart -> online payment -> delivery boy pickup + delivery -> seller payout request -> admin process
+test('cart → order → delivery → payout', async () => {
+  const seller = await createUser({
+    role: 'seller',
+    email: 'seller@test.local',
+    kycStatus: 'Approved',
+    pincodes: [PINCODE],
+    payoutDetails: { accountType: 'vpa', vpa: 'seller@upi' },
+  });
+  const category = await Category.create({ name: 'Fruits', slug: 'fruits-test' });
+  const product = await Product.create({
+    name: 'Mango Box',
+    category: category._id,
+    seller: seller._id,
+    isApproved: true,
+    variants: [{ price: 500, stock: 10 }],
+  });
+
+  const customer = await createUser({ role: 'user', fcmToken: 'customer-token' });
+  const customerToken = await login(customer);
+
+  // 1. Address + cart
+  const address = await api('POST', '/api/addresses', {
+    token: customerToken,
+    body: { name: 'Home', street: 'Main Road', city: 'Gaya', state: 'Bihar', pincode: PINCODE },
+  });
+  assert.equal(address.status, 201, JSON.stringify(address.body));
+  const addressId = address.body._id;
+
+  const cart = await api('POST', '/api/cart', { token: customerToken, body: { productId: product._id.toString(), qty: 1 } });
+  assert.equal(cart.status, 200, JSON.stringify(cart.body));
+
+  // 2. Order + fake gateway payment (payment.captured -> order paid + delivery assignment)
+  const placed = await api('POST', '/api/orders', { token: customerToken, body: { shippingAddressId: addressId, paymentMethod: 'razorpay' } });
+  assert.equal(placed.status, 201, JSON.stringify(placed.body));
+  const [orderId] = placed.body.orders;
+
+  const paid = await api('POST', '/api/payment/simulate', { token: customerToken, body: { orderId: placed.body.razorpayOrder.id } });
+  assert.equal(paid.status, 200, JSON.stringify(paid.body));
+
+  const order = await Order.findById(orderId);
+  assert.equal(order.paymentStatus, 'completed');
+  assert.equal((await Product.findById(product._id)).variants[0].stock, 9);
+
+  // 3. Delivery boy accept -> PickedUp -> Delivered
+  const deliveryBoy = await createUser({ role: 'delivery', pincodes: [PINCODE], documentsVerified: true });
+  const deliveryToken = await login(deliveryBoy);
+
+  const available = await api('GET', '/api/delivery/available-orders', { token: deliveryToken });
+  assert.equal(available.status, 200);
+  const job = available.body.find(a => a.order._id === orderId);
+  assert.ok(job, 'paid order is not offered to the delivery boy');
+
+  const accepted = await api('PUT', `/api/delivery/assignments/${job._id}/accept`, { token: deliveryToken });
+  assert.equal(accepted.status, 200, JSON.stringify(accepted.body));
+
+  // Dusra delivery boy wahi assignment nahi le sakta
+  const other = await createUser({ role: 'delivery', pincodes: [PINCODE], documentsVerified: true });
+  const secondAccept = await api('PUT', `/api/delivery/assignments/${job._id}/accept`, { token: await login(other) });
+  assert.equal(secondAccept.status, 409);
+
+  for (const status of ['PickedUp', 'Delivered']) {
+    const res = await api('PUT', `/api/delivery/assignments/${job._id}/status`, { token: deliveryToken, body: { status } });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+  }
+  assert.equal((await DeliveryAssignment.findById(job._id)).status, 'Delivered');
+  assert.equal((await Order.findById(orderId)).deliveryStatus, 'Delivered');
+  assert.ok(await WalletTransaction.exists({ seller: seller._id, orderId, type: 'Debit' }), 'commission was not logged');
+
+  // 4. Payout: seller request (delivered revenue minus commission), admin marks it transferred
+  const sellerToken = await login(seller);
+  const tooMuch = await api('POST', '/api/seller/payouts/request', { token: sellerToken, body: { amount: 1000 } });
+  assert.equal(tooMuch.status, 400);
+
+  const requested = await api('POST', '/api/seller/payouts/request', { token: sellerToken, body: { amount: 400 } });
+  assert.equal(requested.status, 201, JSON.stringify(requested.body));
+
+  const { token: adminToken } = await createSteppedUpAdmin();
+  const processed = await api('PUT', `/api/admin/payouts/${requested.body.payout._id}/process`, {
+    token: adminToken,
+    body: { transactionId: 'UTR123456' },
+  });
+  assert.equal(processed.status, 200, JSON.stringify(processed.body));
+
+  const payout = await Payout.findById(requested.body.payout._id);
+  assert.equal(payout.status, 'processed');
+  assert.equal(payout.transactionId, 'UTR123456');
+  assert.ok(harness.sentTo(seller.phone, 'whatsapp').some(m => m.body.includes('UTR123456')), 'seller was not told about the payout');
+});
@@ -0,0 +1,56 @@
+const assert = require('node:assert/strict');
+const { after, before, test } = require('node:test');
+
+const harness = require('../helpers/harness');
+const { User } = require('../../src/modules/auth/auth.models');
+const { PrintJob } = require('../../src/modules/print/print.models');
+const { WalletTransaction } = require('../../src/modules/ride/ride.models');
+const { fakeProvider } = require('../../src/payments/providers/fake');
+
+const { api, createUser, login } = harness;
+
+before(() => harness.start());
+after(() => harness.stop());
+
+// Customer document upload -> gateway payment -> verify (seller credit) -> verify retry par double credit nahi
+test('print job upload → payment → seller credit', async () => {
+  const seller = await createUser({ role: 'seller', email: 'printshop@test.local', kycStatus: 'Approved', fcmToken: 'shop-token' });
+  const customer = await createUser({ role: 'user' });
+  const customerToken = await login(customer);
+
+  const form = new FormData();
+  form.append('document', new Blob(['%PDF-1.4 test document'], { type: 'application/pdf' }), 'notes.pdf');
+  form.append('sellerId', seller._id.toString());
+  form.append('copies', '3');
+  form.append('printType', 'color');
+
+  const created = await api('POST', '/api/print/jobs', { token: customerToken, body: form });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  const { job } = created.body;
+  assert.equal(job.paymentStatus, 'pending');
+  assert.ok(job.sellerEarnings > 0 && job.sellerEarnings < job.printCost, 'commission should be deducted from seller earnings');
+  assert.ok(harness.files.has(job.publicId), 'document was not stored');
+  assert.ok(harness.sentTo('shop-token', 'push').some(m => m.data.type === 'NEW_PRINT_JOB'));
+
+  // App checkout: gateway order -> customer pays -> app verify call bhejti hai
+  const gatewayOrder = await fakeProvider.createOrder({ amount: Math.round(job.printCost * 100), receipt: `print_${job._id}` });
+  const payment = await api('POST', '/api/payment/simulate', { token: customerToken, body: { orderId: gatewayOrder.id } });
+  assert.equal(payment.status, 200, JSON.stringify(payment.body));
+
+  const verifyBody = { order_id: payment.body.orderId, payment_id: payment.body.paymentId, signature: payment.body.signature, printJobId: job._id };
+  const verified = await api('POST', '/api/payment/verify', { body: verifyBody });
+  assert.equal(verified.status, 200, JSON.stringify(verified.body));
+  assert.equal(verified.body.message, 'Print payment verified and seller credited');
+
+  assert.equal((await PrintJob.findById(job._id)).paymentStatus, 'completed');
+  assert.equal((await User.findById(seller._id)).walletBalance, job.sellerEarnings);
+
+  const retried = await api('POST', '/api/payment/verify', { body: verifyBody });
+  assert.equal(retried.status, 200);
+  assert.equal(retried.body.message, 'Print payment already verified');
+  assert.equal((await User.findById(seller._id)).walletBalance, job.sellerEarnings);
+  assert.equal(await WalletTransaction.countDocuments({ seller: seller._id, type: 'Credit' }), 1);
+
+  const badSignature = await api('POST', '/api/payment/verify', { body: { ...verifyBody, signature: 'tampered' } });
+  assert.equal(badSignature.status, 400);
+});
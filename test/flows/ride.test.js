@@ -0,0 +1,80 @@
+const assert = require('node:assert/strict');
+const { after, before, test } = require('node:test');
+
+const harness = require('../helpers/harness');
+const { User } = require('../../src/modules/auth/auth.models');
+const { Ride, WalletTransaction } = require('../../src/modules/ride/ride.models');
+
+const { api, createUser, login } = harness;
+// [lng, lat]
+const PICKUP = [84.9994, 24.7955];
+const DROP = [85.0102, 24.8048];
+
+before(() => harness.start());
+after(() => harness.stop());
+
+/**
+ * HELPER: Online, verified driver standing near the pickup point.
+ */
+function createDriver(fields = {}) {
+  return createUser({
+    role: 'driver',
+    vehicleType: 'Auto',
+    walletBalance: 500,
+    documentsVerified: true,
+    isOnline: true,
+    location: { type: 'Point', coordinates: PICKUP },
+    ...fields,
+  });
+}
+
+// Customer request -> pehla driver accept (OTP customer ko push) -> OTP se start -> complete + commission
+test('ride request → accept → complete', async () => {
+  const driver = await createDriver({ fcmToken: 'driver-token' });
+  const backupDriver = await createDriver({ location: { type: 'Point', coordinates: [PICKUP[0] + 0.01, PICKUP[1]] } });
+  const customer = await createUser({ role: 'user', fcmToken: 'rider-token' });
+  const customerToken = await login(customer);
+
+  const requested = await api('POST', '/api/ride/request', {
+    token: customerToken,
+    body: { pickupAddress: 'Station Road', pickupCoordinates: PICKUP, dropAddress: 'Bus Stand', dropCoordinates: DROP, vehicleType: 'Auto' },
+  });
+  assert.equal(requested.status, 201, JSON.stringify(requested.body));
+  const { rideId } = requested.body;
+
+  const ride = await Ride.findById(rideId);
+  assert.equal(ride.potentialDrivers[0].toString(), driver._id.toString(), 'nearest driver should be offered first');
+  assert.ok(harness.sentTo('driver-token', 'push').some(m => m.data.type === 'NEW_RIDE'));
+
+  // Jis driver ki baari nahi hai wo accept nahi kar sakta
+  const backupToken = await login(backupDriver);
+  const notOffered = await api('POST', '/api/ride/accept', { token: backupToken, body: { rideId } });
+  assert.equal(notOffered.status, 403);
+
+  const driverToken = await login(driver);
+  const accepted = await api('POST', '/api/ride/accept', { token: driverToken, body: { rideId } });
+  assert.equal(accepted.status, 200, JSON.stringify(accepted.body));
+
+  const otpPush = harness.sentTo('rider-token', 'push').find(m => m.data.type === 'RIDE_ACCEPTED');
+  assert.ok(otpPush, 'customer did not get the ride OTP');
+  const otp = otpPush.body.match(/OTP: (\d+)/)[1];
+
+  const wrongOtp = await api('POST', '/api/ride/start', { token: driverToken, body: { rideId, otp: otp === '0000' ? '1111' : '0000' } });
+  assert.notEqual(wrongOtp.status, 200);
+
+  const started = await api('POST', '/api/ride/start', { token: driverToken, body: { rideId, otp } });
+  assert.equal(started.status, 200, JSON.stringify(started.body));
+
+  const completed = await api('POST', '/api/ride/complete', { token: driverToken, body: { rideId } });
+  assert.equal(completed.status, 200, JSON.stringify(completed.body));
+
+  const finished = await Ride.findById(rideId);
+  assert.equal(finished.status, 'Completed');
+  assert.ok(finished.commissionAmount > 0);
+
+  const updatedDriver = await User.findById(driver._id);
+  assert.equal(updatedDriver.walletBalance, 500 - finished.commissionAmount);
+  const debit = await WalletTransaction.findOne({ driver: driver._id, rideId, type: 'Debit' });
+  assert.ok(debit, 'commission was not logged');
+  assert.equal(debit.amount, finished.commissionAmount);
+});
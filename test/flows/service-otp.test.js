@@ -0,0 +1,86 @@
+const assert = require('node:assert/strict');
+const { after, before, test } = require('node:test');
+
+const harness = require('../helpers/harness');
+const { Category } = require('../../src/modules/catalog/catalog.models');
+const { Service, ServiceBooking } = require('../../src/modules/services/services.models');
+const { Otp } = require('../../src/otp/otp.models');
+
+const { api, createUser, login } = harness;
+
+before(() => harness.start());
+after(() => harness.stop());
+
+/**
+ * HELPER: Koi aur 4 digit code (galat OTP ke liye)
+ */
+const wrongCode = (code) => String((Number(code) + 1) % 10000).padStart(4, '0');
+
+// Customer booking -> provider galat OTP (lockout) / expired code -> customer resend -> service start
+test('service start OTP: lockout and expiry recover through resend', async () => {
+  const provider = await createUser({ role: 'provider' });
+  const category = await Category.create({ name: 'Repairs', slug: 'repairs-test' });
+  const service = await Service.create({ name: 'AC Repair', category: category._id, provider: provider._id, price: 300 });
+
+  const customer = await createUser({ role: 'user' });
+  const customerToken = await login(customer);
+  const providerToken = await login(provider);
+
+  const address = await api('POST', '/api/addresses', {
+    token: customerToken,
+    body: { name: 'Home', street: 'Main Road', city: 'Gaya', state: 'Bihar', pincode: '804425' },
+  });
+  assert.equal(address.status, 201, JSON.stringify(address.body));
+
+  const booked = await api('POST', '/api/services/book', {
+    token: customerToken,
+    body: { serviceId: service._id.toString(), date: new Date().toISOString(), time: '10:00 AM - 12:00 PM', addressId: address.body._id },
+  });
+  assert.equal(booked.status, 201, JSON.stringify(booked.body));
+  const { bookingId, startOtp } = booked.body;
+  const startService = (otp) => api('PUT', `/api/services/bookings/${bookingId}/status`, { token: providerToken, body: { status: 'InProgress', otp } });
+
+  // Code 30 din valid hai - record usse pehle saaf nahi hona chahiye
+  const record = await Otp.findOne({ purpose: 'service-start', target: bookingId });
+  assert.ok(record.purgeAt > record.expiresAt, 'OTP record would be purged before the code expires');
+
+  // 1. Locked: 5 galat tries ke baad sahi code bhi 429
+  for (let i = 0; i < 4; i += 1) assert.equal((await startService(wrongCode(startOtp))).status, 400);
+  assert.equal((await startService(wrongCode(startOtp))).status, 429);
+  assert.equal((await startService(startOtp)).status, 429);
+
+  // Lock ke dauran resend bhi nahi
+  const resendWhileLocked = await api('POST', `/api/services/bookings/${bookingId}/otp/resend`, { token: customerToken });
+  assert.equal(resendWhileLocked.status, 429);
+
+  // Lock khatam - purana code ja chuka hai, resend se naya milta hai
+  await Otp.updateOne({ purpose: 'service-start', target: bookingId }, { $set: { lockedUntil: new Date(Date.now() - 1000), lastSentAt: null } });
+  const afterLock = await startService(startOtp);
+  assert.equal(afterLock.status, 400);
+  assert.match(afterLock.body.message, /expired/i);
+
+  const resent = await api('POST', `/api/services/bookings/${bookingId}/otp/resend`, { token: customerToken });
+  assert.equal(resent.status, 200, JSON.stringify(resent.body));
+  assert.ok(harness.sentTo(customer.phone, 'whatsapp').some(m => m.body.includes(resent.body.otp)), 'new OTP was not sent to the customer');
+
+  // 2. Expired: code expire ho gaya, resend ke baad naya code chalta hai
+  await Otp.updateOne({ purpose: 'service-start', target: bookingId }, { $set: { expiresAt: new Date(Date.now() - 1000), lastSentAt: null } });
+  const expired = await startService(resent.body.otp);
+  assert.equal(expired.status, 400);
+  assert.match(expired.body.message, /expired/i);
+
+  const fresh = await api('POST', `/api/services/bookings/${bookingId}/otp/resend`, { token: customerToken });
+  assert.equal(fresh.status, 200, JSON.stringify(fresh.body));
+
+  // Sirf booking ka customer resend kar sakta hai
+  const notOwner = await api('POST', `/api/services/bookings/${bookingId}/otp/resend`, { token: providerToken });
+  assert.equal(notOwner.status, 404);
+
+  const started = await startService(fresh.body.otp);
+  assert.equal(started.status, 200, JSON.stringify(started.body));
+  assert.equal((await ServiceBooking.findById(bookingId)).status, 'InProgress');
+
+  // Service shuru ho gayi - ab resend nahi
+  const resendAfterStart = await api('POST', `/api/services/bookings/${bookingId}/otp/resend`, { token: customerToken });
+  assert.equal(resendAfterStart.status, 400);
+});
@@ -0,0 +1,207 @@
+// Test harness: poora app in-memory MongoDB (single node replica set - transactions ke liye) par boot hota hai.
+// Notification channels, storage aur payments stub hain - kuch bhi bahar nahi jaata.
+// Har test file apna harness start / stop karti hai (node --test har file alag process mein chalata hai).
+//
+// mongod binary: mongodb-memory-server pehli baar fastdl.mongodb.org se download karke cache karta hai.
+// Offline / locked-down CI mein download par depend na karein - installed mongod ka path dein:
+//   MONGOMS_SYSTEM_BINARY=/usr/bin/mongod npm test
+// (ya MONGOMS_DOWNLOAD_DIR mein pehle se rakha hua binary). Replica set ke liye mongod 4.4+ chahiye.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+process.env.PAYMENT_PROVIDER = 'fake';
+process.env.RIDE_DISPATCH_POLL_SECONDS = process.env.RIDE_DISPATCH_POLL_SECONDS || '3600';
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+const { startServer } = require('../../server');
+const { User } = require('../../src/modules/auth/auth.models');
+const { generateRecoveryCodes, generateSecret } = require('../../src/modules/auth/twoFactor.service');
+const { setChannel } = require('../../src/modules/notifications/channels');
+const { setPayments } = require('../../src/payments');
+const { fakeProvider } = require('../../src/payments/providers/fake');
+const { setStorage } = require('../../src/storage');
+
+const PASSWORD = 'Test@12345';
+
+// Jo kuch "bheja" gaya: { kind: 'whatsapp' | 'push' | 'email', to: [], title, body, data }
+const sent = [];
+// In-memory storage: publicId -> { buffer, contentType, private }
+const files = new Map();
+
+let replSet = null;
+let running = null;
+
+/**
+ * HELPER: Recording channel - message sirf `sent` mein jaata hai.
+ */
+function recordingChannel(kind) {
+  return {
+    name: `test:${kind}`,
+    async send({ to, title = null, body, data = {} }) {
+      const recipients = Array.isArray(to) ? to : [to];
+      sent.push({ kind, to: recipients, title, body, data });
+      return { successCount: recipients.length, failureCount: 0 };
+    },
+  };
+}
+
+// Storage provider ka same API (src/storage), files memory mein
+const memoryStorage = {
+  name: 'memory',
+
+  async put(stream, { folder = 'general', extension = '', contentType = 'application/octet-stream', private: isPrivate = false } = {}) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    const buffer = Buffer.concat(chunks);
+    const publicId = `${folder}/${crypto.randomBytes(12).toString('hex')}${extension}`;
+    files.set(publicId, { buffer, contentType, private: isPrivate });
+    return { url: isPrivate ? null : this.url(publicId), publicId, size: buffer.length };
+  },
+
+  async delete(publicId) {
+    files.delete(publicId);
+  },
+
+  url(publicId) {
+    return `http://storage.test/${publicId}`;
+  },
+
+  async read(publicId) {
+    const file = files.get(publicId);
+    if (!file) throw new Error(`File ${publicId} not found`);
+    return { stream: Readable.from(file.buffer), contentType: file.contentType };
+  },
+};
+
+/**
+ * Boots the app on a random port against a fresh in-memory replica set, with stubbed providers.
+ * @returns {Promise<{ baseUrl: string }>}
+ */
+async function start() {
+  for (const kind of ['whatsapp', 'push', 'email']) setChannel(kind, recordingChannel(kind));
+  setStorage(memoryStorage);
+  setPayments(fakeProvider);
+
+  try {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  } catch (err) {
+    throw new Error(`Could not start in-memory MongoDB (${err.message}). Offline? Set MONGOMS_SYSTEM_BINARY to a local mongod.`);
+  }
+  running = await startServer({ mongoUri: replSet.getUri(), port: 0, host: '127.0.0.1' });
+  // Indexes (2dsphere $near ke liye, unique keys) pehli request se pehle bane hon
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+
+  return { baseUrl: baseUrl() };
+}
+
+/**
+ * Stops the server, job scheduler, dispatch worker, DB connection and the in-memory MongoDB.
+ */
+async function stop() {
+  if (running) await running.stop();
+  if (replSet) await replSet.stop();
+  running = null;
+  replSet = null;
+}
+
+function baseUrl() {
+  return `http://127.0.0.1:${running.server.address().port}`;
+}
+
+/**
+ * HELPER: API call. body object = JSON, FormData = multipart.
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+async function api(method, path, { token, body } = {}) {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body && !(body instanceof FormData)) headers['Content-Type'] = 'application/json';
+
+  const res = await fetch(baseUrl() + path, {
+    method,
+    headers,
+    body: body instanceof FormData ? body : body && JSON.stringify(body),
+  });
+  const text = await res.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    // JSON nahi hai (file / text) - raw text hi
+  }
+  return { status: res.status, body: parsed };
+}
+
+let counter = 0;
+
+/**
+ * Creates a user directly in the DB (password: PASSWORD). Phone / email unique milte hain.
+ */
+async function createUser(fields = {}) {
+  counter += 1;
+  return User.create({
+    name: `Test ${fields.role || 'user'} ${counter}`,
+    phone: `90000${String(counter).padStart(5, '0')}`,
+    password: await bcrypt.hash(PASSWORD, 4),
+    ...fields,
+  });
+}
+
+/**
+ * Logs a user in through /api/auth/login (seller: email, baaki: phone). Returns the access token.
+ */
+async function login(user) {
+  const credentials = user.role === 'seller' ? { email: user.email } : { phone: user.phone };
+  const res = await api('POST', '/api/auth/login', { body: { ...credentials, password: PASSWORD } });
+  if (res.status !== 200) throw new Error(`Login failed for ${user.role} ${user._id}: ${res.status} ${JSON.stringify(res.body)}`);
+  return res.body.token;
+}
+
+/**
+ * Creates a super admin with 2FA, logs in (recovery code se) and does step-up - payouts jaise routes ke liye.
+ * @returns {Promise<{ admin: object, token: string }>}
+ */
+async function createSteppedUpAdmin() {
+  const { codes, hashes } = generateRecoveryCodes();
+  counter += 1;
+  const admin = await createUser({
+    role: 'admin',
+    email: `admin${counter}@test.local`,
+    phone: undefined,
+    twoFactorEnabled: true,
+    twoFactorSecret: generateSecret(),
+    twoFactorRecoveryCodes: hashes,
+  });
+
+  const loginRes = await api('POST', '/api/auth/login', { body: { email: admin.email, password: PASSWORD } });
+  const verifyRes = await api('POST', '/api/auth/2fa/verify', { body: { challengeToken: loginRes.body.challengeToken, recoveryCode: codes[0] } });
+  if (verifyRes.status !== 200) throw new Error(`Admin 2FA failed: ${verifyRes.status} ${JSON.stringify(verifyRes.body)}`);
+  const token = verifyRes.body.token;
+
+  const stepUp = await api('POST', '/api/auth/step-up', { token, body: { recoveryCode: codes[1] } });
+  if (stepUp.status !== 200) throw new Error(`Admin step-up failed: ${stepUp.status} ${JSON.stringify(stepUp.body)}`);
+  return { admin, token };
+}
+
+/**
+ * Messages sent to a recipient (phone / fcm token / email), optionally of one kind.
+ */
+function sentTo(recipient, kind) {
+  return sent.filter(m => m.to.includes(recipient) && (!kind || m.kind === kind));
+}
+
+module.exports = {
+  PASSWORD,
+  sent,
+  files,
+  start,
+  stop,
+  api,
+  createUser,
+  login,
+  createSteppedUpAdmin,
+  sentTo,
+};